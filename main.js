@@ -14,6 +14,10 @@
 const utils = require('@iobroker/adapter-core');
 const { ModuleManager } = require('./src/module-manager');
 const { DatapointRegistry } = require('./src/datapoints');
+const { TickScheduler } = require('./src/scheduler');
+const { MessageApi } = require('./src/message-api');
+const { ConfigValidator } = require('./src/config-validator');
+const { parseLiveConfig, applyLiveConfig, updateLiveConfig } = require('./src/live-config');
 
 class NexoWattMultiUse extends utils.Adapter {
     constructor(options = {}) {
@@ -28,11 +32,27 @@ class NexoWattMultiUse extends utils.Adapter {
         /** @type {ModuleManager|null} */
         this.modules = null;
 
-        /** @type {NodeJS.Timeout|null} */
-        this._timer = null;
+        /** @type {TickScheduler|null} */
+        this._scheduler = null;
+
+        /** @type {MessageApi|null} */
+        this._messageApi = null;
+
+        this._validator = new ConfigValidator(this);
+
+        /** Run the config check after the next tick (modules declare some datapoints in tick()) */
+        this._validatePending = false;
+
+        /**
+         * Pending config reload requests; applied at the start of the next tick (never concurrent to a tick).
+         * @type {Array<{source: string, native: any, persist: boolean, resolve: (result: any) => void}>}
+         */
+        this._reloadQueue = [];
 
         this.on('ready', this.onReady.bind(this));
         this.on('stateChange', this.onStateChange.bind(this));
+        this.on('objectChange', this.onObjectChange.bind(this));
+        this.on('message', this.onMessage.bind(this));
         this.on('unload', this.onUnload.bind(this));
     }
 
@@ -49,6 +69,45 @@ class NexoWattMultiUse extends utils.Adapter {
                 common: { name: 'Last tick', type: 'number', role: 'value.time', read: true, write: false },
                 native: {},
             });
+            await this.setObjectNotExistsAsync('info.lastTickReason', {
+                type: 'state',
+                common: { name: 'Last tick trigger (start / watchdog / dp:<key>)', type: 'string', role: 'text', read: true, write: false },
+                native: {},
+            });
+            await this.setObjectNotExistsAsync('info.lastReload', {
+                type: 'state',
+                common: { name: 'Last config reload', type: 'number', role: 'value.time', read: true, write: false },
+                native: {},
+            });
+            await this.setObjectNotExistsAsync('info.lastReloadResult', {
+                type: 'state',
+                common: { name: 'Last config reload result (JSON)', type: 'string', role: 'json', read: true, write: false },
+                native: {},
+            });
+
+            // Control
+            await this.setObjectNotExistsAsync('control', {
+                type: 'channel',
+                common: { name: 'Control' },
+                native: {},
+            });
+            await this.setObjectNotExistsAsync('control.reloadConfig', {
+                type: 'state',
+                common: { name: 'Reload configuration without restart', type: 'boolean', role: 'button', read: false, write: true, def: false },
+                native: {},
+            });
+            await this.subscribeStatesAsync('control.reloadConfig');
+            await this.setObjectNotExistsAsync('control.liveConfig', {
+                type: 'state',
+                common: { name: 'Settings applied without restart (JSON, see sendTo reloadConfig)', type: 'string', role: 'json', read: true, write: true, def: '{}' },
+                native: {},
+            });
+            await this.subscribeStatesAsync('control.liveConfig');
+            await this.setObjectNotExistsAsync('control.overrides', {
+                type: 'state',
+                common: { name: 'Active overrides (JSON, set via sendTo setOverride)', type: 'string', role: 'json', read: true, write: false, def: '[]' },
+                native: {},
+            });
 
 
             // Diagnostics (optional)
@@ -103,13 +162,41 @@ class NexoWattMultiUse extends utils.Adapter {
                 common: { name: 'Diagnostics summary', type: 'string', role: 'text', read: true, write: false },
                 native: {},
             });
+            await this.setObjectNotExistsAsync('diagnostics.configFindings', {
+                type: 'state',
+                common: { name: 'Config check findings (JSON)', type: 'string', role: 'json', read: true, write: false },
+                native: {},
+            });
+            await this.setObjectNotExistsAsync('diagnostics.writeHealth', {
+                type: 'state',
+                common: { name: 'Write verification per output (JSON)', type: 'string', role: 'json', read: true, write: false },
+                native: {},
+            });
+            await this.setObjectNotExistsAsync('diagnostics.units', {
+                type: 'state',
+                common: { name: 'Unit conversions of the datapoints (JSON)', type: 'string', role: 'json', read: true, write: false },
+                native: {},
+            });
+            await this.setObjectNotExistsAsync('diagnostics.moduleOrder', {
+                type: 'state',
+                common: { name: 'Module execution order and dependencies (JSON)', type: 'string', role: 'json', read: true, write: false },
+                native: {},
+            });
+            await this.setObjectNotExistsAsync('diagnostics.arbiter', {
+                type: 'state',
+                common: { name: 'Diagnostics output arbitration (JSON)', type: 'string', role: 'json', read: true, write: false },
+                native: {},
+            });
+
+            // Live settings (control.liveConfig) over the saved instance settings
+            this.config = await this._withLiveConfig(this.config);
 
             // reflect config
             const diagEnabled = !!(this.config && this.config.diagnostics && this.config.diagnostics.enabled);
             await this.setStateAsync('diagnostics.enabled', diagEnabled, true);
 
-            const intervalMs = Number(this.config.schedulerIntervalMs || 1000);
-            const safeIntervalMs = Number.isFinite(intervalMs) && intervalMs >= 250 ? intervalMs : 1000;
+            // Relative plugin and profile sources are resolved against iobroker-data/<namespace>/ (see plugins.js)
+            this.instanceDataDir = utils.getAbsoluteInstanceDataDir(this);
 
             // Datapoint registry: global mapping table from admin (manufacturer-independent)
             const globalEntries = Array.isArray(this.config.globalDatapoints) ? this.config.globalDatapoints : [];
@@ -120,48 +207,283 @@ class NexoWattMultiUse extends utils.Adapter {
             this.modules = new ModuleManager(this, this.dp);
             await this.modules.init();
 
-            // Start scheduler
-            this._timer = setInterval(async () => {
-                try {
+            this._messageApi = new MessageApi(this, {
+                dp: this.dp,
+                modules: this.modules,
+                requestTick: (reason) => {
+                    if (this._scheduler) this._scheduler.requestTick(reason);
+                },
+                requestReload: (source, native, persist) => this.requestReload(source, native, persist),
+                validator: this._validator,
+            });
+
+            // Start scheduler: event-driven (trigger datapoints) with the interval as watchdog
+            const sched = this._getSchedulerOptions();
+
+            this._scheduler = new TickScheduler({
+                intervalMs: sched.intervalMs,
+                debounceMs: sched.debounceMs,
+                minGapMs: sched.minGapMs,
+                log: this.log,
+                runTick: async (reason) => {
                     if (!this.modules) return;
+                    if (this._reloadQueue.length) await this._applyReload();
                     await this.modules.tick();
                     await this.setStateAsync('info.lastTick', Date.now(), true);
-                } catch (e) {
-                    this.log.warn(`Scheduler tick failed: ${e?.message || e}`);
-                }
-            }, safeIntervalMs);
-
-            // Run one immediate tick
-            if (this.modules) {
-                await this.modules.tick();
-                await this.setStateAsync('info.lastTick', Date.now(), true);
-            }
+                    await this.setStateAsync('info.lastTickReason', reason, true);
+                    if (this._validatePending) {
+                        this._validatePending = false;
+                        await this._validateConfig();
+                    }
+                },
+            });
+
+            const triggerKeys = this._applyTriggers(sched.eventDriven);
+            this._validatePending = true;
+
+            // Runs one immediate tick, then follows triggers / watchdog
+            await this._scheduler.start();
 
-            this.log.info(`Started. Scheduler interval: ${safeIntervalMs} ms`);
+            this.log.info(`Started. Scheduler ${sched.eventDriven ? `event-driven (triggers: ${triggerKeys.join(', ') || 'none'}), watchdog` : 'interval'}: ${sched.intervalMs} ms`);
         } catch (e) {
             this.log.error(`onReady error: ${e?.stack || e}`);
         }
     }
 
+    /**
+     * Scheduler settings from the config (with defaults).
+     * @returns {{eventDriven: boolean, intervalMs: number, debounceMs: number, minGapMs: number}}
+     */
+    _getSchedulerOptions() {
+        const intervalMs = Number(this.config.schedulerIntervalMs || 1000);
+        const debounceMs = Number(this.config.schedulerDebounceMs ?? 50);
+        const minGapMs = Number(this.config.schedulerMinGapMs ?? 200);
+        return {
+            eventDriven: this.config.schedulerEventDriven !== false,
+            intervalMs: Number.isFinite(intervalMs) && intervalMs >= 250 ? intervalMs : 1000,
+            debounceMs: Number.isFinite(debounceMs) && debounceMs >= 0 ? debounceMs : 50,
+            minGapMs: Number.isFinite(minGapMs) && minGapMs >= 0 ? minGapMs : 200,
+        };
+    }
+
+    /**
+     * (Re-)register the trigger datapoints of the event-driven scheduler.
+     * @param {boolean} eventDriven
+     * @returns {string[]} trigger keys
+     */
+    _applyTriggers(eventDriven) {
+        const triggerKeys = eventDriven ? this._getTriggerKeys() : [];
+        if (this.dp) {
+            this.dp.setTriggers(triggerKeys, (key) => {
+                if (this._scheduler) this._scheduler.requestTick(`dp:${key}`);
+            });
+        }
+        return triggerKeys;
+    }
+
+    /**
+     * Queue a live config reload. It is applied at the start of the next tick, so it never runs
+     * while modules are ticking.
+     *
+     * Admin saves change system.adapter.<namespace> and therefore restart the instance; settings
+     * applied with `persist` go to control.liveConfig instead (see src/live-config.js).
+     *
+     * @param {string} source
+     * @param {any} [native] optional config entries (top-level keys)
+     * @param {boolean} [persist] keep them in control.liveConfig (across restarts) instead of runtime only
+     * @returns {Promise<any>} reload result
+     */
+    requestReload(source, native, persist = false) {
+        return new Promise((resolve) => {
+            if (!this._scheduler || !this.modules) {
+                resolve({ ok: false, error: 'adapter not ready' });
+                return;
+            }
+            this._reloadQueue.push({ source, native: (native && typeof native === 'object') ? native : null, persist: !!persist, resolve });
+            this._scheduler.requestTick('reload');
+        });
+    }
+
+    /**
+     * Saved settings with the live settings of control.liveConfig applied. Live entries replaced by
+     * a changed saved value are removed from the state.
+     *
+     * @param {Record<string, any>} stored native of the instance object
+     * @param {(live: import('./src/live-config').LiveConfig) => import('./src/live-config').LiveConfig} [update]
+     * @returns {Promise<Record<string, any>>}
+     */
+    async _withLiveConfig(stored, update) {
+        const st = await this.getStateAsync('control.liveConfig');
+        let live = parseLiveConfig(st ? st.val : null);
+        if (update) live = update(live);
+        const res = applyLiveConfig(stored, live);
+        if (res.dropped.length) this.log.info(`Live settings replaced by the saved instance settings: ${res.dropped.join(', ')}`);
+
+        const json = JSON.stringify(res.live);
+        if (!st || st.val !== json || !st.ack) await this.setStateAsync('control.liveConfig', json, true);
+        const keys = Object.keys(res.live.native);
+        if (keys.length) this.log.info(`Live settings applied over the saved instance settings: ${keys.join(', ')}`);
+        return res.config;
+    }
+
+    /**
+     * Re-read the instance config and the live settings and apply them: diff the global datapoint
+     * table, reload only the modules whose config changed, re-configure the scheduler. Runtime state
+     * (RLM accumulator, charging sessions, peak-shaving baselines) stays in the module instances.
+     */
+    async _applyReload() {
+        const jobs = this._reloadQueue.splice(0);
+        const prev = this.config;
+        let result;
+
+        try {
+            const obj = await this.getForeignObjectAsync(`system.adapter.${this.namespace}`);
+            const stored = (obj && obj.native) ? obj.native : prev;
+            const next = await this._withLiveConfig(stored, live => jobs
+                .filter(job => job.persist && job.native)
+                .reduce((acc, job) => updateLiveConfig(acc, stored, job.native), live));
+            for (const job of jobs) {
+                if (job.native && !job.persist) Object.assign(next, job.native);
+            }
+
+            const keys = new Set([...Object.keys(prev || {}), ...Object.keys(next)]);
+            const changed = Array.from(keys).filter(k => JSON.stringify(prev ? prev[k] : undefined) !== JSON.stringify(next[k]));
+
+            this.config = next;
+
+            let removedGlobal = [];
+            if (changed.includes('globalDatapoints') && this.dp) {
+                removedGlobal = await this.dp.reloadEntries(Array.isArray(next.globalDatapoints) ? next.globalDatapoints : []);
+            }
+            if (changed.includes('unitConversionMode') && this.dp) await this.dp.refreshUnits();
+
+            const modules = this.modules ? await this.modules.reload(prev, changed) : { reloaded: [], disabled: [], failed: [] };
+
+            const sched = this._getSchedulerOptions();
+            if (this._scheduler) this._scheduler.configure(sched);
+            this._applyTriggers(sched.eventDriven);
+
+            await this.setStateAsync('diagnostics.enabled', !!(next.diagnostics && next.diagnostics.enabled), true);
+            this._validatePending = true;
+
+            result = { ok: modules.failed.length === 0, source: jobs.map(j => j.source).join(','), changed, ...modules, removedDatapoints: removedGlobal };
+            this.log.info(`Config reloaded (${result.source}): changed ${changed.join(', ') || 'nothing'}; modules reloaded: ${modules.reloaded.join(', ') || 'none'}${modules.disabled.length ? `, disabled: ${modules.disabled.join(', ')}` : ''}`);
+        } catch (e) {
+            result = { ok: false, error: String(e?.message || e) };
+            this.log.warn(`Config reload failed: ${e?.message || e}`);
+        }
+
+        try {
+            await this.setStateAsync('info.lastReload', Date.now(), true);
+            await this.setStateAsync('info.lastReloadResult', JSON.stringify(result), true);
+        } catch {
+            // ignore
+        }
+        for (const job of jobs) job.resolve(result);
+    }
+
+    /**
+     * Check the running config and publish the findings (diagnostics.configFindings, log once per finding).
+     */
+    async _validateConfig() {
+        if (!this.dp) return;
+        try {
+            const report = await this._validator.validate(this.config, this.dp.dump());
+            await this._validator.publish(report);
+            if (report.errors || report.warnings) this.log.info(`Config check: ${report.errors} error(s), ${report.warnings} warning(s) - see diagnostics.configFindings`);
+        } catch (e) {
+            this.log.warn(`Config check failed: ${e?.message || e}`);
+        }
+    }
+
+    /**
+     * Datapoint keys that trigger a tick when they update (comma/space separated in the config).
+     * @returns {string[]}
+     */
+    _getTriggerKeys() {
+        const raw = this.config.schedulerTriggerKeys;
+        const list = Array.isArray(raw) ? raw : String(raw ?? 'ps.gridPowerW, grid.powerW, cm.gridPowerW').split(/[\s,;]+/);
+        return list.map(k => String(k || '').trim()).filter(Boolean);
+    }
+
     /**
      * @param {string} id
      * @param {ioBroker.State | null | undefined} state
      */
     onStateChange(id, state) {
+        if (id === `${this.namespace}.control.liveConfig`) {
+            if (state && !state.ack) this.requestReload('liveConfig').catch(() => undefined);
+            return;
+        }
+        if (id === `${this.namespace}.control.reloadConfig`) {
+            if (state && !state.ack && state.val) {
+                this.requestReload('state').catch(() => undefined);
+                this.setStateAsync('control.reloadConfig', false, true).catch(() => undefined);
+            }
+            return;
+        }
         if (!this.dp) return;
         this.dp.handleStateChange(id, state);
     }
 
+    /**
+     * Objects of mapped datapoints (common.unit, see DatapointRegistry.handleObjectChange).
+     * @param {string} id
+     * @param {ioBroker.Object | null | undefined} obj
+     */
+    onObjectChange(id, obj) {
+        if (!this.dp) return;
+        this.dp.handleObjectChange(id, obj);
+    }
+
+    /**
+     * sendTo commands (see src/message-api.js): getStatus, setOverride, clearOverride, simulateTick,
+     * validateConfig, getDatapoints, reloadConfig.
+     *
+     * @param {ioBroker.Message} obj
+     */
+    onMessage(obj) {
+        if (!obj || typeof obj !== 'object' || !obj.command) return;
+        const reply = (result) => {
+            if (obj.callback) this.sendTo(obj.from, obj.command, result, obj.callback);
+        };
+
+        if (!this._messageApi) {
+            reply({ ok: false, error: 'adapter not ready' });
+            return;
+        }
+        this._messageApi.handle(obj.command, obj.message, obj.from).then(reply, (e) => reply({ ok: false, error: String(e?.message || e) }));
+    }
+
     /**
      * @param {() => void} callback
      */
     onUnload(callback) {
         try {
-            if (this._timer) {
-                clearInterval(this._timer);
-                this._timer = null;
+            if (this._scheduler) {
+                this._scheduler.stop();
+                this._scheduler = null;
             }
-            callback();
+            for (const job of this._reloadQueue.splice(0)) job.resolve({ ok: false, error: 'adapter stopping' });
+
+            // Save runtime state (RLM accumulator, baselines, sessions); never block the shutdown for long
+            const modules = this.modules;
+            this.modules = null;
+            this._messageApi = null;
+            if (!modules) {
+                callback();
+                return;
+            }
+            /** @type {NodeJS.Timeout|null} */
+            let timer = null;
+            const finish = () => {
+                if (!timer) return;
+                clearTimeout(timer);
+                timer = null;
+                callback();
+            };
+            timer = setTimeout(finish, 2000);
+            modules.persist(true).then(finish, finish);
         } catch (e) {
             callback();
         }
@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * Setpoint arbiter (owned by the ModuleManager, consulted by DatapointRegistry.writeNumber/writeBoolean).
+ *
+ * Several modules may drive the same physical object (e.g. a wallbox current that is both a
+ * peak-shaving actuator and a charging-management setpoint). Without arbitration they overwrite each
+ * other every tick. The arbiter keeps the latest request of every module per objectId; as long as
+ * only one module requests, its value passes unchanged. With competing requests the written value is
+ * merged:
+ * - mode 'min' (default): minimum of all numeric requests (they are limits), AND of all enables
+ * - mode 'precedence': the request of the module with the highest precedence wins
+ *
+ * Requests expire after `requestTtlMs`, so a module that stops writing (e.g. peak shaving after
+ * restoring the baseline) releases the output again. The lifetime is at least two write cycles of
+ * the owner (see setCadences), so a module with a slow cadence does not lose its request between
+ * two of its ticks.
+ */
+
+/** Default precedence: safety (grid constraints, storage) > peak shaving > charging > multi-use */
+const DEFAULT_PRECEDENCE = Object.freeze(['gridConstraints', 'speicherRegelung', 'peakShaving', 'chargingManagement', 'multiUse']);
+
+/**
+ * @typedef {object} OutputConflict
+ * @property {string} objectId
+ * @property {Array<{module: string, ref: string}>} owners   modules (and config rows) writing the object
+ */
+
+class SetpointArbiter {
+    /**
+     * @param {{warn: Function, info: Function, debug: Function}|null} [log]
+     */
+    constructor(log) {
+        this.log = log || null;
+
+        this.mode = 'min';
+        /** @type {string[]} */
+        this.precedence = DEFAULT_PRECEDENCE.slice();
+        this.requestTtlMs = 5000;
+
+        /** @type {Map<string, number>} owner -> time between two of its writes at most (ms) */
+        this.cadenceMs = new Map();
+
+        /** @type {Map<string, Map<string, {value: any, ts: number}>>} objectId -> owner -> latest request */
+        this._requests = new Map();
+
+        /** @type {Map<string, {kind: string, value: any, winner: string, ts: number}>} contested objects (last merge) */
+        this._contested = new Map();
+
+        /** @type {OutputConflict[]} conflicts found in the config (see findOutputConflicts) */
+        this.configConflicts = [];
+    }
+
+    /**
+     * @param {{arbiterMode?: string, arbiterPrecedence?: any, arbiterRequestTtlMs?: any}} cfg adapter config
+     */
+    configure(cfg) {
+        const c = cfg || {};
+        this.mode = c.arbiterMode === 'precedence' ? 'precedence' : 'min';
+
+        const raw = c.arbiterPrecedence;
+        const list = (Array.isArray(raw) ? raw : String(raw ?? '').split(/[\s,;]+/)).map(k => String(k || '').trim()).filter(Boolean);
+        this.precedence = list.length ? list : DEFAULT_PRECEDENCE.slice();
+
+        const ttl = Number(c.arbiterRequestTtlMs ?? 5000);
+        this.requestTtlMs = (Number.isFinite(ttl) && ttl >= 500) ? ttl : 5000;
+    }
+
+    /**
+     * Write cadence of every owner: the scheduler interval, or the module's own interval if slower.
+     * @param {Map<string, number>} cadences owner -> ms
+     */
+    setCadences(cadences) {
+        this.cadenceMs = new Map(cadences || []);
+    }
+
+    /**
+     * Lifetime of a request of `owner`: the configured lifetime, at least two write cycles.
+     * @param {string} owner
+     * @returns {number}
+     */
+    ttlFor(owner) {
+        const cadence = Number(this.cadenceMs.get(owner)) || 0;
+        return Math.max(this.requestTtlMs, 2 * cadence);
+    }
+
+    /**
+     * @param {string} owner
+     */
+    _rank(owner) {
+        const i = this.precedence.indexOf(owner);
+        return i >= 0 ? i : this.precedence.length;
+    }
+
+    /**
+     * Record a write request and return the value that should actually be written.
+     *
+     * @param {string} objectId
+     * @param {string} owner module key ('global' for writes outside of modules)
+     * @param {'number'|'boolean'} kind
+     * @param {any} value physical value requested by the owner
+     * @returns {any} merged value
+     */
+    resolve(objectId, owner, kind, value) {
+        const now = Date.now();
+        let reqs = this._requests.get(objectId);
+        if (!reqs) {
+            reqs = new Map();
+            this._requests.set(objectId, reqs);
+        }
+        reqs.set(owner, { value, ts: now });
+
+        for (const [o, r] of Array.from(reqs.entries())) {
+            if (o !== owner && (now - r.ts) > this.ttlFor(o)) reqs.delete(o);
+        }
+
+        if (reqs.size < 2) {
+            if (this._contested.has(objectId)) {
+                this._contested.delete(objectId);
+                if (this.log) this.log.info(`Arbiter: '${objectId}' is no longer contested (${owner})`);
+            }
+            return value;
+        }
+
+        const ordered = Array.from(reqs.entries())
+            .map(([o, r]) => ({ owner: o, value: r.value }))
+            .sort((a, b) => (this._rank(a.owner) - this._rank(b.owner)) || a.owner.localeCompare(b.owner));
+
+        let merged;
+        if (this.mode === 'precedence') {
+            merged = ordered[0].value;
+        } else if (kind === 'boolean') {
+            merged = ordered.every(r => !!r.value);
+        } else {
+            merged = Math.min(...ordered.map(r => Number(r.value)));
+        }
+        const winner = (ordered.find(r => r.value === merged) || ordered[0]).owner;
+
+        if (!this._contested.has(objectId) && this.log) {
+            this.log.warn(`Arbiter: '${objectId}' is written by ${ordered.map(r => r.owner).join(', ')} - merging (${this.mode})`);
+        }
+        this._contested.set(objectId, { kind, value: merged, winner, ts: now });
+        return merged;
+    }
+
+    /**
+     * Contested outputs (runtime) for diagnostics.
+     * @returns {Array<{objectId: string, value: any, winner: string, requests: Array<{owner: string, value: any, ageMs: number, ttlMs: number}>}>}
+     */
+    getContested() {
+        const now = Date.now();
+        const out = [];
+        for (const [objectId, c] of this._contested) {
+            const reqs = this._requests.get(objectId) || new Map();
+            out.push({
+                objectId,
+                value: c.value,
+                winner: c.winner,
+                requests: Array.from(reqs.entries()).map(([owner, r]) => ({ owner, value: r.value, ageMs: now - r.ts, ttlMs: this.ttlFor(owner) })),
+            });
+        }
+        return out;
+    }
+
+    /**
+     * Diagnostics payload (config and runtime conflicts).
+     */
+    getDiagnostics() {
+        return { mode: this.mode, precedence: this.precedence, config: this.configConflicts, runtime: this.getContested() };
+    }
+}
+
+/**
+ * Output objects that are configured for more than one module (only enabled modules count).
+ *
+ * @param {any} config adapter config (native)
+ * @returns {OutputConflict[]}
+ */
+function findOutputConflicts(config) {
+    const c = config || {};
+    /** @type {Map<string, Array<{module: string, ref: string}>>} */
+    const byId = new Map();
+
+    const add = (module, ref, id) => {
+        const objectId = String(id || '').trim();
+        if (!objectId) return;
+        const list = byId.get(objectId) || [];
+        list.push({ module, ref });
+        byId.set(objectId, list);
+    };
+    const rows = (v) => (Array.isArray(v) ? v : []).filter(r => r && r.enabled !== false);
+
+    if (c.enableGridConstraints) {
+        const gc = c.gridConstraints || {};
+        add('gridConstraints', 'pvFeedInLimitWId', gc.pvFeedInLimitWId);
+        add('gridConstraints', 'pvLimitWId', gc.pvLimitWId);
+        add('gridConstraints', 'pvLimitPctId', gc.pvLimitPctId);
+    }
+
+    const st = (c.storage && c.storage.datapoints) || {};
+    add('speicherRegelung', 'storage.targetPowerObjectId', st.targetPowerObjectId);
+
+    if (c.enablePeakShaving) {
+        const ps = c.peakShaving || {};
+        if (ps.actuationEnabled) {
+            for (const a of rows(ps.actuators)) {
+                add('peakShaving', `actuator ${a.id}.setpointId`, a.setpointId);
+                add('peakShaving', `actuator ${a.id}.enableId`, a.enableId);
+            }
+        }
+    }
+
+    if (c.enableChargingManagement) {
+        for (const wb of rows((c.chargingManagement || {}).wallboxes)) {
+            add('chargingManagement', `wallbox ${wb.key}.setCurrentAId`, wb.setCurrentAId);
+            add('chargingManagement', `wallbox ${wb.key}.setPowerWId`, wb.setPowerWId);
+            add('chargingManagement', `wallbox ${wb.key}.enableId`, wb.enableId);
+        }
+    }
+
+    if (c.enableMultiUse) {
+        for (const r of rows((c.multiUse || {}).consumers)) {
+            add('multiUse', `consumer ${r.key}.setAId`, r.setAId || r.setCurrentAId);
+            add('multiUse', `consumer ${r.key}.setWId`, r.setWId || r.setPowerWId);
+            add('multiUse', `consumer ${r.key}.enableId`, r.enableId);
+        }
+    }
+
+    const out = [];
+    for (const [objectId, owners] of byId) {
+        if (new Set(owners.map(o => o.module)).size > 1) out.push({ objectId, owners });
+    }
+    return out;
+}
+
+module.exports = { SetpointArbiter, findOutputConflicts, DEFAULT_PRECEDENCE };
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Billing peak of RLM metering: the highest 15-minute average import of the calendar month.
+ *
+ * Fed with the completed RLM intervals of GridConstraintsModule. Months and days follow the local
+ * time of the host (an interval counts for the day / month it starts in); when a month or day ends
+ * its maximum is moved to the history.
+ */
+
+/** Kept history entries */
+const MAX_DAYS = 31;
+const MAX_MONTHS = 24;
+
+/**
+ * @param {number} n
+ */
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} YYYY-MM (local time)
+ */
+function monthKey(ms) {
+    const d = new Date(ms);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} YYYY-MM-DD (local time)
+ */
+function dayKey(ms) {
+    const d = new Date(ms);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+class BillingPeakTracker {
+    constructor() {
+        this.month = '';
+        this.peakW = 0;
+        this.peakTs = 0;
+
+        this.day = '';
+        this.dayMaxW = 0;
+        this.dayMaxTs = 0;
+
+        /** @type {Array<{day: string, maxW: number, ts: number}>} newest first */
+        this.days = [];
+
+        /** @type {Array<{month: string, peakW: number, ts: number}>} newest first */
+        this.months = [];
+
+        /** Start of the last interval added (intervals are counted once) */
+        this.lastIntervalStartMs = 0;
+    }
+
+    /**
+     * Close the day / month if `nowMs` is in a later one.
+     * @param {number} nowMs
+     * @returns {boolean} true if the month changed (peak reset)
+     */
+    roll(nowMs) {
+        const day = dayKey(nowMs);
+        // never back (clock set back, late interval)
+        if (day < this.day) return false;
+        if (day !== this.day) {
+            if (this.day && this.dayMaxTs) {
+                this.days.unshift({ day: this.day, maxW: this.dayMaxW, ts: this.dayMaxTs });
+                this.days.length = Math.min(this.days.length, MAX_DAYS);
+            }
+            this.day = day;
+            this.dayMaxW = 0;
+            this.dayMaxTs = 0;
+        }
+
+        const month = monthKey(nowMs);
+        if (month === this.month) return false;
+        const changed = !!this.month;
+        if (this.month && this.peakTs) {
+            this.months.unshift({ month: this.month, peakW: this.peakW, ts: this.peakTs });
+            this.months.length = Math.min(this.months.length, MAX_MONTHS);
+        }
+        this.month = month;
+        this.peakW = 0;
+        this.peakTs = 0;
+        return changed;
+    }
+
+    /**
+     * Completed interval with its average import.
+     * @param {number} startMs
+     * @param {number} avgW
+     * @returns {boolean} true if it set a new monthly peak
+     */
+    addInterval(startMs, avgW) {
+        if (!Number.isFinite(startMs) || !Number.isFinite(avgW) || startMs <= this.lastIntervalStartMs) return false;
+        this.lastIntervalStartMs = startMs;
+        this.roll(startMs);
+
+        const w = Math.max(0, Math.round(avgW));
+        if (w > this.dayMaxW || !this.dayMaxTs) {
+            this.dayMaxW = w;
+            this.dayMaxTs = startMs;
+        }
+        if (w > this.peakW || !this.peakTs) {
+            const raised = w > this.peakW;
+            this.peakW = w;
+            this.peakTs = startMs;
+            return raised;
+        }
+        return false;
+    }
+
+    toJSON() {
+        return {
+            month: this.month,
+            peakW: this.peakW,
+            peakTs: this.peakTs,
+            day: this.day,
+            dayMaxW: this.dayMaxW,
+            dayMaxTs: this.dayMaxTs,
+            days: this.days,
+            months: this.months,
+            lastIntervalStartMs: this.lastIntervalStartMs,
+        };
+    }
+
+    /**
+     * @param {any} data snapshot (see toJSON); invalid fields are ignored
+     */
+    restore(data) {
+        if (!data || typeof data !== 'object') return;
+        const n = (v) => (Number.isFinite(Number(v)) && Number(v) >= 0) ? Number(v) : 0;
+        this.month = /^\d{4}-\d{2}$/.test(data.month) ? data.month : '';
+        this.peakW = n(data.peakW);
+        this.peakTs = n(data.peakTs);
+        this.day = /^\d{4}-\d{2}-\d{2}$/.test(data.day) ? data.day : '';
+        this.dayMaxW = n(data.dayMaxW);
+        this.dayMaxTs = n(data.dayMaxTs);
+        this.days = Array.isArray(data.days) ? data.days.filter(d => d && typeof d.day === 'string').slice(0, MAX_DAYS) : [];
+        this.months = Array.isArray(data.months) ? data.months.filter(m => m && typeof m.month === 'string').slice(0, MAX_MONTHS) : [];
+        this.lastIntervalStartMs = n(data.lastIntervalStartMs);
+    }
+}
+
+module.exports = { BillingPeakTracker, monthKey, dayKey };
@@ -0,0 +1,368 @@
+'use strict';
+
+/**
+ * Portable configuration bundle: the adapter config grouped by admin tab plus the effective
+ * datapoint registry, for commissioning similar sites.
+ *
+ * Import is always computed against a config (see planImport) and returns the resulting top-level
+ * entries together with a list of changes, so the admin and scripts can preview it before saving.
+ * Object IDs can be moved to other instances on the way (`modbus.0` -> `modbus.2`).
+ */
+
+const ioPackage = require('../io-package.json');
+
+const BUNDLE_FORMAT = 'nexowatt-multiuse/config-bundle';
+const BUNDLE_VERSION = 1;
+
+/** Top-level config entries per tab; everything else belongs to 'general' */
+const TABS = Object.freeze({
+    general: [],
+    grid: ['enableGridConstraints', 'gridConstraints'],
+    peakShaving: ['enablePeakShaving', 'peakShaving'],
+    charging: ['enableChargingManagement', 'chargingManagement'],
+    storage: ['enableStorageControl', 'storage'],
+    multiUse: ['enableMultiUse', 'multiUse'],
+    datapoints: ['globalDatapoints', 'writeVerification', 'writeRateLimits', 'profileSources', 'devices'],
+});
+
+/** Admin helper fields (profile and bundle dialogs) - never exported or imported */
+const TRANSIENT = new Set(['profileId', 'profileRootId', 'profileKey', 'bundleJson', 'bundleRewrites', 'bundleTabs', 'bundleMode']);
+
+/** Fields identifying a table row (first one present wins) */
+const ROW_ID_FIELDS = ['key', 'id', 'target', 'module'];
+
+/**
+ * @typedef {object} Rewrite
+ * @property {string} from   object ID prefix (instance or path), e.g. 'modbus.0'
+ * @property {string} to
+ */
+
+/**
+ * @typedef {object} BundleChange
+ * @property {string} tab
+ * @property {string} path       config path, table rows as `table[rowId]`
+ * @property {'added'|'changed'|'removed'} change
+ * @property {any} [from]
+ * @property {any} [to]
+ */
+
+/**
+ * @param {string} key top-level config entry
+ * @returns {string} tab name
+ */
+function tabOf(key) {
+    for (const [tab, keys] of Object.entries(TABS)) {
+        if (keys.includes(key)) return tab;
+    }
+    return 'general';
+}
+
+/**
+ * Selected tabs: array or comma separated text, empty = all.
+ * @param {any} tabs
+ * @returns {string[]}
+ * @throws {Error} on unknown tab names
+ */
+function parseTabs(tabs) {
+    const list = (Array.isArray(tabs) ? tabs : String(tabs || '').split(/[\s,;]+/)).map(t => String(t || '').trim()).filter(Boolean);
+    if (!list.length) return Object.keys(TABS);
+    for (const t of list) {
+        if (!TABS[t]) throw new Error(`unknown tab '${t}' (${Object.keys(TABS).join(', ')})`);
+    }
+    return Object.keys(TABS).filter(t => list.includes(t));
+}
+
+/**
+ * Object ID rewrites from `{from: to}`, `[{from, to}]` or text lines `modbus.0=modbus.2`
+ * (also `->`, `→`). Longer prefixes are applied first.
+ *
+ * @param {any} input
+ * @returns {Rewrite[]}
+ */
+function parseRewrites(input) {
+    /** @type {Rewrite[]} */
+    let list = [];
+    if (Array.isArray(input)) {
+        list = input.map(r => ({ from: String(r?.from || ''), to: String(r?.to || '') }));
+    } else if (input && typeof input === 'object') {
+        list = Object.entries(input).map(([from, to]) => ({ from, to: String(to || '') }));
+    } else {
+        for (const line of String(input || '').split(/[\n,;]+/)) {
+            const m = line.match(/^\s*(.+?)\s*(?:=|->|→)\s*(.*?)\s*$/);
+            if (m) list.push({ from: m[1], to: m[2] });
+        }
+    }
+    list = list.map(r => ({ from: r.from.trim().replace(/\.+$/, ''), to: r.to.trim().replace(/\.+$/, '') })).filter(r => r.from && r.to);
+    return list.sort((a, b) => b.from.length - a.from.length);
+}
+
+/**
+ * Apply the rewrites to every string that is an object ID under one of the prefixes
+ * (the prefix itself or `prefix.…`).
+ *
+ * @param {any} value
+ * @param {Rewrite[]} rewrites
+ * @returns {any} rewritten copy
+ */
+function rewriteObjectIds(value, rewrites) {
+    if (typeof value === 'string') {
+        for (const r of rewrites) {
+            if (value === r.from || value.startsWith(`${r.from}.`)) return r.to + value.slice(r.from.length);
+        }
+        return value;
+    }
+    if (Array.isArray(value)) return value.map(v => rewriteObjectIds(v, rewrites));
+    if (value && typeof value === 'object') {
+        /** @type {Record<string, any>} */
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = rewriteObjectIds(v, rewrites);
+        return out;
+    }
+    return value;
+}
+
+/**
+ * Definitions of all registry entries (global table and module-declared keys).
+ * @param {any} dp DatapointRegistry
+ * @returns {Array<any>}
+ */
+function registrySnapshot(dp) {
+    if (!dp || !dp.byKey) return [];
+    const out = [];
+    for (const e of dp.byKey.values()) {
+        out.push({
+            key: e.key,
+            objectId: e.objectId,
+            ...(e.expression ? { expression: e.expression } : {}),
+            dataType: e.dataType,
+            direction: e.direction,
+            unit: e.unit,
+            scale: e.scale,
+            offset: e.offset,
+            invert: !!e.invert,
+            owners: Array.from(dp.ownersByKey.get(e.key) || []),
+        });
+    }
+    return out.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * @param {any} config adapter config
+ * @param {{dp?: any, tabs?: any}} [opts]
+ */
+function exportBundle(config, opts = {}) {
+    const tabs = parseTabs(opts.tabs);
+    /** @type {Record<string, Record<string, any>>} */
+    const byTab = {};
+    for (const t of tabs) byTab[t] = {};
+    for (const [k, v] of Object.entries(config || {})) {
+        if (TRANSIENT.has(k) || v === undefined) continue;
+        const t = tabOf(k);
+        if (byTab[t]) byTab[t][k] = JSON.parse(JSON.stringify(v));
+    }
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        adapterVersion: ioPackage.common.version,
+        exportedAt: new Date().toISOString(),
+        tabs,
+        config: byTab,
+        registry: registrySnapshot(opts.dp),
+    };
+}
+
+/**
+ * Parse and check a bundle (object or JSON text).
+ * @param {any} input
+ * @throws {Error} if it is no bundle of a supported version
+ */
+function readBundle(input) {
+    let b = input;
+    if (typeof b === 'string') {
+        if (!b.trim()) throw new Error('bundle is empty');
+        try {
+            b = JSON.parse(b);
+        } catch (e) {
+            throw new Error(`bundle is no valid JSON: ${e?.message || e}`);
+        }
+    }
+    if (!b || typeof b !== 'object' || b.format !== BUNDLE_FORMAT) throw new Error('not a nexowatt-multiuse config bundle');
+    const version = Number(b.version);
+    if (!Number.isInteger(version) || version < 1 || version > BUNDLE_VERSION) throw new Error(`unsupported bundle version ${b.version} (supported: ${BUNDLE_VERSION})`);
+    if (!b.config || typeof b.config !== 'object') throw new Error('bundle has no config');
+    return b;
+}
+
+/**
+ * @param {any} v
+ */
+function isPlainObject(v) {
+    return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * @param {any} row
+ * @returns {string|null}
+ */
+function rowId(row) {
+    if (!isPlainObject(row)) return null;
+    for (const f of ROW_ID_FIELDS) {
+        if (row[f] !== undefined && row[f] !== null && String(row[f]).trim() !== '') return String(row[f]).trim();
+    }
+    return null;
+}
+
+/**
+ * A table: array whose rows all carry an ID field.
+ * @param {any} v
+ */
+function isTable(v) {
+    return Array.isArray(v) && v.every(r => rowId(r) !== null);
+}
+
+/**
+ * @param {string} tab
+ * @param {string} path
+ * @param {any} a current value
+ * @param {any} b imported value
+ * @param {BundleChange[]} out
+ */
+function diff(tab, path, a, b, out) {
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+    if (a === undefined) {
+        out.push({ tab, path, change: 'added', to: b });
+    } else if (b === undefined) {
+        out.push({ tab, path, change: 'removed', from: a });
+    } else if (isTable(a) && isTable(b)) {
+        const old = new Map(a.map(r => [rowId(r), r]));
+        const neu = new Map(b.map(r => [rowId(r), r]));
+        for (const [id, r] of neu) diff(tab, `${path}[${id}]`, old.get(id), r, out);
+        for (const [id, r] of old) {
+            if (!neu.has(id)) out.push({ tab, path: `${path}[${id}]`, change: 'removed', from: r });
+        }
+    } else if (isPlainObject(a) && isPlainObject(b)) {
+        for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) diff(tab, `${path}.${k}`, a[k], b[k], out);
+    } else {
+        out.push({ tab, path, change: 'changed', from: a, to: b });
+    }
+}
+
+/**
+ * Imported value over the current one. Objects are merged (entries missing in the bundle are
+ * kept); tables are replaced, or merged by row ID in mode 'merge'.
+ *
+ * @param {any} cur
+ * @param {any} imp
+ * @param {'replace'|'merge'} mode
+ */
+function mergeValue(cur, imp, mode) {
+    if (isPlainObject(cur) && isPlainObject(imp)) {
+        /** @type {Record<string, any>} */
+        const out = { ...cur };
+        for (const [k, v] of Object.entries(imp)) out[k] = mergeValue(cur[k], v, mode);
+        return out;
+    }
+    if (mode === 'merge' && isTable(cur) && isTable(imp)) {
+        const rows = cur.map(r => {
+            const id = rowId(r);
+            return imp.find(n => rowId(n) === id) || r;
+        });
+        for (const n of imp) {
+            if (!cur.some(r => rowId(r) === rowId(n))) rows.push(n);
+        }
+        return rows;
+    }
+    return imp;
+}
+
+/**
+ * Compute an import without applying it.
+ *
+ * With `mode: 'merge'` rows of the current tables that are not in the bundle stay; without, the
+ * tables of the imported tabs are replaced (their rows show up as 'removed').
+ *
+ * @param {any} bundle checked bundle (see readBundle)
+ * @param {any} config current config
+ * @param {{tabs?: any, rewrites?: any, mode?: string}} [opts]
+ * @returns {{tabs: string[], native: Record<string, any>, changes: BundleChange[], objectIds: string[]}}
+ *          native: changed top-level entries; objectIds: object IDs in the imported config
+ */
+function planImport(bundle, config, opts = {}) {
+    const available = Object.keys(bundle.config).filter(t => TABS[t]);
+    const requested = parseTabs(opts.tabs);
+    const tabs = requested.filter(t => available.includes(t));
+    if (!tabs.length) throw new Error(`bundle contains none of the tabs ${requested.join(', ')}`);
+    const mode = opts.mode === 'merge' ? 'merge' : 'replace';
+    const rewrites = parseRewrites(opts.rewrites);
+
+    /** @type {Record<string, any>} */
+    const native = {};
+    /** @type {BundleChange[]} */
+    const changes = [];
+    const ids = new Set();
+    for (const tab of tabs) {
+        for (const [k, raw] of Object.entries(bundle.config[tab] || {})) {
+            if (TRANSIENT.has(k) || tabOf(k) !== tab) continue;
+            const imported = rewriteObjectIds(raw, rewrites);
+            collectObjectIds(imported, ids);
+            const next = mergeValue(config ? config[k] : undefined, imported, mode);
+            const before = changes.length;
+            diff(tab, k, config ? config[k] : undefined, next, changes);
+            if (changes.length > before) native[k] = next;
+        }
+    }
+    return { tabs, native, changes, objectIds: Array.from(ids).sort() };
+}
+
+/**
+ * Object IDs referenced by the config: values of fields named `…Id`, `objectId` or `target`
+ * that look like an ioBroker ID (`adapter.instance.…`).
+ *
+ * @param {any} value
+ * @param {Set<string>} out
+ * @param {string} [field]
+ */
+function collectObjectIds(value, out, field = '') {
+    if (typeof value === 'string') {
+        if (/(Id|^target)$/.test(field) && /^[\w-]+\.\d+\.\S+$/.test(value.trim())) out.add(value.trim());
+    } else if (Array.isArray(value)) {
+        for (const v of value) collectObjectIds(v, out, field);
+    } else if (value && typeof value === 'object') {
+        for (const [k, v] of Object.entries(value)) collectObjectIds(v, out, k);
+    }
+}
+
+/**
+ * One line per change, for the admin dialog.
+ * @param {BundleChange[]} changes
+ * @param {string[]} [missing] object IDs that do not exist
+ * @param {number} [maxLines]
+ */
+function formatChanges(changes, missing = [], maxLines = 40) {
+    if (!changes.length) return 'No changes.';
+    const count = (c) => changes.filter(x => x.change === c).length;
+    const lines = [`${changes.length} change(s): ${count('added')} added, ${count('changed')} changed, ${count('removed')} removed`];
+    const short = (v) => {
+        const s = JSON.stringify(v);
+        return (s && s.length > 60) ? `${s.slice(0, 57)}...` : s;
+    };
+    for (const c of changes.slice(0, maxLines)) {
+        if (c.change === 'changed') lines.push(`~ ${c.path}: ${short(c.from)} -> ${short(c.to)}`);
+        else lines.push(`${c.change === 'added' ? '+' : '-'} ${c.path}`);
+    }
+    if (changes.length > maxLines) lines.push(`… ${changes.length - maxLines} more`);
+    if (missing.length) lines.push(`Objects not found: ${missing.join(', ')}`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    TABS,
+    parseRewrites,
+    rewriteObjectIds,
+    exportBundle,
+    readBundle,
+    planImport,
+    formatChanges,
+};
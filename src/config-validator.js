@@ -0,0 +1,340 @@
+'use strict';
+
+/**
+ * Configuration validator (runs after the first tick at startup / after a config reload, and on
+ * demand via sendTo validateConfig).
+ *
+ * Two kinds of checks:
+ * - datapoints: every object referenced by the registry (admin tables and module config) must exist,
+ *   be a state, have a compatible common.type, be writable if it is an output and carry a plausible unit
+ *   (virtual datapoints: valid expression over known keys)
+ * - config: cross-module requirements (RLM / charging budget need a grid meter, duplicated keys,
+ *   outputs configured for several modules)
+ *
+ * The datapoints are taken from the registry instead of re-reading the config, so the modules stay
+ * the only place that knows which config field maps to which object.
+ */
+
+const { findOutputConflicts } = require('./arbiter');
+const { compileExpression } = require('./expression');
+const { unitConversion } = require('./units');
+const { scheduleErrors } = require('./peak-schedule');
+
+/**
+ * @typedef {object} Finding
+ * @property {'error'|'warning'|'info'} severity
+ * @property {string} code      stable identifier (UPPER_SNAKE_CASE)
+ * @property {string} message
+ * @property {string} [objectId]
+ * @property {string} [key]     datapoint key
+ * @property {string} [module]
+ */
+
+const SEVERITY_ORDER = Object.freeze({ error: 0, warning: 1, info: 2 });
+
+/**
+ * @param {any} u
+ */
+function normUnit(u) {
+    return String(u ?? '').trim().toLowerCase();
+}
+
+/**
+ * Grid meter configured for a module (object ID or global datapoint key, also a virtual one).
+ * @param {any} config
+ * @param {string[]} fields config paths 'section.field'
+ * @param {string[]} globalKeys keys of the global datapoint table that count as grid meter
+ */
+function hasGridMeter(config, fields, globalKeys) {
+    for (const f of fields) {
+        const [section, field] = f.split('.');
+        const v = config[section] && config[section][field];
+        if (String(v || '').trim()) return true;
+    }
+    const rows = Array.isArray(config.globalDatapoints) ? config.globalDatapoints : [];
+    return rows.some(r => r && globalKeys.includes(String(r.key || '').trim()) && String(r.objectId || r.id || r.expression || '').trim());
+}
+
+/**
+ * Keys that occur more than once (also after the conversion to state IDs).
+ * @param {Array<any>} rows
+ * @param {(key: string) => string} toId
+ */
+function duplicateKeys(rows, toId) {
+    const seen = new Map();
+    const dup = new Set();
+    for (const r of rows) {
+        const key = String((r && r.key) || '').trim();
+        if (!key) continue;
+        const id = toId(key);
+        if (seen.has(id)) {
+            dup.add(seen.get(id));
+            dup.add(key);
+        } else {
+            seen.set(id, key);
+        }
+    }
+    return Array.from(dup);
+}
+
+/**
+ * Cross-module checks on the config alone.
+ *
+ * @param {any} config adapter config (native)
+ * @returns {Finding[]}
+ */
+function checkConfig(config) {
+    const c = config || {};
+    /** @type {Finding[]} */
+    const out = [];
+
+    for (const r of Array.isArray(c.globalDatapoints) ? c.globalDatapoints : []) {
+        const expression = String((r && r.expression) || '').trim();
+        if (!expression || String(r.objectId || r.id || '').trim()) continue;
+        try {
+            compileExpression(expression);
+        } catch (e) {
+            out.push({ severity: 'error', code: 'VIRTUAL_EXPRESSION_INVALID', key: String(r.key || ''), message: `Expression of virtual datapoint '${r.key}' is invalid: ${e?.message || e}` });
+        }
+    }
+
+    const gc = c.gridConstraints || {};
+    if (c.enableGridConstraints && gc.rlmEnabled && !hasGridMeter(c, ['gridConstraints.gridPowerId', 'peakShaving.gridPointPowerId'], ['grid.powerW'])) {
+        out.push({ severity: 'error', code: 'RLM_NO_GRID_METER', module: 'gridConstraints', message: 'RLM limit is enabled but no grid meter is configured (gridConstraints.gridPowerId)' });
+    }
+
+    if (c.enableGridConstraints && gc.billingPeakEnabled && !gc.rlmEnabled && !hasGridMeter(c, ['gridConstraints.gridPowerId', 'peakShaving.gridPointPowerId'], ['grid.powerW'])) {
+        out.push({ severity: 'error', code: 'BILLING_PEAK_NO_GRID_METER', module: 'gridConstraints', message: 'Billing peak tracking is enabled but no grid meter is configured (gridConstraints.gridPowerId)' });
+    }
+    if (c.enableGridConstraints && gc.billingPeakEnabled && gc.billingPeakAdaptive && !(Number(gc.billingPeakCeilingW) > 0)) {
+        out.push({ severity: 'warning', code: 'BILLING_PEAK_NO_CEILING', module: 'gridConstraints', message: 'Adaptive billing peak limit has no ceiling (gridConstraints.billingPeakCeilingW), the limit is not raised' });
+    }
+
+    if (c.enableGridConstraints && String(gc.pvLimitPctId || '').trim() && !(Number(gc.pvRatedPowerW) > 0) && !String(gc.pvRatedPowerWId || '').trim()) {
+        out.push({ severity: 'error', code: 'PV_PCT_NO_RATED', module: 'gridConstraints', message: 'PV limit in % needs the rated PV power (pvRatedPowerW or pvRatedPowerWId)' });
+    }
+
+    if (c.enablePeakShaving && !hasGridMeter(c, ['peakShaving.gridPointPowerId'], ['ps.gridPowerW'])) {
+        out.push({ severity: 'error', code: 'PS_NO_GRID_METER', module: 'peakShaving', message: 'Peak shaving is enabled but no grid point meter is configured (peakShaving.gridPointPowerId)' });
+    }
+    if (c.enablePeakShaving) {
+        for (const message of scheduleErrors(c.peakShaving)) {
+            out.push({ severity: 'warning', code: 'PS_SCHEDULE_INVALID', module: 'peakShaving', message: `${message} (ignored)` });
+        }
+    }
+
+    const st = c.storage || {};
+    const stDp = st.datapoints || {};
+    if (c.enableStorageControl && String(st.controlMode || 'targetPower') === 'targetPower' && !String(stDp.targetPowerObjectId || '').trim()) {
+        out.push({ severity: 'error', code: 'STORAGE_NO_TARGET', module: 'speicherRegelung', message: 'Storage control is enabled but no target power datapoint is mapped (storage.datapoints.targetPowerObjectId)' });
+    }
+
+    const cm = c.chargingManagement || {};
+    if (c.enableChargingManagement) {
+        const mode = String(cm.totalBudgetMode || 'unlimited');
+        const meter = hasGridMeter(c, ['chargingManagement.gridPowerId', 'gridConstraints.gridPowerId', 'peakShaving.gridPointPowerId'], ['cm.gridPowerW', 'grid.powerW', 'ps.gridPowerW']);
+        if (mode === 'engine' && !meter) {
+            out.push({ severity: 'error', code: 'CM_ENGINE_NO_GRID_METER', module: 'chargingManagement', message: "Charging budget mode 'engine' needs a grid meter (chargingManagement.gridPowerId)" });
+        }
+        if (mode === 'fromDatapoint' && !String(cm.budgetPowerId || '').trim()) {
+            out.push({ severity: 'error', code: 'CM_BUDGET_DP_MISSING', module: 'chargingManagement', message: "Charging budget mode 'fromDatapoint' needs chargingManagement.budgetPowerId" });
+        }
+        if (mode === 'fromPeakShaving' && !c.enablePeakShaving) {
+            out.push({ severity: 'warning', code: 'CM_BUDGET_PS_DISABLED', module: 'chargingManagement', message: "Charging budget mode 'fromPeakShaving' is set but peak shaving is disabled" });
+        }
+
+        const wallboxes = Array.isArray(cm.wallboxes) ? cm.wallboxes : [];
+        const toSafe = (k) => k.toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+        for (const key of duplicateKeys(wallboxes, toSafe)) {
+            out.push({ severity: 'error', code: 'DUPLICATE_WALLBOX_KEY', module: 'chargingManagement', key, message: `Wallbox key '${key}' is used more than once (keys are compared as state IDs)` });
+        }
+        if (wallboxes.some(w => w && !String(w.key || '').trim())) {
+            out.push({ severity: 'warning', code: 'WALLBOX_WITHOUT_KEY', module: 'chargingManagement', message: 'Wallbox rows without key are ignored' });
+        }
+    }
+
+    if (c.enableMultiUse) {
+        const consumers = Array.isArray((c.multiUse || {}).consumers) ? c.multiUse.consumers : [];
+        for (const key of duplicateKeys(consumers, k => k)) {
+            out.push({ severity: 'warning', code: 'DUPLICATE_CONSUMER_KEY', module: 'multiUse', key, message: `Consumer key '${key}' is used more than once (states get a numbered suffix)` });
+        }
+    }
+
+    for (const conflict of findOutputConflicts(c)) {
+        out.push({
+            severity: 'warning',
+            code: 'OUTPUT_SHARED',
+            objectId: conflict.objectId,
+            message: `Written by several modules: ${conflict.owners.map(o => `${o.module} (${o.ref})`).join(', ')} - values are arbitrated`,
+        });
+    }
+
+    return out;
+}
+
+/**
+ * Checks of one registry datapoint against its ioBroker object.
+ *
+ * @param {{key: string, objectId: string, dataType?: string, direction?: string, unit?: string, owners?: string[], unitConversion?: {status: string}}} d
+ * @param {any} obj result of getForeignObject (null if missing)
+ * @returns {Finding[]}
+ */
+function checkDatapoint(d, obj) {
+    const isOut = d.direction === 'out';
+    const module = (d.owners && d.owners.length) ? d.owners.join(',') : undefined;
+    const base = { objectId: d.objectId, key: d.key, ...(module ? { module } : {}) };
+
+    if (!obj) {
+        return [{ ...base, severity: isOut ? 'error' : 'warning', code: 'OBJECT_MISSING', message: `Object of datapoint '${d.key}' does not exist` }];
+    }
+    if (obj.type !== 'state') {
+        return [{ ...base, severity: 'error', code: 'OBJECT_NOT_STATE', message: `Object of datapoint '${d.key}' is a ${obj.type || 'object without type'}, not a state` }];
+    }
+
+    /** @type {Finding[]} */
+    const out = [];
+    const common = obj.common || {};
+    const type = String(common.type || '');
+    const want = String(d.dataType || 'mixed');
+
+    if (type && type !== 'mixed' && want !== 'mixed') {
+        const ok = want === 'boolean' ? (type === 'boolean' || type === 'number') : type === want;
+        if (!ok) out.push({ ...base, severity: 'warning', code: 'TYPE_MISMATCH', message: `Datapoint '${d.key}' expects ${want}, object has common.type '${type}'` });
+    }
+
+    if (isOut && common.write === false) {
+        out.push({ ...base, severity: 'error', code: 'OUTPUT_NOT_WRITABLE', message: `Output '${d.key}' is read-only (common.write = false)` });
+    }
+
+    // Conversions the registry applies automatically and units ignored on purpose (unit mode 'off')
+    // are no mismatch (see DatapointRegistry._detectUnit)
+    const conv = unitConversion(d.unit, common.unit);
+    const handled = !!(d.unitConversion && (d.unitConversion.status === 'converted' || d.unitConversion.status === 'off'));
+    const differs = conv.status === 'converted' || conv.status === 'incompatible'
+        || (conv.status === 'unknown' && normUnit(d.unit) !== normUnit(common.unit));
+    if (differs && !handled) {
+        const factor = conv.status === 'converted' ? conv.factor : 0;
+        out.push({
+            ...base,
+            severity: 'warning',
+            code: 'UNIT_MISMATCH',
+            message: `Datapoint '${d.key}' expects ${d.unit}, object unit is '${common.unit}'${factor ? ` (scale ${factor} needed)` : ''}`,
+        });
+    }
+
+    return out;
+}
+
+class ConfigValidator {
+    /**
+     * @param {import('@iobroker/adapter-core').AdapterInstance} adapter
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+
+        /** @type {Set<string>} findings already logged (each is logged once per process) */
+        this._logged = new Set();
+    }
+
+    /**
+     * @param {any} config adapter config
+     * @param {Array<any>} datapoints registry entries (DatapointRegistry.dump())
+     * @returns {Promise<{ts: number, ok: boolean, errors: number, warnings: number, findings: Finding[]}>}
+     */
+    async validate(config, datapoints) {
+        /** @type {Finding[]} */
+        const findings = checkConfig(config);
+
+        const list = Array.isArray(datapoints) ? datapoints : [];
+        const known = new Set(list.map(d => d && d.key));
+        for (const d of list) {
+            if (!d || d.objectId || !Array.isArray(d.refs)) continue;
+            const missing = d.refs.filter(r => !known.has(r));
+            if (missing.length) {
+                findings.push({ severity: 'warning', code: 'VIRTUAL_INPUT_MISSING', key: d.key, message: `Virtual datapoint '${d.key}' uses unknown keys: ${missing.join(', ')}` });
+            }
+        }
+
+        // Several keys may share one object (e.g. ps.gridPowerW and grid.powerW): check it once
+        /** @type {Map<string, any>} */
+        const byObject = new Map();
+        for (const d of list) {
+            if (!d || !d.objectId) continue;
+            // Own states are created by the adapter itself
+            if (d.objectId.startsWith(`${this.adapter.namespace}.`)) continue;
+            const prev = byObject.get(d.objectId);
+            if (!prev) {
+                byObject.set(d.objectId, { ...d, owners: [...(d.owners || [])] });
+                continue;
+            }
+            prev.key = `${prev.key}, ${d.key}`;
+            if (d.direction === 'out') prev.direction = 'out';
+            if ((!prev.dataType || prev.dataType === 'mixed') && d.dataType) prev.dataType = d.dataType;
+            if (!prev.unit && d.unit) prev.unit = d.unit;
+            for (const o of d.owners || []) {
+                if (!prev.owners.includes(o)) prev.owners.push(o);
+            }
+        }
+
+        // Inputs of an adapter instance that does not exist at all (e.g. no VIS installed) are reported once
+        /** @type {Map<string, string[]>} instance -> keys */
+        const missingInstances = new Map();
+        /** @type {Map<string, boolean>} */
+        const instanceExists = new Map();
+
+        for (const d of byObject.values()) {
+            const obj = await this._getObject(d.objectId);
+            const instance = d.objectId.split('.').slice(0, 2).join('.');
+            if (!obj && d.direction !== 'out' && instance.includes('.')) {
+                if (!instanceExists.has(instance)) instanceExists.set(instance, !!(await this._getObject(`system.adapter.${instance}`)));
+                if (!instanceExists.get(instance)) {
+                    missingInstances.set(instance, [...(missingInstances.get(instance) || []), d.key]);
+                    continue;
+                }
+            }
+            findings.push(...checkDatapoint(d, obj));
+        }
+        for (const [instance, keys] of missingInstances) {
+            findings.push({ severity: 'warning', code: 'INSTANCE_MISSING', objectId: `system.adapter.${instance}`, message: `Adapter instance '${instance}' does not exist, inputs unavailable: ${keys.join(', ')}` });
+        }
+
+        findings.sort((a, b) => (SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]) || a.code.localeCompare(b.code));
+        const errors = findings.filter(f => f.severity === 'error').length;
+        const warnings = findings.filter(f => f.severity === 'warning').length;
+        return { ts: Date.now(), ok: errors === 0, errors, warnings, findings };
+    }
+
+    /**
+     * @param {string} id
+     */
+    async _getObject(id) {
+        try {
+            return await this.adapter.getForeignObjectAsync(id);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Write the report to diagnostics.configFindings and log findings not logged before.
+     * @param {{ts: number, ok: boolean, errors: number, warnings: number, findings: Finding[]}} report
+     */
+    async publish(report) {
+        try {
+            await this.adapter.setStateAsync('diagnostics.configFindings', JSON.stringify(report), true);
+        } catch (e) {
+            this.adapter.log.debug(`Config findings state write failed: ${e?.message || e}`);
+        }
+
+        for (const f of report.findings) {
+            const sig = `${f.code}|${f.objectId || ''}|${f.key || ''}|${f.module || ''}`;
+            if (this._logged.has(sig)) continue;
+            this._logged.add(sig);
+            const msg = `Config check: [${f.code}] ${f.message}${f.objectId ? ` (${f.objectId})` : ''}`;
+            if (f.severity === 'error' || f.severity === 'warning') this.adapter.log.warn(msg);
+            else this.adapter.log.info(msg);
+        }
+    }
+}
+
+module.exports = { ConfigValidator, checkConfig, checkDatapoint };
@@ -54,6 +54,7 @@ async function applyLoadSetpoint(ctx, consumer, target) {
     if (anyFalse && anyTrue) status = 'applied_partial';
     else if (anyFalse) status = 'write_failed';
     else if (anyTrue) status = 'applied';
+    if (!anyFalse && dp.isDryRun && dp.isDryRun()) status = 'dry_run';
 
     if (adapter && adapter.log && typeof adapter.log.debug === 'function') {
         const k = String(consumer && consumer.key || '');
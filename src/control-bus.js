@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * In-process control bus (owned by the ModuleManager).
+ *
+ * Modules publish their control outputs once per tick; downstream modules read them in the same tick
+ * with an explicit freshness check instead of round-tripping through the ioBroker states DB.
+ * The ioBroker states (e.g. peakShaving.control.*) are still written, but only as mirrors for
+ * visualisation.
+ */
+
+/**
+ * Known topics and the fields (with typeof) their payload must provide.
+ * Unknown topics may be published as well (e.g. by plugins) but are not type-checked.
+ */
+const Topics = Object.freeze({
+    PEAK_SHAVING: 'peakShaving.control',
+    RLM: 'gridConstraints.rlm',
+});
+
+/** @type {Record<string, Record<string, string>>} */
+const TopicSchemas = Object.freeze({
+    [Topics.PEAK_SHAVING]: {
+        active: 'boolean',
+        status: 'string',
+        reason: 'string',
+        limitW: 'number',
+        overW: 'number',
+        requiredReductionW: 'number',
+        availableForControlledW: 'number',
+    },
+    [Topics.RLM]: {
+        enabled: 'boolean',
+        capNowW: 'number',
+        avgW: 'number',
+        limitW: 'number',
+        billingPeakW: 'number',
+        adaptiveLimitW: 'number',
+    },
+});
+
+/**
+ * @typedef {object} BusMessage
+ * @property {string} topic
+ * @property {Record<string, any>} data
+ * @property {number} ts       publish timestamp (ms)
+ * @property {number} tick     bus tick counter at publish time
+ * @property {string} source   publishing module key
+ */
+
+class ControlBus {
+    /**
+     * @param {{warn: Function, debug: Function}|null} [log]
+     */
+    constructor(log) {
+        this.log = log || null;
+        this.tick = 0;
+
+        /** @type {Map<string, BusMessage>} */
+        this._messages = new Map();
+
+        /** @type {Map<string, Set<(msg: BusMessage) => void>>} */
+        this._subs = new Map();
+
+        /** @type {Set<string>} topics with reported schema violations (warn once) */
+        this._warned = new Set();
+    }
+
+    /**
+     * Called by the ModuleManager at the start of each tick.
+     */
+    beginTick() {
+        this.tick++;
+    }
+
+    /**
+     * Publish the output of a module for this tick.
+     * @param {string} topic
+     * @param {Record<string, any>} data
+     * @param {string} [source]
+     * @returns {boolean} false if the payload does not match the topic schema (it is published anyway)
+     */
+    publish(topic, data, source = '') {
+        const t = String(topic || '').trim();
+        if (!t) return false;
+
+        const payload = Object.freeze({ ...(data || {}) });
+        const valid = this._validate(t, payload);
+
+        /** @type {BusMessage} */
+        const msg = { topic: t, data: payload, ts: Date.now(), tick: this.tick, source: String(source || '') };
+        this._messages.set(t, msg);
+
+        const subs = this._subs.get(t);
+        if (subs) {
+            for (const fn of subs) {
+                try {
+                    fn(msg);
+                } catch (e) {
+                    if (this.log) this.log.warn(`Bus subscriber for '${t}' failed: ${e?.message || e}`);
+                }
+            }
+        }
+        return valid;
+    }
+
+    /**
+     * @param {string} topic
+     * @param {Record<string, any>} data
+     */
+    _validate(topic, data) {
+        const schema = TopicSchemas[topic];
+        if (!schema) return true;
+        const bad = Object.keys(schema).filter(k => typeof data[k] !== schema[k]);
+        if (!bad.length) return true;
+        if (this.log && !this._warned.has(topic)) {
+            this._warned.add(topic);
+            this.log.warn(`Bus topic '${topic}' published with invalid fields: ${bad.join(', ')}`);
+        }
+        return false;
+    }
+
+    /**
+     * @param {string} topic
+     * @returns {BusMessage|null}
+     */
+    get(topic) {
+        return this._messages.get(String(topic || '').trim()) || null;
+    }
+
+    /**
+     * Age of the last message in milliseconds (+Infinity if never published).
+     * @param {string} topic
+     * @returns {number}
+     */
+    getAgeMs(topic) {
+        const msg = this.get(topic);
+        if (!msg) return Number.POSITIVE_INFINITY;
+        const age = Date.now() - msg.ts;
+        return age >= 0 ? age : 0;
+    }
+
+    /**
+     * @param {string} topic
+     * @param {number} maxAgeMs
+     * @returns {boolean}
+     */
+    isStale(topic, maxAgeMs) {
+        const age = this.getAgeMs(topic);
+        if (!Number.isFinite(age)) return true;
+        if (!Number.isFinite(maxAgeMs) || maxAgeMs <= 0) return false;
+        return age > maxAgeMs;
+    }
+
+    /**
+     * Payload of the last message, only if it is not older than maxAgeMs.
+     * @param {string} topic
+     * @param {number} maxAgeMs
+     * @returns {Record<string, any>|null}
+     */
+    getFresh(topic, maxAgeMs) {
+        if (this.isStale(topic, maxAgeMs)) return null;
+        const msg = this.get(topic);
+        return msg ? msg.data : null;
+    }
+
+    /**
+     * True if the topic was published during the current tick.
+     * @param {string} topic
+     */
+    isCurrent(topic) {
+        const msg = this.get(topic);
+        return !!msg && msg.tick === this.tick;
+    }
+
+    /**
+     * @param {string} topic
+     * @param {(msg: BusMessage) => void} fn
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(topic, fn) {
+        const t = String(topic || '').trim();
+        if (!this._subs.has(t)) this._subs.set(t, new Set());
+        this._subs.get(t).add(fn);
+        return () => {
+            const s = this._subs.get(t);
+            if (s) s.delete(fn);
+        };
+    }
+
+    /**
+     * Drop a topic (e.g. when its producer is disabled).
+     * @param {string} topic
+     */
+    clear(topic) {
+        this._messages.delete(String(topic || '').trim());
+    }
+
+    /**
+     * Snapshot of all topics (for diagnostics).
+     * @returns {Record<string, {ts:number, tick:number, source:string, data:Record<string, any>}>}
+     */
+    snapshot() {
+        /** @type {Record<string, any>} */
+        const out = {};
+        for (const [t, m] of this._messages) {
+            out[t] = { ts: m.ts, tick: m.tick, source: m.source, data: m.data };
+        }
+        return out;
+    }
+}
+
+module.exports = { ControlBus, Topics, TopicSchemas };
@@ -6,10 +6,91 @@
  * The registry stores:
  * - key -> objectId mapping
  * - optional transforms (scale, offset, invert, min/max, deadband)
- * - a value cache fed by stateChange events
+ * - the unit conversion derived from common.unit of the object (e.g. kW -> W, see units.js)
+ * - a value cache fed by stateChange events, with quality (`q`), source (`from`) and ack of each value
+ * - virtual entries computed from other keys (`expression`, see expression.js); they have no
+ *   objectId, are read-only and are as old as their oldest input
  *
  * Modules may upsert additional datapoints derived from their module configuration.
  */
+
+const { compileExpression } = require('./expression');
+const { unitConversion } = require('./units');
+
+/** Number of recorded dry-run writes kept in memory */
+const SHADOW_LOG_SIZE = 500;
+
+/** Write verification: default acknowledgement timeout and retry backoff (doubling, capped) */
+const VERIFY_TIMEOUT_MS = 5000;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 60000;
+/** Consecutive failed writes of one object before a warning is logged */
+const VERIFY_WARN_FAILURES = 3;
+
+/** Window of the rate limit "writes per hour" */
+const RATE_WINDOW_MS = 3600000;
+
+/**
+ * Quality bits of ioBroker `q` that mark a value as unusable: general problem (0x01), not
+ * connected (0x02), error reported (0x04) - of the instance (0x1x), device (0x4x) or sensor (0x8x).
+ * Substitute (0x10/0x40/0x80 alone) and initial values (0x20) are accepted.
+ */
+const Q_BAD_MASK = 0x07;
+
+/**
+ * @typedef {object} VerifyOptions
+ * @property {string} readbackId   object reporting the applied value ('' = the written object itself, ack=true)
+ * @property {number} timeoutMs    acknowledgement expected within this time
+ * @property {number} tolerance    accepted deviation in physical units (numbers)
+ * @property {number} reassertMs   re-send the last value after this time even if unchanged (0 = off)
+ */
+
+/**
+ * @typedef {object} RateLimit
+ * @property {number} minIntervalMs   minimum time between two writes of the object (0 = off)
+ * @property {number} maxPerHour      maximum writes within one hour (0 = off)
+ * @property {string} [bypass]        writes sent despite the limit: 'lower' (smaller value), 'magnitude'
+ *                                    (smaller absolute value, signed setpoints), 'none'; unset = by entry
+ */
+
+/**
+ * @typedef {object} Sample
+ * @property {any} val
+ * @property {number} ts
+ * @property {number} q
+ */
+
+/**
+ * Cached state of an object. `measured` is the latest value that is not a command of this
+ * adapter (ack=false from our own instance), `acked` the latest value with ack=true; inputs read
+ * one of them (see _sample), outputs the current value.
+ * @typedef {Sample & {ack: boolean, from: string, measured: Sample|null, acked: Sample|null}} CachedState
+ */
+
+/**
+ * @typedef {object} WriteHealth
+ * @property {string} key
+ * @property {string} objectId
+ * @property {string} readbackId
+ * @property {boolean} verified     last written value confirmed (and not reverted since)
+ * @property {boolean} pending      waiting for the acknowledgement
+ * @property {number} failures      consecutive timeouts / reverts
+ * @property {number} retries       re-sends of the current value
+ * @property {number} lastWriteMs
+ * @property {number} lastAckMs
+ * @property {string} lastError
+ */
+
+/**
+ * @param {any} v
+ * @param {number} fallback
+ */
+function nonNeg(v, fallback) {
+    if (v === undefined || v === null || v === '') return fallback;
+    const n = Number(v);
+    return (Number.isFinite(n) && n >= 0) ? n : fallback;
+}
+
 class DatapointRegistry {
     /**
      * @param {import('@iobroker/adapter-core').AdapterInstance} adapter
@@ -24,13 +105,732 @@ class DatapointRegistry {
         /** @type {Map<string, string>} */
         this.keyByObjectId = new Map();
 
-        /** @type {Map<string, {val:any, ts:number, ack:boolean}>} */
+        /** @type {Map<string, CachedState>} */
         this.cacheByObjectId = new Map();
 
-        /** @type {Map<string, {val:any, ts:number}>} */
+        /** @type {Set<string>} objectIds whose bad quality has been logged (logged again after recovery) */
+        this._badQualityLogged = new Set();
+
+        /** @type {Map<string, {val:any, ts:number, raw?:any, ack?:boolean}>} last device write (physical value, written raw value) */
         this.lastWriteByObjectId = new Map();
 
         this._initEntries = Array.isArray(entries) ? entries : [];
+
+        /** @type {Set<string>} keys whose updates should trigger an immediate control tick */
+        this.triggerKeys = new Set();
+
+        /** @type {((key: string) => void)|null} */
+        this._onTrigger = null;
+
+        /**
+         * Optional setpoint arbiter (see arbiter.js): merges competing writes of several owners to one objectId.
+         * @type {import('./arbiter').SetpointArbiter|null}
+         */
+        this.arbiter = null;
+
+        /**
+         * Dry run (shadow mode): decides per owner whether writes are only recorded (see setDryRun).
+         * @type {((owner: string) => boolean)|null}
+         */
+        this._dryRunFn = null;
+
+        /** @type {Map<string, {val:any, ts:number}>} last recorded (not written) value per objectId */
+        this.shadowByObjectId = new Map();
+
+        /** @type {Array<{ts:number, key:string, objectId:string, val:any, raw:any, owner:string}>} ring buffer of recorded writes */
+        this.shadowLog = [];
+
+        /** @type {Map<string, {ts:number, key:string, objectId:string, val:any, raw:any, owner:string}>} recorded since the last flushShadow() */
+        this._shadowPending = new Map();
+
+        /** @type {Set<string>} shadow state objects already created */
+        this._shadowObjects = new Set();
+
+        /**
+         * Owners (module keys, 'global' for the admin table) that declared a key.
+         * A key is removed once no owner declares it anymore (see beginSync/endSync).
+         * @type {Map<string, Set<string>>}
+         */
+        this.ownersByKey = new Map();
+
+        /** Owner used by upsert(); set on views created with forOwner() */
+        this._owner = 'global';
+
+        /**
+         * Keys re-declared per owner while a config reload is in progress.
+         * @type {Map<string, Set<string>>}
+         */
+        this._syncTouched = new Map();
+
+        /**
+         * Write verification rules (admin table "writeVerification"), by object ID or datapoint key.
+         * @type {Map<string, VerifyOptions>}
+         */
+        this._verifyRules = new Map();
+
+        /** @type {Map<string, WriteHealth & {expected: any, raw: any, ack: boolean, deadlineMs: number, retryAtMs: number, warned: boolean}>} objectId -> */
+        this.writeHealth = new Map();
+
+        /** Shared with the owner views (see writeHealthDirty) */
+        this._writeHealthState = { dirty: false };
+
+        /**
+         * Write rate limits (admin table "writeRateLimits"), by object ID or datapoint key.
+         * @type {Map<string, RateLimit>}
+         */
+        this._rateRules = new Map();
+
+        /** @type {Map<string, number[]>} objectId -> device writes within the last hour (rate-limited objects) */
+        this._writeTimes = new Map();
+
+        /**
+         * Latest value held back by the rate limit per objectId; sent when the window opens (see checkWrites).
+         * @type {Map<string, {key: string, last: number, phys: number|boolean, raw: any, ack: boolean, since: number}>}
+         */
+        this.pendingWrites = new Map();
+
+        /** @type {Set<string>} virtual keys being evaluated (cycle guard) */
+        this._evaluating = new Set();
+
+        /** @type {Map<string, string>} key -> last logged unit conversion (each change is logged once) */
+        this._unitLogged = new Map();
+
+        /** @type {Map<string, string>} objectId -> common.unit, read once and updated by objectChange */
+        this._objectUnits = new Map();
+
+        /** Shared with the owner views (see unitsDirty) */
+        this._unitState = { dirty: false };
+    }
+
+    /**
+     * Set when a unit conversion changed; cleared by the ModuleManager after publishing diagnostics.units.
+     */
+    get unitsDirty() {
+        return this._unitState.dirty;
+    }
+
+    set unitsDirty(v) {
+        this._unitState.dirty = !!v;
+    }
+
+    /**
+     * Set when writeHealth changed; cleared by the ModuleManager after publishing diagnostics.writeHealth.
+     * Accessor, so writes through owner views reach the registry.
+     */
+    get writeHealthDirty() {
+        return this._writeHealthState.dirty;
+    }
+
+    set writeHealthDirty(v) {
+        this._writeHealthState.dirty = !!v;
+    }
+
+    /**
+     * View of the registry for one owner (module). Shares all maps and caches with the registry;
+     * only upsert()/remove() attribute their keys to the owner.
+     *
+     * @param {string} owner
+     * @returns {DatapointRegistry}
+     */
+    forOwner(owner) {
+        const view = Object.create(this);
+        view._owner = String(owner || 'global');
+        return view;
+    }
+
+    /**
+     * Register datapoint keys whose stateChange events request a control tick (event-driven scheduling).
+     * Passing an empty list (or no callback) disables triggering.
+     *
+     * @param {Array<string>} keys
+     * @param {((key: string) => void)|null} onTrigger
+     */
+    setTriggers(keys, onTrigger) {
+        this.triggerKeys = new Set((Array.isArray(keys) ? keys : []).map(k => String(k || '').trim()).filter(Boolean));
+        this._onTrigger = (typeof onTrigger === 'function') ? onTrigger : null;
+    }
+
+    /**
+     * @param {import('./arbiter').SetpointArbiter|null} arbiter
+     */
+    setArbiter(arbiter) {
+        this.arbiter = arbiter || null;
+    }
+
+    /**
+     * @param {((owner: string) => boolean)|null} fn returns true if writes of the owner are dry run only
+     */
+    setDryRun(fn) {
+        this._dryRunFn = (typeof fn === 'function') ? fn : null;
+    }
+
+    /**
+     * True if writes through this view are only recorded (shadow mode), not sent to the devices.
+     */
+    isDryRun() {
+        return !!(this._dryRunFn && this._dryRunFn(this._owner));
+    }
+
+    /**
+     * Normalise verification settings (table row or the `verify` field of an entry).
+     * @param {any} r
+     * @returns {VerifyOptions}
+     */
+    _normalizeVerify(r) {
+        const o = (r && typeof r === 'object') ? r : {};
+        return {
+            readbackId: String(o.readbackId || '').trim(),
+            timeoutMs: nonNeg(o.timeoutMs, VERIFY_TIMEOUT_MS) || VERIFY_TIMEOUT_MS,
+            tolerance: nonNeg(o.tolerance, 0),
+            reassertMs: Math.round(nonNeg(o.reassertSec, 0) * 1000),
+        };
+    }
+
+    /**
+     * Write verification rules: rows {target (object ID or datapoint key), readbackId?, timeoutMs?,
+     * tolerance?, reassertSec?}. Readback objects are subscribed.
+     *
+     * @param {Array<any>} rows
+     */
+    async setWriteVerification(rows) {
+        this._verifyRules = new Map();
+        for (const r of Array.isArray(rows) ? rows : []) {
+            const target = String((r && r.target) || '').trim();
+            if (!target) continue;
+            const o = this._normalizeVerify(r);
+            this._verifyRules.set(target, o);
+            if (!o.readbackId) continue;
+            try {
+                await this.adapter.subscribeForeignStatesAsync(o.readbackId);
+                const st = await this.adapter.getForeignStateAsync(o.readbackId);
+                if (st) this._cacheState(o.readbackId, st);
+            } catch (e) {
+                this.adapter.log.warn(`Readback subscribe failed for '${o.readbackId}': ${e?.message || e}`);
+            }
+        }
+        for (const [objectId, h] of Array.from(this.writeHealth.entries())) {
+            const e = this.getEntry(h.key);
+            if (!e || !this._verifyOptions(e)) {
+                this.writeHealth.delete(objectId);
+                this.writeHealthDirty = true;
+            }
+        }
+    }
+
+    /**
+     * Normalise rate limit settings (table row or the `rateLimit` field of an entry).
+     * @param {any} r
+     * @returns {RateLimit|null} null = no limit
+     */
+    _normalizeRateLimit(r) {
+        const o = (r && typeof r === 'object') ? r : {};
+        const minIntervalMs = Math.round(nonNeg(o.minIntervalSec, 0) * 1000);
+        const maxPerHour = Math.floor(nonNeg(o.maxPerHour, 0));
+        const bypass = ['lower', 'magnitude', 'none'].includes(o.bypass) ? o.bypass : '';
+        if (!minIntervalMs && !maxPerHour) return null;
+        return bypass ? { minIntervalMs, maxPerHour, bypass } : { minIntervalMs, maxPerHour };
+    }
+
+    /**
+     * Write rate limits: rows {target (object ID or datapoint key), minIntervalSec?, maxPerHour?}.
+     * @param {Array<any>} rows
+     */
+    setWriteRateLimits(rows) {
+        this._rateRules = new Map();
+        for (const r of Array.isArray(rows) ? rows : []) {
+            const target = String((r && r.target) || '').trim();
+            const o = this._normalizeRateLimit(r);
+            if (target && o) this._rateRules.set(target, o);
+        }
+    }
+
+    /**
+     * @param {any} e entry
+     * @returns {RateLimit|null}
+     */
+    _rateOptions(e) {
+        return this._rateRules.get(e.objectId) || this._rateRules.get(e.key) || e.rateLimit || null;
+    }
+
+    /**
+     * Time until the rate limit of the entry allows the next write (0 = now).
+     * @param {any} e entry
+     * @param {number} now
+     */
+    _rateWaitMs(e, now) {
+        const o = this._rateOptions(e);
+        if (!o) return 0;
+        const times = (this._writeTimes.get(e.objectId) || []).filter(t => now - t < RATE_WINDOW_MS);
+        this._writeTimes.set(e.objectId, times);
+        if (!times.length) return 0;
+        let wait = 0;
+        if (o.minIntervalMs) wait = times[times.length - 1] + o.minIntervalMs - now;
+        if (o.maxPerHour && times.length >= o.maxPerHour) wait = Math.max(wait, times[times.length - o.maxPerHour] + RATE_WINDOW_MS - now);
+        return Math.max(0, wait);
+    }
+
+    /**
+     * Rate limit state of an entry (getDatapoints).
+     * @param {any} e entry
+     * @param {number} now
+     */
+    _rateInfo(e, now) {
+        const p = this.pendingWrites.get(e.objectId);
+        const wait = this._rateWaitMs(e, now);
+        return {
+            ...this._rateOptions(e),
+            writesLastHour: (this._writeTimes.get(e.objectId) || []).length,
+            nextWriteMs: wait ? now + wait : 0,
+            pending: p ? { val: p.phys, sinceMs: p.since } : null,
+        };
+    }
+
+    /**
+     * Count a device write of a rate-limited entry.
+     * @param {any} e entry
+     * @param {number} now
+     */
+    _countWrite(e, now) {
+        if (!this._rateOptions(e)) return;
+        const times = this._writeTimes.get(e.objectId) || [];
+        times.push(now);
+        this._writeTimes.set(e.objectId, times);
+    }
+
+    /**
+     * Which writes reduce and bypass the rate limit: the rule's `bypass`, else smaller absolute values
+     * for signed entries (e.g. battery power, negative = discharge) and smaller values otherwise.
+     * @param {any} e entry
+     * @returns {'lower'|'magnitude'|'none'}
+     */
+    _bypassMode(e) {
+        const o = this._rateOptions(e);
+        if (o && o.bypass) return /** @type {any} */ (o.bypass);
+        return (e.signed || (Number.isFinite(e.min) && e.min < 0)) ? 'magnitude' : 'lower';
+    }
+
+    /**
+     * Rate limit of a write: a reduction (see _bypassMode) or switching off always goes out,
+     * everything else waits for the window; only the latest held-back value is kept.
+     *
+     * @param {any} e entry
+     * @param {{val: any}|undefined} prev last device write
+     * @param {number} last value for the deadband / idempotence check
+     * @param {number|boolean} phys physical value
+     * @param {any} raw
+     * @param {boolean} ack
+     * @returns {boolean} true = not sent now
+     */
+    _holdBack(e, prev, last, phys, raw, ack) {
+        const now = Date.now();
+        const wait = this._rateWaitMs(e, now);
+        const mode = this._bypassMode(e);
+        let lowers = false;
+        if (typeof phys === 'boolean') lowers = mode !== 'none' && !phys;
+        else if (prev && Number.isFinite(prev.val) && mode !== 'none') lowers = (mode === 'magnitude') ? Math.abs(phys) < Math.abs(prev.val) : phys < prev.val;
+        if (!wait || lowers) {
+            this.pendingWrites.delete(e.objectId);
+            return false;
+        }
+        if (prev && prev.val === last) {
+            // back at the value the device has: nothing to send
+            this.pendingWrites.delete(e.objectId);
+            return true;
+        }
+        const pending = this.pendingWrites.get(e.objectId);
+        this.pendingWrites.set(e.objectId, { key: e.key, last, phys, raw, ack, since: pending ? pending.since : now });
+        return true;
+    }
+
+    /**
+     * @param {any} e entry
+     * @returns {VerifyOptions|null} null = writes of this entry are not verified
+     */
+    _verifyOptions(e) {
+        return this._verifyRules.get(e.objectId) || this._verifyRules.get(e.key) || e.verify || null;
+    }
+
+    /**
+     * Physical value of a raw value of an entry (transform without clamping).
+     * @param {any} e entry
+     * @param {any} raw
+     */
+    _toPhysical(e, raw) {
+        if (e.dataType === 'boolean' || typeof raw === 'boolean') {
+            const b = (typeof raw === 'string') ? ['true', '1', 'on'].includes(raw.trim().toLowerCase()) : !!raw;
+            return e.invert ? !b : b;
+        }
+        const n = Number(raw);
+        if (!Number.isFinite(n)) return null;
+        return (e.invert ? -n : n) * this._scale(e) + e.offset;
+    }
+
+    /**
+     * Effective scale: configured scale times the automatic unit conversion.
+     * @param {any} e entry
+     */
+    _scale(e) {
+        return e.scale * (e.unitScale || 1);
+    }
+
+    /**
+     * Unit handling of an entry: per datapoint `unitMode`, else the global setting `unitConversionMode`.
+     * 'auto' converts, 'check' only reports a differing unit (diagnostics.units, config check),
+     * 'off' ignores common.unit.
+     * @param {any} e entry
+     * @returns {'auto'|'check'|'off'}
+     */
+    _unitMode(e) {
+        const modes = ['auto', 'check', 'off'];
+        if (modes.includes(e.unitMode)) return e.unitMode;
+        const global = String((this.adapter.config && this.adapter.config.unitConversionMode) || '').trim();
+        return /** @type {any} */ (modes.includes(global) ? global : 'check');
+    }
+
+    /**
+     * Derive the unit conversion of a numeric entry from common.unit of its object.
+     * Converted only in unit mode 'auto'; a configured scale (!= 1) means the site scales manually,
+     * then nothing is converted either.
+     *
+     * @param {any} e entry (updated in place)
+     */
+    async _detectUnit(e) {
+        let objectUnit = this._objectUnits.get(e.objectId);
+        if (objectUnit === undefined) {
+            let obj = null;
+            try {
+                obj = await this.adapter.getForeignObjectAsync(e.objectId);
+            } catch (err) {
+                // missing objects are reported by the config check
+            }
+            objectUnit = String((obj && obj.common && obj.common.unit) ?? '').trim();
+            this._objectUnits.set(e.objectId, objectUnit);
+            try {
+                await this.adapter.subscribeForeignObjectsAsync(e.objectId);
+            } catch (err) {
+                this.adapter.log.warn(`Datapoint object subscribe failed for '${e.objectId}': ${err?.message || err}`);
+            }
+        }
+        this._applyUnit(e, objectUnit);
+    }
+
+    /**
+     * @param {any} e entry (updated in place)
+     * @param {string} objectUnit common.unit of its object
+     */
+    _applyUnit(e, objectUnit) {
+        const mode = this._unitMode(e);
+        const conv = e.dataType === 'number' ? unitConversion(e.unit, objectUnit) : { status: 'none', factor: 1 };
+
+        let status = conv.status;
+        let unitScale = 1;
+        if (mode === 'off') {
+            status = (status === 'none') ? 'none' : 'off';
+        } else if (status === 'converted') {
+            if (e.scale !== 1) status = 'manual';
+            else if (mode === 'check') status = 'not_converted';
+            else unitScale = conv.factor;
+        }
+        if (e.unitScale !== unitScale || e.unitStatus !== status || e.objectUnit !== objectUnit) this.unitsDirty = true;
+        e.objectUnit = objectUnit;
+        e.unitScale = unitScale;
+        e.unitStatus = status;
+
+        const sig = `${e.objectId}|${status}|${objectUnit}|${e.unit}`;
+        if (this._unitLogged.get(e.key) === sig) return;
+        this._unitLogged.set(e.key, sig);
+        if (status === 'converted') {
+            this.adapter.log.info(`Datapoint '${e.key}': object '${e.objectId}' is in ${objectUnit}, converted to ${e.unit} (x${unitScale})`);
+        } else if (status === 'not_converted') {
+            this.adapter.log.info(`Datapoint '${e.key}': object '${e.objectId}' is in ${objectUnit}, ${e.unit} expected - not converted (unit conversion '${mode}')`);
+        } else if (status === 'incompatible') {
+            this.adapter.log.warn(`Datapoint '${e.key}' expects ${e.unit}, object '${e.objectId}' has unit '${objectUnit}' - not converted, check the mapping`);
+        }
+    }
+
+    /**
+     * Feed from adapter objectChange: a changed (or deleted) object of a datapoint brings a new unit.
+     * @param {string} id
+     * @param {ioBroker.Object | null | undefined} obj
+     */
+    handleObjectChange(id, obj) {
+        if (!id || !this._objectUnits.has(id)) return;
+        const objectUnit = String((obj && obj.common && obj.common.unit) ?? '').trim();
+        this._objectUnits.set(id, objectUnit);
+        for (const e of this.byKey.values()) {
+            if (!e.compiled && e.objectId === id) this._applyUnit(e, objectUnit);
+        }
+    }
+
+    /**
+     * Re-evaluate the unit handling of all entries (global unitConversionMode changed).
+     */
+    async refreshUnits() {
+        for (const e of Array.from(this.byKey.values())) {
+            if (!e.compiled && e.objectId) await this._detectUnit(e);
+        }
+    }
+
+    /**
+     * Unit conversions of all numeric entries whose object declares a unit (diagnostics.units).
+     * @returns {Array<{key: string, objectId: string, unit: string, objectUnit: string, status: string, factor: number}>}
+     */
+    getUnitConversions() {
+        const out = [];
+        for (const e of this.byKey.values()) {
+            if (e.compiled || !e.objectUnit) continue;
+            out.push({ key: e.key, objectId: e.objectId, unit: e.unit, objectUnit: e.objectUnit, status: e.unitStatus, factor: e.unitScale || 1 });
+        }
+        return out.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Remember a successful device write; with verification it waits for the acknowledgement.
+     * @param {any} e entry
+     * @param {number} last value for the deadband / idempotence check (lastWriteByObjectId)
+     * @param {number|boolean} phys expected physical value
+     * @param {any} raw written value
+     * @param {boolean} ack
+     */
+    _afterWrite(e, last, phys, raw, ack) {
+        const now = Date.now();
+        this.lastWriteByObjectId.set(e.objectId, { val: last, ts: now, raw, ack });
+        this._countWrite(e, now);
+
+        const o = this._verifyOptions(e);
+        if (!o) return;
+        let h = this.writeHealth.get(e.objectId);
+        if (!h) {
+            h = { key: e.key, objectId: e.objectId, readbackId: '', verified: false, pending: false, failures: 0, retries: 0, lastWriteMs: 0, lastAckMs: 0, lastError: '', expected: null, raw: null, ack: false, deadlineMs: 0, retryAtMs: 0, warned: false };
+            this.writeHealth.set(e.objectId, h);
+        }
+        if (h.expected !== phys) h.retries = 0;
+        h.key = e.key;
+        h.readbackId = o.readbackId;
+        h.expected = phys;
+        h.raw = raw;
+        h.ack = ack;
+        h.pending = true;
+        h.lastWriteMs = now;
+        h.deadlineMs = now + o.timeoutMs;
+        h.retryAtMs = 0;
+        this.writeHealthDirty = true;
+    }
+
+    /**
+     * Compare an acknowledged value with the expected one (state change of a written or readback object).
+     * @param {string} id
+     * @param {ioBroker.State} state
+     */
+    _checkReadback(id, state) {
+        if (!this.writeHealth.size || !state.ack) return;
+        for (const h of this.writeHealth.values()) {
+            if ((h.readbackId || h.objectId) !== id) continue;
+            const e = this.getEntry(h.key);
+            const o = e ? this._verifyOptions(e) : null;
+            if (!e || !o) continue;
+
+            const v = this._toPhysical(e, state.val);
+            const match = (typeof h.expected === 'boolean')
+                ? v === h.expected
+                : (typeof v === 'number' && Math.abs(v - h.expected) <= o.tolerance + 1e-9);
+
+            if (h.pending && match) {
+                h.pending = false;
+                h.verified = true;
+                h.failures = 0;
+                h.retries = 0;
+                h.warned = false;
+                h.lastAckMs = Date.now();
+                h.lastError = '';
+                this.writeHealthDirty = true;
+            } else if (!h.pending && h.verified && !match) {
+                // The device reverted the value: send it again
+                h.verified = false;
+                this._writeFailed(h, `value changed to ${state.val} (expected ${h.expected})`, 0);
+            }
+        }
+    }
+
+    /**
+     * @param {any} h write health record
+     * @param {string} error
+     * @param {number} delayMs re-send after this time
+     */
+    _writeFailed(h, error, delayMs) {
+        h.pending = false;
+        h.verified = false;
+        h.failures++;
+        h.lastError = error;
+        h.retryAtMs = Date.now() + delayMs;
+        this.writeHealthDirty = true;
+        if (h.failures >= VERIFY_WARN_FAILURES && !h.warned) {
+            h.warned = true;
+            this.adapter.log.warn(`Datapoint write of '${h.objectId}' not confirmed (${error}), retrying`);
+        }
+    }
+
+    /**
+     * Re-send the last value of an object (retry / re-assertion), bypassing deadband and arbiter.
+     * @param {string} objectId
+     * @param {any} raw
+     * @param {boolean} ack
+     */
+    async _resend(objectId, raw, ack) {
+        const key = this.keyByObjectId.get(objectId);
+        const owners = key ? Array.from(this.ownersByKey.get(key) || []) : [];
+        if (this._dryRunFn && owners.some(o => this._dryRunFn(o))) return false;
+        const e = key ? this.byKey.get(key) : null;
+        const now = Date.now();
+        if (e && this._rateWaitMs(e, now) > 0) return false;
+        try {
+            await this.adapter.setForeignStateAsync(objectId, raw, ack);
+            if (e) this._countWrite(e, now);
+            return true;
+        } catch (err) {
+            this.adapter.log.warn(`Datapoint write failed for '${objectId}': ${err?.message || err}`);
+            return false;
+        }
+    }
+
+    /**
+     * Held-back writes whose rate limit window opened, acknowledgement timeouts, retries with backoff
+     * and periodic re-assertion of setpoints (called once per tick by the ModuleManager).
+     */
+    async checkWrites() {
+        const now = Date.now();
+
+        for (const [objectId, p] of Array.from(this.pendingWrites.entries())) {
+            const e = this.getEntry(p.key);
+            if (!e || e.objectId !== objectId || !this._rateOptions(e)) {
+                this.pendingWrites.delete(objectId);
+                continue;
+            }
+            if (this._rateWaitMs(e, now) > 0) continue;
+            this.pendingWrites.delete(objectId);
+            try {
+                await this.adapter.setForeignStateAsync(objectId, p.raw, p.ack);
+                this._afterWrite(e, p.last, p.phys, p.raw, p.ack);
+            } catch (err) {
+                this.adapter.log.warn(`Datapoint write failed for '${objectId}': ${err?.message || err}`);
+            }
+        }
+
+        for (const [objectId, h] of Array.from(this.writeHealth.entries())) {
+            const e = this.getEntry(h.key);
+            const o = (e && e.objectId === objectId) ? this._verifyOptions(e) : null;
+            if (!o) {
+                this.writeHealth.delete(objectId);
+                this.writeHealthDirty = true;
+                continue;
+            }
+            if (h.pending && now >= h.deadlineMs) {
+                this._writeFailed(h, `no acknowledgement within ${o.timeoutMs} ms`, Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, h.retries)));
+            }
+            if (!h.pending && h.retryAtMs && now >= h.retryAtMs) {
+                h.retryAtMs = 0;
+                if (await this._resend(objectId, h.raw, h.ack)) {
+                    h.retries++;
+                    h.pending = true;
+                    h.lastWriteMs = now;
+                    h.deadlineMs = now + o.timeoutMs;
+                    this.lastWriteByObjectId.set(objectId, { ...this.lastWriteByObjectId.get(objectId), ts: now });
+                    this.writeHealthDirty = true;
+                }
+            }
+        }
+
+        // Re-assert unchanged setpoints (also without verification if a rule sets reassertSec)
+        for (const [objectId, w] of this.lastWriteByObjectId) {
+            const key = this.keyByObjectId.get(objectId);
+            const e = key ? this.getEntry(key) : null;
+            const o = e ? this._verifyOptions(e) : null;
+            if (!o || !o.reassertMs || (now - w.ts) < o.reassertMs) continue;
+            const h = this.writeHealth.get(objectId);
+            if (h && (h.pending || h.retryAtMs)) continue;
+            if (!(await this._resend(objectId, w.raw, !!w.ack))) continue;
+            this.lastWriteByObjectId.set(objectId, { ...w, ts: now });
+            if (h) {
+                h.pending = true;
+                h.lastWriteMs = now;
+                h.deadlineMs = now + o.timeoutMs;
+                this.writeHealthDirty = true;
+            }
+        }
+    }
+
+    /**
+     * Write health of all verified outputs (diagnostics.writeHealth, message API).
+     * @returns {WriteHealth[]}
+     */
+    getWriteHealth() {
+        return Array.from(this.writeHealth.values())
+            .map(h => ({
+                key: h.key,
+                objectId: h.objectId,
+                readbackId: h.readbackId,
+                verified: h.verified,
+                pending: h.pending,
+                failures: h.failures,
+                retries: h.retries,
+                lastWriteMs: h.lastWriteMs,
+                lastAckMs: h.lastAckMs,
+                lastError: h.lastError,
+            }))
+            .sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * @param {any} e entry
+     * @param {any} val physical value
+     * @param {any} raw value that would be written
+     */
+    _recordShadow(e, val, raw) {
+        const rec = { ts: Date.now(), key: e.key, objectId: e.objectId, val, raw, owner: this._owner };
+        this.shadowByObjectId.set(e.objectId, { val: typeof val === 'boolean' ? (val ? 1 : 0) : val, ts: rec.ts });
+        this.shadowLog.push(rec);
+        if (this.shadowLog.length > SHADOW_LOG_SIZE) this.shadowLog.splice(0, this.shadowLog.length - SHADOW_LOG_SIZE);
+        this._shadowPending.set(e.key, rec);
+    }
+
+    /**
+     * Write the values recorded in dry run to the own states shadow.<owner>.<key> and shadow.log
+     * (called once per tick by the ModuleManager).
+     */
+    async flushShadow() {
+        if (!this._shadowPending.size) return;
+        const pending = Array.from(this._shadowPending.values());
+        this._shadowPending.clear();
+
+        const safe = (s) => String(s || '').replace(/[^A-Za-z0-9_-]+/g, '_');
+        try {
+            if (!this._shadowObjects.has('shadow')) {
+                await this.adapter.setObjectNotExistsAsync('shadow', { type: 'channel', common: { name: 'Dry run (intended writes)' }, native: {} });
+                await this.adapter.setObjectNotExistsAsync('shadow.log', {
+                    type: 'state',
+                    common: { name: 'Last intended writes (JSON)', type: 'string', role: 'json', read: true, write: false },
+                    native: {},
+                });
+                this._shadowObjects.add('shadow');
+            }
+            for (const rec of pending) {
+                const ch = `shadow.${safe(rec.owner)}`;
+                const id = `${ch}.${safe(rec.key)}`;
+                if (!this._shadowObjects.has(id)) {
+                    await this.adapter.setObjectNotExistsAsync(ch, { type: 'channel', common: { name: rec.owner }, native: {} });
+                    await this.adapter.setObjectNotExistsAsync(id, {
+                        type: 'state',
+                        common: { name: `${rec.key} -> ${rec.objectId}`, type: typeof rec.val === 'boolean' ? 'boolean' : 'number', role: 'value', read: true, write: false },
+                        native: { objectId: rec.objectId },
+                    });
+                    this._shadowObjects.add(id);
+                }
+                await this.adapter.setStateAsync(id, rec.val, true);
+            }
+            await this.adapter.setStateAsync('shadow.log', JSON.stringify(this.shadowLog.slice(-100)), true);
+        } catch (e) {
+            this.adapter.log.warn(`Dry run state write failed: ${e?.message || e}`);
+        }
     }
 
     async init() {
@@ -39,15 +839,149 @@ class DatapointRegistry {
         }
     }
 
+    /**
+     * Replace the admin table entries (live config reload). Entries that are no longer in the
+     * table are removed unless a module still declares them.
+     *
+     * @param {Array<any>} entries
+     * @returns {Promise<string[]>} removed keys
+     */
+    async reloadEntries(entries) {
+        this._initEntries = Array.isArray(entries) ? entries : [];
+        this.beginSync(this._owner);
+        await this.init();
+        return this.endSync(this._owner);
+    }
+
+    /**
+     * Start a declaration round for an owner: every key the owner upserts until endSync() is kept,
+     * all other keys of that owner are released.
+     *
+     * @param {string} owner
+     */
+    beginSync(owner) {
+        this._syncTouched.set(String(owner || 'global'), new Set());
+    }
+
+    /**
+     * @param {string} owner
+     */
+    isSyncing(owner) {
+        return this._syncTouched.has(String(owner || 'global'));
+    }
+
+    /**
+     * Finish a declaration round: releases the owner's keys that were not upserted since beginSync().
+     *
+     * @param {string} owner
+     * @returns {Promise<string[]>} keys removed from the registry (no owner left)
+     */
+    async endSync(owner) {
+        const o = String(owner || 'global');
+        const touched = this._syncTouched.get(o);
+        if (!touched) return [];
+        this._syncTouched.delete(o);
+
+        const removed = [];
+        for (const [key, owners] of Array.from(this.ownersByKey.entries())) {
+            if (!owners.has(o) || touched.has(key)) continue;
+            if (await this._release(key, o)) removed.push(key);
+        }
+        return removed;
+    }
+
+    /**
+     * Release a key for the owner of this view; the mapping is removed when no owner is left.
+     *
+     * @param {string} key
+     * @returns {Promise<boolean>} true if the key was removed from the registry
+     */
+    async remove(key) {
+        const k = String(key || '').trim();
+        const touched = this._syncTouched.get(this._owner);
+        if (touched) touched.delete(k);
+        return this._release(k, this._owner);
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} owner
+     */
+    async _release(key, owner) {
+        const owners = this.ownersByKey.get(key);
+        if (owners) {
+            owners.delete(owner);
+            if (owners.size) return false;
+        }
+        const e = this.byKey.get(key);
+        this.ownersByKey.delete(key);
+        if (!e) return false;
+
+        this.byKey.delete(key);
+        this._unitLogged.delete(key);
+        if (e.objectUnit) this.unitsDirty = true;
+        await this._releaseObjectId(e.objectId);
+        return true;
+    }
+
+    /**
+     * Drop subscription and caches of an objectId that no key maps to anymore.
+     * @param {string} objectId
+     */
+    async _releaseObjectId(objectId) {
+        if (!objectId) return;
+        let other = '';
+        for (const [k, e] of this.byKey) {
+            if (e.objectId === objectId) {
+                other = k;
+                break;
+            }
+        }
+        if (other) {
+            this.keyByObjectId.set(objectId, other);
+            return;
+        }
+
+        this.keyByObjectId.delete(objectId);
+        this.cacheByObjectId.delete(objectId);
+        this._badQualityLogged.delete(objectId);
+        this.lastWriteByObjectId.delete(objectId);
+        this.pendingWrites.delete(objectId);
+        this._writeTimes.delete(objectId);
+        if (this.writeHealth.delete(objectId)) this.writeHealthDirty = true;
+        try {
+            await this.adapter.unsubscribeForeignStatesAsync(objectId);
+            if (this._objectUnits.delete(objectId)) await this.adapter.unsubscribeForeignObjectsAsync(objectId);
+        } catch (e) {
+            this.adapter.log.warn(`Datapoint unsubscribe failed for '${objectId}': ${e?.message || e}`);
+        }
+    }
+
     /**
      * Add or update a datapoint mapping. Preserves existing transform settings if a new entry omits them.
+     * An entry with `expression` (and without objectId) is a virtual datapoint.
      * @param {any} entry
      */
     async upsert(entry) {
         if (!entry) return;
         const key = String(entry.key || '').trim();
         const objectId = String(entry.objectId || entry.id || '').trim();
-        if (!key || !objectId) return;
+        const expression = String(entry.expression || '').trim();
+        if (!key || (!objectId && !expression)) return;
+
+        let compiled = null;
+        if (!objectId) {
+            try {
+                compiled = compileExpression(expression);
+            } catch (e) {
+                this.adapter.log.warn(`Virtual datapoint '${key}': invalid expression '${expression}': ${e?.message || e}`);
+                return;
+            }
+            if (compiled.refs.includes(key)) {
+                this.adapter.log.warn(`Virtual datapoint '${key}': expression references itself`);
+                return;
+            }
+        }
 
         const prev = this.byKey.get(key);
 
@@ -65,7 +999,22 @@ class DatapointRegistry {
             min: (entry.min !== undefined ? Number(entry.min) : prev?.min),
             max: (entry.max !== undefined ? Number(entry.max) : prev?.max),
             note: entry.note || prev?.note || '',
+            verify: (entry.verify !== undefined) ? (entry.verify ? this._normalizeVerify(entry.verify) : null) : (prev?.verify || null),
+            rateLimit: (entry.rateLimit !== undefined) ? this._normalizeRateLimit(entry.rateLimit) : (prev?.rateLimit || null),
+            // inputs: values with ack=false from other sources count as measurement unless disabled
+            acceptUnacked: (entry.acceptUnacked !== undefined && entry.acceptUnacked !== '') ? !!entry.acceptUnacked : (prev ? prev.acceptUnacked : true),
+            // signed setpoint (negative values are power in the other direction, see _bypassMode)
+            signed: (entry.signed !== undefined) ? !!entry.signed : !!prev?.signed,
+            // '' = global unitConversionMode
+            unitMode: (entry.unitMode !== undefined) ? String(entry.unitMode || '').trim() : (prev?.unitMode || ''),
+            expression: compiled ? compiled.source : '',
+            compiled,
+            // detected after subscribing (see _detectUnit); kept meanwhile if the object is unchanged
+            unitScale: (prev && prev.objectId === objectId) ? prev.unitScale : 1,
+            unitStatus: (prev && prev.objectId === objectId) ? prev.unitStatus : 'none',
+            objectUnit: (prev && prev.objectId === objectId) ? prev.objectUnit : '',
         };
+        if (compiled) normalized.direction = 'in';
 
         if (!Number.isFinite(normalized.scale)) normalized.scale = 1;
         if (!Number.isFinite(normalized.offset)) normalized.offset = 0;
@@ -76,7 +1025,20 @@ class DatapointRegistry {
         if (!Number.isFinite(normalized.max)) normalized.max = undefined;
 
         this.byKey.set(key, normalized);
-        this.keyByObjectId.set(objectId, key);
+        if (objectId) this.keyByObjectId.set(objectId, key);
+
+        let owners = this.ownersByKey.get(key);
+        if (!owners) {
+            owners = new Set();
+            this.ownersByKey.set(key, owners);
+        }
+        owners.add(this._owner);
+        const touched = this._syncTouched.get(this._owner);
+        if (touched) touched.add(key);
+
+        // Re-mapped to another object: drop the old subscription if nothing else uses it
+        if (prev && prev.objectId !== objectId) await this._releaseObjectId(prev.objectId);
+        if (!objectId) return;
 
         // Subscribe (idempotent; ioBroker tolerates multiple subscribe calls)
         try {
@@ -88,10 +1050,12 @@ class DatapointRegistry {
         // Prime cache
         try {
             const st = await this.adapter.getForeignStateAsync(objectId);
-            if (st) this.handleStateChange(objectId, st);
+            if (st) this._cacheState(objectId, st);
         } catch (e) {
             // ignore (not all foreign states exist immediately)
         }
+
+        await this._detectUnit(normalized);
     }
 
     /**
@@ -101,11 +1065,102 @@ class DatapointRegistry {
      */
     handleStateChange(id, state) {
         if (!id) return;
+        this._cacheState(id, state);
+        if (state) {
+            this._checkReadback(id, state);
+            this._checkQuality(id, state);
+            // Our own commands are no new measurement
+            if (!this._isOwnCommand(state)) this._checkTrigger(id);
+        }
+    }
+
+    /**
+     * True if the state is a command written by this adapter instance (not yet confirmed).
+     * @param {ioBroker.State} state
+     */
+    _isOwnCommand(state) {
+        return !state.ack && state.from === `system.adapter.${this.adapter.namespace}`;
+    }
+
+    /**
+     * @param {string} id
+     * @param {ioBroker.State | null | undefined} state
+     */
+    _cacheState(id, state) {
         if (!state) {
             this.cacheByObjectId.delete(id);
             return;
         }
-        this.cacheByObjectId.set(id, { val: state.val, ts: state.ts || Date.now(), ack: !!state.ack });
+        const prev = this.cacheByObjectId.get(id);
+        const sample = { val: state.val, ts: state.ts || Date.now(), q: Number(state.q) || 0 };
+        this.cacheByObjectId.set(id, {
+            ...sample,
+            ack: !!state.ack,
+            from: String(state.from || ''),
+            measured: this._isOwnCommand(state) ? (prev?.measured || null) : sample,
+            acked: state.ack ? sample : (prev?.acked || null),
+        });
+    }
+
+    /**
+     * Log once when an input object reports bad quality and when it recovers.
+     * @param {string} id
+     * @param {ioBroker.State} state
+     */
+    _checkQuality(id, state) {
+        if (this._isOwnCommand(state)) return;
+        const q = Number(state.q) || 0;
+        const bad = !!(q & Q_BAD_MASK);
+        if (bad === this._badQualityLogged.has(id)) return;
+        // several keys may share the object; only inputs matter
+        let key = '';
+        for (const e of this.byKey.values()) {
+            if (e.objectId === id && e.direction === 'in') {
+                key = e.key;
+                break;
+            }
+        }
+        if (!key) return;
+        if (bad) {
+            this._badQualityLogged.add(id);
+            this.adapter.log.warn(`Datapoint '${key}' ('${id}') reports bad quality 0x${q.toString(16).padStart(2, '0')}${state.from ? ` from ${state.from}` : ''}, treated as stale`);
+        } else {
+            this._badQualityLogged.delete(id);
+            this.adapter.log.info(`Datapoint '${key}' ('${id}') reports good quality again`);
+        }
+    }
+
+    /**
+     * The cached value an entry reads: outputs the current value, inputs the latest measurement
+     * (only acknowledged values if the entry does not accept unacked ones).
+     * @param {any} e
+     * @returns {Sample|null}
+     */
+    _sample(e) {
+        const c = this.cacheByObjectId.get(e.objectId);
+        if (!c) return null;
+        if (e.direction !== 'in') return c;
+        return e.acceptUnacked ? c.measured : c.acked;
+    }
+
+    /**
+     * Several keys may share one objectId (e.g. ps.gridPowerW and grid.powerW), so the trigger set
+     * is matched against the entries instead of keyByObjectId.
+     * @param {string} id
+     */
+    _checkTrigger(id) {
+        if (!this._onTrigger || !this.triggerKeys.size) return;
+        for (const key of this.triggerKeys) {
+            const e = this.byKey.get(key);
+            if (e && (e.compiled ? this._dependsOn(e, id, new Set()) : e.objectId === id)) {
+                try {
+                    this._onTrigger(key);
+                } catch (err) {
+                    this.adapter.log.warn(`Datapoint trigger failed for '${key}': ${err?.message || err}`);
+                }
+                return;
+            }
+        }
     }
 
     /**
@@ -117,19 +1172,165 @@ class DatapointRegistry {
     }
 
     /**
+     * True if the virtual entry reads the object (directly or through other virtual entries).
+     * @param {any} e
+     * @param {string} id
+     * @param {Set<string>} seen
+     * @returns {boolean}
+     */
+    _dependsOn(e, id, seen) {
+        if (seen.has(e.key)) return false;
+        seen.add(e.key);
+        for (const r of e.compiled.refs) {
+            const re = this.byKey.get(r);
+            if (!re) continue;
+            if (re.compiled ? this._dependsOn(re, id, seen) : re.objectId === id) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Evaluate a virtual entry over the physical values of its inputs (virtual inputs are
+     * physical already, see getRaw). Cycles between virtual entries evaluate to null.
+     * @param {any} e
+     * @returns {number|null}
+     */
+    _evaluate(e) {
+        if (this._evaluating.has(e.key)) return null;
+        this._evaluating.add(e.key);
+        try {
+            return e.compiled.evaluate((k) => {
+                const re = this.byKey.get(k);
+                const raw = re ? this.getRaw(k) : null;
+                if (raw === null || raw === undefined) return null;
+                return re.compiled ? raw : this._number(re, raw, null);
+            });
+        } catch (err) {
+            return null;
+        } finally {
+            this._evaluating.delete(e.key);
+        }
+    }
+
+    /**
+     * Cached raw value; virtual entries return their physical value (the expression with the
+     * entry's own scale/offset/invert applied), they have no raw value.
      * @param {string} key
      * @returns {any|null}
      */
     getRaw(key) {
         const e = this.getEntry(key);
         if (!e) return null;
-        const c = this.cacheByObjectId.get(e.objectId);
+        if (e.compiled) {
+            const v = this._evaluate(e);
+            return v === null ? null : this._number(e, v, null);
+        }
+        const c = this._sample(e);
         return c ? c.val : null;
     }
 
+    /**
+     * ioBroker quality (`q`) of the value a key reads, 0 = good. Virtual entries report the first
+     * input with bad quality.
+     *
+     * @param {string} key
+     * @returns {number|null} null if unknown or not cached
+     */
+    getQuality(key) {
+        const e = this.getEntry(key);
+        if (!e) return null;
+        if (e.compiled) {
+            if (this._evaluating.has(e.key)) return null;
+            this._evaluating.add(e.key);
+            try {
+                let q = 0;
+                for (const r of e.compiled.refs) {
+                    const rq = this.getQuality(r);
+                    if (rq === null) continue;
+                    if (rq & Q_BAD_MASK) return rq;
+                    q = q || rq;
+                }
+                return q;
+            } finally {
+                this._evaluating.delete(e.key);
+            }
+        }
+        const c = this._sample(e);
+        return c ? c.q : null;
+    }
+
+    /**
+     * True if the value of the key is marked as unusable by its source (see Q_BAD_MASK).
+     * @param {string} key
+     */
+    hasBadQuality(key) {
+        return !!((this.getQuality(key) || 0) & Q_BAD_MASK);
+    }
+
+    /**
+     * All entries with cached value, age and owners (message API getDatapoints).
+     * @param {string} [filter] only keys / object IDs containing this text
+     * @returns {Array<any>}
+     */
+    dump(filter) {
+        const f = String(filter || '').trim();
+        const now = Date.now();
+        const out = [];
+        for (const e of this.byKey.values()) {
+            if (f && !e.key.includes(f) && !e.objectId.includes(f)) continue;
+            if (e.compiled) {
+                const age = this.getAgeMs(e.key);
+                out.push({
+                    key: e.key,
+                    objectId: '',
+                    expression: e.expression,
+                    name: e.name,
+                    dataType: e.dataType,
+                    direction: e.direction,
+                    unit: e.unit,
+                    owners: Array.from(this.ownersByKey.get(e.key) || []),
+                    refs: e.compiled.refs.slice(),
+                    val: this.getRaw(e.key),
+                    ts: Number.isFinite(age) ? now - age : null,
+                    ageMs: Number.isFinite(age) ? age : null,
+                    ack: null,
+                    q: this.getQuality(e.key),
+                    lastWrite: null,
+                });
+                continue;
+            }
+            const c = this._sample(e);
+            const cur = this.cacheByObjectId.get(e.objectId);
+            const w = this.lastWriteByObjectId.get(e.objectId);
+            out.push({
+                key: e.key,
+                objectId: e.objectId,
+                name: e.name,
+                dataType: e.dataType,
+                direction: e.direction,
+                unit: e.unit,
+                owners: Array.from(this.ownersByKey.get(e.key) || []),
+                val: c ? c.val : null,
+                ts: c ? c.ts : null,
+                ageMs: (c && Number.isFinite(c.ts)) ? Math.max(0, now - c.ts) : null,
+                ack: cur ? cur.ack : null,
+                q: c ? c.q : null,
+                from: cur ? cur.from : null,
+                ...((e.direction === 'in' && cur && c !== cur) ? { unconfirmed: { val: cur.val, ts: cur.ts, ack: cur.ack, from: cur.from } } : {}),
+                ...(e.acceptUnacked ? {} : { acceptUnacked: false }),
+                lastWrite: w ? { val: w.val, ts: w.ts } : null,
+                ...(this._rateOptions(e) ? { rateLimit: this._rateInfo(e, now) } : {}),
+                ...(e.objectUnit ? { unitConversion: { objectUnit: e.objectUnit, status: e.unitStatus, factor: e.unitScale || 1 } } : {}),
+                ...(this.writeHealth.has(e.objectId) ? { health: this.getWriteHealth().find(h => h.objectId === e.objectId) } : {}),
+            });
+        }
+        return out.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
     /**
      * Age of the cached datapoint value in milliseconds.
      * If the datapoint is unknown or not cached yet, returns +Infinity.
+     * Virtual entries are as old as their oldest input (0 without inputs).
      *
      * @param {string} key
      * @returns {number}
@@ -137,7 +1338,16 @@ class DatapointRegistry {
     getAgeMs(key) {
         const e = this.getEntry(key);
         if (!e) return Number.POSITIVE_INFINITY;
-        const c = this.cacheByObjectId.get(e.objectId);
+        if (e.compiled) {
+            if (this._evaluating.has(e.key)) return Number.POSITIVE_INFINITY;
+            this._evaluating.add(e.key);
+            try {
+                return e.compiled.refs.reduce((age, r) => Math.max(age, this.getAgeMs(r)), 0);
+            } finally {
+                this._evaluating.delete(e.key);
+            }
+        }
+        const c = this._sample(e);
         const ts = c && Number.isFinite(c.ts) ? Number(c.ts) : null;
         if (!ts) return Number.POSITIVE_INFINITY;
         const age = Date.now() - ts;
@@ -146,7 +1356,7 @@ class DatapointRegistry {
 
     /**
      * Returns true if the cached value is older than maxAgeMs.
-     * If the datapoint is unknown/not cached, it is treated as stale.
+     * If the datapoint is unknown/not cached or its value has bad quality, it is treated as stale.
      *
      * @param {string} key
      * @param {number} maxAgeMs
@@ -154,13 +1364,13 @@ class DatapointRegistry {
      */
     isStale(key, maxAgeMs) {
         const age = this.getAgeMs(key);
-        if (!Number.isFinite(age)) return true;
+        if (!Number.isFinite(age) || this.hasBadQuality(key)) return true;
         if (!Number.isFinite(maxAgeMs) || maxAgeMs <= 0) return age === Number.POSITIVE_INFINITY;
         return age > maxAgeMs;
     }
 
     /**
-     * Read a numeric datapoint only if it is fresh.
+     * Read a numeric datapoint only if it is fresh (and of good quality).
      *
      * @param {string} key
      * @param {number} maxAgeMs
@@ -180,12 +1390,23 @@ class DatapointRegistry {
         const e = this.getEntry(key);
         if (!e) return fallback;
         const raw = this.getRaw(key);
+        if (e.compiled) return raw === null ? fallback : raw;
+        return this._number(e, raw, fallback);
+    }
+
+    /**
+     * Raw value -> physical number (transform and clamp).
+     * @param {any} e entry
+     * @param {any} raw
+     * @param {number|null} fallback
+     */
+    _number(e, raw, fallback) {
         const n = Number(raw);
         if (!Number.isFinite(n)) return fallback;
 
         let v = n;
         if (e.invert) v = -v;
-        v = v * e.scale + e.offset;
+        v = v * this._scale(e) + e.offset;
 
         if (typeof e.min === 'number' && Number.isFinite(e.min)) v = Math.max(e.min, v);
         if (typeof e.max === 'number' && Number.isFinite(e.max)) v = Math.min(e.max, v);
@@ -222,29 +1443,42 @@ class DatapointRegistry {
      */
     async writeNumber(key, value, ack = false) {
         const e = this.getEntry(key);
-        if (!e) return false;
+        if (!e || e.compiled) return false;
 
         let v = Number(value);
         if (!Number.isFinite(v)) return false;
 
+        // competing writers of the same object (owner = module of this view)
+        if (this.arbiter) v = Number(this.arbiter.resolve(e.objectId, this._owner, 'number', v));
+
         // clamp in physical space
         if (typeof e.min === 'number' && Number.isFinite(e.min)) v = Math.max(e.min, v);
         if (typeof e.max === 'number' && Number.isFinite(e.max)) v = Math.min(e.max, v);
 
         // reverse transform
-        let raw = (v - e.offset) / (e.scale || 1);
+        let raw = (v - e.offset) / (this._scale(e) || 1);
         if (e.invert) raw = -raw;
 
-        // deadband in physical space against last written value
-        const last = this.lastWriteByObjectId.get(e.objectId);
+        // deadband in physical space against last written (dry run: last recorded) value
+        const dryRun = this.isDryRun();
+        const last = (dryRun ? this.shadowByObjectId : this.lastWriteByObjectId).get(e.objectId);
         if (last && Number.isFinite(last.val) && e.deadband > 0 && Math.abs(v - last.val) < e.deadband) {
-            // No write needed (idempotent)
+            // No write needed (idempotent); a held-back value is obsolete
+            if (!dryRun) this.pendingWrites.delete(e.objectId);
             return null;
         }
 
+        if (dryRun) {
+            this._recordShadow(e, v, raw);
+            return true;
+        }
+
+        // rate limit: held back until the window opens (see checkWrites)
+        if (this._holdBack(e, last, v, v, raw, ack)) return null;
+
         try {
             await this.adapter.setForeignStateAsync(e.objectId, raw, ack);
-            this.lastWriteByObjectId.set(e.objectId, { val: v, ts: Date.now() });
+            this._afterWrite(e, v, v, raw, ack);
             return true;
         } catch (err) {
             this.adapter.log.warn(`Datapoint write failed for '${e.objectId}': ${err?.message || err}`);
@@ -259,21 +1493,32 @@ class DatapointRegistry {
      */
     async writeBoolean(key, value, ack = false) {
         const e = this.getEntry(key);
-        if (!e) return false;
+        if (!e || e.compiled) return false;
 
         let b = !!value;
+        if (this.arbiter) b = !!this.arbiter.resolve(e.objectId, this._owner, 'boolean', b);
         if (e.invert) b = !b;
 
         // idempotent: skip if unchanged (based on last written physical value)
-        const last = this.lastWriteByObjectId.get(e.objectId);
+        const dryRun = this.isDryRun();
+        const last = (dryRun ? this.shadowByObjectId : this.lastWriteByObjectId).get(e.objectId);
         const phys = b ? 1 : 0;
         if (last && typeof last.val !== 'undefined' && Number.isFinite(last.val) && Number(last.val) === phys) {
+            if (!dryRun) this.pendingWrites.delete(e.objectId);
             return null;
         }
 
+        if (dryRun) {
+            this._recordShadow(e, e.invert ? !b : b, b);
+            this.shadowByObjectId.set(e.objectId, { val: phys, ts: Date.now() });
+            return true;
+        }
+
+        if (this._holdBack(e, last, phys, e.invert ? !b : b, b, ack)) return null;
+
         try {
             await this.adapter.setForeignStateAsync(e.objectId, b, ack);
-            this.lastWriteByObjectId.set(e.objectId, { val: b ? 1 : 0, ts: Date.now() });
+            this._afterWrite(e, b ? 1 : 0, e.invert ? !b : b, b, ack);
             return true;
         } catch (err) {
             this.adapter.log.warn(`Datapoint write failed for '${e.objectId}': ${err?.message || err}`);
@@ -0,0 +1,269 @@
+'use strict';
+
+/**
+ * Expressions of virtual datapoints (see DatapointRegistry, entries with `expression`).
+ *
+ * Operands are numbers and datapoint keys (physical values, e.g. `meter1.powerW + meter2.powerW`).
+ * Supported: + - * / %, unary -, comparisons (< <= > >= == !=), && || !, `cond ? a : b` and the
+ * functions min, max, sum, avg, abs, round, clamp(x, lo, hi), if(cond, a, b) and coalesce(a, b, ...).
+ * Comparisons and logic yield 1/0. A missing input makes the whole result null, except inside
+ * coalesce() (first available argument) and in the branch of a condition that is not taken.
+ *
+ * Expressions are parsed once into closures; nothing is evaluated with eval/Function.
+ */
+
+/**
+ * @typedef {(get: (key: string) => number|null) => number|null} Evaluator
+ */
+
+/**
+ * @typedef {object} CompiledExpression
+ * @property {string} source
+ * @property {string[]} refs      referenced datapoint keys
+ * @property {Evaluator} evaluate
+ */
+
+/** @type {Record<string, {min: number, max: number, fn: (args: Evaluator[], get: any) => number|null}>} */
+const FUNCTIONS = {
+    min: { min: 1, max: Infinity, fn: (args, get) => reduce(args, get, (a, b) => Math.min(a, b)) },
+    max: { min: 1, max: Infinity, fn: (args, get) => reduce(args, get, (a, b) => Math.max(a, b)) },
+    sum: { min: 1, max: Infinity, fn: (args, get) => reduce(args, get, (a, b) => a + b) },
+    avg: { min: 1, max: Infinity, fn: (args, get) => {
+        const s = reduce(args, get, (a, b) => a + b);
+        return s === null ? null : s / args.length;
+    } },
+    abs: { min: 1, max: 1, fn: (args, get) => map1(args[0], get, Math.abs) },
+    round: { min: 1, max: 2, fn: (args, get) => {
+        const v = args[0](get);
+        const d = args.length > 1 ? args[1](get) : 0;
+        if (v === null || d === null) return null;
+        const f = Math.pow(10, Math.round(d));
+        return Math.round(v * f) / f;
+    } },
+    clamp: { min: 3, max: 3, fn: (args, get) => {
+        const [v, lo, hi] = args.map(a => a(get));
+        if (v === null || lo === null || hi === null) return null;
+        return Math.min(hi, Math.max(lo, v));
+    } },
+    if: { min: 3, max: 3, fn: (args, get) => conditional(args[0], args[1], args[2], get) },
+    coalesce: { min: 1, max: Infinity, fn: (args, get) => {
+        for (const a of args) {
+            const v = a(get);
+            if (v !== null) return v;
+        }
+        return null;
+    } },
+};
+
+/**
+ * @param {Evaluator[]} args
+ * @param {any} get
+ * @param {(a: number, b: number) => number} op
+ */
+function reduce(args, get, op) {
+    let acc = null;
+    for (const a of args) {
+        const v = a(get);
+        if (v === null) return null;
+        acc = acc === null ? v : op(acc, v);
+    }
+    return acc;
+}
+
+/**
+ * @param {Evaluator} a
+ * @param {any} get
+ * @param {(v: number) => number} fn
+ */
+function map1(a, get, fn) {
+    const v = a(get);
+    return v === null ? null : fn(v);
+}
+
+/**
+ * @param {Evaluator} cond
+ * @param {Evaluator} a
+ * @param {Evaluator} b
+ * @param {any} get
+ */
+function conditional(cond, a, b, get) {
+    const c = cond(get);
+    if (c === null) return null;
+    return c ? a(get) : b(get);
+}
+
+/**
+ * @param {Evaluator} l
+ * @param {Evaluator} r
+ * @param {(a: number, b: number) => number|boolean} op
+ * @returns {Evaluator}
+ */
+function binary(l, r, op) {
+    return (get) => {
+        const a = l(get);
+        if (a === null) return null;
+        const b = r(get);
+        if (b === null) return null;
+        const v = Number(op(a, b));
+        return Number.isFinite(v) ? v : null;
+    };
+}
+
+/** Binary operators by precedence (higher binds tighter) */
+const BINARY = {
+    '||': { prec: 1, op: (a, b) => (a || b) ? 1 : 0 },
+    '&&': { prec: 2, op: (a, b) => (a && b) ? 1 : 0 },
+    '==': { prec: 3, op: (a, b) => a === b },
+    '!=': { prec: 3, op: (a, b) => a !== b },
+    '<': { prec: 4, op: (a, b) => a < b },
+    '<=': { prec: 4, op: (a, b) => a <= b },
+    '>': { prec: 4, op: (a, b) => a > b },
+    '>=': { prec: 4, op: (a, b) => a >= b },
+    '+': { prec: 5, op: (a, b) => a + b },
+    '-': { prec: 5, op: (a, b) => a - b },
+    '*': { prec: 6, op: (a, b) => a * b },
+    '/': { prec: 6, op: (a, b) => a / b },
+    '%': { prec: 6, op: (a, b) => a % b },
+};
+
+const TOKEN_RE = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_.]*)|(\|\||&&|==|!=|<=|>=|[-+*/%<>!?:(),]))/y;
+
+/**
+ * @param {string} src
+ * @returns {Array<{type: 'num'|'id'|'op', value: string, pos: number}>}
+ */
+function tokenize(src) {
+    const tokens = [];
+    TOKEN_RE.lastIndex = 0;
+    let pos = 0;
+    while (pos < src.length) {
+        if (/^\s*$/.test(src.slice(pos))) break;
+        TOKEN_RE.lastIndex = pos;
+        const m = TOKEN_RE.exec(src);
+        if (!m) throw new Error(`unexpected character '${src.slice(pos).trim()[0]}' at ${pos + 1}`);
+        const at = m.index + m[0].length - (m[1] || m[2] || m[3]).length;
+        if (m[1] !== undefined) tokens.push({ type: 'num', value: m[1], pos: at });
+        else if (m[2] !== undefined) tokens.push({ type: 'id', value: m[2], pos: at });
+        else tokens.push({ type: 'op', value: m[3], pos: at });
+        pos = TOKEN_RE.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * Parse an expression.
+ *
+ * @param {string} source
+ * @returns {CompiledExpression}
+ * @throws {Error} on syntax errors (message with position)
+ */
+function compileExpression(source) {
+    const src = String(source ?? '');
+    const tokens = tokenize(src);
+    if (!tokens.length) throw new Error('empty expression');
+    /** @type {Set<string>} */
+    const refs = new Set();
+    let i = 0;
+
+    const peek = () => tokens[i] || null;
+    const fail = (msg, t = peek()) => new Error(`${msg} at ${t ? t.pos + 1 : src.length + 1}`);
+    /**
+     * @param {string} op
+     */
+    const expect = (op) => {
+        const t = peek();
+        if (!t || t.type !== 'op' || t.value !== op) throw fail(`'${op}' expected`);
+        i++;
+    };
+
+    /** @returns {Evaluator} */
+    const parseTernary = () => {
+        const cond = parseBinary(1);
+        const t = peek();
+        if (!t || t.value !== '?') return cond;
+        i++;
+        const a = parseTernary();
+        expect(':');
+        const b = parseTernary();
+        return (get) => conditional(cond, a, b, get);
+    };
+
+    /**
+     * @param {number} minPrec
+     * @returns {Evaluator}
+     */
+    const parseBinary = (minPrec) => {
+        let left = parseUnary();
+        for (;;) {
+            const t = peek();
+            const def = (t && t.type === 'op') ? BINARY[t.value] : null;
+            if (!def || def.prec < minPrec) return left;
+            i++;
+            const right = parseBinary(def.prec + 1);
+            left = binary(left, right, def.op);
+        }
+    };
+
+    /** @returns {Evaluator} */
+    const parseUnary = () => {
+        const t = peek();
+        if (t && t.type === 'op' && (t.value === '-' || t.value === '+' || t.value === '!')) {
+            i++;
+            const inner = parseUnary();
+            if (t.value === '-') return (get) => map1(inner, get, v => -v);
+            if (t.value === '!') return (get) => map1(inner, get, v => (v ? 0 : 1));
+            return inner;
+        }
+        return parsePrimary();
+    };
+
+    /** @returns {Evaluator} */
+    const parsePrimary = () => {
+        const t = peek();
+        if (!t) throw fail('unexpected end of expression');
+        i++;
+        if (t.type === 'num') {
+            const n = Number(t.value);
+            return () => n;
+        }
+        if (t.type === 'op' && t.value === '(') {
+            const inner = parseTernary();
+            expect(')');
+            return inner;
+        }
+        if (t.type === 'id') {
+            const next = peek();
+            if (next && next.value === '(') {
+                const f = FUNCTIONS[t.value];
+                if (!f) throw fail(`unknown function '${t.value}'`, t);
+                i++;
+                /** @type {Evaluator[]} */
+                const args = [];
+                if (!(peek() && peek().value === ')')) {
+                    args.push(parseTernary());
+                    while (peek() && peek().value === ',') {
+                        i++;
+                        args.push(parseTernary());
+                    }
+                }
+                expect(')');
+                if (args.length < f.min || args.length > f.max) throw fail(`wrong number of arguments for ${t.value}()`, t);
+                return (get) => f.fn(args, get);
+            }
+            const key = t.value;
+            refs.add(key);
+            return (get) => {
+                const v = get(key);
+                return (typeof v === 'number' && Number.isFinite(v)) ? v : null;
+            };
+        }
+        throw fail(`unexpected '${t.value}'`, t);
+    };
+
+    const root = parseTernary();
+    if (i < tokens.length) throw fail(`unexpected '${tokens[i].value}'`);
+
+    return { source: src, refs: Array.from(refs), evaluate: root };
+}
+
+module.exports = { compileExpression };
@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Live settings: config entries applied without an adapter restart.
+ *
+ * js-controller restarts the instance whenever system.adapter.<namespace> changes, so settings that
+ * are applied live cannot be stored in the instance object. They are kept in the own state
+ * `control.liveConfig` instead and applied over the saved instance settings at startup and on every
+ * config reload:
+ *
+ *   { "native": { "peakShaving": { ... } }, "base": { "peakShaving": { ... } }, "ts": 1717322400000 }
+ *
+ * `native` holds the top-level config entries that differ from the saved settings, `base` the saved
+ * value each entry was applied over. When the saved value changes (admin save) the saved one wins
+ * and the live entry is dropped; an entry equal to the saved value is no longer needed.
+ */
+
+/**
+ * @typedef {object} LiveConfig
+ * @property {Record<string, any>} native
+ * @property {Record<string, any>} base
+ * @property {number} ts
+ */
+
+/**
+ * @param {any} a
+ * @param {any} b
+ */
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * @param {any} raw value of control.liveConfig (JSON string or object)
+ * @returns {LiveConfig}
+ */
+function parseLiveConfig(raw) {
+    let obj = raw;
+    if (typeof raw === 'string') {
+        try {
+            obj = raw.trim() ? JSON.parse(raw) : {};
+        } catch {
+            obj = {};
+        }
+    }
+    const native = (obj && obj.native && typeof obj.native === 'object' && !Array.isArray(obj.native)) ? obj.native : {};
+    const base = (obj && obj.base && typeof obj.base === 'object' && !Array.isArray(obj.base)) ? obj.base : {};
+    return { native: { ...native }, base: { ...base }, ts: Number(obj && obj.ts) || 0 };
+}
+
+/**
+ * Saved settings with the live entries applied.
+ *
+ * @param {Record<string, any>} stored native of the instance object
+ * @param {LiveConfig} live
+ * @returns {{config: Record<string, any>, live: LiveConfig, dropped: string[]}} `live` without stale
+ *   entries, `dropped` = entries replaced by a changed saved value
+ */
+function applyLiveConfig(stored, live) {
+    const config = { ...(stored || {}) };
+    /** @type {LiveConfig} */
+    const kept = { native: {}, base: {}, ts: live.ts };
+    const dropped = [];
+
+    for (const [key, value] of Object.entries(live.native)) {
+        if (same(value, config[key])) continue;
+        // Without base (written by a script) the current saved value is the base
+        const hasBase = Object.prototype.hasOwnProperty.call(live.base, key);
+        if (hasBase && !same(live.base[key], config[key])) {
+            dropped.push(key);
+            continue;
+        }
+        kept.native[key] = value;
+        kept.base[key] = hasBase ? live.base[key] : config[key];
+        config[key] = value;
+    }
+    return { config, live: kept, dropped };
+}
+
+/**
+ * Take over the entries of `native` (e.g. the admin form) that differ from the saved settings.
+ * Entries set back to the saved value are removed.
+ *
+ * @param {LiveConfig} live
+ * @param {Record<string, any>} stored native of the instance object
+ * @param {Record<string, any>} native
+ * @returns {LiveConfig}
+ */
+function updateLiveConfig(live, stored, native) {
+    const next = { native: { ...live.native }, base: { ...live.base }, ts: Date.now() };
+    const saved = stored || {};
+    for (const [key, value] of Object.entries(native || {})) {
+        if (same(value, saved[key])) {
+            delete next.native[key];
+            delete next.base[key];
+        } else {
+            next.native[key] = value;
+            next.base[key] = saved[key];
+        }
+    }
+    return next;
+}
+
+module.exports = { parseLiveConfig, applyLiveConfig, updateLiveConfig };
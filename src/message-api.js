@@ -0,0 +1,340 @@
+'use strict';
+
+/**
+ * sendTo command API (scripts, VIS).
+ *
+ * Every command answers with an object `{ok: true, ...}` or `{ok: false, error}`:
+ * - getStatus                                   consolidated control status of all modules
+ * - setOverride {target, key, targetW|targetA, durationSec|until}
+ *                                               temporary override of a wallbox/consumer/storage target
+ * - clearOverride {target?, key?}               remove overrides (all without arguments)
+ * - simulateTick {values?, config?}             one tick in a sandbox with injected raw values, nothing is written
+ * - validateConfig {native?}                    config check report (see config-validator.js) for the running or the given config
+ * - getDatapoints {filter?}                     registry dump with cached values and ages
+ * - reloadConfig {native?, persist?, format?}  live config reload (see main.js requestReload); with `persist`
+ *                                               the entries of `native` are kept in control.liveConfig
+ * - getProfiles {target?, format?}              device profiles (see profiles.js); format 'select' answers
+ *                                               with [{label, value}] for the admin
+ * - applyProfile {profile, rootId, key?, native?}
+ *                                               config fields a profile fills for a device root (not saved)
+ * - exportConfig {tabs?, native?, format?}      config bundle (see config-bundle.js) of the running or given config
+ * - previewImport {bundle, tabs?, rewrites?, mode?, native?, format?}
+ *                                               changes an import would make, object IDs that do not exist
+ * - importConfig {bundle, tabs?, rewrites?, mode?, native?, save?}
+ *                                               imported config entries; stored in the instance with `save`
+ *   format 'admin' answers in the shape the admin sendTo buttons expect (`native` / `result`)
+ */
+
+const { DatapointRegistry } = require('./datapoints');
+const { ModuleManager } = require('./module-manager');
+const { ConfigValidator } = require('./config-validator');
+const { FakeAdapter } = require('./sim/fake-adapter');
+const { deepMerge } = require('./sim/simulator');
+const { loadProfiles, applyProfile } = require('./profiles');
+const { sourceBaseDir } = require('./plugins');
+const { exportBundle, readBundle, planImport, formatChanges } = require('./config-bundle');
+
+/**
+ * @typedef {object} MessageApiDeps
+ * @property {any} dp                  DatapointRegistry of the running adapter
+ * @property {any} modules             ModuleManager of the running adapter
+ * @property {(reason: string) => void} [requestTick]
+ * @property {(source: string, native?: any, persist?: boolean) => Promise<any>} [requestReload]
+ * @property {ConfigValidator} [validator]
+ */
+
+class MessageApi {
+    /**
+     * @param {import('@iobroker/adapter-core').AdapterInstance} adapter
+     * @param {MessageApiDeps} deps
+     */
+    constructor(adapter, deps) {
+        this.adapter = adapter;
+        this.dp = deps.dp;
+        this.modules = deps.modules;
+        this.requestTick = deps.requestTick || null;
+        this.requestReload = deps.requestReload || null;
+        this.validator = deps.validator || new ConfigValidator(adapter);
+
+        /** @type {Record<string, (msg: any, from: string) => Promise<any>>} */
+        this.commands = {
+            getStatus: async () => this._getStatus(),
+            setOverride: async (msg, from) => this._setOverride(msg, from),
+            clearOverride: async (msg) => this._clearOverride(msg),
+            simulateTick: async (msg) => this._simulateTick(msg),
+            validateConfig: async (msg) => this._validateConfig(msg),
+            getDatapoints: async (msg) => this._getDatapoints(msg),
+            reloadConfig: async (msg) => this._reloadConfig(msg),
+            getProfiles: async (msg) => this._getProfiles(msg),
+            applyProfile: async (msg) => this._applyProfile(msg),
+            exportConfig: async (msg) => this._exportConfig(msg),
+            previewImport: async (msg) => this._previewImport(msg),
+            importConfig: async (msg) => this._importConfig(msg),
+        };
+    }
+
+    /**
+     * @param {string} command
+     */
+    has(command) {
+        return Object.prototype.hasOwnProperty.call(this.commands, String(command || ''));
+    }
+
+    /**
+     * Run a command. Errors are returned as `{ok: false, error}`, never thrown.
+     *
+     * @param {string} command
+     * @param {any} message
+     * @param {string} [from]
+     * @returns {Promise<any>}
+     */
+    async handle(command, message, from = '') {
+        if (!this.has(command)) return { ok: false, error: `unknown command '${command}'` };
+        const msg = (message && typeof message === 'object') ? message : {};
+        try {
+            return await this.commands[command](msg, String(from || ''));
+        } catch (e) {
+            return { ok: false, error: String(e?.message || e) };
+        }
+    }
+
+    _getStatus() {
+        return { ok: true, ...this.modules.getStatus() };
+    }
+
+    /**
+     * @param {any} msg
+     * @param {string} from
+     */
+    _setOverride(msg, from) {
+        const override = this.modules.overrides.set({ ...msg, source: msg.source || from });
+        this.adapter.log.info(`Override set: ${override.target}${override.key ? ` '${override.key}'` : ''} until ${new Date(override.until).toISOString()} (${override.source || 'unknown'})`);
+        if (this.requestTick) this.requestTick('override');
+        return { ok: true, override };
+    }
+
+    /**
+     * @param {any} msg
+     */
+    _clearOverride(msg) {
+        const removed = this.modules.overrides.clear(msg.target ? String(msg.target) : '', msg.key ? String(msg.key) : '');
+        if (removed && this.requestTick) this.requestTick('override');
+        return { ok: true, removed };
+    }
+
+    /**
+     * @param {any} msg
+     */
+    _getDatapoints(msg) {
+        return { ok: true, datapoints: this.dp.dump(msg.filter) };
+    }
+
+    /**
+     * @param {any} msg
+     */
+    async _reloadConfig(msg) {
+        if (!this.requestReload) return { ok: false, error: 'reload not available' };
+        const result = await this.requestReload('message', msg.native, !!msg.persist);
+        if (msg.format !== 'admin') return result;
+        if (!result.ok) return { error: result.error || `failed: ${(result.failed || []).join(', ')}` };
+        return { result: `Applied without restart: ${(result.changed || []).join(', ') || 'nothing changed'}` };
+    }
+
+    /**
+     * @param {any} msg
+     */
+    _getProfiles(msg) {
+        const { profiles, errors } = loadProfiles(this.adapter.config || {}, { baseDir: sourceBaseDir(this.adapter) });
+        const list = profiles.filter(p => !msg.target || p.target === msg.target);
+        if (msg.format === 'select') return list.map(p => ({ label: `${p.title} [${p.target}]`, value: p.id }));
+        return {
+            ok: true,
+            profiles: list.map(p => ({ id: p.id, title: p.title, manufacturer: p.manufacturer, adapter: p.adapter, target: p.target, datapoints: Object.keys(p.datapoints) })),
+            errors,
+        };
+    }
+
+    /**
+     * Fill the config for a device root from a profile. The result (`native`: changed top-level
+     * entries, merged over `msg.native` or the running config) is returned for the admin form,
+     * not saved; objects that do not exist are listed in `missing`.
+     *
+     * @param {any} msg
+     */
+    async _applyProfile(msg) {
+        const { profiles } = loadProfiles(this.adapter.config || {}, { baseDir: sourceBaseDir(this.adapter) });
+        const profile = profiles.find(p => p.id === String(msg.profile || '').trim());
+        if (!profile) return { ok: false, error: `unknown profile '${msg.profile}'` };
+
+        const config = { ...(this.adapter.config || {}), ...((msg.native && typeof msg.native === 'object') ? msg.native : {}) };
+        const result = applyProfile(profile, config, { rootId: String(msg.rootId || ''), key: msg.key ? String(msg.key) : '' });
+
+        const missing = [];
+        for (const m of result.mapped) {
+            let obj = null;
+            try {
+                obj = await this.adapter.getForeignObjectAsync(m.objectId);
+            } catch {
+                obj = null;
+            }
+            if (!obj) missing.push(m.objectId);
+        }
+        return { ok: true, profile: profile.id, target: profile.target, key: result.key, native: result.native, mapped: result.mapped, missing };
+    }
+
+    /**
+     * Running config, with `msg.native` (admin form) merged over it.
+     * @param {any} msg
+     */
+    _config(msg) {
+        return { ...(this.adapter.config || {}), ...((msg.native && typeof msg.native === 'object') ? msg.native : {}) };
+    }
+
+    /**
+     * @param {any} msg
+     */
+    _exportConfig(msg) {
+        const bundle = exportBundle(this._config(msg), { dp: this.dp, tabs: msg.tabs });
+        if (msg.format === 'admin') return { native: { bundleJson: JSON.stringify(bundle, null, 2) } };
+        return { ok: true, bundle };
+    }
+
+    /**
+     * @param {any} msg
+     */
+    async _planImport(msg) {
+        const plan = planImport(readBundle(msg.bundle), this._config(msg), { tabs: msg.tabs, rewrites: msg.rewrites, mode: msg.mode });
+        const missing = [];
+        for (const id of plan.objectIds) {
+            let obj = null;
+            try {
+                obj = await this.adapter.getForeignObjectAsync(id);
+            } catch {
+                obj = null;
+            }
+            if (!obj) missing.push(id);
+        }
+        return { ...plan, missing };
+    }
+
+    /**
+     * @param {any} msg
+     */
+    async _previewImport(msg) {
+        const plan = await this._planImport(msg);
+        if (msg.format === 'admin') return { result: formatChanges(plan.changes, plan.missing) };
+        return { ok: true, tabs: plan.tabs, changes: plan.changes, missing: plan.missing };
+    }
+
+    /**
+     * Imported config entries (`native`: changed top-level entries). Returned for the admin form;
+     * with `save` they are written to the instance object, which restarts the adapter.
+     *
+     * @param {any} msg
+     */
+    async _importConfig(msg) {
+        const plan = await this._planImport(msg);
+        if (msg.format === 'admin') return { native: plan.native };
+        if (msg.save && Object.keys(plan.native).length) {
+            await this.adapter.extendForeignObjectAsync(`system.adapter.${this.adapter.namespace}`, { native: plan.native });
+            this.adapter.log.info(`Config bundle imported (${plan.tabs.join(', ')}): ${plan.changes.length} change(s) saved`);
+        }
+        return { ok: true, tabs: plan.tabs, native: plan.native, changes: plan.changes, missing: plan.missing, saved: !!msg.save };
+    }
+
+    /**
+     * Config check report. The running config is checked against the live registry and the report
+     * is published (diagnostics.configFindings); a given `msg.native` (merged over the running
+     * config) is checked against the datapoints a sandbox declares for it and only returned.
+     *
+     * @param {any} msg
+     */
+    async _validateConfig(msg) {
+        if (!msg.native || typeof msg.native !== 'object') {
+            const report = await this.validator.validate(this.adapter.config || {}, this.dp.dump());
+            await this.validator.publish(report);
+            return report;
+        }
+
+        const config = { ...(this.adapter.config || {}), ...msg.native };
+        const box = await this._createSandbox(config, {});
+        await box.mm.tick();
+        return this.validator.validate(config, box.dp.dump());
+    }
+
+    /**
+     * Copy of the running adapter on a FakeAdapter: own states, cached inputs and the runtime
+     * snapshots of the modules are copied, `values` (datapoint key or object ID -> raw value) are
+     * injected on top. Nothing done in the sandbox reaches the real devices or states.
+     *
+     * @param {any} config adapter config for the sandbox
+     * @param {Record<string, any>} values
+     */
+    async _createSandbox(config, values) {
+        // The sandbox never reaches a device, so record its writes instead of shadowing them
+        const cfg = { ...config, dryRun: false, dryRunModules: '' };
+        const sandbox = new FakeAdapter({ namespace: this.adapter.namespace, config: cfg, logLevel: 'warn' });
+
+        const own = await this.adapter.getStatesAsync('*');
+        for (const [id, st] of Object.entries(own || {})) {
+            if (st) sandbox.states.set(id, { ...st });
+        }
+        for (const [id, c] of this.dp.cacheByObjectId) {
+            // the last measurement, not a pending command of this adapter
+            const m = c.measured || c;
+            sandbox.states.set(id, { val: m.val, ack: m === c.acked || (m === c && c.ack), ts: m.ts, lc: m.ts, from: 'system.adapter.sim.0', q: m.q || 0 });
+        }
+        for (const m of this.modules.modules) {
+            if (!m.initialized || !m.instance || typeof m.instance.getSnapshot !== 'function') continue;
+            const data = m.instance.getSnapshot();
+            if (data === undefined) continue;
+            sandbox.states.set(`${sandbox.namespace}.persistence.${m.key}`, { val: JSON.stringify({ ts: Date.now(), data }), ack: true, ts: Date.now(), lc: Date.now(), from: '', q: 0 });
+        }
+
+        /** @type {Record<string, any>} */
+        const injected = {};
+        for (const [k, val] of Object.entries(values || {})) {
+            const e = this.dp.getEntry(k);
+            if (e && e.compiled) throw new Error(`'${k}' is a virtual datapoint, inject its inputs instead`);
+            const objectId = e ? e.objectId : k;
+            sandbox.setInput(objectId, val);
+            injected[objectId] = val;
+        }
+
+        const dp = new DatapointRegistry(sandbox, Array.isArray(cfg.globalDatapoints) ? cfg.globalDatapoints : []);
+        sandbox.stateChangeHandler = (id, st) => dp.handleStateChange(id, st);
+        await dp.init();
+
+        const mm = new ModuleManager(sandbox, dp);
+        await mm.init();
+        for (const o of this.modules.overrides.list()) mm.overrides.set(o);
+
+        return { sandbox, dp, mm, injected };
+    }
+
+    /**
+     * One control tick in a sandbox (see _createSandbox) with injected values.
+     * @param {any} msg
+     */
+    async _simulateTick(msg) {
+        const config = deepMerge(this.adapter.config || {}, (msg.config && typeof msg.config === 'object') ? msg.config : {});
+        const { sandbox, dp, mm, injected } = await this._createSandbox(config, (msg.values && typeof msg.values === 'object') ? msg.values : {});
+
+        const writeIdx = sandbox.writes.length;
+        await mm.tick();
+
+        const writes = sandbox.writes.slice(writeIdx)
+            .filter(w => !w.ack)
+            .map(w => ({ objectId: w.id, key: dp.keyByObjectId.get(w.id) || '', val: w.val }));
+
+        return {
+            ok: true,
+            injected,
+            writes,
+            status: mm.getStatus(),
+            warnings: sandbox.logs.filter(l => l.level === 'warn' || l.level === 'error').map(l => l.msg),
+        };
+    }
+}
+
+module.exports = { MessageApi };
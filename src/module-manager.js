@@ -7,6 +7,37 @@ const { PeakShavingModule } = require('./modules/peak-shaving');
 const { TarifVisModule } = require('./modules/tarif-vis');
 const { ChargingManagementModule } = require('./modules/charging-management');
 const { MultiUseModule } = require('./modules/multi-use');
+const { ControlBus } = require('./control-bus');
+const { ModuleStateStore } = require('./persistence');
+const { SetpointArbiter, findOutputConflicts } = require('./arbiter');
+const { OverrideStore } = require('./overrides');
+const { loadPlugins, parsePluginConfig, resolvePluginConfig, sourceBaseDir } = require('./plugins');
+const { orderModules } = require('./module-order');
+
+/**
+ * Built-in modules in registration order (the order used wherever their dependencies leave a choice).
+ * @type {ReadonlyArray<{key: string, Module: any, enabled: (config: any) => boolean}>}
+ */
+const BUILTIN_MODULES = Object.freeze([
+    // Speicher-Zuordnung (Installateur) – registriert st.* Datenpunkte
+    { key: 'speicherMapping', Module: SpeicherMappingModule, enabled: () => true },
+    // Grid constraints (RLM / Nulleinspeisung)
+    { key: 'gridConstraints', Module: GridConstraintsModule, enabled: c => !!c.enableGridConstraints },
+    { key: 'peakShaving', Module: PeakShavingModule, enabled: c => !!c.enablePeakShaving },
+    // Tarif (VIS) – stellt Ladepark-Deckel bereit
+    { key: 'tarifVis', Module: TarifVisModule, enabled: () => true },
+    // Speicher-Regelung (Sollleistung/Reserve/PV/Lastspitze)
+    { key: 'speicherRegelung', Module: SpeicherRegelungModule, enabled: () => true },
+    { key: 'chargingManagement', Module: ChargingManagementModule, enabled: c => !!c.enableChargingManagement },
+    { key: 'multiUse', Module: MultiUseModule, enabled: c => !!c.enableMultiUse },
+]);
+
+/** First open period of a plugin circuit breaker; doubles with every further trip (max. 10 min) */
+const PLUGIN_BREAKER_BASE_MS = 30000;
+const PLUGIN_BREAKER_MAX_MS = 10 * 60 * 1000;
+
+/** Consecutive tick-budget skips after which a module runs anyway (a slow module before it cannot starve it) */
+const MAX_BUDGET_SKIPS = 3;
 
 class ModuleManager {
     /**
@@ -17,9 +48,38 @@ class ModuleManager {
         this.adapter = adapter;
         this.dp = dpRegistry || null;
 
-        /** @type {Array<{key: string, instance: any, enabledFn: () => boolean}>} */
+        /** In-process bus for module outputs (see control-bus.js) */
+        this.bus = new ControlBus(adapter ? adapter.log : null);
+
+        /** Merges competing writes of several modules to the same output (see arbiter.js) */
+        this.arbiter = new SetpointArbiter(adapter ? adapter.log : null);
+
+        /** Temporary manual overrides (message API setOverride, see overrides.js) */
+        this.overrides = new OverrideStore();
+
+        /** @type {Array<{key: string, instance: any, enabledFn: () => boolean, initialized?: boolean, plugin?: any, breaker?: any}>} */
         this.modules = [];
 
+        /** @type {Record<string, any>} parsed setting "pluginConfig" (plugin key -> section) */
+        this._pluginConfig = {};
+
+        /**
+         * Per-module scheduling state (cadence, overruns, deferral).
+         * @type {Map<string, {lastRunMs:number, lastMs:number, runs:number, skipped:number, overruns:number, consecutiveOverruns:number, deferUntilMs:number, lastWarnMs:number}>}
+         */
+        this._sched = new Map();
+
+        /** Modules whose datapoint declarations are swept after their next successful tick (config reload) */
+        this._pendingSweep = new Set();
+
+        this._lastPersistMs = 0;
+
+        /** @type {Set<string>} modules in dry run (besides the global switch) */
+        this._dryRunModules = new Set();
+
+        /** @type {import('./module-order').OrderReport|null} execution order and dependency report */
+        this.moduleOrder = null;
+
         this._lastDiagLogMs = 0;
         this._lastDiagWriteMs = 0;
         this._tickCount = 0;
@@ -71,81 +131,524 @@ class ModuleManager {
         return s.length > maxLen ? (s.slice(0, maxLen) + '...') : s;
     }
 
-    async init() {
-        // Speicher-Zuordnung (Installateur) – registriert st.* Datenpunkte
-        this.modules.push({
-            key: 'speicherMapping',
-            instance: new SpeicherMappingModule(this.adapter, this.dp),
-            enabledFn: () => true,
-        });
+    /**
+     * Effective scheduling settings of a module: defaults declared by the module (instance.timing),
+     * overridden by the admin table "moduleTiming" ({module, intervalMs, maxTickMs}).
+     * @param {{key: string, instance: any}} m
+     * @returns {{intervalMs: number, maxTickMs: number, critical: boolean}}
+     */
+    _getTiming(m) {
+        const def = (m && m.instance && m.instance.timing) ? m.instance.timing : {};
+        const rows = (this.adapter && this.adapter.config && Array.isArray(this.adapter.config.moduleTiming)) ? this.adapter.config.moduleTiming : [];
+        const row = rows.find(r => r && String(r.module || '').trim() === m.key) || null;
+
+        const pick = (v, fallback) => {
+            if (v === undefined || v === null || v === '') return fallback;
+            const n = Number(v);
+            return (Number.isFinite(n) && n >= 0) ? n : fallback;
+        };
+
+        const intervalMs = pick(row ? row.intervalMs : undefined, pick(def.intervalMs, 0));
+        const maxTickMs = pick(row ? row.maxTickMs : undefined, pick(def.maxTickMs, 0));
+        return { intervalMs, maxTickMs, critical: !!def.critical };
+    }
 
-        // Grid constraints (RLM / Nulleinspeisung)
-        this.modules.push({
-            key: 'gridConstraints',
-            instance: new GridConstraintsModule(this.adapter, this.dp),
-            enabledFn: () => !!this.adapter.config.enableGridConstraints,
-        });
+    /**
+     * @param {string} key
+     */
+    _getSched(key) {
+        let st = this._sched.get(key);
+        if (!st) {
+            st = { lastRunMs: 0, lastMs: 0, runs: 0, skipped: 0, overruns: 0, consecutiveOverruns: 0, deferUntilMs: 0, lastWarnMs: 0, budgetSkips: 0 };
+            this._sched.set(key, st);
+        }
+        return st;
+    }
 
-        // Peak shaving
-        this.modules.push({
-            key: 'peakShaving',
-            instance: new PeakShavingModule(this.adapter, this.dp),
-            enabledFn: () => !!this.adapter.config.enablePeakShaving,
-        });
+    /**
+     * Registry view that attributes upserts to the module (needed to release datapoints on config reload).
+     * @param {string} key
+     */
+    _dpFor(key) {
+        return (this.dp && typeof this.dp.forOwner === 'function') ? this.dp.forOwner(key) : this.dp;
+    }
 
-                // Tarif (VIS) – stellt Ladepark-Deckel bereit
-        this.modules.push({
-            key: 'tarifVis',
-            instance: new TarifVisModule(this.adapter, this.dp),
-            enabledFn: () => true,
-        });
-        // Speicher-Regelung (Sollleistung/Reserve/PV/Lastspitze)
-        this.modules.push({
-            key: 'speicherRegelung',
-            instance: new SpeicherRegelungModule(this.adapter, this.dp),
-            enabledFn: () => true,
-        });
+    _getPersistIntervalMs() {
+        const n = Number(this.adapter && this.adapter.config ? (this.adapter.config.persistenceIntervalSec ?? 30) : 30);
+        return (Number.isFinite(n) && n > 0) ? Math.round(n * 1000) : 0;
+    }
 
+    _getTickBudgetMs() {
+        const n = Number(this.adapter && this.adapter.config ? this.adapter.config.schedulerTickBudgetMs : 0);
+        return (Number.isFinite(n) && n > 0) ? n : 0;
+    }
 
+    /**
+     * Apply the arbiter settings and report outputs that are configured for more than one module.
+     */
+    _configureArbiter() {
+        const cfg = (this.adapter && this.adapter.config) ? this.adapter.config : {};
+        this.arbiter.configure(cfg);
+        this.arbiter.configConflicts = findOutputConflicts(cfg);
+        this._configureArbiterCadences();
+        for (const c of this.arbiter.configConflicts) {
+            const who = c.owners.map(o => `${o.module} (${o.ref})`).join(', ');
+            this.adapter.log.warn(`Output '${c.objectId}' is configured for several modules: ${who} - values are merged (${this.arbiter.mode})`);
+        }
+    }
 
-// Charging management
-        this.modules.push({
-            key: 'chargingManagement',
-            instance: new ChargingManagementModule(this.adapter, this.dp),
-            enabledFn: () => !!this.adapter.config.enableChargingManagement,
-        });
+    /**
+     * Arbiter requests must outlive the time between two writes of their module: at least the
+     * scheduler interval (watchdog), longer for modules with a slower cadence (see _getTiming).
+     */
+    _configureArbiterCadences() {
+        const cfg = (this.adapter && this.adapter.config) ? this.adapter.config : {};
+        const n = Number(cfg.schedulerIntervalMs || 1000);
+        const tickMs = (Number.isFinite(n) && n >= 250) ? n : 1000;
+        const cadences = new Map([['global', tickMs]]);
+        for (const m of this.modules) {
+            const timing = this._getTiming(m);
+            cadences.set(m.key, timing.critical ? tickMs : Math.max(tickMs, timing.intervalMs));
+        }
+        this.arbiter.setCadences(cadences);
+    }
 
-        // Multi use (future)
-        this.modules.push({
-            key: 'multiUse',
-            instance: new MultiUseModule(this.adapter, this.dp),
-            enabledFn: () => !!this.adapter.config.enableMultiUse,
-        });
+    /**
+     * Dry run (shadow mode): global switch "dryRun" or per module (list "dryRunModules").
+     * @param {string} owner module key ('global' for writes outside of modules)
+     */
+    _isDryRun(owner) {
+        const cfg = (this.adapter && this.adapter.config) ? this.adapter.config : {};
+        if (cfg.dryRun) return true;
+        return this._dryRunModules.has(owner);
+    }
+
+    _configureDryRun() {
+        const cfg = (this.adapter && this.adapter.config) ? this.adapter.config : {};
+        const raw = cfg.dryRunModules;
+        const list = (Array.isArray(raw) ? raw : String(raw ?? '').split(/[\s,;]+/)).map(k => String(k || '').trim()).filter(Boolean);
+        this._dryRunModules = new Set(list);
+
+        if (cfg.dryRun) this.adapter.log.info('Dry run active: no values are written to devices (see states shadow.*)');
+        else if (list.length) this.adapter.log.info(`Dry run active for modules: ${list.join(', ')} (see states shadow.*)`);
+    }
+
+    _getPluginTimeoutMs() {
+        const n = Number(this.adapter && this.adapter.config ? (this.adapter.config.pluginTimeoutMs ?? 1000) : 1000);
+        return (Number.isFinite(n) && n > 0) ? n : 1000;
+    }
+
+    _getPluginMaxFailures() {
+        const n = Number(this.adapter && this.adapter.config ? (this.adapter.config.pluginMaxFailures ?? 3) : 3);
+        return (Number.isFinite(n) && n >= 1) ? Math.round(n) : 3;
+    }
+
+    _configurePlugins() {
+        const cfg = (this.adapter && this.adapter.config) ? this.adapter.config : {};
+        try {
+            this._pluginConfig = parsePluginConfig(cfg.pluginConfig);
+        } catch (e) {
+            this.adapter.log.warn(`Setting 'pluginConfig' is not valid JSON, plugins keep their previous config: ${e?.message || e}`);
+        }
+    }
+
+    /**
+     * Resolved config section of a plugin (schema defaults applied).
+     * @param {{key: string, plugin: any}} m
+     */
+    _resolvePluginConfig(m) {
+        return resolvePluginConfig(m.plugin.configSchema, this._pluginConfig[m.key]);
+    }
+
+    /**
+     * Load the plugins of the setting "pluginSources" and insert them into the module order.
+     */
+    _loadPlugins() {
+        const cfg = (this.adapter && this.adapter.config) ? this.adapter.config : {};
+        const { plugins, errors } = loadPlugins(cfg, { baseDir: sourceBaseDir(this.adapter), reserved: this.modules.map(m => m.key) });
+        for (const e of errors) this.adapter.log.warn(`Plugin '${e.source}' not loaded: ${e.error}`);
+
+        for (const p of plugins) {
+            let instance = null;
+            try {
+                instance = p.create(this.adapter, this._dpFor(p.key), this._resolvePluginConfig({ key: p.key, plugin: p }).config);
+            } catch (e) {
+                this.adapter.log.warn(`Plugin '${p.key}' could not be created: ${e?.message || e}`);
+                continue;
+            }
+            if (!instance || typeof instance.tick !== 'function') {
+                this.adapter.log.warn(`Plugin '${p.key}' not loaded: the module has no tick()`);
+                continue;
+            }
+
+            // Plugins never get the critical flag and reload on changes of their config section
+            instance.timing = { intervalMs: 0, maxTickMs: 0, ...(instance.timing || {}), critical: false };
+            if (!Array.isArray(instance.configKeys)) instance.configKeys = ['pluginConfig'];
+
+            if (!Array.isArray(instance.produces) || !instance.produces.length) instance.produces = p.produces;
+            if (!Array.isArray(instance.consumes) || !instance.consumes.length) instance.consumes = p.consumes;
+
+            this.modules.push({
+                key: p.key,
+                instance,
+                enabledFn: () => !(this._pluginConfig[p.key] && this._pluginConfig[p.key].enabled === false),
+                plugin: p,
+                breaker: { failures: 0, trips: 0, openUntilMs: 0, pending: false, lastError: '' },
+            });
+            this.adapter.log.info(`Plugin '${p.key}' (${p.title}) loaded from ${p.source}`);
+        }
+    }
+
+    /**
+     * Sort the modules by their declared dependencies (producers before consumers) and report
+     * cycles and consumers that still run before their producer (diagnostics.moduleOrder).
+     */
+    async _applyOrder() {
+        const report = orderModules(this.modules.map(m => ({
+            key: m.key,
+            produces: m.instance ? m.instance.produces : [],
+            consumes: m.instance ? m.instance.consumes : [],
+            after: m.plugin ? m.plugin.order.after : [],
+            before: m.plugin ? m.plugin.order.before : [],
+        })));
+
+        const byKey = new Map(this.modules.map(m => [m.key, m]));
+        this.modules = report.order.map(k => byKey.get(k));
+        this.moduleOrder = report;
+
+        for (const c of report.cycles) this.adapter.log.warn(`Module dependency cycle: ${c.join(' -> ')}`);
+        for (const v of report.violations) {
+            this.adapter.log.warn(`Module '${v.to}' runs before '${v.from}' and reads its '${v.signal}' from the previous tick`);
+        }
+        this.adapter.log.debug(`Module order: ${report.order.join(', ')}`);
+
+        try {
+            await this.adapter.setStateAsync('diagnostics.moduleOrder', JSON.stringify(report), true);
+        } catch (e) {
+            this.adapter.log.debug(`Module order state write failed: ${e?.message || e}`);
+        }
+    }
+
+    /**
+     * Run a hook of a plugin isolated: with timeout, never two calls at the same time.
+     * A timed-out call keeps running in the background; the plugin is skipped until it returns.
+     *
+     * @param {{key: string, breaker: any}} m
+     * @param {() => any} fn
+     */
+    async _runPlugin(m, fn) {
+        const br = m.breaker;
+        if (br.pending) throw new Error('previous call still running');
+        const timeoutMs = this._getPluginTimeoutMs();
+
+        br.pending = true;
+        const call = Promise.resolve().then(fn);
+        call.then(() => { br.pending = false; }, () => { br.pending = false; });
+
+        let timer = null;
+        try {
+            await Promise.race([
+                call,
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error(`timeout after ${timeoutMs} ms`)), timeoutMs);
+                }),
+            ]);
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Circuit breaker bookkeeping after a plugin hook.
+     * @param {{key: string, breaker: any}} m
+     * @param {string} [error] empty = success
+     */
+    _pluginResult(m, error) {
+        const br = m.breaker;
+        if (!error) {
+            if (br.trips) this.adapter.log.info(`Plugin '${m.key}' is working again`);
+            br.failures = 0;
+            br.trips = 0;
+            br.lastError = '';
+            return;
+        }
+        br.failures++;
+        br.lastError = error;
+        if (br.failures < this._getPluginMaxFailures()) return;
+
+        const openMs = Math.min(PLUGIN_BREAKER_MAX_MS, PLUGIN_BREAKER_BASE_MS * Math.pow(2, br.trips));
+        br.trips++;
+        br.failures = 0;
+        br.openUntilMs = Date.now() + openMs;
+        this.adapter.log.warn(`Plugin '${m.key}' failed repeatedly (${error}) - suspended for ${Math.round(openMs / 1000)} s`);
+    }
+
+    /**
+     * Declare the datapoints of a plugin (before init/reload). Keys of other modules are not taken over.
+     * @param {{key: string, plugin: any, instance: any}} m
+     */
+    async _declarePluginDatapoints(m) {
+        const list = m.plugin.datapoints(m.instance.pluginConfig || {});
+        for (const d of Array.isArray(list) ? list : []) {
+            const key = String((d && d.key) || '').trim();
+            const owners = this.dp ? this.dp.ownersByKey.get(key) : null;
+            if (owners && owners.size && !owners.has(m.key)) {
+                this.adapter.log.warn(`Plugin '${m.key}': datapoint key '${key}' belongs to ${Array.from(owners).join(', ')} and is not redeclared`);
+                continue;
+            }
+            await this._dpFor(m.key).upsert(d);
+        }
+    }
+
+    /**
+     * init() of a module; plugins get their config, datapoints and the isolation of _runPlugin().
+     * @param {{key: string, instance: any, plugin?: any, breaker?: any}} m
+     * @param {'init'|'reload'} hook
+     * @param {any} [prevConfig]
+     */
+    async _initModule(m, hook, prevConfig) {
+        if (!m.plugin) {
+            if (hook === 'reload') await m.instance.reload(prevConfig);
+            else await m.instance.init();
+            return;
+        }
+
+        const { config, errors } = this._resolvePluginConfig(m);
+        if (errors.length) throw new Error(`invalid config: ${errors.join(', ')}`);
+        m.instance.pluginConfig = config;
+
+        try {
+            await this._runPlugin(m, async () => {
+                await this._declarePluginDatapoints(m);
+                if (hook === 'reload') await m.instance.reload(prevConfig);
+                else await m.instance.init();
+            });
+        } catch (e) {
+            this._pluginResult(m, String(e?.message || e));
+            throw e;
+        }
+        this._pluginResult(m);
+    }
+
+    /**
+     * Per-output write rules of the registry: verification and rate limits (datapoints tab).
+     */
+    async _configureWriteRules() {
+        const cfg = (this.adapter && this.adapter.config) ? this.adapter.config : {};
+        if (this.dp && typeof this.dp.setWriteVerification === 'function') await this.dp.setWriteVerification(cfg.writeVerification);
+        if (this.dp && typeof this.dp.setWriteRateLimits === 'function') this.dp.setWriteRateLimits(cfg.writeRateLimits);
+    }
+
+    async init() {
+        this._configureArbiter();
+        this._configureDryRun();
+        await this._configureWriteRules();
+        if (this.dp && typeof this.dp.setArbiter === 'function') this.dp.setArbiter(this.arbiter);
+        if (this.dp && typeof this.dp.setDryRun === 'function') this.dp.setDryRun(owner => this._isDryRun(owner));
+
+        // Built-in modules in registration order; the execution order follows from their
+        // produces/consumes declarations (see module-order.js)
+        for (const b of BUILTIN_MODULES) {
+            this.modules.push({
+                key: b.key,
+                instance: new b.Module(this.adapter, this._dpFor(b.key)),
+                enabledFn: () => b.enabled(this.adapter.config || {}),
+            });
+        }
+
+        // Third-party modules (see plugins.js)
+        this._configurePlugins();
+        this._loadPlugins();
+        await this._applyOrder();
+        this._configureArbiterCadences();
+
+        // Shared control bus, persisted runtime state, overrides
+        for (const m of this.modules) {
+            if (!m.instance) continue;
+            m.instance.bus = this.bus;
+            m.instance.persistence = new ModuleStateStore(this.adapter, m.key);
+            m.instance.overrides = this.overrides;
+        }
 
         // Init enabled modules
         for (const m of this.modules) {
             if (!m.enabledFn()) continue;
             if (typeof m.instance.init !== 'function') continue;
             try {
-                await m.instance.init();
+                await this._initModule(m, 'init');
+                m.initialized = true;
             } catch (e) {
                 this.adapter.log.warn(`Module '${m.key}' init error: ${e?.message || e}`);
             }
         }
     }
 
-    
+    /**
+     * Live config reload (adapter.config already replaced).
+     *
+     * Only modules whose config keys changed (see BaseModule.configKeys) are reloaded; their
+     * runtime state is kept. Modules that were switched off get reload() once more (init() is a
+     * no-op while disabled) so they can hand back their outputs. Datapoints a module no longer declares are released after its next
+     * successful tick, because some modules declare datapoints in tick().
+     *
+     * @param {any} prevConfig
+     * @param {string[]} changedKeys top-level config keys that differ
+     * @returns {Promise<{reloaded: string[], disabled: string[], failed: string[]}>}
+     */
+    async reload(prevConfig, changedKeys) {
+        const changed = new Set(Array.isArray(changedKeys) ? changedKeys : []);
+        const result = { reloaded: [], disabled: [], failed: [] };
+
+        this._configureArbiter();
+        this._configureDryRun();
+        await this._configureWriteRules();
+        this._configurePlugins();
+        if (changed.has('pluginSources')) this.adapter.log.warn('Plugin sources changed: restart the adapter to load or unload plugins');
+
+        for (const m of this.modules) {
+            if (!m || !m.instance) continue;
+            const keys = Array.isArray(m.instance.configKeys) ? m.instance.configKeys : null;
+            const affected = keys ? keys.some(k => changed.has(k)) : changed.size > 0;
+            const enabled = !!m.enabledFn();
+
+            if (!enabled) {
+                if (m.initialized && affected) {
+                    // Disabled: let the module hand back its outputs, then release everything it declared
+                    m.initialized = false;
+                    this._pendingSweep.delete(m.key);
+                    try {
+                        if (m.plugin) await this._runPlugin(m, () => m.instance.reload(prevConfig));
+                        else if (typeof m.instance.reload === 'function') await m.instance.reload(prevConfig);
+                    } catch (e) {
+                        this.adapter.log.warn(`Module '${m.key}' reload error: ${e?.message || e}`);
+                    }
+                    if (this.dp) {
+                        this.dp.beginSync(m.key);
+                        await this.dp.endSync(m.key);
+                    }
+                    result.disabled.push(m.key);
+                }
+                continue;
+            }
+            if (m.initialized && !affected) continue;
+
+            if (this.dp) this.dp.beginSync(m.key);
+            try {
+                if (m.initialized && typeof m.instance.reload === 'function') {
+                    await this._initModule(m, 'reload', prevConfig);
+                } else if (typeof m.instance.init === 'function') {
+                    await this._initModule(m, 'init');
+                }
+                m.initialized = true;
+                result.reloaded.push(m.key);
+            } catch (e) {
+                result.failed.push(m.key);
+                this.adapter.log.warn(`Module '${m.key}' reload error: ${e?.message || e}`);
+            }
+            this._pendingSweep.add(m.key);
+
+            // Run in the next tick regardless of cadence/backoff, so the sweep happens promptly
+            const sched = this._getSched(m.key);
+            sched.lastRunMs = 0;
+            sched.deferUntilMs = 0;
+        }
+
+        return result;
+    }
+
+    /**
+     * Save the runtime state of all initialised modules (see BaseModule.getSnapshot).
+     * @param {boolean} [force] write unchanged snapshots too (shutdown)
+     */
+    async persist(force = false) {
+        for (const m of this.modules) {
+            if (!m || !m.initialized || !m.instance || !m.instance.persistence) continue;
+            if (typeof m.instance.getSnapshot !== 'function') continue;
+            m.instance.persistNow = false;
+            try {
+                const data = m.instance.getSnapshot();
+                if (data === undefined) continue;
+                await m.instance.persistence.save(data, force);
+            } catch (e) {
+                this.adapter.log.warn(`Module '${m.key}' persist error: ${e?.message || e}`);
+            }
+        }
+    }
+
+    /**
+     * @param {{plugin: any, breaker: any}} m
+     */
+    _pluginInfo(m) {
+        const br = m.breaker;
+        return {
+            title: m.plugin.title,
+            source: m.plugin.source,
+            apiVersion: m.plugin.apiVersion,
+            configSchema: m.plugin.configSchema,
+            failures: br.failures,
+            suspendedUntil: br.openUntilMs > Date.now() ? br.openUntilMs : 0,
+            lastError: br.lastError,
+        };
+    }
+
+    /**
+     * Consolidated control status (message API getStatus).
+     */
+    getStatus() {
+        const cfg = (this.adapter && this.adapter.config) ? this.adapter.config : {};
+        const modules = this.modules.map(m => {
+            const sched = this._sched.get(m.key);
+            let status = null;
+            try {
+                status = (m.instance && typeof m.instance.getStatus === 'function') ? m.instance.getStatus() : null;
+            } catch (e) {
+                status = { error: String(e?.message || e) };
+            }
+            return {
+                key: m.key,
+                enabled: !!m.enabledFn(),
+                initialized: !!m.initialized,
+                dryRun: this._isDryRun(m.key),
+                lastRunMs: sched ? sched.lastRunMs : 0,
+                lastTickMs: sched ? sched.lastMs : 0,
+                runs: sched ? sched.runs : 0,
+                overruns: sched ? sched.overruns : 0,
+                status,
+                ...(m.plugin ? { plugin: this._pluginInfo(m) } : {}),
+            };
+        });
+        return {
+            ts: Date.now(),
+            tickCount: this._tickCount,
+            dryRun: !!cfg.dryRun,
+            modules,
+            bus: this.bus.snapshot(),
+            overrides: this.overrides.list(),
+            arbiter: this.arbiter.getDiagnostics(),
+            order: this.moduleOrder,
+            writeHealth: (this.dp && typeof this.dp.getWriteHealth === 'function') ? this.dp.getWriteHealth() : [],
+            units: (this.dp && typeof this.dp.getUnitConversions === 'function') ? this.dp.getUnitConversions() : [],
+        };
+    }
+
     async tick() {
         const diag = this._getDiagCfg();
         const now = Date.now();
         const t0 = now;
         this._tickCount = (this._tickCount || 0) + 1;
+        this.bus.beginTick();
 
-        /** @type {Array<{key: string, enabled: boolean, ok: boolean, ms: number, error?: string}>} */
+        for (const o of this.overrides.prune()) {
+            this.adapter.log.info(`Override expired: ${o.target}${o.key ? ` '${o.key}'` : ''}`);
+        }
+
+        /** @type {Array<{key: string, enabled: boolean, ok: boolean, ms: number, error?: string, skipped?: string, overrun?: boolean}>} */
         const results = [];
         /** @type {Array<string>} */
         const errors = [];
 
+        const tickBudgetMs = this._getTickBudgetMs();
+
         for (const m of this.modules) {
             const enabled = !!(m && typeof m.enabledFn === 'function' && m.enabledFn());
             const key = String((m && m.key) || 'unknown');
@@ -154,23 +657,141 @@ class ModuleManager {
                 continue;
             }
 
+            const timing = this._getTiming(m);
+            const sched = this._getSched(key);
+            const timingInfo = { intervalMs: timing.intervalMs, maxTickMs: timing.maxTickMs, overruns: sched.overruns };
+
+            // Cadence / deferral (critical modules always run), suspended or still running plugins
+            let skipped = '';
+            if (m.breaker && m.breaker.openUntilMs > Date.now()) skipped = 'suspended';
+            else if (m.breaker && m.breaker.pending) skipped = 'busy';
+            else if (!timing.critical) {
+                const t = Date.now();
+                if (timing.intervalMs > 0 && sched.lastRunMs && (t - sched.lastRunMs) < timing.intervalMs) skipped = 'interval';
+                else if (sched.deferUntilMs > t) skipped = 'deferred';
+                else if (tickBudgetMs > 0 && (t - t0) >= tickBudgetMs && sched.budgetSkips < MAX_BUDGET_SKIPS) skipped = 'budget';
+            }
+            if (skipped) {
+                sched.skipped++;
+                if (skipped === 'budget') sched.budgetSkips++;
+                results.push({ key, enabled: true, ok: true, ms: 0, skipped, ...timingInfo });
+                continue;
+            }
+
             const t1 = Date.now();
             let ok = true;
             let errMsg = '';
             try {
-                await m.instance.tick();
+                if (!m.plugin) {
+                    await m.instance.tick();
+                } else if (!m.initialized) {
+                    // Plugin init failed before: retry instead of ticking (the circuit breaker limits retries)
+                    await this._initModule(m, 'init');
+                    m.initialized = true;
+                } else {
+                    try {
+                        await this._runPlugin(m, () => m.instance.tick());
+                    } catch (e) {
+                        this._pluginResult(m, String(e?.message || e));
+                        throw e;
+                    }
+                    this._pluginResult(m);
+                }
             } catch (e) {
                 ok = false;
                 errMsg = String((e && e.message) ? e.message : e);
                 errors.push(`${key}: ${errMsg}`);
                 this.adapter.log.warn(`Module '${key}' tick error: ${errMsg}`);
             }
-            const ms = Date.now() - t1;
-            results.push({ key, enabled: true, ok, ms, ...(ok ? {} : { error: errMsg }) });
+            const t2 = Date.now();
+            const ms = t2 - t1;
+
+            sched.lastRunMs = t1;
+            sched.lastMs = ms;
+            sched.runs++;
+            sched.budgetSkips = 0;
+
+            if (ok && this._pendingSweep.has(key)) {
+                this._pendingSweep.delete(key);
+                const removed = this.dp ? await this.dp.endSync(key) : [];
+                if (removed.length) this.adapter.log.info(`Config reload: released datapoints of '${key}': ${removed.join(', ')}`);
+            }
+
+            const overrun = timing.maxTickMs > 0 && ms > timing.maxTickMs;
+            if (overrun) {
+                sched.overruns++;
+                sched.consecutiveOverruns++;
+                if (!timing.critical) {
+                    // Back off slow modules so they cannot starve the safety loops (max. 60 s)
+                    const backoffMs = Math.min(60000, ms * Math.pow(2, Math.min(sched.consecutiveOverruns - 1, 6)));
+                    sched.deferUntilMs = t2 + backoffMs;
+                }
+                if ((t2 - sched.lastWarnMs) >= 60000) {
+                    sched.lastWarnMs = t2;
+                    this.adapter.log.warn(`Module '${key}' tick took ${ms} ms (budget ${timing.maxTickMs} ms, overruns ${sched.overruns})${timing.critical ? '' : ' - deferring'}`);
+                }
+            } else {
+                sched.consecutiveOverruns = 0;
+                sched.deferUntilMs = 0;
+            }
+
+            results.push({
+                key,
+                enabled: true,
+                ok,
+                ms,
+                ...(ok ? {} : { error: errMsg }),
+                intervalMs: timing.intervalMs,
+                maxTickMs: timing.maxTickMs,
+                overruns: sched.overruns,
+                ...(overrun ? { overrun: true } : {}),
+            });
         }
 
         const totalMs = Date.now() - t0;
 
+        if (this.dp && typeof this.dp.flushShadow === 'function') await this.dp.flushShadow();
+
+        // Write verification: timeouts, retries, re-assertion (see DatapointRegistry.checkWrites)
+        if (this.dp && typeof this.dp.checkWrites === 'function') {
+            await this.dp.checkWrites();
+            if (this.dp.writeHealthDirty) {
+                this.dp.writeHealthDirty = false;
+                try {
+                    await this.adapter.setStateAsync('diagnostics.writeHealth', JSON.stringify(this.dp.getWriteHealth()), true);
+                } catch (e) {
+                    this.adapter.log.debug(`Write health state write failed: ${e?.message || e}`);
+                }
+            }
+        }
+
+        // Unit conversions derived from the object metadata (see DatapointRegistry._detectUnit)
+        if (this.dp && this.dp.unitsDirty && typeof this.dp.getUnitConversions === 'function') {
+            this.dp.unitsDirty = false;
+            try {
+                await this.adapter.setStateAsync('diagnostics.units', JSON.stringify(this.dp.getUnitConversions()), true);
+            } catch (e) {
+                this.adapter.log.debug(`Unit diagnostics state write failed: ${e?.message || e}`);
+            }
+        }
+
+        if (this.overrides.dirty) {
+            this.overrides.dirty = false;
+            try {
+                await this.adapter.setStateAsync('control.overrides', JSON.stringify(this.overrides.list()), true);
+            } catch (e) {
+                this.adapter.log.debug(`Override state write failed: ${e?.message || e}`);
+            }
+        }
+
+        const persistIntervalMs = this._getPersistIntervalMs();
+        if (persistIntervalMs > 0 && (now - this._lastPersistMs) >= persistIntervalMs) {
+            this._lastPersistMs = now;
+            await this.persist();
+        } else if (persistIntervalMs > 0 && this.modules.some(m => m && m.initialized && m.instance && m.instance.persistNow)) {
+            await this.persist();
+        }
+
         if (!diag.enabled) return;
 
         const hasError = errors.length > 0;
@@ -185,8 +806,8 @@ class ModuleManager {
         );
 
         const parts = results
-            .filter(r => r.enabled)
-            .map(r => `${r.key}:${r.ms}ms${r.ok ? '' : '!'}`);
+            .filter(r => r.enabled && !r.skipped)
+            .map(r => `${r.key}:${r.ms}ms${r.ok ? '' : '!'}${r.overrun ? '>' : ''}`);
         const summary = `tick ${totalMs}ms` + (parts.length ? (' | ' + parts.join(' ')) : '');
 
         if (shouldLog) {
@@ -209,6 +830,8 @@ class ModuleManager {
 
                 const errText = hasError ? errors.slice(0, 10).join(' | ') : '';
                 await this.adapter.setStateAsync('diagnostics.errors', errText, true);
+
+                await this.adapter.setStateAsync('diagnostics.arbiter', this._limitJson(this.arbiter.getDiagnostics(), diag.maxJsonLen), true);
             } catch (e) {
                 this.adapter.log.debug(`Diagnostics state write failed: ${String((e && e.message) ? e.message : e)}`);
             }
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Execution order of the modules from their declared dependencies.
+ *
+ * Every module declares the signals it produces and consumes (control bus topics such as
+ * 'peakShaving.control' or datapoint keys such as 'cm.tariffBudgetW', see BaseModule.produces/consumes).
+ * A producer must run before its consumers in the same tick; plugins can add explicit edges
+ * (order.after / order.before).
+ *
+ * The order is a depth-first topological sort that keeps the registration order wherever the
+ * dependencies allow it: modules are visited in registration order and pull their producers in front
+ * of them. Cycles cannot be resolved; the edge closing a cycle is ignored and reported, together with
+ * every other consumer that runs before its producer.
+ */
+
+/**
+ * @typedef {object} OrderNode
+ * @property {string} key
+ * @property {string[]} [produces]
+ * @property {string[]} [consumes]
+ * @property {string[]} [after]    modules that must run before this one
+ * @property {string[]} [before]   modules that must run after this one
+ */
+
+/**
+ * @typedef {object} OrderEdge
+ * @property {string} from     producer (runs first)
+ * @property {string} to       consumer
+ * @property {string} signal   topic / datapoint key, 'order' for explicit constraints
+ */
+
+/**
+ * @typedef {object} OrderReport
+ * @property {string[]} order
+ * @property {OrderEdge[]} edges
+ * @property {string[][]} cycles            e.g. ['a', 'b', 'a']
+ * @property {OrderEdge[]} violations       edges whose consumer runs before its producer
+ * @property {Array<{module: string, signal: string}>} external   consumed signals no module produces
+ */
+
+/**
+ * @param {any} v
+ * @returns {string[]}
+ */
+function list(v) {
+    return (Array.isArray(v) ? v : []).map(s => String(s || '').trim()).filter(Boolean);
+}
+
+/**
+ * @param {OrderNode[]} nodes in registration order
+ * @returns {OrderReport}
+ */
+function orderModules(nodes) {
+    const keys = nodes.map(n => n.key);
+    const index = new Map(keys.map((k, i) => [k, i]));
+
+    /** @type {Map<string, string[]>} signal -> producing modules */
+    const producers = new Map();
+    for (const n of nodes) {
+        for (const s of list(n.produces)) producers.set(s, [...(producers.get(s) || []), n.key]);
+    }
+
+    /** @type {OrderEdge[]} */
+    const edges = [];
+    /** @type {Array<{module: string, signal: string}>} */
+    const external = [];
+    const seen = new Set();
+    const addEdge = (from, to, signal) => {
+        if (from === to || !index.has(from) || !index.has(to)) return;
+        const id = `${from}>${to}>${signal}`;
+        if (seen.has(id)) return;
+        seen.add(id);
+        edges.push({ from, to, signal });
+    };
+
+    for (const n of nodes) {
+        for (const s of list(n.consumes)) {
+            const from = (producers.get(s) || []).filter(p => p !== n.key);
+            if (!from.length) external.push({ module: n.key, signal: s });
+            for (const p of from) addEdge(p, n.key, s);
+        }
+        for (const a of list(n.after)) addEdge(a, n.key, 'order');
+        for (const b of list(n.before)) addEdge(n.key, b, 'order');
+    }
+
+    /** @type {Map<string, string[]>} module -> modules that must run before it (registration order) */
+    const preds = new Map(keys.map(k => [k, []]));
+    for (const e of edges) {
+        const p = preds.get(e.to);
+        if (p && !p.includes(e.from)) p.push(e.from);
+    }
+    for (const p of preds.values()) p.sort((a, b) => index.get(a) - index.get(b));
+
+    /** @type {string[]} */
+    const order = [];
+    /** @type {string[][]} */
+    const cycles = [];
+    /** @type {Map<string, number>} 1 = on the stack, 2 = placed */
+    const state = new Map();
+    /** @type {string[]} */
+    const stack = [];
+
+    /**
+     * @param {string} k
+     */
+    const visit = (k) => {
+        if (state.get(k) === 2) return;
+        if (state.get(k) === 1) {
+            // stack runs consumer -> producer; report the cycle in execution direction
+            cycles.push([...stack.slice(stack.indexOf(k)), k].reverse());
+            return;
+        }
+        state.set(k, 1);
+        stack.push(k);
+        for (const p of preds.get(k) || []) visit(p);
+        stack.pop();
+        state.set(k, 2);
+        order.push(k);
+    };
+    for (const k of keys) visit(k);
+
+    const pos = new Map(order.map((k, i) => [k, i]));
+    const violations = edges.filter(e => pos.get(e.from) > pos.get(e.to));
+
+    return { order, edges, cycles, violations, external };
+}
+
+module.exports = { orderModules };
@@ -8,6 +8,55 @@ class BaseModule {
     constructor(adapter, dpRegistry) {
         this.adapter = adapter;
         this.dp = dpRegistry || null;
+
+        /**
+         * Shared in-process control bus, attached by the ModuleManager.
+         * @type {import('../control-bus').ControlBus|null}
+         */
+        this.bus = null;
+
+        /**
+         * Scheduling hints for the ModuleManager (can be overridden in the admin, table "moduleTiming").
+         * - intervalMs: minimum time between two ticks of this module (0 = every scheduler tick)
+         * - maxTickMs: tick duration budget; longer ticks count as overrun (0 = no budget)
+         * - critical: critical modules are never skipped or deferred
+         * @type {{intervalMs: number, maxTickMs: number, critical: boolean}}
+         */
+        this.timing = { intervalMs: 0, maxTickMs: 0, critical: false };
+
+        /**
+         * Top-level adapter config keys read by init() (live config reload re-initialises the module
+         * only if one of them changed). null = re-initialise on any change.
+         * @type {string[]|null}
+         */
+        this.configKeys = null;
+
+        /**
+         * Signals (control bus topics, datapoint keys) this module provides and reads in its tick.
+         * The ModuleManager runs producers before their consumers (see module-order.js).
+         * @type {string[]}
+         */
+        this.produces = [];
+        /** @type {string[]} */
+        this.consumes = [];
+
+        /**
+         * Snapshot store for runtime state that must survive restarts, attached by the ModuleManager.
+         * @type {import('../persistence').ModuleStateStore|null}
+         */
+        this.persistence = null;
+
+        /**
+         * Set by the module when its snapshot must be saved after the current tick instead of with
+         * the next periodic save (state a restart must not lose, e.g. switching events).
+         */
+        this.persistNow = false;
+
+        /**
+         * Temporary manual overrides (message API setOverride), attached by the ModuleManager.
+         * @type {import('../overrides').OverrideStore|null}
+         */
+        this.overrides = null;
     }
 
     /**
@@ -17,6 +66,32 @@ class BaseModule {
         // no-op
     }
 
+    /**
+     * Live config reload: adapter.config already holds the new config. Runtime state (sessions,
+     * accumulators) should survive; the default re-runs init() to re-declare datapoints and states.
+     * @param {any} prevConfig config before the reload
+     */
+    async reload(prevConfig) {
+        await this.init();
+    }
+
+    /**
+     * Runtime state to persist (JSON-serialisable), saved periodically and on shutdown.
+     * Modules restore it in init() via `this.persistence.load(maxAgeMs)`.
+     * @returns {any} undefined = nothing to persist
+     */
+    getSnapshot() {
+        return undefined;
+    }
+
+    /**
+     * Control status of the last tick for the message API (getStatus), JSON-serialisable.
+     * @returns {any} null = nothing beyond the states and the control bus
+     */
+    getStatus() {
+        return null;
+    }
+
     /**
      * Called by scheduler.
      * Subclasses should implement their logic here.
@@ -3,6 +3,7 @@
 const { BaseModule } = require('./base');
 const { applySetpoint } = require('../consumers');
 const { ReasonCodes } = require('../reasons');
+const { Topics } = require('../control-bus');
 
 function toSafeIdPart(input) {
     const s = String(input || '').trim();
@@ -60,15 +61,21 @@ function normalizeControlBasis(v) {
     return 'auto';
 }
 
+/** Persisted charging sessions older than this are not restored */
+const SESSION_MAX_AGE_MS = 3600 * 1000;
+
 class ChargingManagementModule extends BaseModule {
     constructor(adapter, dpRegistry) {
         super(adapter, dpRegistry);
+        this.configKeys = ['enableChargingManagement', 'chargingManagement'];
+        this.consumes = [Topics.PEAK_SHAVING, 'cm.tariffBudgetW', 'cm.gridChargeAllowed'];
         this._known = new Set(); // wallbox channels created
         this._chargingSinceMs = new Map(); // safeKey -> ms since epoch
         this._chargingLastActiveMs = new Map(); // safeKey -> ms of last detected activity
         this._chargingLastSeenMs = new Map(); // safeKey -> ms of last processing (cleanup)
         this._lastCmdTargetW = new Map(); // safeKey -> last commanded target power (for ramp limiting)
         this._lastCmdTargetA = new Map(); // safeKey -> last commanded target current (for ramp limiting)
+        this._lastAllocations = []; // last debug allocation list (message API getStatus)
         this._lastDiagLogMs = 0; // MU6.2: rate limit diagnostics log
     }
 
@@ -130,6 +137,40 @@ class ChargingManagementModule extends BaseModule {
         await mk('chargingManagement.debug.lastRun', 'Last run', 'number', 'value.time');
         await mk('chargingManagement.debug.sortedOrder', 'Sorted order (safe keys)', 'string', 'text');
         await mk('chargingManagement.debug.allocations', 'Allocations (JSON)', 'string', 'text');
+
+        await this._restoreSessions();
+    }
+
+    /**
+     * Charging sessions from before a restart (keeps the arrival order). Sessions that were idle too
+     * long are ended by the regular session logic (sessionKeepSec) in the first tick.
+     */
+    async _restoreSessions() {
+        const snap = this.persistence ? await this.persistence.load(SESSION_MAX_AGE_MS) : null;
+        const sessions = snap && snap.data && snap.data.sessions && typeof snap.data.sessions === 'object' ? snap.data.sessions : {};
+        const now = Date.now();
+        let n = 0;
+
+        for (const [safe, s] of Object.entries(sessions)) {
+            const since = Number(s && s.since);
+            const lastActive = Number(s && s.lastActive);
+            if (!Number.isFinite(since) || since <= 0 || !Number.isFinite(lastActive) || lastActive <= 0) continue;
+            if (this._chargingSinceMs.has(safe)) continue;
+            this._chargingSinceMs.set(safe, since);
+            this._chargingLastActiveMs.set(safe, lastActive);
+            this._chargingLastSeenMs.set(safe, now);
+            n++;
+        }
+        if (n) this.adapter.log.info(`Charging: restored ${n} charging session(s)`);
+    }
+
+    getSnapshot() {
+        /** @type {Record<string, {since: number, lastActive: number}>} */
+        const sessions = {};
+        for (const [safe, since] of this._chargingSinceMs.entries()) {
+            sessions[safe] = { since, lastActive: this._chargingLastActiveMs.get(safe) || 0 };
+        }
+        return { sessions };
     }
 
     async _ensureWallboxChannel(key) {
@@ -184,23 +225,29 @@ class ChargingManagementModule extends BaseModule {
         return ch;
     }
 
-    async _getPeakShavingActive() {
-        try {
-            const st = await this.adapter.getStateAsync('peakShaving.control.active');
-            return st ? !!st.val : false;
-        } catch {
-            return false;
-        }
+    /**
+     * Peak shaving output from the control bus (same tick), or null if missing/older than maxAgeMs.
+     * @param {number} maxAgeMs
+     */
+    _getPeakShavingControl(maxAgeMs) {
+        return this.bus ? this.bus.getFresh(Topics.PEAK_SHAVING, maxAgeMs) : null;
     }
 
-    async _getPeakShavingBudgetW() {
-        try {
-            const st = await this.adapter.getStateAsync('peakShaving.dynamic.availableForControlledW');
-            const n = st ? Number(st.val) : NaN;
-            return Number.isFinite(n) ? n : null;
-        } catch {
-            return null;
-        }
+    /**
+     * @param {number} maxAgeMs
+     */
+    _getPeakShavingActive(maxAgeMs) {
+        const ps = this._getPeakShavingControl(maxAgeMs);
+        return ps ? !!ps.active : false;
+    }
+
+    /**
+     * @param {number} maxAgeMs
+     */
+    _getPeakShavingBudgetW(maxAgeMs) {
+        const ps = this._getPeakShavingControl(maxAgeMs);
+        const n = ps ? Number(ps.availableForControlledW) : NaN;
+        return Number.isFinite(n) ? n : null;
     }
 
     /**
@@ -208,6 +255,10 @@ class ChargingManagementModule extends BaseModule {
      * - Mixed AC/DC operation via per-wallbox chargerType + controlBasis
      * - Budget distribution in W (supports DC fast chargers up to 1000 kW and beyond)
      */
+    getStatus() {
+        return { allocations: this._lastAllocations };
+    }
+
     async tick() {
         if (!this._isEnabled()) return;
 
@@ -529,25 +580,6 @@ class ChargingManagementModule extends BaseModule {
             return null;
         };
 
-        
-        /**
-         * MU6.8: ioBroker state staleness helper (uses state.ts / state.lc).
-         * @param {string} id
-         * @param {number} maxAgeMs
-         * @returns {Promise<boolean>}
-         */
-        const isStateStale = async (id, maxAgeMs) => {
-            try {
-                const st = await this.adapter.getStateAsync(id);
-                const ts = st && (typeof st.ts === 'number' ? st.ts : (typeof st.lc === 'number' ? st.lc : 0));
-                if (!ts) return true;
-                return (Date.now() - ts) > maxAgeMs;
-            } catch {
-                return true;
-            }
-        };
-
-
         // Tariff-derived grid charge gating (optional; provided by tarif-vis.js)
         let gridChargeAllowed = true;
         if (this.dp && typeof this.dp.getEntry === 'function' && this.dp.getEntry('cm.gridChargeAllowed')) {
@@ -590,7 +622,7 @@ if (budgetMode === 'engine') {
             if (typeof ext === 'number' && Number.isFinite(ext) && ext > 0) components.push({ k: 'external', w: ext });
 
             // Peak-shaving cap (optional)
-            const peak = await this._getPeakShavingBudgetW();
+            const peak = this._getPeakShavingBudgetW(staleTimeoutMs);
             if (typeof peak === 'number' && Number.isFinite(peak) && peak > 0) components.push({ k: 'peakShaving', w: peak });
 
             // Tariff cap (optional via globalDatapoints mapping)
@@ -639,7 +671,7 @@ if (components.length) {
             const b = (budgetPowerId && this.dp) ? this.dp.getNumber('cm.budgetPowerW', null) : null;
             budgetW = (typeof b === 'number' && b > 0) ? b : Number.POSITIVE_INFINITY;
         } else if (budgetMode === 'fromPeakShaving') {
-            const b = await this._getPeakShavingBudgetW();
+            const b = this._getPeakShavingBudgetW(staleTimeoutMs);
             budgetW = (typeof b === 'number' && b > 0) ? b : Number.POSITIVE_INFINITY;
         } else {
             budgetW = Number.POSITIVE_INFINITY;
@@ -662,7 +694,7 @@ if (components.length) {
             }
         }
 
-        const peakActive = await this._getPeakShavingActive();
+        const peakActive = this._getPeakShavingActive(staleTimeoutMs);
         const pausedByPeakShaving = pauseWhenPeakShavingActive && peakActive;
         let pauseFollowPeakBudget = false;
 
@@ -694,9 +726,9 @@ if (components.length) {
             }
         }
 
-        // Peak-shaving-derived budget is an ioBroker state; check ts/lc (if used)
+        // Peak-shaving-derived budget comes from the control bus; check its age (if used)
         if (!staleMeter && !staleBudget && (budgetMode === 'fromPeakShaving' || budgetMode === 'engine')) {
-            const psBudgetStale = await isStateStale('peakShaving.dynamic.availableForControlledW', staleTimeoutMs);
+            const psBudgetStale = !this.bus || this.bus.isStale(Topics.PEAK_SHAVING, staleTimeoutMs);
             // Only treat as relevant if peak shaving is active or the user explicitly uses fromPeakShaving.
             const psActive = peakActive;
             if (budgetMode === 'fromPeakShaving' || psActive) staleBudget = !!psBudgetStale;
@@ -794,6 +826,7 @@ if (components.length) {
             await this.adapter.setStateAsync('chargingManagement.summary.totalTargetCurrentA', totalTargetCurrentA, true);
             await this.adapter.setStateAsync('chargingManagement.summary.lastUpdate', Date.now(), true);
 
+            this._lastAllocations = debugAlloc;
             try {
                 const s = JSON.stringify(debugAlloc);
                 await this.adapter.setStateAsync('chargingManagement.debug.allocations', s, true);
@@ -849,8 +882,8 @@ if (components.length) {
             const pb = (pauseBehavior === 'followPeakBudget') ? 'followPeakBudget' : 'rampDownToZero';
 
             if (pb === 'followPeakBudget') {
-                const psBudgetStale = await isStateStale('peakShaving.dynamic.availableForControlledW', staleTimeoutMs);
-                const psBudgetRaw = await this._getPeakShavingBudgetW();
+                const psBudgetStale = !this.bus || this.bus.isStale(Topics.PEAK_SHAVING, staleTimeoutMs);
+                const psBudgetRaw = this._getPeakShavingBudgetW(staleTimeoutMs);
                 const psBudgetW = (!psBudgetStale && typeof psBudgetRaw === 'number' && Number.isFinite(psBudgetRaw)) ? Math.max(0, psBudgetRaw) : null;
 
                 if (psBudgetW !== null) {
@@ -949,6 +982,7 @@ if (components.length) {
                     if (Number.isFinite(targetA) && targetA > 0) totalTargetCurrentA += targetA;
                 }
 
+                this._lastAllocations = debugAlloc;
                 try {
                     const s = JSON.stringify(debugAlloc);
                     await this.adapter.setStateAsync('chargingManagement.debug.allocations', diagMaxJsonLen ? (s.slice(0, diagMaxJsonLen) + '...') : s, true);
@@ -973,10 +1007,19 @@ if (components.length) {
             }
         }
 
+        // Manual overrides (message API setOverride)
+        for (const w of wbList) {
+            w.override = this.overrides ? this.overrides.get('wallbox', w.key, w.safe) : null;
+        }
+
         // Priority distribution in W across mixed AC/DC chargers
         const sorted = wbList
             .filter(w => w.enabled && w.online)
             .sort((a, b) => {
+                const ao = a.override ? 1 : 0;
+                const bo = b.override ? 1 : 0;
+                if (ao !== bo) return bo - ao; // overridden first (served before the distribution)
+
                 const ac = a.charging ? 1 : 0;
                 const bc = b.charging ? 1 : 0;
                 if (ac !== bc) return bc - ac; // charging first
@@ -1049,6 +1092,17 @@ if (components.length) {
                 reason = ReasonCodes.BELOW_MIN;
             }
 
+            // Manual override replaces the distributed target, still capped by the remaining budget
+            if (w.override && w.controlBasis !== 'none') {
+                const ovW = (w.override.targetW !== null) ? w.override.targetW : (w.override.targetA * w.vFactor);
+                targetW = Math.min(Math.max(0, ovW), w.maxPW, Number.isFinite(remainingW) ? Math.max(0, remainingW) : Infinity);
+                reason = ReasonCodes.OVERRIDE;
+                if (targetW > 0 && w.minPW > 0 && targetW < w.minPW) {
+                    targetW = 0;
+                    reason = ReasonCodes.BELOW_MIN;
+                }
+            }
+
             // Convert to A for AC current-based control
             if (w.controlBasis === 'currentA' && w.setAKey) {
                 const vFactor = w.vFactor;
@@ -1232,6 +1286,7 @@ debugAlloc.push({
             }
         }
 
+        this._lastAllocations = debugAlloc;
         try {
             const s = JSON.stringify(debugAlloc);
             await this.adapter.setStateAsync('chargingManagement.debug.allocations', s.length > diagMaxJsonLen ? (s.slice(0, diagMaxJsonLen) + '...') : s, true);
@@ -1262,4 +1317,4 @@ debugAlloc.push({
     }
 }
 
-module.exports = { ChargingManagementModule };
\ No newline at end of file
+module.exports = { ChargingManagementModule, toSafeIdPart };
\ No newline at end of file
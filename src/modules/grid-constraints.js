@@ -3,10 +3,14 @@
 
 const { BaseModule } = require('./base');
 const { ReasonCodes } = require('../reasons');
+const { Topics } = require('../control-bus');
+const { BillingPeakTracker } = require('../billing-peak');
+const { resolveLimits } = require('../peak-schedule');
 
 /**
  * Grid constraints module (Netz & EVU):
  * - RLM (15-min demand) dynamic cap
+ * - monthly billing peak (highest 15-min average) with optional adaptive limit
  * - Zero export (Nulleinspeisung) via PV/WR curtail control if available
  *
  * This module is designed to be manufacturer-independent by mapping datapoints
@@ -15,6 +19,11 @@ const { ReasonCodes } = require('../reasons');
 class GridConstraintsModule extends BaseModule {
     constructor(adapter, dpRegistry) {
         super(adapter, dpRegistry);
+        this.configKeys = ['enableGridConstraints', 'gridConstraints', 'peakShaving'];
+        this.produces = [Topics.RLM];
+
+        // Safety loop (RLM / zero export): runs on every scheduler tick and is never deferred
+        this.timing = { intervalMs: 0, maxTickMs: 250, critical: true };
 
         this._lastStateWriteMs = 0;
 
@@ -24,8 +33,13 @@ class GridConstraintsModule extends BaseModule {
             intervalStartMs: 0,
             importedWs: 0,
             lastUpdateMs: 0,
+            lastImportW: 0,
         };
 
+        // Highest completed RLM interval of the month (see billing-peak.js)
+        this._billing = new BillingPeakTracker();
+        this._billingJson = '';
+
         // PV curtail setpoints (if no readback)
         this._pv = {
             lastMode: 'off', // resolved mode
@@ -63,7 +77,7 @@ class GridConstraintsModule extends BaseModule {
             native: {},
         });
 
-        for (const ch of ['control', 'rlm', 'zeroExport', 'pvCurtail']) {
+        for (const ch of ['control', 'rlm', 'billing', 'zeroExport', 'pvCurtail']) {
             await this.adapter.setObjectNotExistsAsync(`gridConstraints.${ch}`, {
                 type: 'channel',
                 common: { name: ch },
@@ -96,6 +110,16 @@ class GridConstraintsModule extends BaseModule {
         await mk('gridConstraints.rlm.avgW', 'Average import power in interval (W)', 'number', 'value.power');
         await mk('gridConstraints.rlm.capNowW', 'Cap now (W) to stay within 15-min avg', 'number', 'value.power');
 
+        // Billing peak
+        await mk('gridConstraints.billing.month', 'Billing month', 'string', 'text');
+        await mk('gridConstraints.billing.peakW', 'Billing peak of the month (highest 15-min avg, W)', 'number', 'value.power');
+        await mk('gridConstraints.billing.peakTs', 'Start of the peak interval (ts)', 'number', 'value.time');
+        await mk('gridConstraints.billing.todayMaxW', 'Highest 15-min avg today (W)', 'number', 'value.power');
+        await mk('gridConstraints.billing.lastIntervalAvgW', 'Average of the last completed interval (W)', 'number', 'value.power');
+        await mk('gridConstraints.billing.adaptiveLimitW', 'Limit raised to the billing peak (W, 0 = off)', 'number', 'value.power');
+        await mk('gridConstraints.billing.historyDaily', 'Daily maxima (JSON, newest first)', 'string', 'json');
+        await mk('gridConstraints.billing.historyMonthly', 'Monthly billing peaks (JSON, newest first)', 'string', 'json');
+
         // Zero export
         await mk('gridConstraints.zeroExport.enabled', 'Zero export enabled', 'boolean', 'indicator');
         await mk('gridConstraints.zeroExport.targetImportBiasW', 'Target import bias (W)', 'number', 'value.power');
@@ -108,6 +132,7 @@ class GridConstraintsModule extends BaseModule {
         await mk('gridConstraints.pvCurtail.setpointW', 'PV limit setpoint (W)', 'number', 'value.power');
         await mk('gridConstraints.pvCurtail.setpointPct', 'PV limit setpoint (%)', 'number', 'value');
         await mk('gridConstraints.pvCurtail.applied', 'Curtail applied', 'boolean', 'indicator');
+        await mk('gridConstraints.pvCurtail.status', 'Curtail write status (applied / unchanged / write_failed / dry_run)', 'string', 'text');
 
         // Datapoint mapping
         const cfg = this._cfg();
@@ -132,6 +157,93 @@ class GridConstraintsModule extends BaseModule {
         if (cfg.pvRatedPowerWId) {
             await dp.upsert({ key: 'pv.ratedPowerW', objectId: String(cfg.pvRatedPowerWId).trim(), dataType: 'number', direction: 'in', unit: 'W' });
         }
+
+        await this._restoreRlm();
+    }
+
+    /**
+     * RLM accumulator from before a restart, only if its interval is still running, and the billing
+     * peak (rolled over if the month has ended meanwhile). The billing peak has no age limit, the
+     * RLM part at most one interval.
+     *
+     * The downtime is billed at the last import power (at least the interval average so far): the dt
+     * clamp in _tickRlm only covers 10 s, a longer gap would otherwise lower the average.
+     */
+    async _restoreRlm() {
+        const snap = this.persistence ? await this.persistence.load(0) : null;
+        const billing = snap && snap.data ? snap.data.billing : null;
+        if (billing) {
+            this._billing.restore(billing);
+            this._billing.roll(Date.now());
+            if (this._billing.peakTs) this.adapter.log.info(`Billing peak: restored ${this._billing.peakW} W of ${this._billing.month}`);
+        }
+
+        const r = snap && snap.data ? snap.data.rlm : null;
+        if (!r) return;
+
+        const startMs = Number(r.intervalStartMs);
+        const importedWs = Number(r.importedWs);
+        const lastUpdateMs = Number(r.lastUpdateMs);
+        if (!Number.isFinite(startMs) || !Number.isFinite(importedWs) || importedWs < 0 || !Number.isFinite(lastUpdateMs)) return;
+        const nowMs = Date.now();
+        if (snap.ageMs > this._rlm.intervalMs || nowMs >= startMs + this._rlm.intervalMs || lastUpdateMs < startMs || lastUpdateMs > nowMs) return;
+
+        const elapsedSec = (lastUpdateMs - startMs) / 1000;
+        const avgW = elapsedSec > 0 ? importedWs / elapsedSec : 0;
+        const lastW = Number(r.lastImportW);
+        const gapW = Math.max(Number.isFinite(lastW) ? Math.max(0, lastW) : 0, avgW);
+        const gapSec = (nowMs - lastUpdateMs) / 1000;
+
+        this._rlm.intervalStartMs = startMs;
+        this._rlm.importedWs = importedWs + gapW * gapSec;
+        this._rlm.lastUpdateMs = nowMs;
+        this._rlm.lastImportW = gapW;
+        this.adapter.log.info(`RLM: restored ${Math.round(importedWs)} Ws of the running interval, ${Math.round(gapW * gapSec)} Ws for ${Math.round(gapSec)} s downtime`);
+    }
+
+    getSnapshot() {
+        const billing = this._billing.month ? this._billing.toJSON() : null;
+        if (!this._rlm.intervalStartMs && !billing) return null;
+        return {
+            rlm: this._rlm.intervalStartMs ? {
+                intervalStartMs: this._rlm.intervalStartMs,
+                importedWs: Math.round(this._rlm.importedWs),
+                lastUpdateMs: this._rlm.lastUpdateMs,
+                lastImportW: Math.round(this._rlm.lastImportW),
+            } : null,
+            billing,
+        };
+    }
+
+    /**
+     * Limit the billing peak allows (0 = adaptive limit off or no peak yet): the month's peak,
+     * at most the hard ceiling. Raising a limit below it saves nothing on the demand charge.
+     * @param {any} cfg gridConstraints config
+     */
+    _adaptiveLimitW(cfg) {
+        if (!cfg.billingPeakEnabled || !cfg.billingPeakAdaptive) return 0;
+        const ceilingW = Math.max(0, this._num(cfg.billingPeakCeilingW, 0));
+        if (ceilingW <= 0 || !this._billing.peakTs) return 0;
+        return Math.min(this._billing.peakW, ceilingW);
+    }
+
+    /**
+     * Publish the billing peak states (history only when it changed).
+     * @param {number} adaptiveLimitW
+     */
+    async _publishBilling(adaptiveLimitW) {
+        const b = this._billing;
+        await this.adapter.setStateAsync('gridConstraints.billing.month', b.month, true);
+        await this.adapter.setStateAsync('gridConstraints.billing.peakW', b.peakW, true);
+        await this.adapter.setStateAsync('gridConstraints.billing.peakTs', b.peakTs, true);
+        await this.adapter.setStateAsync('gridConstraints.billing.todayMaxW', b.dayMaxW, true);
+        await this.adapter.setStateAsync('gridConstraints.billing.adaptiveLimitW', Math.round(adaptiveLimitW), true);
+
+        const json = JSON.stringify([b.days, b.months]);
+        if (json === this._billingJson) return;
+        this._billingJson = json;
+        await this.adapter.setStateAsync('gridConstraints.billing.historyDaily', JSON.stringify(b.days), true);
+        await this.adapter.setStateAsync('gridConstraints.billing.historyMonthly', JSON.stringify(b.months), true);
     }
 
     _resolveCurtailMode(cfg) {
@@ -152,31 +264,64 @@ class GridConstraintsModule extends BaseModule {
 
     async _tickRlm(nowMs, gridW, cfg) {
         const enabled = !!cfg.rlmEnabled;
+        const tracking = !!cfg.billingPeakEnabled;
         const aligned = cfg.rlmAligned !== false;
         const safetyMarginW = Math.max(0, this._num(cfg.rlmSafetyMarginW, 0));
         const limitWraw = this._num(cfg.rlmLimitW, 0);
-        const limitW = Math.max(0, limitWraw - safetyMarginW);
 
         // Update states for visibility (even if disabled)
         await this.adapter.setStateAsync('gridConstraints.rlm.enabled', enabled, true);
-        await this.adapter.setStateAsync('gridConstraints.rlm.limitW', Math.round(limitWraw), true);
         await this.adapter.setStateAsync('gridConstraints.rlm.safetyMarginW', Math.round(safetyMarginW), true);
 
-        if (!enabled || !Number.isFinite(limitW) || limitW <= 0) {
+        const capping = enabled && limitWraw - safetyMarginW > 0;
+        // The billing peak needs the interval averages even without RLM cap
+        if (!capping && !tracking) {
+            await this.adapter.setStateAsync('gridConstraints.rlm.limitW', Math.round(limitWraw), true);
             await this.adapter.setStateAsync('gridConstraints.rlm.capNowW', 0, true);
-            return { enabled: false, capNowW: null, avgW: null, limitW: null };
+            return { enabled: false, capNowW: null, avgW: null, limitW: null, adaptiveLimitW: 0 };
         }
 
         const intervalMs = this._rlm.intervalMs;
 
         const intervalStartMs = aligned ? (Math.floor(nowMs / intervalMs) * intervalMs) : (this._rlm.intervalStartMs || nowMs);
         if (!this._rlm.intervalStartMs || intervalStartMs !== this._rlm.intervalStartMs) {
+            // Completed interval (only if it was followed to its end): the time since the last
+            // tick up to the boundary still belongs to it
+            const contiguous = !!this._rlm.intervalStartMs && intervalStartMs === this._rlm.intervalStartMs + intervalMs;
+            let lastUpdateMs = nowMs;
+            if (contiguous) {
+                const tailSec = this._clamp((intervalStartMs - (this._rlm.lastUpdateMs || intervalStartMs)) / 1000, 0, 10);
+                this._rlm.importedWs += Math.max(0, Number(gridW) || 0) * tailSec;
+                lastUpdateMs = Math.max(intervalStartMs, nowMs - 10000);
+            }
+
+            // Counted before the month / day of `nowMs` is rolled over below
+            if (tracking && contiguous) {
+                const completedAvgW = this._rlm.importedWs / (intervalMs / 1000);
+                if (this._billing.addInterval(this._rlm.intervalStartMs, completedAvgW)) {
+                    this.adapter.log.info(`Billing peak: new peak of ${this._billing.month} ${this._billing.peakW} W (interval ${new Date(this._rlm.intervalStartMs).toISOString()})`);
+                }
+                await this.adapter.setStateAsync('gridConstraints.billing.lastIntervalAvgW', Math.round(completedAvgW), true);
+            }
+
             // New interval
             this._rlm.intervalStartMs = intervalStartMs;
             this._rlm.importedWs = 0;
-            this._rlm.lastUpdateMs = nowMs;
+            this._rlm.lastUpdateMs = lastUpdateMs;
         }
 
+        let adaptiveLimitW = 0;
+        if (tracking) {
+            this._billing.roll(nowMs);
+            adaptiveLimitW = this._adaptiveLimitW(cfg);
+            await this._publishBilling(adaptiveLimitW);
+        }
+
+        // The adaptive limit only raises a configured RLM limit
+        const limitWeff = (limitWraw > 0) ? Math.max(limitWraw, adaptiveLimitW) : limitWraw;
+        const limitW = Math.max(0, limitWeff - safetyMarginW);
+        await this.adapter.setStateAsync('gridConstraints.rlm.limitW', Math.round(limitWeff), true);
+
         // dt
         let dtSec = (nowMs - (this._rlm.lastUpdateMs || nowMs)) / 1000;
         if (!Number.isFinite(dtSec) || dtSec < 0) dtSec = 0;
@@ -187,17 +332,11 @@ class GridConstraintsModule extends BaseModule {
 
         const importW = Math.max(0, Number(gridW) || 0);
         this._rlm.importedWs += importW * dtSec;
+        this._rlm.lastImportW = importW;
 
         const elapsedSec = Math.max(0, (nowMs - this._rlm.intervalStartMs) / 1000);
         const remainingSec = Math.max(1, (intervalMs / 1000) - elapsedSec);
 
-        const allowWs = limitW * (intervalMs / 1000);
-        const remWs = allowWs - this._rlm.importedWs;
-
-        let capNowW = remWs / remainingSec;
-        if (!Number.isFinite(capNowW)) capNowW = 0;
-        capNowW = this._clamp(capNowW, 0, limitW);
-
         const avgW = (elapsedSec > 0) ? (this._rlm.importedWs / elapsedSec) : 0;
 
         await this.adapter.setStateAsync('gridConstraints.rlm.intervalStart', this._rlm.intervalStartMs, true);
@@ -205,9 +344,22 @@ class GridConstraintsModule extends BaseModule {
         await this.adapter.setStateAsync('gridConstraints.rlm.remainingSec', Math.round(remainingSec), true);
         await this.adapter.setStateAsync('gridConstraints.rlm.importedWs', Math.round(this._rlm.importedWs), true);
         await this.adapter.setStateAsync('gridConstraints.rlm.avgW', Math.round(avgW), true);
+
+        if (!capping) {
+            await this.adapter.setStateAsync('gridConstraints.rlm.capNowW', 0, true);
+            return { enabled: false, capNowW: null, avgW, limitW: null, adaptiveLimitW };
+        }
+
+        const allowWs = limitW * (intervalMs / 1000);
+        const remWs = allowWs - this._rlm.importedWs;
+
+        let capNowW = remWs / remainingSec;
+        if (!Number.isFinite(capNowW)) capNowW = 0;
+        capNowW = this._clamp(capNowW, 0, limitW);
+
         await this.adapter.setStateAsync('gridConstraints.rlm.capNowW', Math.round(capNowW), true);
 
-        return { enabled: true, capNowW, avgW, limitW };
+        return { enabled: true, capNowW, avgW, limitW, adaptiveLimitW };
     }
 
     async _tickZeroExport(nowMs, gridW, cfg, gridStale) {
@@ -250,7 +402,7 @@ class GridConstraintsModule extends BaseModule {
 
         // feed-in limit: best for "hard 0 export"
         if (modeResolved === 'feedInLimitW') {
-            const ok = await this.dp.writeNumber('pv.feedInLimitW', 0, false);
+            const ok = await this._writeCurtail('pv.feedInLimitW', 0);
             await this.adapter.setStateAsync('gridConstraints.zeroExport.action', 'feedInLimitW=0', true);
             await this.adapter.setStateAsync('gridConstraints.pvCurtail.applied', ok === true || ok === null, true);
             await this.adapter.setStateAsync('gridConstraints.pvCurtail.setpointW', 0, true);
@@ -292,7 +444,7 @@ class GridConstraintsModule extends BaseModule {
             next = this._clamp(next, 0, maxW);
             this._pv.limitW = next;
 
-            const ok = await this.dp.writeNumber('pv.limitW', next, false);
+            const ok = await this._writeCurtail('pv.limitW', next);
 
             await this.adapter.setStateAsync('gridConstraints.zeroExport.action', fastTrip ? 'pvLimitW_fast' : 'pvLimitW', true);
             await this.adapter.setStateAsync('gridConstraints.pvCurtail.applied', ok === true || ok === null, true);
@@ -329,7 +481,7 @@ class GridConstraintsModule extends BaseModule {
             next = this._clamp(next, 0, 100);
             this._pv.limitPct = next;
 
-            const ok = await this.dp.writeNumber('pv.limitPct', next, false);
+            const ok = await this._writeCurtail('pv.limitPct', next);
 
             await this.adapter.setStateAsync('gridConstraints.zeroExport.action', fastTrip ? 'pvLimitPct_fast' : 'pvLimitPct', true);
             await this.adapter.setStateAsync('gridConstraints.pvCurtail.applied', ok === true || ok === null, true);
@@ -344,6 +496,20 @@ class GridConstraintsModule extends BaseModule {
         return { enabled: true, biasW, deadbandW, exportW };
     }
 
+    /**
+     * Write a PV curtailment setpoint and report the outcome in gridConstraints.pvCurtail.status.
+     * @param {string} key
+     * @param {number} value
+     * @returns {Promise<boolean|null>} see DatapointRegistry.writeNumber
+     */
+    async _writeCurtail(key, value) {
+        const ok = await this.dp.writeNumber(key, value, false);
+        let status = ok === true ? 'applied' : (ok === null ? 'unchanged' : 'write_failed');
+        if (ok !== false && this.dp.isDryRun()) status = 'dry_run';
+        await this.adapter.setStateAsync('gridConstraints.pvCurtail.status', status, true);
+        return ok;
+    }
+
     _getRatedPvW(cfg) {
         const explicit = this._num(cfg.pvRatedPowerW, 0);
         if (explicit > 0) return explicit;
@@ -355,20 +521,20 @@ class GridConstraintsModule extends BaseModule {
     async _applyCurtailFailsafe(cfg, modeResolved) {
         try {
             if (modeResolved === 'feedInLimitW') {
-                const ok = await this.dp.writeNumber('pv.feedInLimitW', 0, false);
+                const ok = await this._writeCurtail('pv.feedInLimitW', 0);
                 await this.adapter.setStateAsync('gridConstraints.pvCurtail.setpointW', 0, true);
                 await this.adapter.setStateAsync('gridConstraints.pvCurtail.setpointPct', 0, true);
                 return ok === true || ok === null;
             }
             if (modeResolved === 'pvLimitW') {
-                const ok = await this.dp.writeNumber('pv.limitW', 0, false);
+                const ok = await this._writeCurtail('pv.limitW', 0);
                 this._pv.limitW = 0;
                 await this.adapter.setStateAsync('gridConstraints.pvCurtail.setpointW', 0, true);
                 await this.adapter.setStateAsync('gridConstraints.pvCurtail.setpointPct', 0, true);
                 return ok === true || ok === null;
             }
             if (modeResolved === 'pvLimitPct') {
-                const ok = await this.dp.writeNumber('pv.limitPct', 0, false);
+                const ok = await this._writeCurtail('pv.limitPct', 0);
                 this._pv.limitPct = 0;
                 await this.adapter.setStateAsync('gridConstraints.pvCurtail.setpointW', 0, true);
                 await this.adapter.setStateAsync('gridConstraints.pvCurtail.setpointPct', 0, true);
@@ -399,19 +565,35 @@ class GridConstraintsModule extends BaseModule {
         }
 
         // RLM tick (works only with valid/stable grid)
-        let rlm = { enabled: false, capNowW: null };
+        let rlm = { enabled: false, capNowW: null, adaptiveLimitW: 0 };
         if (!gridStale && Number.isFinite(gridW)) {
             rlm = await this._tickRlm(nowMs, gridW, cfg);
         } else {
             // still update disabled/limit states
-            await this._tickRlm(nowMs, 0, { ...cfg, rlmEnabled: !!cfg.rlmEnabled });
+            const r = await this._tickRlm(nowMs, 0, { ...cfg, rlmEnabled: !!cfg.rlmEnabled });
+            rlm.adaptiveLimitW = r.adaptiveLimitW;
+        }
+
+        // Same-tick consumer: peak shaving caps its limit with capNowW
+        if (this.bus) {
+            const valid = !!(rlm && rlm.enabled);
+            this.bus.publish(Topics.RLM, {
+                enabled: valid,
+                capNowW: valid ? Number(rlm.capNowW) || 0 : 0,
+                avgW: valid ? Number(rlm.avgW) || 0 : 0,
+                limitW: valid ? Number(rlm.limitW) || 0 : 0,
+                billingPeakW: cfg.billingPeakEnabled ? this._billing.peakW : 0,
+                adaptiveLimitW: Number(rlm.adaptiveLimitW) || 0,
+            }, 'gridConstraints');
         }
 
         // Zero export tick (may work even if grid stale via failsafe)
         const ze = await this._tickZeroExport(nowMs, Number.isFinite(gridW) ? gridW : 0, cfg, gridStale);
 
-        // Compute final "max import" cap: min(connectionLimit, rlmCapNow)
-        const connectionLimitW = this._num(this.adapter.config.peakShaving?.maxPowerW, 0);
+        // Compute final "max import" cap: min(connectionLimit, rlmCapNow); the connection limit
+        // follows the peak-shaving schedule, raised to the billing peak as peak shaving does
+        let connectionLimitW = resolveLimits(this.adapter.config.peakShaving, nowMs).maxPowerW;
+        if (connectionLimitW > 0) connectionLimitW = Math.max(connectionLimitW, Number(rlm.adaptiveLimitW) || 0);
         let maxImportFinal = 0;
 
         if (connectionLimitW > 0) {
@@ -3,6 +3,7 @@
 const { BaseModule } = require('./base');
 const { applySetpoint } = require('../consumers');
 const { ReasonCodes, normalizeReason } = require('../reasons');
+const { Topics } = require('../control-bus');
 
 function num(v, dflt = 0) {
     const n = Number(v);
@@ -68,21 +69,6 @@ function ampsFromW(watts, voltageV, phases) {
     return w / denom;
 }
 
-function stateAgeMs(st) {
-    if (!st) return Number.POSITIVE_INFINITY;
-    const ts = Number(st.ts);
-    const lc = Number(st.lc);
-    const t = Number.isFinite(lc) ? lc : (Number.isFinite(ts) ? ts : NaN);
-    if (!Number.isFinite(t) || t <= 0) return Number.POSITIVE_INFINITY;
-    const age = Date.now() - t;
-    return Number.isFinite(age) && age >= 0 ? age : Number.POSITIVE_INFINITY;
-}
-
-function stateNum(st, dflt = null) {
-    const n = Number(st && st.val);
-    return Number.isFinite(n) ? n : dflt;
-}
-
 /**
  * MU7.1: Multi-Use Orchestrator Start
  *
@@ -95,6 +81,8 @@ function stateNum(st, dflt = null) {
 class MultiUseModule extends BaseModule {
     constructor(adapter, dpRegistry) {
         super(adapter, dpRegistry);
+        this.configKeys = ['enableMultiUse', 'multiUse'];
+        this.consumes = [Topics.PEAK_SHAVING, 'cm.tariffBudgetW'];
 
         /** @type {Array<any>} */
         this._consumers = [];
@@ -103,6 +91,9 @@ class MultiUseModule extends BaseModule {
     
         /** @type {Map<string, any>} */
         this._stateCache = new Map();
+
+        /** Last active flag seen from peak shaving on the bus (a missing output is only stale while PS was active) */
+        this._psLastActive = false;
 }
 
     _isEnabled() {
@@ -210,6 +201,10 @@ class MultiUseModule extends BaseModule {
     }
 
 
+    getStatus() {
+        return { consumers: Object.fromEntries(this._last) };
+    }
+
     async init() {
         if (!this._isEnabled()) return;
 
@@ -526,9 +521,11 @@ class MultiUseModule extends BaseModule {
 
         let controlReason = ReasonCodes.OK;
 
+        // PeakShaving output of this tick (control bus)
+        const ps = this.bus ? this.bus.getFresh(Topics.PEAK_SHAVING, staleTimeoutMs) : null;
+
         // Netzschutz: if PeakShaving reports STALE_METER we force budget to 0
-        const psReasonSt = await this.adapter.getStateAsync('peakShaving.control.reason').catch(() => null);
-        const psReason = String(psReasonSt?.val || '').trim();
+        const psReason = String(ps?.reason || '').trim();
         if (psReason === ReasonCodes.STALE_METER) {
             capW = 0;
             capSources.push('NET_STALE');
@@ -558,13 +555,16 @@ class MultiUseModule extends BaseModule {
         }
 
         // PeakShaving cap (only when PS is active; prevents MU from "re-increasing" after PS reductions)
-        const psActiveSt = await this.adapter.getStateAsync('peakShaving.control.active').catch(() => null);
-        const psActive = !!psActiveSt?.val;
-        if (psActive) {
-            const availSt = await this.adapter.getStateAsync('peakShaving.dynamic.availableForControlledW').catch(() => null);
-            const age = stateAgeMs(availSt);
-            const avail = stateNum(availSt, null);
-            if (!(Number.isFinite(avail)) || age > staleTimeoutMs) {
+        // (no fresh output on the bus counts as stale only if PS last reported itself active)
+        const psEnabled = !!this.adapter.config.enablePeakShaving;
+        if (ps) this._psLastActive = !!ps.active;
+        else if (!psEnabled) this._psLastActive = false;
+        if (!ps && this._psLastActive) {
+            capW = Math.min(capW, 0);
+            capSources.push('PEAK_SHAVING_STALE');
+        } else if (ps && ps.active) {
+            const avail = Number(ps.availableForControlledW);
+            if (!(Number.isFinite(avail))) {
                 capW = Math.min(capW, 0);
                 capSources.push('PEAK_SHAVING_STALE');
             } else {
@@ -603,8 +603,10 @@ class MultiUseModule extends BaseModule {
             const stW = await this.adapter.getStateAsync(`${base}.targetW`).catch(() => null);
             const stA = await this.adapter.getStateAsync(`${base}.targetA`).catch(() => null);
 
-            const reqTargetW = num(stW?.val, 0);
-            const reqTargetA = num(stA?.val, 0);
+            // Manual override (message API setOverride) replaces the requested target
+            const override = this.overrides ? this.overrides.get('consumer', c.key, c.id) : null;
+            const reqTargetW = override ? num(override.targetW, 0) : num(stW?.val, 0);
+            const reqTargetA = override ? num(override.targetA, 0) : num(stA?.val, 0);
 
             const hasRequest = (reqTargetW > 0) || (reqTargetA > 0);
 
@@ -716,7 +718,7 @@ class MultiUseModule extends BaseModule {
 
             // Write per-consumer result only if changed (reduce state spam)
             const prev = this._last.get(c.id);
-            const next = { reqTargetW, reqTargetA, requestedW: Math.round(requestedW), allocatedW: Math.round(allocatedW), allocatedA, basis, applied, status, reason };
+            const next = { reqTargetW, reqTargetA, requestedW: Math.round(requestedW), allocatedW: Math.round(allocatedW), allocatedA, basis, applied, status, reason, override: !!override };
             const changed = !prev
                 || prev.reqTargetW !== next.reqTargetW
                 || prev.reqTargetA !== next.reqTargetA
@@ -726,7 +728,8 @@ class MultiUseModule extends BaseModule {
                 || prev.basis !== next.basis
                 || prev.applied !== next.applied
                 || prev.status !== next.status
-                || prev.reason !== next.reason;
+                || prev.reason !== next.reason
+                || prev.override !== next.override;
 
             if (changed) {
                 this._last.set(c.id, next);
@@ -759,4 +762,4 @@ class MultiUseModule extends BaseModule {
     }
 }
 
-module.exports = { MultiUseModule };
+module.exports = { MultiUseModule, safeIdPart };
@@ -2,6 +2,8 @@
 
 const { BaseModule } = require('./base');
 const { ReasonCodes } = require('../reasons');
+const { Topics } = require('../control-bus');
+const { resolveLimits } = require('../peak-schedule');
 
 class SlidingWindow {
     constructor(maxSeconds) {
@@ -50,6 +52,39 @@ class SlidingWindow {
     count() {
         return this.samples.length;
     }
+
+    /**
+     * Least-squares line through the samples.
+     * @param {number} nowTs
+     * @returns {{slope: number, valueNow: number, r2: number}|null} slope in units per second, r2 = fit (0..1); null below 3 samples
+     */
+    trend(nowTs) {
+        const n = this.samples.length;
+        if (n < 3) return null;
+        let st = 0;
+        let sv = 0;
+        for (const s of this.samples) {
+            st += (s.t - nowTs) / 1000;
+            sv += s.v;
+        }
+        const mt = st / n;
+        const mv = sv / n;
+        let stt = 0;
+        let stv = 0;
+        let svv = 0;
+        for (const s of this.samples) {
+            const dt = (s.t - nowTs) / 1000 - mt;
+            const dv = s.v - mv;
+            stt += dt * dt;
+            stv += dt * dv;
+            svv += dv * dv;
+        }
+        if (stt <= 0) return null;
+        const slope = stv / stt;
+        // A flat line is a perfect fit, but predicts nothing
+        const r2 = svv > 0 ? (stv * stv) / (stt * svv) : 0;
+        return { slope, valueNow: mv - slope * mt, r2 };
+    }
 }
 
 function num(v, fallback = null) {
@@ -64,22 +99,60 @@ function clamp(n, min, max) {
     return n;
 }
 
+/** Persisted actuator baselines older than this are not restored */
+const BASELINE_MAX_AGE_MS = 7 * 24 * 3600 * 1000;
+
+/** Predictive activation: weight of one checked prediction in the learned ramp factor, and its range */
+const RAMP_LEARN_RATE = 0.2;
+const RAMP_FACTOR_MIN = 0.2;
+const RAMP_FACTOR_MAX = 1.5;
+
+/** onOff actuators: window of the switching limit (maxSwitchesPerHour) */
+const SWITCH_WINDOW_MS = 3600 * 1000;
+
 class PeakShavingModule extends BaseModule {
     constructor(adapter, dpRegistry) {
         super(adapter, dpRegistry);
+        this.configKeys = ['enablePeakShaving', 'peakShaving'];
+        this.produces = [Topics.PEAK_SHAVING];
+        this.consumes = [Topics.RLM];
+
+        // Safety loop: runs on every scheduler tick and is never deferred
+        this.timing = { intervalMs: 0, maxTickMs: 250, critical: true };
 
         this._winPower = new SlidingWindow(10);
         this._winL1 = new SlidingWindow(10);
         this._winL2 = new SlidingWindow(10);
         this._winL3 = new SlidingWindow(10);
+        this._winTrend = new SlidingWindow(30);
+
+        // Predictive activation: share of a projected rise that really arrived (learned), and the
+        // prediction waiting to be checked against the measured power at the end of its horizon
+        this._rampFactor = 1;
+        /** @type {{dueMs: number, baseW: number, predictedW: number}|null} */
+        this._rampCheck = null;
 
         this._status = 'inactive'; // inactive | pending_on | active | pending_off
         this._pendingSince = 0;
         this._activeSince = 0;
 
-        /** @type {Map<string, {mode:string, phases:number, baseline:number|null, baselineEnabled:boolean|null}>} */
+        /** @type {Map<string, {mode:string, phases:number, baseline:number|null, baselineEnabled:boolean|null, target?:number|null}>} */
         this._baselines = new Map();
         this._wasActive = false;
+
+        /** Staged release in progress (actuators still throttled keep their baseline entry) */
+        /** @type {{lastStageMs: number}|null} */
+        this._release = null;
+
+        /** onOff actuators: own switching events (off = switched off by peak shaving), for the minimum
+         * on/off times and the switching limit; last published lock per actuator */
+        /** @type {Map<string, {off: boolean, lastOffMs: number, lastOnMs: number, events: number[]}>} */
+        this._switching = new Map();
+        /** @type {Map<string, string>} */
+        this._lockShown = new Map();
+
+        /** Name of the schedule row in effect ('' = base settings), for the change log */
+        this._scheduleEntry = null;
     }
 
     _isEnabled() {
@@ -96,7 +169,7 @@ class PeakShavingModule extends BaseModule {
             native: {},
         });
 
-        for (const ch of ['measure', 'calc', 'control', 'dynamic', 'actuators']) {
+        for (const ch of ['measure', 'calc', 'control', 'predict', 'dynamic', 'actuators']) {
             await this.adapter.setObjectNotExistsAsync(`peakShaving.${ch}`, {
                 type: 'channel',
                 common: { name: ch },
@@ -117,6 +190,11 @@ class PeakShavingModule extends BaseModule {
         await mk('peakShaving.control.status', 'Status', 'string', 'text');
         await mk('peakShaving.control.reason', 'Reason', 'string', 'text');
         await mk('peakShaving.control.limitW', 'Effective limit (W)', 'number', 'value.power');
+        await mk('peakShaving.control.scheduleEntry', 'Schedule entry in effect (empty = base settings)', 'string', 'text');
+        await mk('peakShaving.control.maxPowerW', 'Max power in effect (W, schedule or base setting)', 'number', 'value.power');
+        await mk('peakShaving.control.reserveW', 'Reserve in effect (W, schedule or base setting)', 'number', 'value.power');
+        await mk('peakShaving.control.maxPhaseA', 'Max phase current in effect (A, schedule or base setting)', 'number', 'value.current');
+        await mk('peakShaving.control.adaptiveLimitW', 'Limit raised to the billing peak (W, 0 = not raised)', 'number', 'value.power');
         await mk('peakShaving.control.effectivePowerW', 'Effective power (W)', 'number', 'value.power');
         await mk('peakShaving.control.overW', 'Over limit (W)', 'number', 'value.power');
         await mk('peakShaving.control.requiredReductionW', 'Required reduction (W)', 'number', 'value.power');
@@ -136,6 +214,63 @@ class PeakShavingModule extends BaseModule {
 
         await mk('peakShaving.calc.avgPowerW', 'Average power (W)', 'number', 'value.power');
         await mk('peakShaving.calc.samples', 'Samples', 'number', 'value');
+
+        await mk('peakShaving.predict.enabled', 'Predictive activation enabled', 'boolean', 'indicator');
+        await mk('peakShaving.predict.slopeWps', 'Load trend (W/s)', 'number', 'value');
+        await mk('peakShaving.predict.confidence', 'Fit of the trend (0..1)', 'number', 'value');
+        await mk('peakShaving.predict.rampFactor', 'Learned share of a trend that continues (0.2..1.5)', 'number', 'value');
+        await mk('peakShaving.predict.predictedPowerW', 'Predicted power at the horizon (W)', 'number', 'value.power');
+        await mk('peakShaving.predict.leadTimeSec', 'Projected time until the limit is reached (s, 0 = not rising)', 'number', 'value.interval');
+        await mk('peakShaving.predict.violation', 'Projected violation', 'boolean', 'indicator');
+
+        await this._restoreBaselines();
+    }
+
+    /**
+     * Actuator baselines from before a restart: the loads may still be throttled, so the next
+     * release (or the first tick without active peak shaving) restores them. The learned ramp
+     * factor of the predictive activation and the switching history of onOff actuators (minimum
+     * on/off times, switching limit) come with the same snapshot.
+     */
+    async _restoreBaselines() {
+        const snap = this.persistence ? await this.persistence.load(BASELINE_MAX_AGE_MS) : null;
+        const list = snap && snap.data && Array.isArray(snap.data.baselines) ? snap.data.baselines : [];
+        const rampFactor = snap && snap.data ? Number(snap.data.rampFactor) : NaN;
+        if (Number.isFinite(rampFactor)) this._rampFactor = clamp(rampFactor, RAMP_FACTOR_MIN, RAMP_FACTOR_MAX);
+
+        for (const b of list) {
+            if (!b || !b.id || this._baselines.has(b.id)) continue;
+            this._baselines.set(String(b.id), {
+                mode: String(b.mode || 'limitW'),
+                phases: Number(b.phases) || 3,
+                baseline: (typeof b.baseline === 'number' && Number.isFinite(b.baseline)) ? b.baseline : null,
+                baselineEnabled: (typeof b.baselineEnabled === 'boolean') ? b.baselineEnabled : null,
+                target: (typeof b.target === 'number' && Number.isFinite(b.target)) ? b.target : null,
+            });
+        }
+        const switching = snap && snap.data && Array.isArray(snap.data.switching) ? snap.data.switching : [];
+        const now = Date.now();
+        for (const sw of switching) {
+            if (!sw || !sw.id || this._switching.has(sw.id)) continue;
+            this._switching.set(String(sw.id), {
+                off: sw.off === true,
+                lastOffMs: Number(sw.lastOffMs) || 0,
+                lastOnMs: Number(sw.lastOnMs) || 0,
+                events: (Array.isArray(sw.events) ? sw.events : []).map(Number).filter(t => Number.isFinite(t) && now - t < SWITCH_WINDOW_MS),
+            });
+        }
+        if (this._baselines.size) {
+            this._wasActive = true;
+            this.adapter.log.info(`Peak shaving: restored baselines of ${this._baselines.size} actuator(s)`);
+        }
+    }
+
+    getSnapshot() {
+        return {
+            baselines: Array.from(this._baselines.entries()).map(([id, b]) => ({ id, ...b })),
+            rampFactor: Math.round(this._rampFactor * 1000) / 1000,
+            switching: Array.from(this._switching.entries()).map(([id, sw]) => ({ id, ...sw })),
+        };
     }
 
     async tick() {
@@ -149,7 +284,16 @@ class PeakShavingModule extends BaseModule {
         const smoothingSeconds = clamp(num(cfg.smoothingSeconds, 10), 1, 600);
         const useAverage = cfg.useAverage !== false; // default true
 
-        const maxPowerW = num(cfg.maxPowerW, 0);
+        // Schedule: limits of the current period (DST-safe, local wall clock)
+        const scheduled = resolveLimits(cfg, now);
+        const scheduleEntry = scheduled.entry ? scheduled.entry.name : '';
+        if (scheduleEntry !== this._scheduleEntry) {
+            if (this._scheduleEntry !== null || scheduleEntry) {
+                this.adapter.log.info(`Peak shaving: ${scheduleEntry ? `schedule entry '${scheduleEntry}'` : 'base settings'} in effect (max ${scheduled.maxPowerW} W, reserve ${scheduled.reserveW} W, phase ${scheduled.maxPhaseA} A)`);
+            }
+            this._scheduleEntry = scheduleEntry;
+        }
+        const maxPowerW = scheduled.maxPowerW;
         const hysteresisW = clamp(num(cfg.hysteresisW, 500), 0, 1e9);
         const activateDelayS = clamp(num(cfg.activateDelaySeconds, 2), 0, 3600);
         const releaseDelayS = clamp(num(cfg.releaseDelaySeconds, 5), 0, 3600);
@@ -158,11 +302,22 @@ class PeakShavingModule extends BaseModule {
         const fastTripEnabled = cfg.fastTripEnabled !== false; // default true
         const fastTripMode = String(cfg.fastTripMode || 'max'); // max|raw
 
-        const maxPhaseA = num(cfg.maxPhaseA, 0);
+        const maxPhaseA = scheduled.maxPhaseA;
         const phaseMode = String(cfg.phaseMode || (maxPhaseA > 0 ? 'enforce' : 'off')); // off|info|enforce
         const hysteresisA = clamp(num(cfg.hysteresisA, 1), 0, 100);
         const voltageV = clamp(num(cfg.voltageV, 230), 50, 400);
 
+        // Staged release (0 = all actuators back to their baseline at once)
+        const releaseStageS = clamp(num(cfg.releaseStageSec, 0), 0, 3600);
+        const releaseMaxStepW = clamp(num(cfg.releaseMaxStepW, 0), 0, 1e9);
+        const releaseMarginW = (cfg.releaseMarginW === '' || cfg.releaseMarginW === null || cfg.releaseMarginW === undefined) ? hysteresisW : clamp(num(cfg.releaseMarginW, hysteresisW), 0, 1e9);
+
+        // Predictive activation (optional): act on a projected violation within the horizon
+        const predictive = cfg.predictiveEnabled === true;
+        const predictHorizonS = clamp(num(cfg.predictHorizonSec, 60), 5, 900);
+        const predictWindowS = clamp(num(cfg.predictWindowSec, 30), 5, 600);
+        const predictMinConfidence = clamp(num(cfg.predictMinConfidence, 0.8), 0, 1);
+
         // Bind datapoints from config (manufacturer-independent)
         if (cfg.gridPointPowerId) {
             await this.dp.upsert({ key: 'ps.gridPowerW', objectId: cfg.gridPointPowerId, dataType: 'number', direction: 'in', unit: 'W' });
@@ -226,6 +381,10 @@ class PeakShavingModule extends BaseModule {
         if (typeof l1Raw === 'number') this._winL1.push(l1Raw, now);
         if (typeof l2Raw === 'number') this._winL2.push(l2Raw, now);
         if (typeof l3Raw === 'number') this._winL3.push(l3Raw, now);
+        if (predictive) {
+            this._winTrend.setMaxSeconds(predictWindowS);
+            if (typeof gridPowerRaw === 'number') this._winTrend.push(gridPowerRaw, now);
+        }
 
         const avgPower = this._winPower.mean();
         const maxPower = this._winPower.max();
@@ -247,32 +406,35 @@ class PeakShavingModule extends BaseModule {
         await this.adapter.setStateAsync('peakShaving.calc.avgPowerW', typeof avgPower === 'number' ? avgPower : 0, true);
         await this.adapter.setStateAsync('peakShaving.calc.samples', samples, true);
 
+        // GridConstraints (RLM): dynamic cap and the limit raised to the month's billing peak
+        const rlm = (this.adapter.config.enableGridConstraints && this.bus) ? this.bus.getFresh(Topics.RLM, staleMaxAgeMs) : null;
+
+        // Billing peak: once the month's peak is set, throttling below it saves nothing
+        const adaptiveLimitW = rlm ? num(rlm.adaptiveLimitW, 0) : 0;
+        const baseLimitW = (typeof maxPowerW === 'number' && maxPowerW > 0) ? Math.max(maxPowerW, adaptiveLimitW) : maxPowerW;
+        await this.adapter.setStateAsync('peakShaving.control.adaptiveLimitW', baseLimitW > maxPowerW ? Math.round(baseLimitW) : 0, true);
+
         // Determine power limit
         let limitW = 0;
         let allowedPowerW = null;
-        let reserveW = num(cfg.reserveW, 0);
+        let reserveW = scheduled.reserveW;
 
         if (mode === 'dynamic') {
             allowedPowerW = this.dp.getNumber('ps.allowedPowerW', null);
-            const baseMax = (typeof maxPowerW === 'number' && maxPowerW > 0) ? maxPowerW : Number.POSITIVE_INFINITY;
+            const baseMax = (typeof baseLimitW === 'number' && baseLimitW > 0) ? baseLimitW : Number.POSITIVE_INFINITY;
             const allowed = (typeof allowedPowerW === 'number' && allowedPowerW > 0) ? allowedPowerW : Number.POSITIVE_INFINITY;
             limitW = Math.min(baseMax, allowed) - Math.max(0, reserveW);
             if (!Number.isFinite(limitW)) limitW = 0;
         } else {
-            limitW = (typeof maxPowerW === 'number' && maxPowerW > 0) ? maxPowerW : 0;
+            limitW = (typeof baseLimitW === 'number' && baseLimitW > 0) ? baseLimitW : 0;
         }
 
         // GridConstraints (RLM): zusätzliche dynamische Obergrenze für den Netzbezug
         // (wird nur berücksichtigt, wenn das GridConstraints-Modul aktiv ist und RLM eingeschaltet ist)
-        if (this.adapter.config.enableGridConstraints && this.adapter.config.gridConstraints && this.adapter.config.gridConstraints.rlmEnabled) {
-            try {
-                const st = await this.adapter.getStateAsync('gridConstraints.rlm.capNowW');
-                const cap = (st && typeof st.val === 'number') ? st.val : Number(st && st.val);
-                if (Number.isFinite(cap) && cap > 0) {
-                    limitW = (limitW > 0) ? Math.min(limitW, cap) : cap;
-                }
-            } catch {
-                // ignore
+        if (rlm && this.adapter.config.gridConstraints && this.adapter.config.gridConstraints.rlmEnabled) {
+            const cap = rlm.enabled ? Number(rlm.capNowW) : NaN;
+            if (Number.isFinite(cap) && cap > 0) {
+                limitW = (limitW > 0) ? Math.min(limitW, cap) : cap;
             }
         }
 
@@ -322,20 +484,28 @@ class PeakShavingModule extends BaseModule {
         const canActivateFromPhaseOnly = phaseMode === 'enforce';
 
         const hasPowerLimit = limitW > 0;
+
+        // Projected violation: slow actuators (heat pumps) get the horizon to respond
+        const prediction = (predictive && hasPowerLimit && !staleMeter)
+            ? this._predict(now, limitW, { horizonSec: predictHorizonS, minConfidence: predictMinConfidence, active: this._status === 'active' })
+            : null;
+        const predictedViolation = !!(prediction && prediction.violation);
+
         const violationNow =
             staleMeter ||
-            (hasPowerLimit && powerViolation) ||
+            (hasPowerLimit && (powerViolation || predictedViolation)) ||
             (considerPhase && phaseViolation && (hasPowerLimit || canActivateFromPhaseOnly));
 
         // Determine requested reduction (W)
         const reqFromPower = powerViolation ? overW : 0;
         const reqFromPhase = (considerPhase && phaseViolation) ? requiredReductionWPhase3p : 0;
-        const requiredReductionW = staleMeter ? 1000000000 : Math.max(0, reqFromPower, reqFromPhase);
+        const reqFromPrediction = predictedViolation ? Math.max(0, prediction.predictedW - limitW) : 0;
+        const requiredReductionW = staleMeter ? 1000000000 : Math.max(0, reqFromPower, reqFromPhase, reqFromPrediction);
 
         // State machine with delays/hysteresis
         const underPowerRelease = !hasPowerLimit ? true : (typeof effPower === 'number' ? effPower <= (limitW - hysteresisW) : true);
         const underPhaseRelease = !considerPhase ? true : (phaseViolation ? false : true); // if no violation, ok
-        const releaseConditionNow = !staleMeter && !fastTripViolation && underPowerRelease && underPhaseRelease;
+        const releaseConditionNow = !staleMeter && !fastTripViolation && !predictedViolation && underPowerRelease && underPhaseRelease;
 
         let status = this._status;
         let active = status === 'active';
@@ -399,6 +569,7 @@ class PeakShavingModule extends BaseModule {
             if (powerViolation && phaseViolation && considerPhase) reason = ReasonCodes.LIMIT_POWER_AND_PHASE;
             else if (powerViolation) reason = ReasonCodes.LIMIT_POWER;
             else if (phaseViolation && considerPhase) reason = ReasonCodes.LIMIT_PHASE;
+            else if (predictedViolation) reason = ReasonCodes.LIMIT_POWER_PREDICTED;
             else reason = ReasonCodes.UNKNOWN;
         }
 
@@ -439,6 +610,10 @@ class PeakShavingModule extends BaseModule {
         await this.adapter.setStateAsync('peakShaving.control.status', status, true);
         await this.adapter.setStateAsync('peakShaving.control.reason', reason, true);
         await this.adapter.setStateAsync('peakShaving.control.limitW', limitW || 0, true);
+        await this.adapter.setStateAsync('peakShaving.control.scheduleEntry', scheduleEntry, true);
+        await this.adapter.setStateAsync('peakShaving.control.maxPowerW', maxPowerW, true);
+        await this.adapter.setStateAsync('peakShaving.control.reserveW', reserveW, true);
+        await this.adapter.setStateAsync('peakShaving.control.maxPhaseA', maxPhaseA, true);
         await this.adapter.setStateAsync('peakShaving.control.effectivePowerW', typeof effPower === 'number' ? effPower : 0, true);
         await this.adapter.setStateAsync('peakShaving.control.overW', powerViolation ? overW : 0, true);
         await this.adapter.setStateAsync('peakShaving.control.requiredReductionW', active ? requiredReductionW : 0, true);
@@ -448,20 +623,56 @@ class PeakShavingModule extends BaseModule {
         await this.adapter.setStateAsync('peakShaving.control.worstPhaseOverA', worstPhaseOverA || 0, true);
         await this.adapter.setStateAsync('peakShaving.control.lastUpdate', now, true);
 
+        await this.adapter.setStateAsync('peakShaving.predict.enabled', predictive, true);
+        if (predictive) {
+            const p = prediction || { slopeWps: 0, confidence: 0, predictedW: null, leadTimeSec: 0 };
+            await this.adapter.setStateAsync('peakShaving.predict.slopeWps', Math.round(p.slopeWps * 10) / 10, true);
+            await this.adapter.setStateAsync('peakShaving.predict.confidence', Math.round(p.confidence * 1000) / 1000, true);
+            await this.adapter.setStateAsync('peakShaving.predict.rampFactor', Math.round(this._rampFactor * 1000) / 1000, true);
+            await this.adapter.setStateAsync('peakShaving.predict.predictedPowerW', typeof p.predictedW === 'number' ? Math.round(p.predictedW) : 0, true);
+            await this.adapter.setStateAsync('peakShaving.predict.leadTimeSec', Math.round(p.leadTimeSec), true);
+            await this.adapter.setStateAsync('peakShaving.predict.violation', predictedViolation, true);
+        }
+
+        // Same-tick consumers (storage, charging, multi-use) read the bus, the states above are mirrors
+        if (this.bus) {
+            this.bus.publish(Topics.PEAK_SHAVING, {
+                active,
+                status,
+                reason,
+                limitW: limitW || 0,
+                overW: powerViolation ? overW : 0,
+                requiredReductionW: active ? requiredReductionW : 0,
+                availableForControlledW,
+            }, 'peakShaving');
+        }
+
         // Actuation (Step 1.5)
         const actEnabled = !!cfg.actuationEnabled;
         const actuators = Array.isArray(cfg.actuators) ? cfg.actuators : [];
 
-        // detect transitions to store/restore baselines
+        // detect transitions to store/restore baselines; an interrupted release keeps the baselines
+        // of the actuators that are still throttled
         if (active && !this._wasActive) {
-            this._baselines.clear();
+            if (this._release) {
+                this.adapter.log.info(`Peak shaving: release aborted, active again (${this._baselines.size} actuator(s) still throttled)`);
+            } else {
+                this._baselines.clear();
+            }
+            this._release = null;
         }
 
         if (actEnabled && active && requiredReductionW > 0) {
             await this._applyActuators(actuators, requiredReductionW, voltageV);
-        } else if (this._wasActive && !active) {
-            await this._restoreActuators(actuators);
+        } else if (!active && (this._wasActive || this._release)) {
+            if (releaseStageS > 0) {
+                const headroomW = (limitW > 0 && typeof effPower === 'number') ? limitW - effPower : Number.POSITIVE_INFINITY;
+                await this._releaseStage(actuators, { now, stageMs: releaseStageS * 1000, maxStepW: releaseMaxStepW, marginW: releaseMarginW, headroomW, voltageV });
+            } else {
+                await this._restoreActuators(actuators);
+            }
         }
+        if (this._switching.size) await this._publishLocks(actuators, now);
 
 
         // MU6.1: diagnostics logging (compact)
@@ -479,6 +690,53 @@ class PeakShavingModule extends BaseModule {
         this._wasActive = active;
     }
 
+    /**
+     * Live config reload: actuators that are currently curtailed but were removed, disabled or
+     * re-mapped (or peak shaving was switched off) get their baseline back before the new config
+     * takes over. Everything else (windows, status, remaining baselines) is kept.
+     * @param {any} prevConfig
+     */
+    async reload(prevConfig) {
+        const enabled = this._isEnabled();
+        const cfg = this.adapter.config.peakShaving || {};
+        const current = new Map();
+        for (const a of (enabled && Array.isArray(cfg.actuators) ? cfg.actuators : [])) {
+            if (!a || a.enabled === false) continue;
+            const id = String(a.id || '').trim();
+            if (!id) continue;
+            const safeId = id.toLowerCase().replace(/[^a-z0-9_]+/g, '_').slice(0, 64);
+            current.set(safeId, { setpointId: String(a.setpointId || '').trim(), enableId: String(a.enableId || '').trim() });
+        }
+
+        for (const [safeId, mem] of Array.from(this._baselines.entries())) {
+            const now = current.get(safeId);
+            const spEntry = this.dp ? this.dp.getEntry(`ps.act.${safeId}.setpoint`) : null;
+            const enEntry = this.dp ? this.dp.getEntry(`ps.act.${safeId}.enable`) : null;
+            const unchanged = !!now
+                && (spEntry ? spEntry.objectId : '') === now.setpointId
+                && (enEntry ? enEntry.objectId : '') === now.enableId;
+            if (unchanged) continue;
+
+            // Restore via the old mapping (still registered until the registry sweep)
+            if (spEntry && typeof mem.baseline === 'number' && Number.isFinite(mem.baseline)) {
+                await this.dp.writeNumber(`ps.act.${safeId}.setpoint`, mem.baseline, false);
+            }
+            if (enEntry && typeof mem.baselineEnabled === 'boolean') {
+                await this.dp.writeBoolean(`ps.act.${safeId}.enable`, mem.baselineEnabled, false);
+            }
+            this._baselines.delete(safeId);
+            this.adapter.log.info(`Peak shaving: actuator '${safeId}' restored to baseline (config changed)`);
+        }
+
+        if (!enabled) {
+            this._status = 'inactive';
+            this._wasActive = false;
+            this._release = null;
+            return;
+        }
+        await this.init();
+    }
+
     async _ensureActuatorChannel(idPart) {
         const ch = `peakShaving.actuators.${idPart}`;
         await this.adapter.setObjectNotExistsAsync(ch, {
@@ -497,11 +755,132 @@ class PeakShavingModule extends BaseModule {
         await mk('appliedReductionW', 'Applied reduction (W)', 'number', 'value.power');
         await mk('status', 'Status', 'string', 'text');
         await mk('lastWrite', 'Last write', 'number', 'value.time');
+        await mk('locked', 'Switching locked (onOff)', 'boolean', 'indicator');
+        await mk('lockReason', 'Lock reason (min_on, min_off, max_switches)', 'string', 'text');
+        await mk('lockedUntil', 'Locked until', 'number', 'value.time');
         return ch;
     }
 
+    /**
+     * Short-cycle protection of onOff actuators: may the load be switched now?
+     * Only switching done by peak shaving counts; `minOnSec` runs from the last switch-on (restore),
+     * `minOffSec` from the last switch-off, `maxSwitchesPerHour` counts both directions.
+     *
+     * @param {string} safeId
+     * @param {any} a actuator config
+     * @param {boolean} on switch on (restore) or off (reduce)
+     * @param {number} now
+     * @returns {{reason: string, untilMs: number}} reason '' = free
+     */
+    _switchLock(safeId, a, on, now) {
+        const sw = this._switching.get(safeId);
+        if (!sw) return { reason: '', untilMs: 0 };
+        sw.events = sw.events.filter(t => now - t < SWITCH_WINDOW_MS);
+
+        const minMs = Math.max(0, num(on ? a.minOffSec : a.minOnSec, 0)) * 1000;
+        const since = on ? sw.lastOffMs : sw.lastOnMs;
+        if (minMs > 0 && since > 0 && now - since < minMs) {
+            return { reason: on ? 'min_off' : 'min_on', untilMs: since + minMs };
+        }
+        const maxSwitches = num(a.maxSwitchesPerHour, 0);
+        if (maxSwitches > 0 && sw.events.length >= maxSwitches) {
+            return { reason: 'max_switches', untilMs: sw.events[sw.events.length - maxSwitches] + SWITCH_WINDOW_MS };
+        }
+        return { reason: '', untilMs: 0 };
+    }
+
+    /**
+     * @param {string} safeId
+     * @param {boolean} on
+     * @param {number} now
+     */
+    _recordSwitch(safeId, on, now) {
+        const sw = this._switching.get(safeId) || { off: false, lastOffMs: 0, lastOnMs: 0, events: [] };
+        sw.off = !on;
+        if (on) sw.lastOnMs = now;
+        else sw.lastOffMs = now;
+        sw.events.push(now);
+        this._switching.set(safeId, sw);
+        // A restart right after a switching event must still see the minimum on/off times
+        this.persistNow = true;
+    }
+
+    /**
+     * Publish the lock of the next switching of every onOff actuator peak shaving has switched
+     * (switch-on while it is off, switch-off otherwise).
+     * @param {Array<any>} actuators
+     * @param {number} now
+     */
+    async _publishLocks(actuators, now) {
+        for (const a of (Array.isArray(actuators) ? actuators : [])) {
+            if (!a || a.enabled === false || String(a.mode || 'limitW') !== 'onOff') continue;
+            const id = String(a.id || '').trim();
+            if (!id) continue;
+            const safeId = id.toLowerCase().replace(/[^a-z0-9_]+/g, '_').slice(0, 64);
+            const sw = this._switching.get(safeId);
+            if (!sw) continue;
+
+            const lock = this._switchLock(safeId, a, sw.off, now);
+            const key = `${lock.reason}|${lock.untilMs}`;
+            if (this._lockShown.get(safeId) === key) continue;
+            this._lockShown.set(safeId, key);
+            if (lock.reason) this.adapter.log.debug(`Peak shaving: actuator '${safeId}' locked (${lock.reason}) until ${new Date(lock.untilMs).toISOString()}`);
+
+            const ch = await this._ensureActuatorChannel(safeId);
+            await this.adapter.setStateAsync(`${ch}.locked`, !!lock.reason, true);
+            await this.adapter.setStateAsync(`${ch}.lockReason`, lock.reason, true);
+            await this.adapter.setStateAsync(`${ch}.lockedUntil`, lock.untilMs, true);
+        }
+    }
+
+    /**
+     * Project the load trend (least-squares slope over the trend window) to the end of the horizon.
+     *
+     * The raw projection is scaled with the learned ramp factor: every projected rise is checked
+     * against the power measured at the end of its horizon, and the factor follows the share that
+     * arrived (ramps of e.g. compressors usually level off). Checks are dropped while peak shaving
+     * is active, the throttled load would teach a ramp that never continues.
+     *
+     * @param {number} now
+     * @param {number} limitW
+     * @param {{horizonSec: number, minConfidence: number, active: boolean}} opts
+     * @returns {{slopeWps: number, confidence: number, predictedW: number|null, leadTimeSec: number, violation: boolean}}
+     */
+    _predict(now, limitW, opts) {
+        const out = { slopeWps: 0, confidence: 0, predictedW: null, leadTimeSec: 0, violation: false };
+        const tr = this._winTrend.trend(now);
+
+        const check = this._rampCheck;
+        if (check && (opts.active || !tr)) {
+            this._rampCheck = null;
+        } else if (check && tr && now >= check.dueMs) {
+            this._rampCheck = null;
+            const ratio = clamp((tr.valueNow - check.baseW) / (check.predictedW - check.baseW), 0, RAMP_FACTOR_MAX);
+            this._rampFactor = clamp(this._rampFactor + RAMP_LEARN_RATE * (ratio - this._rampFactor), RAMP_FACTOR_MIN, RAMP_FACTOR_MAX);
+        }
+        if (!tr) return out;
+
+        const riseW = tr.slope * opts.horizonSec;
+        out.slopeWps = tr.slope;
+        out.confidence = tr.r2;
+        out.predictedW = tr.valueNow + riseW * this._rampFactor;
+
+        // Only a rising trend with a good fit counts; noise around a flat load has a poor fit
+        if (tr.slope <= 0 || tr.r2 < opts.minConfidence) return out;
+
+        out.leadTimeSec = tr.valueNow < limitW ? (limitW - tr.valueNow) / (tr.slope * this._rampFactor) : 0;
+        out.violation = out.predictedW > limitW;
+
+        // Remember the raw projection to learn from (small rises are noise)
+        if (!this._rampCheck && !opts.active && riseW >= Math.max(200, limitW * 0.02)) {
+            this._rampCheck = { dueMs: now + opts.horizonSec * 1000, baseW: tr.valueNow, predictedW: tr.valueNow + riseW };
+        }
+        return out;
+    }
+
     async _applyActuators(actuators, requestedReductionW, voltageV) {
         let remainingW = requestedReductionW;
+        const now = Date.now();
 
         // stable ordering: enabled, then priority ascending
         const list = actuators
@@ -517,6 +896,9 @@ class PeakShavingModule extends BaseModule {
                 enableId: String(a.enableId || '').trim(),
                 min: num(a.min, null),
                 max: num(a.max, null),
+                minOnSec: a.minOnSec,
+                minOffSec: a.minOffSec,
+                maxSwitchesPerHour: a.maxSwitchesPerHour,
             }))
             .filter(a => a.id && (a.setpointId || a.enableId))
             .sort((x, y) => (x.priority - y.priority) || x.id.localeCompare(y.id));
@@ -564,10 +946,20 @@ class PeakShavingModule extends BaseModule {
                 const measW = a.measurePowerId ? this.dp.getNumber(`ps.act.${safeId}.measureW`, null) : null;
                 const assumedW = typeof measW === 'number' && measW > 0 ? measW : (typeof a.max === 'number' ? a.max : 0);
                 if (assumedW > 0 && remainingW >= assumedW * 0.5) {
+                    // Short-cycle protection: a load that may not be switched off yet stays on, the
+                    // next actuator takes over
+                    const sw = this._switching.get(safeId);
+                    const switching = !(sw && sw.off);
+                    if (switching && this._switchLock(safeId, a, false, now).reason) {
+                        await this.adapter.setStateAsync(`${ch}.status`, 'locked', true);
+                        continue;
+                    }
                     if (a.enableId) await this.dp.writeBoolean(`ps.act.${safeId}.enable`, false, false);
+                    if (switching) this._recordSwitch(safeId, false, now);
+                    this._baselines.get(safeId).target = 0;
                     await this.adapter.setStateAsync(`${ch}.target`, 0, true);
                     await this.adapter.setStateAsync(`${ch}.appliedReductionW`, assumedW, true);
-                    await this.adapter.setStateAsync(`${ch}.status`, 'disabled', true);
+                    await this.adapter.setStateAsync(`${ch}.status`, this.dp.isDryRun() ? 'dry_run' : 'disabled', true);
                     await this.adapter.setStateAsync(`${ch}.lastWrite`, Date.now(), true);
                     remainingW -= assumedW;
                 } else {
@@ -591,10 +983,11 @@ class PeakShavingModule extends BaseModule {
 
                 if (a.setpointId) await this.dp.writeNumber(`ps.act.${safeId}.setpoint`, targetW, false);
                 if (a.enableId) await this.dp.writeBoolean(`ps.act.${safeId}.enable`, targetW > 0, false);
+                this._baselines.get(safeId).target = targetW;
 
                 await this.adapter.setStateAsync(`${ch}.target`, targetW, true);
                 await this.adapter.setStateAsync(`${ch}.appliedReductionW`, useW, true);
-                await this.adapter.setStateAsync(`${ch}.status`, 'limited', true);
+                await this.adapter.setStateAsync(`${ch}.status`, this.dp.isDryRun() ? 'dry_run' : 'limited', true);
                 await this.adapter.setStateAsync(`${ch}.lastWrite`, Date.now(), true);
 
                 remainingW -= useW;
@@ -614,10 +1007,11 @@ class PeakShavingModule extends BaseModule {
 
                 if (a.setpointId) await this.dp.writeNumber(`ps.act.${safeId}.setpoint`, targetA, false);
                 if (a.enableId) await this.dp.writeBoolean(`ps.act.${safeId}.enable`, targetA > 0, false);
+                this._baselines.get(safeId).target = targetA;
 
                 await this.adapter.setStateAsync(`${ch}.target`, targetA, true);
                 await this.adapter.setStateAsync(`${ch}.appliedReductionW`, useW, true);
-                await this.adapter.setStateAsync(`${ch}.status`, 'limited', true);
+                await this.adapter.setStateAsync(`${ch}.status`, this.dp.isDryRun() ? 'dry_run' : 'limited', true);
                 await this.adapter.setStateAsync(`${ch}.lastWrite`, Date.now(), true);
 
                 remainingW -= useW;
@@ -628,7 +1022,13 @@ class PeakShavingModule extends BaseModule {
         }
     }
 
+    /**
+     * Restore all actuators at once. onOff actuators that may not be switched on yet (minimum off
+     * time, switching limit) keep their baseline and are retried on the following ticks.
+     * @param {Array<any>} actuators
+     */
     async _restoreActuators(actuators) {
+        const now = Date.now();
         const list = (Array.isArray(actuators) ? actuators : [])
             .filter(a => a && a.enabled !== false)
             .map(a => ({
@@ -636,14 +1036,26 @@ class PeakShavingModule extends BaseModule {
                 mode: String(a.mode || 'limitW'),
                 setpointId: String(a.setpointId || '').trim(),
                 enableId: String(a.enableId || '').trim(),
+                minOnSec: a.minOnSec,
+                minOffSec: a.minOffSec,
+                maxSwitchesPerHour: a.maxSwitchesPerHour,
             }))
             .filter(a => a.id && (a.setpointId || a.enableId));
 
+        const locked = new Set();
         for (const a of list) {
             const safeId = a.id.toLowerCase().replace(/[^a-z0-9_]+/g, '_').slice(0, 64);
             const mem = this._baselines.get(safeId);
             if (!mem) continue;
 
+            const sw = this._switching.get(safeId);
+            const switchOn = !!sw && sw.off && mem.baselineEnabled === true;
+            if (switchOn && this._switchLock(safeId, a, true, now).reason) {
+                locked.add(safeId);
+                await this.adapter.setStateAsync(`${await this._ensureActuatorChannel(safeId)}.status`, 'locked', true);
+                continue;
+            }
+
             if (a.setpointId) await this.dp.upsert({ key: `ps.act.${safeId}.setpoint`, objectId: a.setpointId, dataType: 'number', direction: 'out' });
             if (a.enableId) await this.dp.upsert({ key: `ps.act.${safeId}.enable`, objectId: a.enableId, dataType: 'boolean', direction: 'out' });
 
@@ -653,8 +1065,121 @@ class PeakShavingModule extends BaseModule {
             if (a.enableId && typeof mem.baselineEnabled === 'boolean') {
                 await this.dp.writeBoolean(`ps.act.${safeId}.enable`, mem.baselineEnabled, false);
             }
+            if (sw) {
+                if (switchOn) this._recordSwitch(safeId, true, now);
+                else sw.off = false;
+                await this.adapter.setStateAsync(`${await this._ensureActuatorChannel(safeId)}.status`, 'restored', true);
+            }
+        }
+        for (const safeId of Array.from(this._baselines.keys())) {
+            if (!locked.has(safeId)) this._baselines.delete(safeId);
+        }
+        this._release = locked.size ? (this._release || { lastStageMs: 0 }) : null;
+    }
+
+    /**
+     * Staged release: one actuator step per stage interval, in reverse priority order (the actuator
+     * reduced last is released first). A step raises the setpoint by at most `maxStepW` and never by
+     * more than the headroom above the margin; without that headroom the stage is aborted and the
+     * interval starts again. onOff actuators are switched back on in one step; while one may not be
+     * switched on yet (minimum off time, switching limit) it waits and the next actuator goes first.
+     *
+     * @param {Array<any>} actuators
+     * @param {{now: number, stageMs: number, maxStepW: number, marginW: number, headroomW: number, voltageV: number}} opts
+     */
+    async _releaseStage(actuators, opts) {
+        const list = (Array.isArray(actuators) ? actuators : [])
+            .filter(a => a && a.enabled !== false)
+            .map(a => ({
+                id: String(a.id || '').trim(),
+                mode: String(a.mode || 'limitW'),
+                priority: Number(a.priority || 999),
+                setpointId: String(a.setpointId || '').trim(),
+                enableId: String(a.enableId || '').trim(),
+                min: num(a.min, null),
+                max: num(a.max, null),
+                minOnSec: a.minOnSec,
+                minOffSec: a.minOffSec,
+                maxSwitchesPerHour: a.maxSwitchesPerHour,
+            }))
+            .filter(a => a.id && (a.setpointId || a.enableId))
+            .map(a => ({ ...a, safeId: a.id.toLowerCase().replace(/[^a-z0-9_]+/g, '_').slice(0, 64) }))
+            .filter(a => this._baselines.has(a.safeId))
+            .sort((x, y) => (y.priority - x.priority) || y.id.localeCompare(x.id));
+
+        if (!list.length) {
+            if (this._release) this.adapter.log.info('Peak shaving: staged release completed');
+            this._baselines.clear();
+            this._release = null;
+            return;
+        }
+        if (!this._release) {
+            this._release = { lastStageMs: 0 };
+            this.adapter.log.info(`Peak shaving: staged release of ${list.length} actuator(s)`);
+        }
+        if (opts.now - this._release.lastStageMs < opts.stageMs) return;
+
+        const isLocked = (c) => {
+            const sw = this._switching.get(c.safeId);
+            const mem = /** @type {any} */ (this._baselines.get(c.safeId));
+            return !!sw && sw.off && mem.baselineEnabled === true && !!this._switchLock(c.safeId, c, true, opts.now).reason;
+        };
+        const lockedIds = new Set(list.filter(isLocked).map(c => c.safeId));
+        const a = list.find(c => !lockedIds.has(c.safeId));
+        for (const w of list) {
+            if (w === a) continue;
+            await this.adapter.setStateAsync(`${await this._ensureActuatorChannel(w.safeId)}.status`, lockedIds.has(w.safeId) ? 'locked' : 'release_pending', true);
+        }
+        // Everything locked: the stage starts as soon as one may switch
+        if (!a) return;
+        this._release.lastStageMs = opts.now;
+        const ch = await this._ensureActuatorChannel(a.safeId);
+
+        if (a.setpointId) await this.dp.upsert({ key: `ps.act.${a.safeId}.setpoint`, objectId: a.setpointId, dataType: 'number', direction: 'out' });
+        if (a.enableId) await this.dp.upsert({ key: `ps.act.${a.safeId}.enable`, objectId: a.enableId, dataType: 'boolean', direction: 'out' });
+
+        const mem = /** @type {any} */ (this._baselines.get(a.safeId));
+        const vFactor = a.mode === 'limitA' ? opts.voltageV * (mem.phases === 1 ? 1 : 3) : 1;
+        const freeW = opts.headroomW - opts.marginW;
+        const hasBaseline = a.mode !== 'onOff' && typeof mem.baseline === 'number' && Number.isFinite(mem.baseline) && !!a.setpointId;
+        const minV = typeof a.min === 'number' ? a.min : 0;
+        const base = hasBaseline ? clamp(mem.baseline, minV, typeof a.max === 'number' ? a.max : mem.baseline) : 0;
+
+        // Setpoint of this step; null = back to the baseline
+        let next = null;
+        if (hasBaseline) {
+            const stepW = Math.min(opts.maxStepW > 0 ? opts.maxStepW : Number.POSITIVE_INFINITY, freeW);
+            if (stepW > 0) {
+                next = ((typeof mem.target === 'number') ? mem.target : minV) + stepW / vFactor;
+                if (next >= base) next = null;
+            }
+        }
+        // Switched loads need the headroom for their full power
+        const blocked = !(freeW > 0) || (!hasBaseline && typeof a.max === 'number' && a.max > freeW);
+        if (blocked) {
+            await this.adapter.setStateAsync(`${ch}.status`, 'release_aborted', true);
+            return;
+        }
+
+        if (next === null) {
+            if (hasBaseline) await this.dp.writeNumber(`ps.act.${a.safeId}.setpoint`, mem.baseline, false);
+            if (a.enableId && typeof mem.baselineEnabled === 'boolean') await this.dp.writeBoolean(`ps.act.${a.safeId}.enable`, mem.baselineEnabled, false);
+            const sw = this._switching.get(a.safeId);
+            if (sw && sw.off && mem.baselineEnabled === true) this._recordSwitch(a.safeId, true, opts.now);
+            else if (sw) sw.off = false;
+            this._baselines.delete(a.safeId);
+            await this.adapter.setStateAsync(`${ch}.target`, hasBaseline ? mem.baseline : 0, true);
+            await this.adapter.setStateAsync(`${ch}.appliedReductionW`, 0, true);
+            await this.adapter.setStateAsync(`${ch}.status`, 'restored', true);
+        } else {
+            await this.dp.writeNumber(`ps.act.${a.safeId}.setpoint`, next, false);
+            if (a.enableId) await this.dp.writeBoolean(`ps.act.${a.safeId}.enable`, next > 0, false);
+            mem.target = next;
+            await this.adapter.setStateAsync(`${ch}.target`, next, true);
+            await this.adapter.setStateAsync(`${ch}.appliedReductionW`, Math.max(0, base - next) * vFactor, true);
+            await this.adapter.setStateAsync(`${ch}.status`, 'releasing', true);
         }
-        this._baselines.clear();
+        await this.adapter.setStateAsync(`${ch}.lastWrite`, opts.now, true);
     }
 }
 
@@ -1,6 +1,7 @@
 'use strict';
 
 const { BaseModule } = require('./base');
+const { Topics } = require('../control-bus');
 
 /**
  * Speicher-Regelung (Schritt 2)
@@ -18,6 +19,8 @@ const { BaseModule } = require('./base');
 class SpeicherRegelungModule extends BaseModule {
     constructor(adapter, dpRegistry) {
         super(adapter, dpRegistry);
+        this.configKeys = ['peakShaving'];
+        this.consumes = [Topics.PEAK_SHAVING, 'cm.gridChargeAllowed', 'st.socPct'];
 
         /** @type {number|null} */
         this._lastTargetW = null;
@@ -123,9 +126,11 @@ class SpeicherRegelungModule extends BaseModule {
         let source = 'aus';
 
         if (peakEnabled) {
-            const psLimitW = await this._readOwnNumber('peakShaving.control.limitW');
-            const psOverW = await this._readOwnNumber('peakShaving.control.overW');
-            const psReqRedW = await this._readOwnNumber('peakShaving.control.requiredReductionW');
+            // Werte aus dem selben Tick über den Control-Bus (States sind nur Spiegel für die VIS)
+            const ps = this.bus ? this.bus.getFresh(Topics.PEAK_SHAVING, staleMs) : null;
+            const psLimitW = ps ? ps.limitW : null;
+            const psOverW = ps ? ps.overW : null;
+            const psReqRedW = ps ? ps.requiredReductionW : null;
 
             // fallback: wenn requiredReductionW fehlt, über overW gehen
             const needW = (typeof psReqRedW === 'number' && psReqRedW > 0) ? psReqRedW
@@ -144,8 +149,16 @@ class SpeicherRegelungModule extends BaseModule {
             }
         }
 
-        // 2) Tarif/VIS (manuell), wenn keine Lastspitze aktiv
-        if (targetW === 0) {
+        // 2) Manueller Override (Nachrichten-API setOverride), wenn keine Lastspitze aktiv
+        const override = (source === 'aus' && this.overrides) ? this.overrides.get('storage') : null;
+        if (override && typeof override.targetW === 'number') {
+            targetW = override.targetW;
+            reason = `Override bis ${new Date(override.until).toISOString()}`;
+            source = 'override';
+        }
+
+        // 3) Tarif/VIS (manuell), wenn keine Lastspitze aktiv
+        if (targetW === 0 && source !== 'override') {
             const t = this._readTarifVis(staleMs);
             if (t.aktiv) {
                 if (t.modus === 1 && typeof t.storageW === 'number') {
@@ -189,8 +202,8 @@ class SpeicherRegelungModule extends BaseModule {
             }
         }
 
-        // 3) Eigenverbrauch: PV-Überschuss laden (wenn keine Lastspitze/Tarif aktiv)
-        if (targetW === 0 && cfg.pvEnabled !== false) {
+        // 4) Eigenverbrauch: PV-Überschuss laden (wenn keine Lastspitze/Override/Tarif aktiv)
+        if (targetW === 0 && source !== 'override' && cfg.pvEnabled !== false) {
             // Zero-Export (Nulleinspeisung): bei Export möglichst früh (Schwellwert) in den Speicher laden.
             // Hinweis: Extra-Bias nur, wenn Netzladen erlaubt ist (sonst würde der Bias u.U. Netzenergie in den Speicher ziehen).
             const zeCfg = (this.adapter.config && this.adapter.config.enableGridConstraints) ? (this.adapter.config.gridConstraints || {}) : {};
@@ -292,13 +305,18 @@ class SpeicherRegelungModule extends BaseModule {
         await this._setIfChanged('speicher.regelung.sollW', w);
         await this._setIfChanged('speicher.regelung.quelle', String(source || ''));
         await this._setIfChanged('speicher.regelung.grund', String(reason || ''));
-        await this._setIfChanged('speicher.regelung.schreibStatus', (writeResult === null) ? 'unverändert' : (writeResult === true ? 'geschrieben' : 'nicht möglich'));
+        const dryRun = writeResult !== false && !!(this.dp && this.dp.getEntry('st.targetPowerW') && this.dp.isDryRun());
+        await this._setIfChanged('speicher.regelung.schreibStatus', dryRun ? 'dry_run' : ((writeResult === null) ? 'unverändert' : (writeResult === true ? 'geschrieben' : 'nicht möglich')));
 
         this._lastTargetW = w;
         this._lastReason = String(reason || '');
         this._lastSource = String(source || '');
     }
 
+    getStatus() {
+        return { sollW: this._lastTargetW, quelle: this._lastSource, grund: this._lastReason };
+    }
+
     async _upsertInputsFromConfig() {
         if (!this.dp || typeof this.dp.upsert !== 'function') return;
 
@@ -370,16 +388,6 @@ class SpeicherRegelungModule extends BaseModule {
             // ignore
         }
     }
-
-    async _readOwnNumber(id) {
-        try {
-            const s = await this.adapter.getStateAsync(id);
-            const n = Number(s ? s.val : NaN);
-            return Number.isFinite(n) ? n : null;
-        } catch {
-            return null;
-        }
-    }
 }
 
 function num(v, dflt = 0) {
@@ -15,6 +15,11 @@ const { BaseModule } = require('./base');
 class SpeicherMappingModule extends BaseModule {
     constructor(adapter, dpRegistry) {
         super(adapter, dpRegistry);
+        this.configKeys = ['storage'];
+        this.consumes = ['st.socPct'];
+
+        // Nur Diagnose-Spiegelung, keine Regelung
+        this.timing = { intervalMs: 5000, maxTickMs: 500, critical: false };
 
         /** @type {string} */
         this._lastMissing = '';
@@ -180,6 +185,7 @@ class SpeicherMappingModule extends BaseModule {
                 offset: 0,
                 invert: sollInv,
                 deadband: 0,
+                signed: true,
                 note: 'Schreiben'
             });
         }
@@ -17,6 +17,12 @@ class TarifVisModule extends BaseModule {
      */
     constructor(adapter, dpRegistry) {
         super(adapter, dpRegistry);
+        this.configKeys = ['vis'];
+        // Tarif-Deckel und Netzladefreigabe für Lademanagement, Speicher und Multi-Use
+        this.produces = ['cm.tariffBudgetW', 'cm.gridChargeAllowed'];
+
+        // VIS-Einstellungen ändern sich selten: einmal pro Minute reicht
+        this.timing = { intervalMs: 60000, maxTickMs: 1000, critical: false };
 
         /** @type {number} */
         this._lastLimitW = NaN;
@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Temporary manual overrides (owned by the ModuleManager, attached to the modules as `module.overrides`).
+ *
+ * An override replaces the target a module would compute for one wallbox, multi-use consumer or the
+ * storage until it expires. Safety still wins: budgets, peak shaving, reserve SoC and stale-meter
+ * failsafes are applied to the override value like to a computed one.
+ *
+ * Targets:
+ * - 'wallbox'  key = wallbox key, value targetW and/or targetA (charging management)
+ * - 'consumer' key = consumer key, value targetW and/or targetA (multi use, replaces the requested target)
+ * - 'storage'  no key, value targetW (negative = charge, positive = discharge)
+ */
+
+const TARGETS = Object.freeze(['wallbox', 'consumer', 'storage']);
+
+/** Upper bound for the duration of one override */
+const MAX_DURATION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} Override
+ * @property {string} target
+ * @property {string} key
+ * @property {number|null} targetW
+ * @property {number|null} targetA
+ * @property {number} since   epoch ms
+ * @property {number} until   epoch ms
+ * @property {string} source  who set it (message sender)
+ */
+
+/**
+ * @param {any} v
+ * @returns {number|null}
+ */
+function optNum(v) {
+    if (v === undefined || v === null || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+}
+
+class OverrideStore {
+    constructor() {
+        /** @type {Map<string, Override>} `${target}:${key}` -> override */
+        this._items = new Map();
+
+        /** Set on every change, cleared by the ModuleManager after mirroring the list to control.overrides */
+        this.dirty = false;
+    }
+
+    /**
+     * @param {string} target
+     * @param {string} key
+     */
+    _id(target, key) {
+        return `${target}:${target === 'storage' ? '' : String(key || '').trim()}`;
+    }
+
+    /**
+     * Add or replace an override.
+     *
+     * @param {{target?: string, key?: string, targetW?: any, targetA?: any, durationSec?: any, until?: any, source?: string}} req
+     * @returns {Override}
+     * @throws {Error} on invalid requests
+     */
+    set(req) {
+        const r = req || {};
+        const target = String(r.target || '').trim();
+        if (!TARGETS.includes(target)) throw new Error(`target must be one of ${TARGETS.join(', ')}`);
+
+        const key = target === 'storage' ? '' : String(r.key || '').trim();
+        if (target !== 'storage' && !key) throw new Error(`key is required for target '${target}'`);
+
+        const targetW = optNum(r.targetW);
+        const targetA = target === 'storage' ? null : optNum(r.targetA);
+        if (targetW === null && targetA === null) throw new Error('targetW or targetA is required');
+        if (target !== 'storage' && ((targetW !== null && targetW < 0) || (targetA !== null && targetA < 0))) {
+            throw new Error('targetW/targetA must not be negative');
+        }
+
+        const now = Date.now();
+        const untilAbs = optNum(r.until);
+        const durationSec = optNum(r.durationSec);
+        let until = untilAbs !== null ? untilAbs : (durationSec !== null ? now + durationSec * 1000 : NaN);
+        if (!Number.isFinite(until) || until <= now) throw new Error('durationSec (> 0) or a future until (epoch ms) is required');
+        until = Math.min(until, now + MAX_DURATION_MS);
+
+        /** @type {Override} */
+        const o = { target, key, targetW, targetA, since: now, until, source: String(r.source || '') };
+        this._items.set(this._id(target, key), o);
+        this.dirty = true;
+        return { ...o };
+    }
+
+    /**
+     * Remove overrides. Without key all overrides of the target are removed, without target all.
+     * @param {string} [target]
+     * @param {string} [key]
+     * @returns {number} number of removed overrides
+     */
+    clear(target, key) {
+        let n = 0;
+        for (const [id, o] of Array.from(this._items.entries())) {
+            if (target && o.target !== target) continue;
+            if (target && target !== 'storage' && key && o.key !== String(key).trim()) continue;
+            this._items.delete(id);
+            n++;
+        }
+        if (n) this.dirty = true;
+        return n;
+    }
+
+    /**
+     * Active override for a target (the first matching key wins).
+     * @param {string} target
+     * @param {...string} keys candidate keys (e.g. configured key and safe id part)
+     * @returns {Override|null}
+     */
+    get(target, ...keys) {
+        const now = Date.now();
+        const candidates = target === 'storage' ? [''] : keys;
+        for (const k of candidates) {
+            const o = this._items.get(this._id(target, k));
+            if (o && o.until > now) return o;
+        }
+        return null;
+    }
+
+    /**
+     * Drop expired overrides.
+     * @returns {Override[]} removed overrides
+     */
+    prune() {
+        const now = Date.now();
+        const removed = [];
+        for (const [id, o] of Array.from(this._items.entries())) {
+            if (o.until > now) continue;
+            this._items.delete(id);
+            removed.push(o);
+        }
+        if (removed.length) this.dirty = true;
+        return removed;
+    }
+
+    /**
+     * Active overrides with remaining time.
+     * @returns {Array<Override & {remainingSec: number}>}
+     */
+    list() {
+        const now = Date.now();
+        return Array.from(this._items.values())
+            .filter(o => o.until > now)
+            .map(o => ({ ...o, remainingSec: Math.round((o.until - now) / 1000) }));
+    }
+}
+
+module.exports = { OverrideStore, OVERRIDE_TARGETS: TARGETS };
@@ -0,0 +1,277 @@
+'use strict';
+
+/**
+ * Schedule of the peak-shaving limits (table `peakShaving.schedule`): per period the values of
+ * `maxPowerW`, `reserveW` and `maxPhaseA` replace the base settings; empty cells keep them.
+ *
+ * Rows are checked top to bottom, the first matching row wins. A row matches by weekday mask
+ * (`Mo-Fr`, `Sa,Su`, `Hol` for the holidays of `peakShaving.holidays`), time window (`from`/`to`
+ * as HH:MM, `to` before `from` runs over midnight and belongs to the day it starts) and optional
+ * date ranges (`MM-DD..MM-DD` every year, `YYYY-MM-DD..YYYY-MM-DD` once).
+ *
+ * Everything is evaluated on the local wall clock, so a window keeps its hours across DST changes
+ * (on the changeover day a window in the skipped hour does not occur, one in the repeated hour
+ * applies twice).
+ */
+
+const WEEKDAYS = {
+    su: 0, so: 0,
+    mo: 1,
+    tu: 2, di: 2,
+    we: 3, mi: 3,
+    th: 4, do: 4,
+    fr: 5,
+    sa: 6,
+};
+const HOLIDAY_TOKENS = ['hol', 'ft'];
+
+/** Parsed schedule per config object (a reload brings a new object) */
+const cache = new WeakMap();
+
+/**
+ * @typedef {{yearly: boolean, from: number, to: number}} DateRange
+ * from/to as MMDD (yearly) or YYYYMMDD
+ */
+
+/**
+ * @typedef {object} ScheduleEntry
+ * @property {number} index row index in the table
+ * @property {string} name
+ * @property {boolean} anyDay no weekday mask
+ * @property {number[]} weekdays 0 = Sunday
+ * @property {boolean} holiday mask contains Hol
+ * @property {number} fromMin
+ * @property {number} toMin
+ * @property {DateRange[]} dates
+ * @property {number|null} maxPowerW
+ * @property {number|null} reserveW
+ * @property {number|null} maxPhaseA
+ */
+
+/**
+ * @param {any} v
+ * @returns {number|null} minutes of the day, null if invalid
+ */
+function parseTime(v) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(v).trim());
+    if (!m) return null;
+    const min = Number(m[1]) * 60 + Number(m[2]);
+    return (Number(m[2]) < 60 && min <= 1440) ? min : null;
+}
+
+/**
+ * @param {string} s
+ * @returns {{yearly: boolean, key: number}|null}
+ */
+function parseDate(s) {
+    const m = /^(?:(\d{4})-)?(\d{1,2})-(\d{1,2})$/.exec(s);
+    if (!m) return null;
+    const month = Number(m[2]);
+    const day = Number(m[3]);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return m[1] ? { yearly: false, key: Number(m[1]) * 10000 + month * 100 + day } : { yearly: true, key: month * 100 + day };
+}
+
+/**
+ * Dates and date ranges, separated by comma, semicolon or line break.
+ * @param {any} text e.g. "12-24..12-26, 2025-04-18"
+ * @returns {{ranges: DateRange[], errors: string[]}}
+ */
+function parseDates(text) {
+    /** @type {DateRange[]} */
+    const ranges = [];
+    const errors = [];
+    for (const part of String(text || '').split(/[,;\n]+/).map(s => s.trim()).filter(Boolean)) {
+        const [a, b, ...rest] = part.split('..').map(s => s.trim());
+        const from = parseDate(a);
+        const to = b === undefined ? from : parseDate(b);
+        if (!from || !to || rest.length || from.yearly !== to.yearly || (!from.yearly && from.key > to.key)) {
+            errors.push(`invalid date '${part}'`);
+            continue;
+        }
+        ranges.push({ yearly: from.yearly, from: from.key, to: to.key });
+    }
+    return { ranges, errors };
+}
+
+/**
+ * @param {any} text e.g. "Mo-Fr", "Sa,Su,Hol"
+ * @returns {{anyDay: boolean, weekdays: number[], holiday: boolean, errors: string[]}}
+ */
+function parseWeekdays(text) {
+    const days = new Set();
+    let holiday = false;
+    const errors = [];
+    const tokens = String(text || '').toLowerCase().split(/[,;\s]+/).filter(Boolean);
+    for (const t of tokens) {
+        if (HOLIDAY_TOKENS.includes(t)) {
+            holiday = true;
+            continue;
+        }
+        const [a, b, ...rest] = t.split('-');
+        const from = WEEKDAYS[a.slice(0, 2)];
+        const to = b === undefined ? from : WEEKDAYS[b.slice(0, 2)];
+        if (from === undefined || to === undefined || rest.length) {
+            errors.push(`invalid weekday '${t}'`);
+            continue;
+        }
+        // Ranges may wrap (Fr-Mo)
+        for (let d = from; ; d = (d + 1) % 7) {
+            days.add(d);
+            if (d === to) break;
+        }
+    }
+    return { anyDay: tokens.length === 0, weekdays: Array.from(days).sort(), holiday, errors };
+}
+
+/**
+ * @param {any} v
+ * @returns {number|null} null = keep the base setting
+ */
+function optNumber(v) {
+    if (v === '' || v === null || v === undefined) return null;
+    const n = Number(v);
+    return (Number.isFinite(n) && n >= 0) ? n : null;
+}
+
+/**
+ * @param {any} rows config table
+ * @returns {{entries: ScheduleEntry[], errors: string[]}} invalid rows are skipped
+ */
+function parseSchedule(rows) {
+    /** @type {ScheduleEntry[]} */
+    const entries = [];
+    const errors = [];
+    (Array.isArray(rows) ? rows : []).forEach((r, index) => {
+        if (!r || r.enabled === false) return;
+        const name = String(r.name || '').trim() || `#${index + 1}`;
+        const rowErrors = [];
+
+        const wd = parseWeekdays(r.weekdays);
+        rowErrors.push(...wd.errors);
+        const dates = parseDates(r.dates);
+        rowErrors.push(...dates.errors);
+
+        const fromMin = String(r.from || '').trim() ? parseTime(r.from) : 0;
+        const toMin = String(r.to || '').trim() ? parseTime(r.to) : 1440;
+        if (fromMin === null) rowErrors.push(`invalid time '${r.from}'`);
+        if (toMin === null) rowErrors.push(`invalid time '${r.to}'`);
+
+        if (rowErrors.length) {
+            errors.push(`Schedule row ${index + 1} (${name}): ${rowErrors.join(', ')}`);
+            return;
+        }
+        entries.push({
+            index,
+            name,
+            anyDay: wd.anyDay,
+            weekdays: wd.weekdays,
+            holiday: wd.holiday,
+            fromMin: /** @type {number} */ (fromMin),
+            toMin: /** @type {number} */ (toMin),
+            dates: dates.ranges,
+            maxPowerW: optNumber(r.maxPowerW),
+            reserveW: optNumber(r.reserveW),
+            maxPhaseA: optNumber(r.maxPhaseA),
+        });
+    });
+    return { entries, errors };
+}
+
+/**
+ * @param {DateRange[]} ranges
+ * @param {Date} day
+ */
+function inDates(ranges, day) {
+    const md = (day.getMonth() + 1) * 100 + day.getDate();
+    const ymd = day.getFullYear() * 10000 + md;
+    return ranges.some((r) => {
+        const k = r.yearly ? md : ymd;
+        // yearly ranges may wrap over the new year (12-01..02-28)
+        return (r.from <= r.to) ? (k >= r.from && k <= r.to) : (k >= r.from || k <= r.to);
+    });
+}
+
+/**
+ * @param {ScheduleEntry} e
+ * @param {Date} day
+ * @param {DateRange[]} holidays
+ */
+function dayMatches(e, day, holidays) {
+    if (e.dates.length && !inDates(e.dates, day)) return false;
+    if (e.anyDay) return true;
+    // A holiday replaces its weekday
+    if (holidays.length && inDates(holidays, day)) return e.holiday;
+    return e.weekdays.includes(day.getDay());
+}
+
+/**
+ * @param {ScheduleEntry} e
+ * @param {Date} now
+ * @param {DateRange[]} holidays
+ */
+function entryMatches(e, now, holidays) {
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (e.fromMin === e.toMin) return dayMatches(e, today, holidays);
+    if (e.fromMin < e.toMin) return minute >= e.fromMin && minute < e.toMin && dayMatches(e, today, holidays);
+
+    // Over midnight: the part after midnight belongs to the previous day (calendar day, not 24 h)
+    if (minute >= e.fromMin) return dayMatches(e, today, holidays);
+    if (minute < e.toMin) return dayMatches(e, new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1), holidays);
+    return false;
+}
+
+/**
+ * @param {any} cfg peakShaving config
+ * @returns {{entries: ScheduleEntry[], holidays: DateRange[], errors: string[]}}
+ */
+function compile(cfg) {
+    let c = cache.get(cfg);
+    if (!c) {
+        const schedule = parseSchedule(cfg.schedule);
+        const holidays = parseDates(cfg.holidays);
+        c = {
+            entries: schedule.entries,
+            holidays: holidays.ranges,
+            errors: [...schedule.errors, ...holidays.errors.map(e => `Holidays: ${e}`)],
+        };
+        cache.set(cfg, c);
+    }
+    return c;
+}
+
+/**
+ * Limits in effect at `nowMs`: the first matching schedule row over the base settings.
+ * @param {any} cfg peakShaving config
+ * @param {number} nowMs
+ * @returns {{entry: ScheduleEntry|null, maxPowerW: number, reserveW: number, maxPhaseA: number}}
+ */
+function resolveLimits(cfg, nowMs) {
+    const c = cfg || {};
+    const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+    const base = { maxPowerW: num(c.maxPowerW), reserveW: num(c.reserveW), maxPhaseA: num(c.maxPhaseA) };
+    if (!Array.isArray(c.schedule) || !c.schedule.length) return { entry: null, ...base };
+
+    const { entries, holidays } = compile(c);
+    const now = new Date(nowMs);
+    const entry = entries.find(e => entryMatches(e, now, holidays)) || null;
+    if (!entry) return { entry: null, ...base };
+    return {
+        entry,
+        maxPowerW: entry.maxPowerW ?? base.maxPowerW,
+        reserveW: entry.reserveW ?? base.reserveW,
+        maxPhaseA: entry.maxPhaseA ?? base.maxPhaseA,
+    };
+}
+
+/**
+ * Problems of the schedule table and the holiday list (for the config check).
+ * @param {any} cfg peakShaving config
+ * @returns {string[]}
+ */
+function scheduleErrors(cfg) {
+    return cfg ? compile(cfg).errors : [];
+}
+
+module.exports = { parseSchedule, parseDates, resolveLimits, scheduleErrors };
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Persistence of module runtime state across adapter restarts.
+ *
+ * Each module gets its own store (attached by the ModuleManager as `module.persistence`). Snapshots
+ * are written as JSON to the own state `persistence.<module>` ({ts, data}), so they survive restarts
+ * and updates and can be inspected in the object browser.
+ *
+ * Restoring is a one-shot: load() only returns the snapshot on its first call, so a later init()
+ * (config reload) never overwrites live state with an older snapshot.
+ */
+
+/** Unchanged snapshots are re-written at this interval so their timestamp stays meaningful */
+const REFRESH_MS = 15 * 60 * 1000;
+
+class ModuleStateStore {
+    /**
+     * @param {import('@iobroker/adapter-core').AdapterInstance} adapter
+     * @param {string} key module key
+     */
+    constructor(adapter, key) {
+        this.adapter = adapter;
+        this.key = String(key || '');
+        this.id = `persistence.${this.key}`;
+
+        this._loaded = false;
+        this._objectReady = false;
+        this._lastJson = '';
+        this._lastSaveMs = 0;
+    }
+
+    async _ensureObject() {
+        if (this._objectReady) return;
+        await this.adapter.setObjectNotExistsAsync('persistence', {
+            type: 'channel',
+            common: { name: 'Persisted runtime state' },
+            native: {},
+        });
+        await this.adapter.setObjectNotExistsAsync(this.id, {
+            type: 'state',
+            common: { name: `Runtime state ${this.key} (JSON)`, type: 'string', role: 'json', read: true, write: false },
+            native: {},
+        });
+        this._objectReady = true;
+    }
+
+    /**
+     * Snapshot from the previous run (first call only).
+     *
+     * @param {number} maxAgeMs snapshots older than this are discarded (0 = no limit)
+     * @returns {Promise<{data: any, ts: number, ageMs: number}|null>}
+     */
+    async load(maxAgeMs) {
+        if (this._loaded) return null;
+        this._loaded = true;
+
+        let snap = null;
+        try {
+            const st = await this.adapter.getStateAsync(this.id);
+            if (st && typeof st.val === 'string' && st.val) snap = JSON.parse(st.val);
+        } catch (e) {
+            this.adapter.log.warn(`Persisted state '${this.key}' unreadable: ${e?.message || e}`);
+            return null;
+        }
+        if (!snap || typeof snap !== 'object' || !Number.isFinite(Number(snap.ts))) return null;
+
+        const ts = Number(snap.ts);
+        const ageMs = Date.now() - ts;
+        if (ageMs < 0 || (maxAgeMs > 0 && ageMs > maxAgeMs)) {
+            this.adapter.log.info(`Persisted state '${this.key}' discarded (age ${Math.round(ageMs / 1000)} s)`);
+            return null;
+        }
+        return { data: snap.data, ts, ageMs };
+    }
+
+    /**
+     * Write a snapshot. Unchanged data is only re-written every REFRESH_MS.
+     * @param {any} data JSON-serialisable
+     * @param {boolean} [force] write even if unchanged (shutdown)
+     */
+    async save(data, force = false) {
+        const payload = data === undefined ? null : data;
+        const json = JSON.stringify(payload);
+        const now = Date.now();
+        if (!force && json === this._lastJson && (now - this._lastSaveMs) < REFRESH_MS) return;
+
+        await this._ensureObject();
+        await this.adapter.setStateAsync(this.id, JSON.stringify({ ts: now, data: payload }), true);
+        this._lastJson = json;
+        this._lastSaveMs = now;
+    }
+}
+
+module.exports = { ModuleStateStore };
@@ -0,0 +1,253 @@
+'use strict';
+
+/**
+ * Third-party control modules (plugins).
+ *
+ * Plugins are loaded at startup from the sources in the setting "pluginSources" (comma or newline
+ * separated): an npm package name, a single .js file or a directory whose .js files and
+ * sub-packages are plugins each. A plugin exports a descriptor or a factory `(api) => descriptor`
+ * (api = {apiVersion, BaseModule, ReasonCodes}, so a plugin does not need to require the adapter):
+ *
+ *   {
+ *     apiVersion: 1,                        // plugin API the plugin was written for
+ *     key: 'coldStorage',                   // module key (states, diagnostics, timing, dry run)
+ *     title: 'Cold storage scheduler',
+ *     Module: class extends api.BaseModule, // or create(adapter, dp, config) returning a module
+ *     configSchema: { ... },                // optional, see resolvePluginConfig()
+ *     datapoints: [ ... ] | (config) => [ ... ],  // declared inputs/outputs ({key, objectId, direction, ...})
+ *     produces: ['cold.compressorW'], consumes: ['peakShaving.control'],  // see module-order.js
+ *     order: { after: ['peakShaving'], before: ['multiUse'] },         // explicit ordering constraints
+ *   }
+ *
+ * The module gets the same lifecycle as the built-in modules (init/reload/tick/getSnapshot/getStatus,
+ * bus, persistence, overrides) plus `pluginConfig` (its resolved section of the setting "pluginConfig").
+ * Plugins are isolated by the ModuleManager: never critical, every hook runs with a timeout and
+ * repeated failures open a circuit breaker (see ModuleManager._runPlugin).
+ *
+ * Relative paths (plugins and own device profiles) are resolved against the instance data directory
+ * (iobroker-data/nexowatt-multiuse.<n>/, see sourceBaseDir()), not against the working directory of
+ * the js-controller.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BaseModule } = require('./modules/base');
+const { ReasonCodes } = require('./reasons');
+
+const PLUGIN_API_VERSION = 1;
+
+const ADAPTER_DIR = path.join(__dirname, '..');
+
+const KEY_RE = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/**
+ * @typedef {object} PluginDescriptor
+ * @property {string} key
+ * @property {string} title
+ * @property {number} apiVersion
+ * @property {string} source        where it was loaded from
+ * @property {(adapter: any, dp: any, config: any) => any} create
+ * @property {Record<string, any>} configSchema
+ * @property {(config: any) => any[]} datapoints
+ * @property {string[]} produces
+ * @property {string[]} consumes
+ * @property {{after: string[], before: string[]}} order
+ */
+
+/**
+ * @param {any} raw setting "pluginSources"
+ * @returns {string[]}
+ */
+function parseSources(raw) {
+    const list = Array.isArray(raw) ? raw : String(raw ?? '').split(/[\n,;]+/);
+    return list.map(s => String(s || '').trim()).filter(Boolean);
+}
+
+/**
+ * @param {any} v
+ * @returns {string[]}
+ */
+function toList(v) {
+    if (v === undefined || v === null || v === '') return [];
+    return (Array.isArray(v) ? v : [v]).map(s => String(s || '').trim()).filter(Boolean);
+}
+
+/**
+ * Turn an export of a plugin file into a validated descriptor.
+ *
+ * @param {any} exported
+ * @param {string} source
+ * @returns {PluginDescriptor}
+ * @throws {Error} on invalid plugins
+ */
+function normalizePlugin(exported, source) {
+    let d = exported && exported.__esModule && exported.default ? exported.default : exported;
+    if (typeof d === 'function' && !(d.prototype instanceof BaseModule)) d = d({ apiVersion: PLUGIN_API_VERSION, BaseModule, ReasonCodes });
+    if (!d || typeof d !== 'object') throw new Error('plugin must export a descriptor object or a factory returning one');
+
+    const key = String(d.key || '').trim();
+    if (!KEY_RE.test(key)) throw new Error(`invalid plugin key '${key}' (letters, digits, '_' and '-')`);
+
+    const apiVersion = Number(d.apiVersion ?? PLUGIN_API_VERSION);
+    if (!Number.isInteger(apiVersion) || apiVersion < 1 || apiVersion > PLUGIN_API_VERSION) {
+        throw new Error(`plugin '${key}' needs plugin API ${d.apiVersion}, this adapter provides ${PLUGIN_API_VERSION}`);
+    }
+
+    let create;
+    if (typeof d.create === 'function') {
+        create = d.create;
+    } else if (typeof d.Module === 'function') {
+        const Module = d.Module;
+        create = (adapter, dp) => new Module(adapter, dp);
+    } else {
+        throw new Error(`plugin '${key}' has neither Module nor create()`);
+    }
+
+    const datapoints = d.datapoints;
+    return {
+        key,
+        title: String(d.title || key),
+        apiVersion,
+        source,
+        create,
+        configSchema: (d.configSchema && typeof d.configSchema === 'object') ? d.configSchema : {},
+        datapoints: (typeof datapoints === 'function') ? datapoints : () => (Array.isArray(datapoints) ? datapoints : []),
+        produces: toList(d.produces),
+        consumes: toList(d.consumes),
+        order: { after: toList(d.order && d.order.after), before: toList(d.order && d.order.before) },
+    };
+}
+
+/**
+ * Directory relative plugin and profile sources are resolved against: the instance data directory
+ * main.js determines at startup (`adapter.instanceDataDir`), outside ioBroker (simulator, tests)
+ * the adapter directory.
+ *
+ * @param {any} adapter
+ * @returns {string}
+ */
+function sourceBaseDir(adapter) {
+    return (adapter && adapter.instanceDataDir) || ADAPTER_DIR;
+}
+
+/**
+ * Files to require for one source: a package name or file as is, a directory is expanded to its
+ * .js files and sub-directories (packages) unless it is a package itself.
+ *
+ * @param {string} source
+ * @param {string} baseDir relative paths are resolved against it
+ * @returns {string[]}
+ */
+function expandSource(source, baseDir) {
+    const isPath = path.isAbsolute(source) || source.startsWith('.');
+    if (!isPath) return [source];
+
+    const abs = path.resolve(baseDir, source);
+    const st = fs.statSync(abs);
+    if (!st.isDirectory() || fs.existsSync(path.join(abs, 'package.json')) || fs.existsSync(path.join(abs, 'index.js'))) return [abs];
+
+    return fs.readdirSync(abs, { withFileTypes: true })
+        .filter(e => (e.isFile() && e.name.endsWith('.js')) || (e.isDirectory() && !e.name.startsWith('.') && e.name !== 'node_modules'))
+        .map(e => path.join(abs, e.name))
+        .sort();
+}
+
+/**
+ * Load all plugins of the setting "pluginSources". Broken plugins are reported and skipped.
+ *
+ * @param {any} config adapter config
+ * @param {{baseDir?: string, reserved?: string[], requireFn?: (id: string) => any}} [opts] baseDir defaults to the adapter directory
+ * @returns {{plugins: PluginDescriptor[], errors: Array<{source: string, error: string}>}}
+ */
+function loadPlugins(config, opts = {}) {
+    const baseDir = opts.baseDir || ADAPTER_DIR;
+    const reserved = new Set(opts.reserved || []);
+    const requireFn = opts.requireFn || require;
+
+    /** @type {PluginDescriptor[]} */
+    const plugins = [];
+    /** @type {Array<{source: string, error: string}>} */
+    const errors = [];
+
+    for (const source of parseSources(config && config.pluginSources)) {
+        let files = [];
+        try {
+            files = expandSource(source, baseDir);
+        } catch (e) {
+            errors.push({ source, error: String(e?.message || e) });
+            continue;
+        }
+        for (const file of files) {
+            try {
+                const p = normalizePlugin(requireFn(file), file);
+                if (reserved.has(p.key)) throw new Error(`plugin key '${p.key}' is already used`);
+                reserved.add(p.key);
+                plugins.push(p);
+            } catch (e) {
+                errors.push({ source: file, error: String(e?.message || e) });
+            }
+        }
+    }
+    return { plugins, errors };
+}
+
+/**
+ * Resolve the config section of a plugin against its schema fragment.
+ *
+ * Schema: `{ <name>: {type: 'number'|'string'|'boolean'|'objectId', default?, required?, min?, max?, label?} }`.
+ * Missing values get the default, numbers and booleans are converted; unknown names are passed through.
+ *
+ * @param {Record<string, any>} schema
+ * @param {any} raw the plugin's section of the setting "pluginConfig"
+ * @returns {{config: Record<string, any>, errors: string[]}}
+ */
+function resolvePluginConfig(schema, raw) {
+    const src = (raw && typeof raw === 'object') ? raw : {};
+    /** @type {Record<string, any>} */
+    const config = { ...src };
+    const errors = [];
+
+    for (const [name, spec] of Object.entries(schema || {})) {
+        const s = (spec && typeof spec === 'object') ? spec : {};
+        let v = src[name];
+        if (v === undefined || v === null || v === '') v = s.default;
+        if (v === undefined || v === null || v === '') {
+            if (s.required) errors.push(`${name} is required`);
+            config[name] = v ?? null;
+            continue;
+        }
+
+        if (s.type === 'number') {
+            const n = Number(v);
+            if (!Number.isFinite(n)) {
+                errors.push(`${name} must be a number`);
+                continue;
+            }
+            if (Number.isFinite(Number(s.min)) && n < Number(s.min)) errors.push(`${name} must be >= ${s.min}`);
+            if (Number.isFinite(Number(s.max)) && n > Number(s.max)) errors.push(`${name} must be <= ${s.max}`);
+            v = n;
+        } else if (s.type === 'boolean') {
+            v = (v === true || v === 'true' || v === 1 || v === '1');
+        } else if (s.type === 'string' || s.type === 'objectId') {
+            v = String(v).trim();
+        }
+        config[name] = v;
+    }
+    return { config, errors };
+}
+
+/**
+ * The setting "pluginConfig" (JSON text in the admin or an object): plugin key -> config section.
+ *
+ * @param {any} raw
+ * @returns {Record<string, any>}
+ */
+function parsePluginConfig(raw) {
+    if (raw && typeof raw === 'object') return raw;
+    const s = String(raw ?? '').trim();
+    if (!s) return {};
+    const parsed = JSON.parse(s);
+    return (parsed && typeof parsed === 'object') ? parsed : {};
+}
+
+module.exports = { PLUGIN_API_VERSION, loadPlugins, normalizePlugin, resolvePluginConfig, parsePluginConfig, parseSources, sourceBaseDir };
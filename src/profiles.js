@@ -0,0 +1,333 @@
+'use strict';
+
+/**
+ * Device profiles: one-click mapping of a device (wallbox, storage, PV inverter, multi-use consumer)
+ * from the object tree of its ioBroker adapter.
+ *
+ * A profile is a JSON file describing the objects below a device root, relative to the root:
+ *
+ *   {
+ *     "id": "kecontact-p30",
+ *     "title": "KEBA KeContact P30 (kecontact adapter)",
+ *     "manufacturer": "KEBA", "adapter": "kecontact",
+ *     "target": "wallbox",                                   // see TARGETS
+ *     "settings": { "chargerType": "AC", "controlBasis": "currentA", "maxA": 32 },
+ *     "datapoints": {
+ *       "setCurrentAId": { "id": "currentUser", "unit": "mA" },   // or just "currentUser"
+ *       "actualPowerWId": { "id": "p", "scale": 0.001 },
+ *       "enableId": "enableUser"
+ *     }
+ *   }
+ *
+ * Datapoint names are the config fields of the target. `unit` is the unit of the device object: if
+ * it differs from the unit the adapter expects, the scale follows from it (see units.js), so the
+ * mapping works even if the object has no common.unit. `scale`, `offset` and `invert` (sign
+ * convention) go to the scale/invert fields of the storage config or, where the target has none,
+ * to a row of the global datapoint table for the registry key the module uses (the registry keeps
+ * transforms of a key when the module maps the same key without them).
+ *
+ * Built-in profiles live in /profiles; the setting "profileSources" adds directories or files of
+ * the user (same id = replaces the built-in profile), relative paths are resolved against the instance
+ * data directory like plugin sources. Profiles are read on every request, so new files need no restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSources } = require('./plugins');
+const { unitConversion } = require('./units');
+const { toSafeIdPart } = require('./modules/charging-management');
+const { safeIdPart } = require('./modules/multi-use');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'profiles');
+
+const ID_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+/**
+ * @typedef {object} TargetField
+ * @property {string} key            registry key (suffix for table targets)
+ * @property {string} [unit]         unit the adapter expects
+ * @property {string} [scaleField]   config field next to the object ID taking the scale
+ * @property {string} [invertField]  config field next to the object ID taking the sign convention
+ */
+
+/**
+ * Config places a profile can fill. Table targets add or update a row (by key), section targets set
+ * fields of a config section.
+ *
+ * @type {Record<string, {table?: string, section?: string, settingsSection?: string, keyPrefix?: (key: string) => string, fields: Record<string, TargetField>, settings: string[]}>}
+ */
+const TARGETS = Object.freeze({
+    wallbox: {
+        table: 'chargingManagement.wallboxes',
+        keyPrefix: (key) => `cm.wb.${toSafeIdPart(key)}.`,
+        fields: {
+            actualPowerWId: { key: 'pW', unit: 'W' },
+            actualCurrentAId: { key: 'iA', unit: 'A' },
+            setCurrentAId: { key: 'setA', unit: 'A' },
+            setPowerWId: { key: 'setW', unit: 'W' },
+            enableId: { key: 'en' },
+            statusId: { key: 'st' },
+            phaseL1AId: { key: 'l1A', unit: 'A' },
+            phaseL2AId: { key: 'l2A', unit: 'A' },
+            phaseL3AId: { key: 'l3A', unit: 'A' },
+        },
+        settings: ['chargerType', 'controlBasis', 'phases', 'minA', 'maxA', 'minPowerW', 'maxPowerW'],
+    },
+    consumer: {
+        table: 'multiUse.consumers',
+        keyPrefix: (key) => `mu.${safeIdPart(key)}.`,
+        fields: {
+            setWId: { key: 'setW', unit: 'W' },
+            setAId: { key: 'setA', unit: 'A' },
+            enableId: { key: 'enable' },
+        },
+        settings: ['type', 'controlBasis', 'defaultTargetW', 'defaultTargetA'],
+    },
+    storage: {
+        section: 'storage.datapoints',
+        settingsSection: 'storage',
+        fields: {
+            socObjectId: { key: 'st.socPct', unit: '%', scaleField: 'socScale' },
+            batteryPowerObjectId: { key: 'st.batteryPowerW', unit: 'W', scaleField: 'batteryPowerScale', invertField: 'batteryPowerInvert' },
+            targetPowerObjectId: { key: 'st.targetPowerW', unit: 'W', scaleField: 'targetPowerScale', invertField: 'targetPowerInvert' },
+            maxChargeObjectId: { key: 'st.maxChargeW', unit: 'W' },
+            maxDischargeObjectId: { key: 'st.maxDischargeW', unit: 'W' },
+            chargeEnableObjectId: { key: 'st.chargeEnable' },
+            dischargeEnableObjectId: { key: 'st.dischargeEnable' },
+            reserveSocObjectId: { key: 'st.reserveSocPct', unit: '%' },
+        },
+        settings: ['controlMode', 'maxChargeW', 'maxDischargeW'],
+    },
+    pvInverter: {
+        section: 'gridConstraints',
+        fields: {
+            pvFeedInLimitWId: { key: 'pv.feedInLimitW', unit: 'W' },
+            pvLimitWId: { key: 'pv.limitW', unit: 'W' },
+            pvLimitPctId: { key: 'pv.limitPct', unit: '%' },
+            pvRatedPowerWId: { key: 'pv.ratedPowerW', unit: 'W' },
+        },
+        settings: ['pvCurtailMode', 'pvRatedPowerW'],
+    },
+});
+
+/**
+ * @typedef {object} ProfileDatapoint
+ * @property {string} id       object ID relative to the device root
+ * @property {string} unit
+ * @property {number} scale
+ * @property {number} offset
+ * @property {boolean} invert
+ */
+
+/**
+ * @typedef {object} DeviceProfile
+ * @property {string} id
+ * @property {string} title
+ * @property {string} manufacturer
+ * @property {string} adapter
+ * @property {string} target
+ * @property {Record<string, any>} settings
+ * @property {Record<string, ProfileDatapoint>} datapoints
+ * @property {string} source
+ */
+
+/**
+ * Validate a parsed profile file.
+ *
+ * @param {any} raw
+ * @param {string} source
+ * @returns {DeviceProfile}
+ * @throws {Error} on invalid profiles
+ */
+function normalizeProfile(raw, source) {
+    if (!raw || typeof raw !== 'object') throw new Error('profile must be a JSON object');
+    const id = String(raw.id || '').trim();
+    if (!ID_RE.test(id)) throw new Error(`invalid profile id '${id}'`);
+    const target = TARGETS[raw.target];
+    if (!target) throw new Error(`profile '${id}': unknown target '${raw.target}' (${Object.keys(TARGETS).join(', ')})`);
+
+    /** @type {Record<string, ProfileDatapoint>} */
+    const datapoints = {};
+    for (const [field, d] of Object.entries(raw.datapoints || {})) {
+        if (!target.fields[field]) throw new Error(`profile '${id}': '${field}' is no datapoint of a ${raw.target}`);
+        const o = (d && typeof d === 'object') ? d : { id: d };
+        const rel = String(o.id || '').trim();
+        if (!rel) throw new Error(`profile '${id}': datapoint '${field}' has no id`);
+        const scale = (o.scale !== undefined) ? Number(o.scale) : NaN;
+        const offset = Number(o.offset || 0);
+        datapoints[field] = {
+            id: rel,
+            unit: String(o.unit || '').trim(),
+            scale: Number.isFinite(scale) && scale !== 0 ? scale : NaN,
+            offset: Number.isFinite(offset) ? offset : 0,
+            invert: !!o.invert,
+        };
+    }
+    if (!Object.keys(datapoints).length) throw new Error(`profile '${id}' has no datapoints`);
+
+    /** @type {Record<string, any>} */
+    const settings = {};
+    for (const [k, v] of Object.entries(raw.settings || {})) {
+        if (!target.settings.includes(k)) throw new Error(`profile '${id}': setting '${k}' is not supported for a ${raw.target}`);
+        settings[k] = v;
+    }
+
+    return {
+        id,
+        title: String(raw.title || id),
+        manufacturer: String(raw.manufacturer || ''),
+        adapter: String(raw.adapter || ''),
+        target: raw.target,
+        settings,
+        datapoints,
+        source,
+    };
+}
+
+/**
+ * .json files of a profile source (file or directory).
+ *
+ * @param {string} source
+ * @param {string} baseDir
+ * @returns {string[]}
+ */
+function expandSource(source, baseDir) {
+    const abs = path.resolve(baseDir, source);
+    if (!fs.statSync(abs).isDirectory()) return [abs];
+    return fs.readdirSync(abs)
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .map(f => path.join(abs, f));
+}
+
+/**
+ * Built-in profiles plus those of the setting "profileSources". Broken files are reported and skipped.
+ *
+ * @param {any} config adapter config
+ * @param {{baseDir?: string, builtinDir?: string}} [opts] baseDir defaults to the adapter directory
+ * @returns {{profiles: DeviceProfile[], errors: Array<{source: string, error: string}>}}
+ */
+function loadProfiles(config, opts = {}) {
+    const baseDir = opts.baseDir || path.join(__dirname, '..');
+    /** @type {Map<string, DeviceProfile>} */
+    const byId = new Map();
+    /** @type {Array<{source: string, error: string}>} */
+    const errors = [];
+
+    const sources = [opts.builtinDir || BUILTIN_DIR, ...parseSources(config && config.profileSources)];
+    for (const source of sources) {
+        let files = [];
+        try {
+            files = expandSource(source, baseDir);
+        } catch (e) {
+            errors.push({ source, error: String(e?.message || e) });
+            continue;
+        }
+        for (const file of files) {
+            try {
+                const p = normalizeProfile(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+                byId.set(p.id, p);
+            } catch (e) {
+                errors.push({ source: file, error: String(e?.message || e) });
+            }
+        }
+    }
+    const profiles = Array.from(byId.values()).sort((a, b) => a.target.localeCompare(b.target) || a.title.localeCompare(b.title));
+    return { profiles, errors };
+}
+
+/**
+ * @param {any} obj
+ * @param {string} p dotted path
+ */
+function getPath(obj, p) {
+    return p.split('.').reduce((o, k) => (o && typeof o === 'object') ? o[k] : undefined, obj);
+}
+
+/**
+ * Apply a profile to a device root.
+ *
+ * Table targets (wallbox, consumer) update the row with the given key or append one; section targets
+ * (storage, pvInverter) set their fields. The profile settings are applied as well. Only the changed
+ * top-level config entries are returned (the admin merges them into the form).
+ *
+ * @param {DeviceProfile} profile
+ * @param {any} config current config (native)
+ * @param {{rootId: string, key?: string}} opts
+ * @returns {{native: Record<string, any>, key: string, mapped: Array<{field: string, objectId: string, key: string, scale: number, offset: number, invert: boolean}>}}
+ */
+function applyProfile(profile, config, opts) {
+    const target = TARGETS[profile.target];
+    const rootId = String(opts.rootId || '').trim().replace(/\.+$/, '');
+    if (!rootId) throw new Error('rootId is required');
+
+    const native = JSON.parse(JSON.stringify(config || {}));
+    /** @type {Set<string>} */
+    const changed = new Set();
+
+    let key = '';
+    /** @type {any} */
+    let place;
+    if (target.table) {
+        key = String(opts.key || '').trim() || rootId.split('.').filter(Boolean).slice(-2).join('_');
+        const [section, field] = target.table.split('.');
+        native[section] = native[section] || {};
+        const rows = Array.isArray(native[section][field]) ? native[section][field] : [];
+        place = rows.find(r => r && target.keyPrefix(String(r.key || '')) === target.keyPrefix(key));
+        if (!place) {
+            place = { key, name: profile.title, enabled: true };
+            rows.push(place);
+        }
+        key = String(place.key);
+        native[section][field] = rows;
+        Object.assign(place, profile.settings);
+        changed.add(section);
+    } else {
+        const [section, sub] = target.section.split('.');
+        native[section] = native[section] || {};
+        if (sub) native[section][sub] = native[section][sub] || {};
+        place = getPath(native, target.section);
+        const settingsPlace = target.settingsSection ? getPath(native, target.settingsSection) : place;
+        Object.assign(settingsPlace, profile.settings);
+        changed.add(section);
+    }
+
+    // rows of an earlier profile for this device are replaced
+    const regKeyOf = (field) => (target.table ? `${target.keyPrefix(key)}${target.fields[field].key}` : target.fields[field].key);
+    const ownKeys = new Set(Object.keys(target.fields).map(regKeyOf));
+    const rows = Array.isArray(native.globalDatapoints) ? native.globalDatapoints : [];
+    const globalRows = rows.filter(r => !(r && ownKeys.has(String(r.key || '').trim()) && String(r.note || '').startsWith('profile ')));
+    if (globalRows.length !== rows.length) changed.add('globalDatapoints');
+    const mapped = [];
+    for (const [field, d] of Object.entries(profile.datapoints)) {
+        const tf = target.fields[field];
+        const objectId = `${rootId}.${d.id}`;
+        const conv = unitConversion(tf.unit, d.unit);
+        const scale = Number.isFinite(d.scale) ? d.scale : conv.factor;
+        place[field] = objectId;
+
+        const regKey = regKeyOf(field);
+        mapped.push({ field, objectId, key: regKey, scale, offset: d.offset, invert: d.invert });
+
+        if (tf.scaleField) {
+            place[tf.scaleField] = scale;
+            if (tf.invertField) place[tf.invertField] = d.invert;
+            continue;
+        }
+        if (scale === 1 && !d.offset && !d.invert) continue;
+        // transforms the config field cannot carry: global datapoint row for the registry key
+        const row = { key: regKey, name: `${profile.title} ${field}`, objectId, unit: tf.unit || '', scale, offset: d.offset, invert: d.invert, note: `profile ${profile.id}` };
+        const i = globalRows.findIndex(r => r && String(r.key || '').trim() === regKey);
+        if (i >= 0) globalRows[i] = row;
+        else globalRows.push(row);
+        changed.add('globalDatapoints');
+    }
+    if (changed.has('globalDatapoints')) native.globalDatapoints = globalRows;
+
+    /** @type {Record<string, any>} */
+    const out = {};
+    for (const k of changed) out[k] = native[k];
+    return { native: out, key, mapped };
+}
+
+module.exports = { TARGETS, loadProfiles, normalizeProfile, applyProfile };
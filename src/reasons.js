@@ -17,6 +17,7 @@ const ReasonCodes = Object.freeze({
     LIMIT_POWER: 'LIMIT_POWER',
     LIMIT_PHASE: 'LIMIT_PHASE',
     LIMIT_POWER_AND_PHASE: 'LIMIT_POWER_AND_PHASE',
+    LIMIT_POWER_PREDICTED: 'LIMIT_POWER_PREDICTED',
 
     // Charging / allocation
     LIMITED_BY_BUDGET: 'LIMITED_BY_BUDGET',
@@ -31,6 +32,9 @@ const ReasonCodes = Object.freeze({
     DISABLED: 'DISABLED',
     OFFLINE: 'OFFLINE',
     SKIPPED: 'SKIPPED',
+
+    // Manual
+    OVERRIDE: 'OVERRIDE',
 });
 
 /**
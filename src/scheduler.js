@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Tick scheduler for the module manager.
+ *
+ * Ticks are requested by "trigger" datapoints (e.g. the grid meter) and debounced, so a fresh
+ * measurement reaches peak shaving / charging within a few milliseconds instead of waiting for the
+ * next interval. The fixed interval only acts as a watchdog: if no tick ran for `intervalMs`,
+ * one is started anyway.
+ *
+ * Ticks never overlap: a request during a running tick is remembered and executed once afterwards.
+ */
+class TickScheduler {
+    /**
+     * @param {{
+     *   runTick: (reason: string) => Promise<void>,
+     *   intervalMs: number,
+     *   debounceMs?: number,
+     *   minGapMs?: number,
+     *   log?: any,
+     * }} opts
+     */
+    constructor(opts) {
+        this._runTick = opts.runTick;
+        this.intervalMs = Math.max(250, Number(opts.intervalMs) || 1000);
+        this.debounceMs = Math.max(0, Number(opts.debounceMs) || 0);
+        this.minGapMs = Math.max(0, Number(opts.minGapMs) || 0);
+        this.log = opts.log || null;
+
+        this._running = false;
+        this._stopped = true;
+        /** @type {string|null} */
+        this._pendingReason = null;
+        /** @type {NodeJS.Timeout|null} */
+        this._debounceTimer = null;
+        /** @type {NodeJS.Timeout|null} */
+        this._watchdogTimer = null;
+        this._lastStartMs = 0;
+
+        this.stats = {
+            ticks: 0,
+            triggered: 0,
+            watchdog: 0,
+            coalesced: 0,
+            lastReason: '',
+            lastStartMs: 0,
+            lastDurationMs: 0,
+        };
+    }
+
+    /**
+     * Update timing settings (live config reload). Takes effect with the next request / watchdog.
+     * @param {{intervalMs?: number, debounceMs?: number, minGapMs?: number}} opts
+     */
+    configure(opts) {
+        if (!opts) return;
+        if (opts.intervalMs !== undefined) this.intervalMs = Math.max(250, Number(opts.intervalMs) || 1000);
+        if (opts.debounceMs !== undefined) this.debounceMs = Math.max(0, Number(opts.debounceMs) || 0);
+        if (opts.minGapMs !== undefined) this.minGapMs = Math.max(0, Number(opts.minGapMs) || 0);
+    }
+
+    /**
+     * Start scheduling. Runs one tick immediately.
+     */
+    async start() {
+        this._stopped = false;
+        await this._run('start');
+    }
+
+    stop() {
+        this._stopped = true;
+        if (this._debounceTimer) {
+            clearTimeout(this._debounceTimer);
+            this._debounceTimer = null;
+        }
+        if (this._watchdogTimer) {
+            clearTimeout(this._watchdogTimer);
+            this._watchdogTimer = null;
+        }
+        this._pendingReason = null;
+    }
+
+    /**
+     * Request a (debounced) tick. Safe to call at any rate.
+     * @param {string} reason
+     */
+    requestTick(reason) {
+        if (this._stopped) return;
+        const r = String(reason || 'request');
+
+        if (this._running) {
+            // overlap protection: run once more after the current tick
+            if (this._pendingReason !== null) this.stats.coalesced++;
+            this._pendingReason = r;
+            return;
+        }
+        if (this._debounceTimer) {
+            this.stats.coalesced++;
+            return;
+        }
+
+        const now = Date.now();
+        const gapWaitMs = this._lastStartMs ? (this._lastStartMs + this.minGapMs - now) : 0;
+        const delayMs = Math.max(this.debounceMs, gapWaitMs, 0);
+
+        this._debounceTimer = setTimeout(() => {
+            this._debounceTimer = null;
+            this._run(r).catch(() => undefined);
+        }, delayMs);
+    }
+
+    _armWatchdog() {
+        if (this._watchdogTimer) clearTimeout(this._watchdogTimer);
+        this._watchdogTimer = setTimeout(() => {
+            this._watchdogTimer = null;
+            if (this._stopped || this._running || this._debounceTimer) return;
+            this._run('watchdog').catch(() => undefined);
+        }, this.intervalMs);
+    }
+
+    /**
+     * @param {string} reason
+     */
+    async _run(reason) {
+        if (this._stopped) return;
+        if (this._running) {
+            this._pendingReason = reason;
+            return;
+        }
+
+        this._running = true;
+        if (this._watchdogTimer) {
+            clearTimeout(this._watchdogTimer);
+            this._watchdogTimer = null;
+        }
+
+        const t0 = Date.now();
+        this._lastStartMs = t0;
+        this.stats.ticks++;
+        if (reason === 'watchdog') this.stats.watchdog++;
+        else if (reason !== 'start') this.stats.triggered++;
+        this.stats.lastReason = reason;
+        this.stats.lastStartMs = t0;
+
+        try {
+            await this._runTick(reason);
+        } catch (e) {
+            if (this.log) this.log.warn(`Scheduler tick failed: ${e?.message || e}`);
+        } finally {
+            this._running = false;
+            this.stats.lastDurationMs = Date.now() - t0;
+        }
+
+        if (this._stopped) return;
+        this._armWatchdog();
+
+        if (this._pendingReason !== null) {
+            const next = this._pendingReason;
+            this._pendingReason = null;
+            this.requestTick(next);
+        }
+    }
+}
+
+module.exports = { TickScheduler };
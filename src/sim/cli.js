@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Offline simulation / replay (no ioBroker installation required).
+ *
+ * Usage:
+ *   npm run simulate -- --scenario ./site.json [--out ./result.json|./result.csv] [--log warn] [--echo]
+ *
+ * Prints the summary to stdout; the full timeline is written to --out (JSON or CSV by extension).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Simulator, timelineToCsv } = require('./simulator');
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+    /** @type {Record<string, string|boolean>} */
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const a = argv[i];
+        if (!a.startsWith('--')) continue;
+        const k = a.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[k] = true;
+        } else {
+            args[k] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.scenario || args.scenario === true) {
+        console.error('Usage: npm run simulate -- --scenario <scenario.json> [--out <result.json|result.csv>] [--log debug|info|warn|error] [--echo]');
+        process.exitCode = 2;
+        return;
+    }
+
+    const scenarioFile = path.resolve(String(args.scenario));
+    const scenario = JSON.parse(fs.readFileSync(scenarioFile, 'utf8'));
+
+    const sim = new Simulator(scenario, {
+        baseDir: path.dirname(scenarioFile),
+        logLevel: typeof args.log === 'string' ? /** @type {any} */ (args.log) : 'warn',
+        echo: !!args.echo,
+    });
+    const result = await sim.run();
+
+    if (args.out && args.out !== true) {
+        const outFile = path.resolve(String(args.out));
+        const data = outFile.toLowerCase().endsWith('.csv')
+            ? timelineToCsv(result.timeline)
+            : JSON.stringify(result, null, 2);
+        fs.writeFileSync(outFile, data, 'utf8');
+    }
+
+    console.log(JSON.stringify(result.summary, null, 2));
+}
+
+main().catch(e => {
+    console.error(`Simulation failed: ${e?.stack || e}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,265 @@
+'use strict';
+
+/**
+ * In-memory stand-in for an ioBroker adapter instance (simulation, replay and tests).
+ *
+ * Implements the subset of the adapter API used by the modules and the DatapointRegistry:
+ * objects, states (own + foreign), subscriptions with stateChange delivery and a log.
+ * Every setForeignStateAsync() call is captured in `writes` so setpoints can be inspected.
+ * Timestamps come from Date.now(), so a VirtualClock controls them.
+ */
+class FakeAdapter {
+    /**
+     * @param {{namespace?: string, config?: any, logLevel?: 'debug'|'info'|'warn'|'error'|'silent', echo?: boolean}} [opts]
+     */
+    constructor(opts = {}) {
+        this.namespace = opts.namespace || 'nexowatt-multiuse.0';
+        this.config = opts.config || {};
+
+        /** @type {Map<string, any>} */
+        this.objects = new Map();
+        /** @type {Map<string, ioBroker.State>} */
+        this.states = new Map();
+        /** @type {Set<string>} */
+        this.subscriptions = new Set();
+        /** @type {Set<string>} */
+        this.objectSubscriptions = new Set();
+
+        /** @type {Array<{ts:number, id:string, val:any, ack:boolean}>} */
+        this.writes = [];
+        /** @type {Array<{ts:number, level:string, msg:string}>} */
+        this.logs = [];
+
+        /** @type {((id: string, state: ioBroker.State|null) => void)|null} */
+        this.stateChangeHandler = null;
+        /** @type {((id: string, obj: ioBroker.Object|null) => void)|null} */
+        this.objectChangeHandler = null;
+
+        const levels = ['debug', 'info', 'warn', 'error'];
+        const minLevel = opts.logLevel === 'silent' ? levels.length : Math.max(0, levels.indexOf(opts.logLevel || 'debug'));
+        const mkLog = (level) => (msg) => {
+            if (levels.indexOf(level) < minLevel) return;
+            this.logs.push({ ts: Date.now(), level, msg: String(msg) });
+            if (opts.echo) console.log(`[${level}] ${msg}`);
+        };
+        this.log = { debug: mkLog('debug'), info: mkLog('info'), warn: mkLog('warn'), error: mkLog('error'), level: opts.logLevel || 'debug' };
+    }
+
+    /**
+     * @param {string} id
+     */
+    _fullId(id) {
+        const s = String(id || '');
+        return s.startsWith(`${this.namespace}.`) ? s : `${this.namespace}.${s}`;
+    }
+
+    /**
+     * @param {string} id
+     */
+    _isSubscribed(id) {
+        if (this.subscriptions.has(id)) return true;
+        for (const p of this.subscriptions) {
+            if (p.endsWith('*') && id.startsWith(p.slice(0, -1))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {string} fullId
+     * @param {any} val
+     * @param {boolean} ack
+     * @param {{ts?: number, q?: number, from?: string}} [extra]
+     */
+    _setState(fullId, val, ack, extra = {}) {
+        let v = val;
+        let a = !!ack;
+        if (val && typeof val === 'object' && !Array.isArray(val) && Object.prototype.hasOwnProperty.call(val, 'val')) {
+            v = val.val;
+            if (val.ack !== undefined) a = !!val.ack;
+        }
+        if (v === undefined) v = null;
+
+        const now = Number.isFinite(extra.ts) ? Number(extra.ts) : Date.now();
+        const prev = this.states.get(fullId);
+        /** @type {ioBroker.State} */
+        const st = {
+            val: v,
+            ack: a,
+            ts: now,
+            lc: (prev && prev.val === v) ? prev.lc : now,
+            from: extra.from || `system.adapter.${this.namespace}`,
+            q: Number.isFinite(extra.q) ? Number(extra.q) : 0,
+        };
+        this.states.set(fullId, st);
+
+        if (this.stateChangeHandler && this._isSubscribed(fullId)) {
+            this.stateChangeHandler(fullId, { ...st });
+        }
+        return st;
+    }
+
+    // --- objects ---
+
+    async setObjectNotExistsAsync(id, obj) {
+        const full = this._fullId(id);
+        if (!this.objects.has(full)) this.objects.set(full, JSON.parse(JSON.stringify(obj || {})));
+        return { id: full };
+    }
+
+    async setObjectAsync(id, obj) {
+        const full = this._fullId(id);
+        this.objects.set(full, JSON.parse(JSON.stringify(obj || {})));
+        return { id: full };
+    }
+
+    async extendObjectAsync(id, obj) {
+        return this.extendForeignObjectAsync(this._fullId(id), obj);
+    }
+
+    async getObjectAsync(id) {
+        return this.getForeignObjectAsync(this._fullId(id));
+    }
+
+    async delObjectAsync(id) {
+        const full = this._fullId(id);
+        this.objects.delete(full);
+        this.states.delete(full);
+    }
+
+    async getForeignObjectAsync(id) {
+        const o = this.objects.get(String(id || ''));
+        return o ? JSON.parse(JSON.stringify(o)) : null;
+    }
+
+    async setForeignObjectAsync(id, obj) {
+        this.objects.set(String(id || ''), JSON.parse(JSON.stringify(obj || {})));
+        this._objectChanged(String(id || ''));
+        return { id };
+    }
+
+    async extendForeignObjectAsync(id, obj) {
+        const key = String(id || '');
+        const cur = this.objects.get(key) || {};
+        const merged = { ...cur, ...obj, common: { ...(cur.common || {}), ...((obj && obj.common) || {}) }, native: { ...(cur.native || {}), ...((obj && obj.native) || {}) } };
+        this.objects.set(key, merged);
+        this._objectChanged(key);
+        return { id: key };
+    }
+
+    async subscribeForeignObjectsAsync(pattern) {
+        this.objectSubscriptions.add(String(pattern || ''));
+    }
+
+    async unsubscribeForeignObjectsAsync(pattern) {
+        this.objectSubscriptions.delete(String(pattern || ''));
+    }
+
+    /**
+     * @param {string} id
+     */
+    _objectChanged(id) {
+        if (!this.objectChangeHandler || !this.objectSubscriptions.has(id)) return;
+        const o = this.objects.get(id);
+        this.objectChangeHandler(id, o ? JSON.parse(JSON.stringify(o)) : null);
+    }
+
+    // --- states ---
+
+    async setStateAsync(id, val, ack) {
+        this._setState(this._fullId(id), val, ack);
+        return this._fullId(id);
+    }
+
+    async setStateChangedAsync(id, val, ack) {
+        const full = this._fullId(id);
+        const cur = this.states.get(full);
+        const v = (val && typeof val === 'object' && 'val' in val) ? val.val : val;
+        if (cur && cur.val === v) return full;
+        this._setState(full, val, ack);
+        return full;
+    }
+
+    async getStateAsync(id) {
+        const st = this.states.get(this._fullId(id));
+        return st ? { ...st } : null;
+    }
+
+    /**
+     * Own states matching a pattern (trailing '*' = prefix), keyed by full ID.
+     * @param {string} pattern
+     */
+    async getStatesAsync(pattern) {
+        const p = this._fullId(pattern);
+        /** @type {Record<string, ioBroker.State>} */
+        const out = {};
+        for (const [id, st] of this.states) {
+            if (p.endsWith('*') ? id.startsWith(p.slice(0, -1)) : id === p) out[id] = { ...st };
+        }
+        return out;
+    }
+
+    async setForeignStateAsync(id, val, ack) {
+        const key = String(id || '');
+        const st = this._setState(key, val, ack);
+        this.writes.push({ ts: st.ts, id: key, val: st.val, ack: st.ack });
+        return key;
+    }
+
+    async getForeignStateAsync(id) {
+        const st = this.states.get(String(id || ''));
+        return st ? { ...st } : null;
+    }
+
+    async subscribeForeignStatesAsync(pattern) {
+        this.subscriptions.add(String(pattern || ''));
+    }
+
+    async unsubscribeForeignStatesAsync(pattern) {
+        this.subscriptions.delete(String(pattern || ''));
+    }
+
+    async subscribeStatesAsync(pattern) {
+        this.subscriptions.add(this._fullId(pattern));
+    }
+
+    // --- helpers for simulation / tests ---
+
+    /**
+     * Set a measurement as a device adapter would (ack=true, not captured as write).
+     * @param {string} id
+     * @param {any} val
+     * @param {{ts?: number, q?: number, from?: string, ack?: boolean}} [opts]
+     */
+    setInput(id, val, opts = {}) {
+        return this._setState(String(id || ''), val, opts.ack !== false, { from: 'system.adapter.sim.0', ...opts });
+    }
+
+    /**
+     * Value of an own (relative) or foreign (absolute) state, or undefined.
+     * @param {string} id
+     */
+    getVal(id) {
+        const s = String(id || '');
+        const st = this.states.get(s) || this.states.get(this._fullId(s));
+        return st ? st.val : undefined;
+    }
+
+    /**
+     * Writes to one object ID (optionally since an index).
+     * @param {string} id
+     */
+    writesTo(id) {
+        return this.writes.filter(w => w.id === id);
+    }
+
+    /**
+     * Last value written to an object ID via setForeignStateAsync (undefined if never).
+     * @param {string} id
+     */
+    lastWrite(id) {
+        const list = this.writesTo(id);
+        return list.length ? list[list.length - 1].val : undefined;
+    }
+}
+
+module.exports = { FakeAdapter };
@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * Simple plant models that close the loop in a simulation.
+ *
+ * Every model reads the setpoints the adapter wrote (FakeAdapter states) and publishes its
+ * measurements back as ack=true states, like a device adapter would.
+ * Sign conventions follow the adapter: grid import positive, battery discharge positive.
+ */
+
+/**
+ * @param {any} v
+ * @param {number} dflt
+ */
+function num(v, dflt = 0) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : dflt;
+}
+
+/**
+ * First-order lag factor for a step of dtMs with time constant tauSec.
+ * @param {number} dtMs
+ * @param {number} tauSec
+ */
+function lag(dtMs, tauSec) {
+    if (!(tauSec > 0)) return 1;
+    return 1 - Math.exp(-dtMs / (tauSec * 1000));
+}
+
+/**
+ * Wallbox: follows the current/power setpoint (and enable) with a first-order delay, limited by the
+ * car's demand.
+ */
+class WallboxPlant {
+    /**
+     * @param {{name?: string, powerId: string, currentId?: string, setAId?: string, setWId?: string, enableId?: string,
+     *   phases?: number, voltageV?: number, delaySec?: number, maxW?: number, demandW?: number, demandColumn?: string}} cfg
+     */
+    constructor(cfg) {
+        this.cfg = cfg || {};
+        this.name = String(this.cfg.name || this.cfg.powerId || 'wallbox');
+        this.phases = num(this.cfg.phases, 3) === 1 ? 1 : 3;
+        this.voltageV = num(this.cfg.voltageV, 230);
+        this.maxW = num(this.cfg.maxW, 11000);
+        this.powerW = 0;
+    }
+
+    /**
+     * @param {number} dtMs
+     * @param {import('./fake-adapter').FakeAdapter} adapter
+     * @param {Record<string, any>} row current series values
+     */
+    step(dtMs, adapter, row) {
+        const c = this.cfg;
+        const demandW = c.demandColumn ? Math.max(0, num(row[c.demandColumn], 0)) : num(c.demandW, this.maxW);
+
+        const enabled = c.enableId ? adapter.getVal(c.enableId) !== false : true;
+
+        // Without any command the wallbox charges at its own maximum
+        let spW = Number.POSITIVE_INFINITY;
+        if (c.setWId) {
+            const w = Number(adapter.getVal(c.setWId));
+            if (Number.isFinite(w)) spW = Math.min(spW, w);
+        }
+        if (c.setAId) {
+            const a = Number(adapter.getVal(c.setAId));
+            if (Number.isFinite(a)) spW = Math.min(spW, a * this.voltageV * this.phases);
+        }
+
+        const targetW = enabled ? Math.max(0, Math.min(spW, demandW, this.maxW)) : 0;
+        this.powerW += (targetW - this.powerW) * lag(dtMs, num(c.delaySec, 5));
+        if (Math.abs(this.powerW - targetW) < 1) this.powerW = targetW;
+
+        if (c.powerId) adapter.setInput(c.powerId, Math.round(this.powerW));
+        if (c.currentId) adapter.setInput(c.currentId, Math.round((this.powerW / (this.voltageV * this.phases)) * 10) / 10);
+    }
+
+    get loadW() {
+        return this.powerW;
+    }
+}
+
+/**
+ * Battery: follows the target power (positive = discharge) and integrates the SoC.
+ */
+class BatteryPlant {
+    /**
+     * @param {{socId?: string, powerId?: string, targetPowerId?: string, capacityWh?: number, socPct?: number,
+     *   maxChargeW?: number, maxDischargeW?: number, minSocPct?: number, maxSocPct?: number, delaySec?: number,
+     *   powerInvert?: boolean}} cfg
+     */
+    constructor(cfg) {
+        this.cfg = cfg || {};
+        this.capacityWh = Math.max(1, num(this.cfg.capacityWh, 10000));
+        this.socPct = num(this.cfg.socPct, 50);
+        this.powerW = 0;
+    }
+
+    /**
+     * @param {number} dtMs
+     * @param {import('./fake-adapter').FakeAdapter} adapter
+     */
+    step(dtMs, adapter) {
+        const c = this.cfg;
+        const maxChargeW = num(c.maxChargeW, 5000);
+        const maxDischargeW = num(c.maxDischargeW, 5000);
+        const minSoc = num(c.minSocPct, 0);
+        const maxSoc = num(c.maxSocPct, 100);
+
+        let targetW = c.targetPowerId ? num(adapter.getVal(c.targetPowerId), 0) : 0;
+        targetW = Math.max(-maxChargeW, Math.min(maxDischargeW, targetW));
+        if (targetW > 0 && this.socPct <= minSoc) targetW = 0;
+        if (targetW < 0 && this.socPct >= maxSoc) targetW = 0;
+
+        this.powerW += (targetW - this.powerW) * lag(dtMs, num(c.delaySec, 2));
+
+        const dWh = this.powerW * (dtMs / 3600000);
+        this.socPct = Math.max(0, Math.min(100, this.socPct - (dWh / this.capacityWh) * 100));
+
+        if (c.socId) adapter.setInput(c.socId, Math.round(this.socPct * 10) / 10);
+        if (c.powerId) adapter.setInput(c.powerId, Math.round(c.powerInvert ? -this.powerW : this.powerW));
+    }
+
+    /** Contribution to grid import (discharge reduces import). */
+    get gridW() {
+        return -this.powerW;
+    }
+}
+
+/**
+ * PV: available power from the series, curtailed by pv.limitW / pv.limitPct setpoints.
+ * A feed-in limit (pv.feedInLimitW) is applied by the GridPlant because it depends on the grid balance.
+ */
+class PvPlant {
+    /**
+     * @param {{powerId?: string, availableColumn?: string, availableW?: number, ratedW?: number,
+     *   limitWId?: string, limitPctId?: string, feedInLimitWId?: string}} cfg
+     */
+    constructor(cfg) {
+        this.cfg = cfg || {};
+        this.availableW = 0;
+        this.powerW = 0;
+    }
+
+    /**
+     * @param {number} dtMs
+     * @param {import('./fake-adapter').FakeAdapter} adapter
+     * @param {Record<string, any>} row
+     */
+    step(dtMs, adapter, row) {
+        const c = this.cfg;
+        const available = c.availableColumn ? num(row[c.availableColumn], 0) : num(c.availableW, 0);
+        this.availableW = Math.max(0, available);
+
+        let limitW = Number.POSITIVE_INFINITY;
+        if (c.limitWId) {
+            const v = Number(adapter.getVal(c.limitWId));
+            if (Number.isFinite(v)) limitW = Math.min(limitW, Math.max(0, v));
+        }
+        if (c.limitPctId && num(c.ratedW, 0) > 0) {
+            const pct = Number(adapter.getVal(c.limitPctId));
+            if (Number.isFinite(pct)) limitW = Math.min(limitW, Math.max(0, pct) / 100 * num(c.ratedW, 0));
+        }
+        this.powerW = Math.min(this.availableW, limitW);
+    }
+
+    /**
+     * @param {import('./fake-adapter').FakeAdapter} adapter
+     */
+    publish(adapter) {
+        if (this.cfg.powerId) adapter.setInput(this.cfg.powerId, Math.round(this.powerW));
+    }
+}
+
+/**
+ * Grid connection point: base load + controlled loads - PV - battery discharge.
+ */
+class GridPlant {
+    /**
+     * @param {{objectId: string, baseLoadColumn?: string, baseLoadW?: number, voltageV?: number,
+     *   l1AId?: string, l2AId?: string, l3AId?: string}} cfg
+     */
+    constructor(cfg) {
+        this.cfg = cfg || {};
+        this.powerW = 0;
+    }
+
+    /**
+     * @param {import('./fake-adapter').FakeAdapter} adapter
+     * @param {Record<string, any>} row
+     * @param {{loadsW: number, pv: PvPlant|null, batteryW: number}} parts
+     */
+    step(adapter, row, parts) {
+        const c = this.cfg;
+        const baseW = c.baseLoadColumn ? num(row[c.baseLoadColumn], 0) : num(c.baseLoadW, 0);
+        const pv = parts.pv;
+        let pvW = pv ? pv.powerW : 0;
+
+        let gridW = baseW + parts.loadsW + parts.batteryW - pvW;
+
+        // Feed-in limit: the inverter reduces PV so that export stays within the limit
+        if (pv && pv.cfg.feedInLimitWId) {
+            const lim = Number(adapter.getVal(pv.cfg.feedInLimitWId));
+            if (Number.isFinite(lim) && lim >= 0 && gridW < -lim) {
+                pvW = Math.max(0, pvW - (-lim - gridW));
+                pv.powerW = pvW;
+                gridW = baseW + parts.loadsW + parts.batteryW - pvW;
+            }
+        }
+        if (pv) pv.publish(adapter);
+
+        this.powerW = gridW;
+        if (c.objectId) adapter.setInput(c.objectId, Math.round(gridW));
+
+        const v = num(c.voltageV, 230);
+        const phaseA = Math.round((Math.max(0, gridW) / (3 * v)) * 10) / 10;
+        for (const id of [c.l1AId, c.l2AId, c.l3AId]) {
+            if (id) adapter.setInput(id, phaseA);
+        }
+    }
+}
+
+module.exports = { WallboxPlant, BatteryPlant, PvPlant, GridPlant };
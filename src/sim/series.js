@@ -0,0 +1,186 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Recorded time series for replay (grid power, PV, SoC, wallbox power, base load ...).
+ *
+ * Accepted formats:
+ * - CSV with header row; time column "ts" (epoch ms), "time" (ISO date) or "t" (seconds from start)
+ * - JSON array of row objects with the same time columns
+ * - JSON object {columns: string[], rows: any[][]}
+ *
+ * Values are sample-and-hold by default; `interpolate: 'linear'` interpolates numeric columns.
+ */
+class TimeSeries {
+    /**
+     * @param {Array<Record<string, any>>} rows rows with a numeric `t` (ms, absolute or relative)
+     * @param {{interpolate?: 'hold'|'linear', relative?: boolean}} [opts]
+     */
+    constructor(rows, opts = {}) {
+        this.interpolate = opts.interpolate === 'linear' ? 'linear' : 'hold';
+        /** true if `t` is relative to the simulation start */
+        this.relative = !!opts.relative;
+        this.rows = (Array.isArray(rows) ? rows : []).filter(r => Number.isFinite(r.t)).sort((a, b) => a.t - b.t);
+
+        /** @type {Set<string>} */
+        const cols = new Set();
+        for (const r of this.rows) for (const k of Object.keys(r)) if (k !== 't') cols.add(k);
+        this.columns = Array.from(cols);
+        this._idx = 0;
+    }
+
+    get startMs() {
+        return this.rows.length ? this.rows[0].t : 0;
+    }
+
+    get endMs() {
+        return this.rows.length ? this.rows[this.rows.length - 1].t : 0;
+    }
+
+    /**
+     * Index of the last row with row.t <= t (cursor optimised for monotonic replay).
+     * @param {number} t
+     */
+    _indexAt(t) {
+        const rows = this.rows;
+        if (!rows.length || t < rows[0].t) return -1;
+        if (this._idx >= rows.length || rows[this._idx].t > t) this._idx = 0;
+        while (this._idx + 1 < rows.length && rows[this._idx + 1].t <= t) this._idx++;
+        return this._idx;
+    }
+
+    /**
+     * @param {number} t time in the series' time base (ms)
+     * @param {string} column
+     * @returns {any} value or null before the first sample / for missing columns
+     */
+    valueAt(t, column) {
+        const i = this._indexAt(t);
+        if (i < 0) return null;
+        const a = this.rows[i];
+        const va = a[column];
+        if (va === undefined) return null;
+        if (this.interpolate !== 'linear' || i + 1 >= this.rows.length) return va;
+
+        const b = this.rows[i + 1];
+        const vb = b[column];
+        if (typeof va !== 'number' || typeof vb !== 'number' || b.t === a.t) return va;
+        return va + (vb - va) * ((t - a.t) / (b.t - a.t));
+    }
+
+    /**
+     * @param {number} t
+     * @returns {Record<string, any>}
+     */
+    rowAt(t) {
+        /** @type {Record<string, any>} */
+        const out = {};
+        for (const c of this.columns) out[c] = this.valueAt(t, c);
+        return out;
+    }
+}
+
+/**
+ * @param {any} v
+ */
+function parseCell(v) {
+    if (v === null || v === undefined) return null;
+    const s = String(v).trim();
+    if (s === '') return null;
+    if (s === 'true') return true;
+    if (s === 'false') return false;
+    const n = Number(s);
+    return Number.isFinite(n) ? n : s;
+}
+
+/**
+ * Normalise a row object: derive `t` from ts / time / t and parse cells.
+ * @param {Record<string, any>} raw
+ * @returns {{row: Record<string, any>|null, relative: boolean}}
+ */
+function normalizeRow(raw) {
+    /** @type {Record<string, any>} */
+    const row = {};
+    let relative = false;
+    let t = NaN;
+
+    if (raw.ts !== undefined && raw.ts !== '') {
+        t = Number(raw.ts);
+    } else if (raw.time !== undefined && raw.time !== '') {
+        t = typeof raw.time === 'number' ? raw.time : Date.parse(String(raw.time));
+    } else if (raw.t !== undefined && raw.t !== '') {
+        t = Number(raw.t) * 1000;
+        relative = true;
+    }
+    if (!Number.isFinite(t)) return { row: null, relative };
+
+    for (const [k, v] of Object.entries(raw)) {
+        if (k === 'ts' || k === 'time' || k === 't') continue;
+        row[k] = (typeof v === 'string') ? parseCell(v) : v;
+    }
+    row.t = t;
+    return { row, relative };
+}
+
+/**
+ * @param {string} text
+ * @returns {Array<Record<string, any>>}
+ */
+function parseCsv(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith('#'));
+    if (!lines.length) return [];
+    const sep = (lines[0].split(';').length > lines[0].split(',').length) ? ';' : ',';
+    const header = lines[0].split(sep).map(h => h.trim());
+    return lines.slice(1).map(l => {
+        const cells = l.split(sep);
+        /** @type {Record<string, any>} */
+        const o = {};
+        header.forEach((h, i) => { o[h] = cells[i] !== undefined ? cells[i].trim() : ''; });
+        return o;
+    });
+}
+
+/**
+ * Build a TimeSeries from parsed data (array of rows or {columns, rows}).
+ * @param {any} data
+ * @param {{interpolate?: 'hold'|'linear'}} [opts]
+ */
+function seriesFromData(data, opts = {}) {
+    let rawRows = [];
+    if (Array.isArray(data)) {
+        rawRows = data;
+    } else if (data && Array.isArray(data.columns) && Array.isArray(data.rows)) {
+        rawRows = data.rows.map(r => {
+            /** @type {Record<string, any>} */
+            const o = {};
+            data.columns.forEach((c, i) => { o[c] = r[i]; });
+            return o;
+        });
+    }
+
+    let relative = false;
+    const rows = [];
+    for (const raw of rawRows) {
+        const n = normalizeRow(raw || {});
+        if (!n.row) continue;
+        relative = relative || n.relative;
+        rows.push(n.row);
+    }
+    return new TimeSeries(rows, { ...opts, relative });
+}
+
+/**
+ * Load a CSV or JSON file.
+ * @param {string} file
+ * @param {{interpolate?: 'hold'|'linear'}} [opts]
+ */
+function loadSeries(file, opts = {}) {
+    const text = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+    const data = (ext === '.json') ? JSON.parse(text) : parseCsv(text);
+    return seriesFromData(data, opts);
+}
+
+module.exports = { TimeSeries, loadSeries, seriesFromData, parseCsv };
@@ -0,0 +1,305 @@
+'use strict';
+
+const path = require('path');
+
+const { DatapointRegistry } = require('../datapoints');
+const { ModuleManager } = require('../module-manager');
+const { FakeAdapter } = require('./fake-adapter');
+const { VirtualClock } = require('./virtual-clock');
+const { loadSeries, seriesFromData } = require('./series');
+const { WallboxPlant, BatteryPlant, PvPlant, GridPlant } = require('./plant');
+
+/** Own states recorded as "reason" events when they change */
+const REASON_STATE_RE = /\.(reason|status|applyStatus|active|action)$/;
+
+/**
+ * @param {any} v
+ */
+function isPlainObject(v) {
+    return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Deep merge (objects merged, arrays and scalars replaced).
+ * @param {any} base
+ * @param {any} over
+ */
+function deepMerge(base, over) {
+    if (!isPlainObject(base) || !isPlainObject(over)) return over === undefined ? base : over;
+    /** @type {Record<string, any>} */
+    const out = { ...base };
+    for (const [k, v] of Object.entries(over)) {
+        out[k] = (isPlainObject(v) && isPlainObject(base[k])) ? deepMerge(base[k], v) : v;
+    }
+    return out;
+}
+
+/**
+ * Adapter defaults from io-package.json (native).
+ */
+function defaultNative() {
+    try {
+        return JSON.parse(JSON.stringify(require('../../io-package.json').native || {}));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * @typedef {object} TimelineEvent
+ * @property {number} t          epoch ms (virtual clock)
+ * @property {'setpoint'|'reason'|'rlm_interval'|'sample'} type
+ * @property {string} id         object/state ID
+ * @property {string} [key]      datapoint key (setpoints)
+ * @property {any} value
+ */
+
+/**
+ * Offline simulation / replay of the complete control stack.
+ *
+ * Runs the real ModuleManager + DatapointRegistry against a FakeAdapter with a virtual clock.
+ * Inputs come from a recorded time series and/or plant models that react to the written setpoints.
+ *
+ * Scenario (JSON):
+ * {
+ *   "config": { ...adapter native config (merged over io-package defaults) },
+ *   "series": { "file": "day.csv", "interpolate": "hold" } | [ ...rows ],
+ *   "inputs": { "<column>": "<objectId>" },            // direct replay of recorded values
+ *   "plant": {
+ *     "grid": { "objectId": "...", "baseLoadColumn": "baseLoadW" },
+ *     "pv": { "availableColumn": "pvW", "powerId": "...", "limitWId": "..." },
+ *     "battery": { "socId": "...", "powerId": "...", "targetPowerId": "...", "capacityWh": 10000 },
+ *     "wallboxes": [ { "powerId": "...", "setAId": "...", "delaySec": 5, "demandW": 11000 } ]
+ *   },
+ *   "start": "2025-06-01T00:00:00", "durationSec": 86400, "stepSec": 1, "sampleSec": 60
+ * }
+ */
+class Simulator {
+    /**
+     * @param {any} scenario
+     * @param {{baseDir?: string, logLevel?: 'debug'|'info'|'warn'|'error'|'silent', echo?: boolean}} [opts]
+     */
+    constructor(scenario, opts = {}) {
+        this.scenario = scenario || {};
+        this.baseDir = opts.baseDir || process.cwd();
+        this.logLevel = opts.logLevel || 'warn';
+        this.echo = !!opts.echo;
+
+        /** @type {TimelineEvent[]} */
+        this.timeline = [];
+        this.adapter = null;
+        this.dp = null;
+        this.modules = null;
+    }
+
+    _loadSeries() {
+        const s = this.scenario.series;
+        if (!s) return seriesFromData([]);
+        if (Array.isArray(s) || (s && Array.isArray(s.rows))) return seriesFromData(s);
+        if (s.file) return loadSeries(path.resolve(this.baseDir, String(s.file)), { interpolate: s.interpolate });
+        if (s.data) return seriesFromData(s.data, { interpolate: s.interpolate });
+        return seriesFromData([]);
+    }
+
+    _buildPlants() {
+        const p = this.scenario.plant || {};
+        return {
+            grid: p.grid ? new GridPlant(p.grid) : null,
+            pv: p.pv ? new PvPlant(p.pv) : null,
+            battery: p.battery ? new BatteryPlant(p.battery) : null,
+            wallboxes: (Array.isArray(p.wallboxes) ? p.wallboxes : []).map(w => new WallboxPlant(w)),
+        };
+    }
+
+    /**
+     * Run the scenario.
+     * @returns {Promise<{timeline: TimelineEvent[], summary: any}>}
+     */
+    async run() {
+        const sc = this.scenario;
+        const series = this._loadSeries();
+
+        const stepMs = Math.max(100, Math.round((Number(sc.stepSec) || 1) * 1000));
+        const sampleMs = Math.max(0, Math.round((Number(sc.sampleSec ?? 60)) * 1000));
+        const startParsed = sc.start !== undefined ? (typeof sc.start === 'number' ? sc.start : Date.parse(String(sc.start))) : NaN;
+        const startMs = Number.isFinite(startParsed) ? startParsed : (series.relative || !series.rows.length ? Date.UTC(2025, 0, 1) : series.startMs);
+        const seriesSpanMs = series.rows.length ? (series.endMs - series.startMs) : 0;
+        const durationMs = Math.max(stepMs, Math.round((Number(sc.durationSec) || (seriesSpanMs / 1000) || 3600) * 1000));
+
+        const clock = new VirtualClock(startMs).install();
+        try {
+            const config = deepMerge(defaultNative(), sc.config || {});
+            const adapter = new FakeAdapter({ namespace: sc.namespace, config, logLevel: this.logLevel, echo: this.echo });
+            this.adapter = adapter;
+
+            const plants = this._buildPlants();
+            const inputs = sc.inputs || {};
+            const seriesTime = (t) => series.relative ? (t - startMs) : t;
+
+            // Initial plant / input values, so the registry primes its cache
+            const row0 = series.rowAt(seriesTime(startMs));
+            this._applyInputs(adapter, inputs, row0);
+            this._stepPlants(0, adapter, plants, row0);
+
+            const dp = new DatapointRegistry(adapter, Array.isArray(config.globalDatapoints) ? config.globalDatapoints : []);
+            adapter.stateChangeHandler = (id, st) => dp.handleStateChange(id, st);
+            adapter.objectChangeHandler = (id, obj) => dp.handleObjectChange(id, obj);
+            await dp.init();
+            this.dp = dp;
+
+            const mm = new ModuleManager(adapter, dp);
+            await mm.init();
+            this.modules = mm;
+
+            /** @type {Map<string, any>} */
+            const lastReason = new Map();
+            let writeIdx = adapter.writes.length;
+            let lastSampleMs = -Infinity;
+            const rlmPrev = { start: null, avgW: null, importedWs: null };
+            const stats = { ticks: 0, peakGridW: -Infinity, minGridW: Infinity, psActivations: 0 };
+            let psWasActive = false;
+
+            for (let t = startMs; t <= startMs + durationMs; t += stepMs) {
+                clock.set(t);
+                const row = series.rowAt(seriesTime(t));
+
+                this._applyInputs(adapter, inputs, row);
+                this._stepPlants(t === startMs ? 0 : stepMs, adapter, plants, row);
+
+                await mm.tick();
+                stats.ticks++;
+
+                // Setpoints written in this tick
+                for (; writeIdx < adapter.writes.length; writeIdx++) {
+                    const w = adapter.writes[writeIdx];
+                    if (w.ack) continue;
+                    this.timeline.push({ t, type: 'setpoint', id: w.id, key: dp.keyByObjectId.get(w.id) || '', value: w.val });
+                }
+
+                // Reason / status changes
+                for (const [id, st] of adapter.states) {
+                    if (!id.startsWith(`${adapter.namespace}.`) || !REASON_STATE_RE.test(id)) continue;
+                    if (lastReason.has(id) && lastReason.get(id) === st.val) continue;
+                    lastReason.set(id, st.val);
+                    this.timeline.push({ t, type: 'reason', id: id.slice(adapter.namespace.length + 1), value: st.val });
+                }
+
+                // RLM interval results (recorded when a new interval starts)
+                const rlmStart = adapter.getVal('gridConstraints.rlm.intervalStart');
+                if (rlmStart !== undefined && rlmStart !== rlmPrev.start) {
+                    if (rlmPrev.start) {
+                        this.timeline.push({ t, type: 'rlm_interval', id: 'gridConstraints.rlm', value: { intervalStart: rlmPrev.start, avgW: rlmPrev.avgW, importedWs: rlmPrev.importedWs } });
+                    }
+                    rlmPrev.start = rlmStart;
+                }
+                rlmPrev.avgW = adapter.getVal('gridConstraints.rlm.avgW') ?? null;
+                rlmPrev.importedWs = adapter.getVal('gridConstraints.rlm.importedWs') ?? null;
+
+                // Statistics / samples
+                const gridW = plants.grid ? plants.grid.powerW : Number(dp.getNumber('ps.gridPowerW', NaN));
+                if (Number.isFinite(gridW)) {
+                    stats.peakGridW = Math.max(stats.peakGridW, gridW);
+                    stats.minGridW = Math.min(stats.minGridW, gridW);
+                }
+                const psActive = adapter.getVal('peakShaving.control.active') === true;
+                if (psActive && !psWasActive) stats.psActivations++;
+                psWasActive = psActive;
+
+                if (sampleMs > 0 && (t - lastSampleMs) >= sampleMs) {
+                    lastSampleMs = t;
+                    this.timeline.push({
+                        t,
+                        type: 'sample',
+                        id: 'plant',
+                        value: {
+                            gridW: Number.isFinite(gridW) ? Math.round(gridW) : null,
+                            pvW: plants.pv ? Math.round(plants.pv.powerW) : null,
+                            batteryW: plants.battery ? Math.round(plants.battery.powerW) : null,
+                            socPct: plants.battery ? Math.round(plants.battery.socPct * 10) / 10 : null,
+                            wallboxesW: plants.wallboxes.map(w => Math.round(w.powerW)),
+                        },
+                    });
+                }
+            }
+
+            const setpoints = this.timeline.filter(e => e.type === 'setpoint');
+            const rlm = this.timeline.filter(e => e.type === 'rlm_interval');
+            const summary = {
+                start: new Date(startMs).toISOString(),
+                end: new Date(startMs + durationMs).toISOString(),
+                stepSec: stepMs / 1000,
+                ticks: stats.ticks,
+                setpointWrites: setpoints.length,
+                setpointWritesById: setpoints.reduce((acc, e) => { acc[e.id] = (acc[e.id] || 0) + 1; return acc; }, /** @type {Record<string, number>} */ ({})),
+                reasonChanges: this.timeline.filter(e => e.type === 'reason').length,
+                peakGridW: Number.isFinite(stats.peakGridW) ? Math.round(stats.peakGridW) : null,
+                minGridW: Number.isFinite(stats.minGridW) ? Math.round(stats.minGridW) : null,
+                peakShavingActivations: stats.psActivations,
+                rlmIntervals: rlm.length,
+                rlmMaxAvgW: rlm.length ? Math.max(...rlm.map(e => Number(e.value && e.value.avgW) || 0)) : null,
+                warnings: adapter.logs.filter(l => l.level === 'warn' || l.level === 'error').length,
+            };
+
+            return { timeline: this.timeline, summary };
+        } finally {
+            clock.uninstall();
+        }
+    }
+
+    /**
+     * @param {FakeAdapter} adapter
+     * @param {Record<string, string>} inputs column -> objectId
+     * @param {Record<string, any>} row
+     */
+    _applyInputs(adapter, inputs, row) {
+        for (const [col, id] of Object.entries(inputs)) {
+            const v = row[col];
+            if (v === null || v === undefined || !id) continue;
+            adapter.setInput(String(id), v);
+        }
+    }
+
+    /**
+     * @param {number} dtMs
+     * @param {FakeAdapter} adapter
+     * @param {ReturnType<Simulator['_buildPlants']>} plants
+     * @param {Record<string, any>} row
+     */
+    _stepPlants(dtMs, adapter, plants, row) {
+        let loadsW = 0;
+        for (const wb of plants.wallboxes) {
+            wb.step(dtMs, adapter, row);
+            loadsW += wb.loadW;
+        }
+        if (plants.battery) plants.battery.step(dtMs, adapter);
+        if (plants.pv) plants.pv.step(dtMs, adapter, row);
+        if (plants.grid) {
+            plants.grid.step(adapter, row, { loadsW, pv: plants.pv, batteryW: plants.battery ? plants.battery.gridW : 0 });
+        } else if (plants.pv) {
+            plants.pv.publish(adapter);
+        }
+    }
+}
+
+/**
+ * @param {any} v
+ */
+function csvCell(v) {
+    if (v === null || v === undefined) return '';
+    const s = (typeof v === 'object') ? JSON.stringify(v) : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * @param {TimelineEvent[]} timeline
+ * @returns {string}
+ */
+function timelineToCsv(timeline) {
+    const lines = ['t,time,type,id,key,value'];
+    for (const e of timeline) {
+        lines.push([e.t, new Date(e.t).toISOString(), e.type, e.id, e.key || '', e.value].map(csvCell).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { Simulator, timelineToCsv, deepMerge, defaultNative };
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Virtual clock for simulation/replay and tests.
+ *
+ * All modules take their time from Date.now(); install() replaces it until uninstall() is called,
+ * so a simulated day runs in seconds and results are reproducible.
+ *
+ * With `install({ timers: true })` setTimeout/clearTimeout are virtual as well: timers only fire
+ * in runFor(), in the order of their due time (used for the tick scheduler).
+ */
+class VirtualClock {
+    /**
+     * @param {number} [startMs]
+     */
+    constructor(startMs) {
+        this.nowMs = Number.isFinite(Number(startMs)) ? Number(startMs) : Date.UTC(2025, 0, 1);
+        /** @type {(() => number)|null} */
+        this._origNow = null;
+        /** @type {{setTimeout: any, clearTimeout: any}|null} */
+        this._origTimers = null;
+        /** @type {Array<{seq: number, dueMs: number, fn: Function, args: any[]}>} */
+        this._timers = [];
+        this._timerSeq = 0;
+    }
+
+    /**
+     * @param {{timers?: boolean}} [opts]
+     */
+    install(opts = {}) {
+        if (this._origNow) return this;
+        this._origNow = Date.now;
+        Date.now = () => this.nowMs;
+
+        if (opts.timers) {
+            this._origTimers = { setTimeout: global.setTimeout, clearTimeout: global.clearTimeout };
+            // Virtual timer handles instead of NodeJS.Timeout
+            const g = /** @type {any} */ (global);
+            g.setTimeout = (/** @type {Function} */ fn, /** @type {number} */ ms, /** @type {any[]} */ ...args) => {
+                const timer = { seq: ++this._timerSeq, dueMs: this.nowMs + Math.max(0, Number(ms) || 0), fn, args };
+                this._timers.push(timer);
+                return timer;
+            };
+            g.clearTimeout = (/** @type {any} */ timer) => {
+                this._timers = this._timers.filter(t => t !== timer);
+            };
+        }
+        return this;
+    }
+
+    uninstall() {
+        if (!this._origNow) return;
+        Date.now = this._origNow;
+        this._origNow = null;
+
+        if (this._origTimers) {
+            global.setTimeout = this._origTimers.setTimeout;
+            global.clearTimeout = this._origTimers.clearTimeout;
+            this._origTimers = null;
+        }
+        this._timers = [];
+    }
+
+    now() {
+        return this.nowMs;
+    }
+
+    /**
+     * @param {number} ms
+     */
+    set(ms) {
+        const n = Number(ms);
+        if (Number.isFinite(n)) this.nowMs = n;
+        return this.nowMs;
+    }
+
+    /**
+     * @param {number} ms
+     */
+    advance(ms) {
+        const n = Number(ms);
+        if (Number.isFinite(n) && n > 0) this.nowMs += n;
+        return this.nowMs;
+    }
+
+    /**
+     * Advance by `ms` and fire the virtual timers that become due, each at its due time. Promise
+     * continuations of a timer run before the next one fires.
+     * @param {number} ms
+     */
+    async runFor(ms) {
+        const endMs = this.nowMs + Math.max(0, Number(ms) || 0);
+        for (;;) {
+            const due = this._timers
+                .filter(t => t.dueMs <= endMs)
+                .sort((a, b) => (a.dueMs - b.dueMs) || (a.seq - b.seq))[0];
+            if (!due) break;
+            this._timers = this._timers.filter(t => t !== due);
+            this.nowMs = Math.max(this.nowMs, due.dueMs);
+            due.fn(...due.args);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        this.nowMs = endMs;
+        return this.nowMs;
+    }
+}
+
+module.exports = { VirtualClock };
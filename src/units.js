@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Units of datapoints and the conversion between them.
+ *
+ * Every known unit belongs to a quantity and has a factor to the base unit of that quantity
+ * (W, Wh, A, V, €/kWh). A value of an object in `kW` read for a key that expects `W` is multiplied
+ * by 1000; different quantities (e.g. `kWh` for a key in `W`) cannot be converted.
+ */
+
+/** @type {Record<string, {quantity: string, factor: number}>} */
+const UNITS = Object.freeze({
+    'W': { quantity: 'power', factor: 1 },
+    'kW': { quantity: 'power', factor: 1e3 },
+    'MW': { quantity: 'power', factor: 1e6 },
+    'Wh': { quantity: 'energy', factor: 1 },
+    'kWh': { quantity: 'energy', factor: 1e3 },
+    'MWh': { quantity: 'energy', factor: 1e6 },
+    'A': { quantity: 'current', factor: 1 },
+    'mA': { quantity: 'current', factor: 1e-3 },
+    'V': { quantity: 'voltage', factor: 1 },
+    'kV': { quantity: 'voltage', factor: 1e3 },
+    '%': { quantity: 'percent', factor: 1 },
+    '€/kWh': { quantity: 'price', factor: 1 },
+    'ct/kWh': { quantity: 'price', factor: 0.01 },
+});
+
+/** Spellings found in object metadata (compared case-insensitively, without spaces) */
+const ALIASES = Object.freeze({
+    'w': 'W',
+    'watt': 'W',
+    'kw': 'kW',
+    'mw': 'MW',
+    'wh': 'Wh',
+    'kwh': 'kWh',
+    'mwh': 'MWh',
+    'a': 'A',
+    'ampere': 'A',
+    'ma': 'mA',
+    'v': 'V',
+    'volt': 'V',
+    'kv': 'kV',
+    '%': '%',
+    '€/kwh': '€/kWh',
+    'eur/kwh': '€/kWh',
+    'ct/kwh': 'ct/kWh',
+    'cent/kwh': 'ct/kWh',
+});
+
+/**
+ * Canonical spelling of a unit, '' if empty, null if unknown.
+ *
+ * @param {any} unit
+ * @returns {string|null}
+ */
+function normalizeUnit(unit) {
+    const s = String(unit ?? '').trim();
+    if (!s) return '';
+    if (UNITS[s]) return s;
+    // 'mW' (milliwatt) does not occur in practice; 'mw' / 'MW' both mean megawatt
+    return ALIASES[s.toLowerCase().replace(/\s+/g, '')] || null;
+}
+
+/**
+ * Conversion of an object value in `actual` units to the `expected` unit of a datapoint key.
+ *
+ * status: 'same' (no conversion needed), 'converted' (factor != 1), 'incompatible' (different
+ * quantities), 'unknown' (unit not in the table) or 'none' (one of the units not set).
+ *
+ * @param {any} expected unit of the datapoint key
+ * @param {any} actual common.unit of the object
+ * @returns {{status: 'same'|'converted'|'incompatible'|'unknown'|'none', factor: number}}
+ */
+function unitConversion(expected, actual) {
+    const want = normalizeUnit(expected);
+    const have = normalizeUnit(actual);
+    if (want === '' || have === '') return { status: 'none', factor: 1 };
+    if (want === null || have === null) return { status: 'unknown', factor: 1 };
+    const a = UNITS[have];
+    const b = UNITS[want];
+    if (a.quantity !== b.quantity) return { status: 'incompatible', factor: 1 };
+    const factor = a.factor / b.factor;
+    return factor === 1 ? { status: 'same', factor } : { status: 'converted', factor };
+}
+
+module.exports = { normalizeUnit, unitConversion };
@@ -0,0 +1,136 @@
+'use strict';
+
+const assert = require('assert');
+const { SetpointArbiter, findOutputConflicts } = require('../src/arbiter');
+const { DatapointRegistry } = require('../src/datapoints');
+const { FakeAdapter } = require('../src/sim/fake-adapter');
+const { VirtualClock } = require('../src/sim/virtual-clock');
+const { createHarness } = require('./lib/harness');
+
+const WB = 'evcs.0.garage.setA';
+
+describe('Setpoint arbiter', () => {
+    /** @type {any} */
+    let clock = null;
+
+    beforeEach(() => {
+        clock = new VirtualClock(Date.UTC(2025, 5, 2, 10, 0, 0)).install();
+    });
+
+    afterEach(() => {
+        clock.uninstall();
+    });
+
+    it('passes the value of a single writer unchanged', () => {
+        const arb = new SetpointArbiter();
+        assert.strictEqual(arb.resolve(WB, 'chargingManagement', 'number', 16), 16);
+        assert.strictEqual(arb.resolve(WB, 'chargingManagement', 'number', 10), 10);
+        assert.deepStrictEqual(arb.getContested(), []);
+    });
+
+    it('merges competing requests to the minimum and reports the conflict', () => {
+        const arb = new SetpointArbiter();
+        arb.resolve(WB, 'chargingManagement', 'number', 16);
+        assert.strictEqual(arb.resolve(WB, 'peakShaving', 'number', 6), 6);
+        assert.strictEqual(arb.resolve(WB, 'chargingManagement', 'number', 16), 6);
+
+        const [c] = arb.getContested();
+        assert.strictEqual(c.objectId, WB);
+        assert.strictEqual(c.winner, 'peakShaving');
+        assert.deepStrictEqual(c.requests.map(r => r.owner).sort(), ['chargingManagement', 'peakShaving']);
+
+        // enables: false wins
+        arb.resolve('evcs.0.garage.enable', 'chargingManagement', 'boolean', true);
+        assert.strictEqual(arb.resolve('evcs.0.garage.enable', 'multiUse', 'boolean', false), false);
+    });
+
+    it('lets the module with the highest precedence win in precedence mode', () => {
+        const arb = new SetpointArbiter();
+        arb.configure({ arbiterMode: 'precedence', arbiterPrecedence: 'multiUse, chargingManagement' });
+
+        arb.resolve(WB, 'multiUse', 'number', 16);
+        assert.strictEqual(arb.resolve(WB, 'chargingManagement', 'number', 6), 16);
+    });
+
+    it('releases an output when the other module stops writing', () => {
+        const arb = new SetpointArbiter();
+        arb.resolve(WB, 'peakShaving', 'number', 6);
+        assert.strictEqual(arb.resolve(WB, 'chargingManagement', 'number', 16), 6);
+
+        clock.advance(6000);
+        assert.strictEqual(arb.resolve(WB, 'chargingManagement', 'number', 16), 16);
+        assert.deepStrictEqual(arb.getContested(), []);
+    });
+
+    it('keeps the request of a slow module for two of its write cycles', () => {
+        const arb = new SetpointArbiter();
+        arb.setCadences(new Map([['multiUse', 10000], ['chargingManagement', 1000]]));
+        assert.strictEqual(arb.ttlFor('chargingManagement'), 5000);
+        assert.strictEqual(arb.ttlFor('multiUse'), 20000);
+
+        arb.resolve(WB, 'multiUse', 'number', 6);
+        clock.advance(10000);
+        assert.strictEqual(arb.resolve(WB, 'chargingManagement', 'number', 16), 6);
+        clock.advance(11000);
+        assert.strictEqual(arb.resolve(WB, 'chargingManagement', 'number', 16), 16);
+    });
+
+    it('derives the cadences from the scheduler interval and the module timing', async () => {
+        const h = await createHarness({
+            config: {
+                schedulerIntervalMs: 4000,
+                moduleTiming: [{ module: 'multiUse', intervalMs: 15000 }, { module: 'peakShaving', intervalMs: 60000 }],
+            },
+        });
+        try {
+            assert.strictEqual(h.mm.arbiter.ttlFor('chargingManagement'), 8000);
+            assert.strictEqual(h.mm.arbiter.ttlFor('multiUse'), 30000);
+            // critical modules run every tick regardless of their interval
+            assert.strictEqual(h.mm.arbiter.ttlFor('peakShaving'), 8000);
+            assert.strictEqual(h.mm.arbiter.ttlFor('global'), 8000);
+
+            await h.reconfigure({ moduleTiming: [] });
+            assert.strictEqual(h.mm.arbiter.ttlFor('multiUse'), 8000);
+        } finally {
+            h.close();
+        }
+    });
+
+    it('arbitrates registry writes by the owner of the registry view', async () => {
+        const adapter = new FakeAdapter({ logLevel: 'silent' });
+        const dp = new DatapointRegistry(adapter, []);
+        dp.setArbiter(new SetpointArbiter());
+
+        const ps = dp.forOwner('peakShaving');
+        const cm = dp.forOwner('chargingManagement');
+        await ps.upsert({ key: 'ps.act.garage.setpoint', objectId: WB, dataType: 'number', direction: 'out' });
+        await cm.upsert({ key: 'cm.wb.garage.setA', objectId: WB, dataType: 'number', direction: 'out' });
+
+        await cm.writeNumber('cm.wb.garage.setA', 16);
+        await ps.writeNumber('ps.act.garage.setpoint', 6);
+        await cm.writeNumber('cm.wb.garage.setA', 16);
+
+        assert.deepStrictEqual(adapter.writesTo(WB).map(w => w.val), [16, 6, 6]);
+    });
+
+    it('finds outputs configured for several modules', () => {
+        const conflicts = findOutputConflicts({
+            enablePeakShaving: true,
+            enableChargingManagement: true,
+            peakShaving: { actuationEnabled: true, actuators: [{ id: 'wb', setpointId: WB }] },
+            chargingManagement: { wallboxes: [{ key: 'garage', setCurrentAId: WB }, { key: 'carport', setCurrentAId: 'evcs.0.carport.setA' }] },
+        });
+
+        assert.strictEqual(conflicts.length, 1);
+        assert.strictEqual(conflicts[0].objectId, WB);
+        assert.deepStrictEqual(conflicts[0].owners.map(o => o.module), ['peakShaving', 'chargingManagement']);
+
+        // disabled modules do not count
+        assert.deepStrictEqual(findOutputConflicts({
+            enablePeakShaving: false,
+            enableChargingManagement: true,
+            peakShaving: { actuationEnabled: true, actuators: [{ id: 'wb', setpointId: WB }] },
+            chargingManagement: { wallboxes: [{ key: 'garage', setCurrentAId: WB }] },
+        }), []);
+    });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+const { BillingPeakTracker } = require('../src/billing-peak');
+const { checkConfig } = require('../src/config-validator');
+
+const GRID = 'meter.0.grid.powerW';
+const MIN15 = 15 * 60 * 1000;
+
+/**
+ * Local time (months and days of the billing peak follow the host time zone).
+ * @param {number} month 1-12
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} [minute]
+ */
+function local(month, day, hour, minute = 0) {
+    return new Date(2025, month - 1, day, hour, minute, 0).getTime();
+}
+
+describe('Billing peak', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('keeps the monthly peak with daily and monthly history', () => {
+        const t = new BillingPeakTracker();
+        assert.strictEqual(t.addInterval(local(6, 29, 10), 12000.4), true);
+        assert.strictEqual(t.addInterval(local(6, 29, 10, 15), 9000), false);
+        assert.strictEqual(t.addInterval(local(6, 29, 10), 20000), false, 'same interval counted twice');
+        assert.strictEqual(t.addInterval(local(6, 30, 8), 14000), true);
+        assert.deepStrictEqual([t.month, t.peakW, t.peakTs], ['2025-06', 14000, local(6, 30, 8)]);
+        assert.deepStrictEqual(t.days, [{ day: '2025-06-29', maxW: 12000, ts: local(6, 29, 10) }]);
+
+        // New month: peak reset, June archived
+        assert.strictEqual(t.roll(local(7, 1, 0)), true);
+        assert.deepStrictEqual([t.month, t.peakW, t.peakTs], ['2025-07', 0, 0]);
+        assert.deepStrictEqual(t.months, [{ month: '2025-06', peakW: 14000, ts: local(6, 30, 8) }]);
+        assert.strictEqual(t.days[0].day, '2025-06-30');
+
+        // Clock set back: nothing rolls back
+        assert.strictEqual(t.roll(local(6, 30, 23)), false);
+        assert.strictEqual(t.month, '2025-07');
+
+        const copy = new BillingPeakTracker();
+        copy.restore(JSON.parse(JSON.stringify(t)));
+        assert.deepStrictEqual(copy.toJSON(), t.toJSON());
+        copy.restore({ month: 'June', peakW: -5, days: 'x' });
+        assert.deepStrictEqual([copy.month, copy.peakW, copy.days], ['', 0, []]);
+    });
+
+    it('raises the peak-shaving limit to the billing peak up to the ceiling', async () => {
+        const config = {
+            enableGridConstraints: true,
+            gridConstraints: { gridPowerId: GRID, billingPeakEnabled: true, billingPeakAdaptive: true, billingPeakCeilingW: 15000 },
+            enablePeakShaving: true,
+            peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 10000 },
+        };
+        h = await createHarness({ startMs: local(6, 2, 10) - 5000, config, inputs: { [GRID]: 13000 }, logLevel: 'info' });
+
+        await h.run(MIN15, { [GRID]: 13000 }, 5000);
+        assert.strictEqual(h.val('peakShaving.control.limitW'), 10000);
+        assert.strictEqual(h.val('gridConstraints.billing.peakW'), 0);
+
+        // 10:00 ... 10:15 completed at 13 kW
+        await h.run(5000, { [GRID]: 13000 }, 5000);
+        assert.strictEqual(h.val('gridConstraints.billing.month'), '2025-06');
+        assert.strictEqual(h.val('gridConstraints.billing.peakW'), 13000);
+        assert.strictEqual(h.val('gridConstraints.billing.lastIntervalAvgW'), 13000);
+        assert.strictEqual(h.val('gridConstraints.billing.adaptiveLimitW'), 13000);
+        assert.strictEqual(h.val('peakShaving.control.adaptiveLimitW'), 13000);
+        assert.strictEqual(h.val('peakShaving.control.limitW'), 13000);
+        assert.ok(h.adapter.logs.some(l => l.level === 'info' && l.msg.includes('new peak of 2025-06 13000 W')));
+
+        // A higher peak is only followed up to the ceiling
+        await h.run(MIN15, { [GRID]: 18000 }, 5000);
+        assert.strictEqual(h.val('gridConstraints.billing.peakW'), 18000);
+        assert.strictEqual(h.val('peakShaving.control.limitW'), 15000);
+
+        assert.deepStrictEqual(checkConfig({ ...config, gridConstraints: { ...config.gridConstraints, billingPeakCeilingW: 0 } }).map(f => f.code), ['BILLING_PEAK_NO_CEILING']);
+        assert.deepStrictEqual(checkConfig({ enableGridConstraints: true, gridConstraints: { billingPeakEnabled: true } }).map(f => f.code), ['BILLING_PEAK_NO_GRID_METER']);
+    });
+
+    it('counts the last interval of the month and resets the peak, also across a restart', async () => {
+        const opts = {
+            config: { enableGridConstraints: true, gridConstraints: { gridPowerId: GRID, billingPeakEnabled: true } },
+            inputs: { [GRID]: 8000 },
+        };
+        h = await createHarness({ ...opts, startMs: local(6, 30, 23, 30) - 5000 });
+        await h.run(MIN15 + 5000, { [GRID]: 8000 }, 5000);
+        assert.strictEqual(h.val('gridConstraints.billing.peakW'), 8000);
+
+        // 23:45 ... 24:00 belongs to June
+        await h.run(MIN15, { [GRID]: 11000 }, 5000);
+        assert.strictEqual(h.val('gridConstraints.billing.month'), '2025-07');
+        assert.strictEqual(h.val('gridConstraints.billing.peakW'), 0);
+        assert.deepStrictEqual(JSON.parse(h.val('gridConstraints.billing.historyMonthly')), [{ month: '2025-06', peakW: 11000, ts: local(6, 30, 23, 45) }]);
+        assert.strictEqual(JSON.parse(h.val('gridConstraints.billing.historyDaily'))[0].maxW, 11000);
+
+        // Restart after the first interval of July
+        await h.run(MIN15, { [GRID]: 6000 }, 5000);
+        assert.strictEqual(h.val('gridConstraints.billing.peakW'), 6000);
+        await h.mm.persist(true);
+        const states = h.adapter.states;
+        const startMs = Date.now() + 60000;
+        h.close();
+        h = await createHarness({ ...opts, states, startMs });
+        await h.tick(1000);
+
+        assert.strictEqual(h.val('gridConstraints.billing.peakW'), 6000);
+        assert.strictEqual(JSON.parse(h.val('gridConstraints.billing.historyMonthly'))[0].month, '2025-06');
+    });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+
+/**
+ * @param {string} key
+ * @param {number} priority
+ */
+function wallbox(key, priority) {
+    return { key, priority, actualPowerWId: `evcs.0.${key}.powerW`, setCurrentAId: `evcs.0.${key}.setA` };
+}
+
+/**
+ * @param {any} [cm]
+ */
+function config(cm = {}) {
+    return {
+        enableChargingManagement: true,
+        chargingManagement: {
+            mode: 'mixed',
+            totalBudgetMode: 'static',
+            staticMaxChargingPowerW: 11040, // one car at 16 A / 3 phases
+            gridPowerId: GRID,
+            staleTimeoutSec: 10,
+            wallboxes: [wallbox('carport', 2), wallbox('garage', 1)],
+            ...cm,
+        },
+    };
+}
+
+describe('Charging management', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    /**
+     * @param {string} key
+     * @param {string} state
+     */
+    const wb = (key, state) => h.val(`chargingManagement.wallboxes.${key}.${state}`);
+
+    it('allocates the budget by priority when no car is charging yet', async () => {
+        h = await createHarness({ config: config(), inputs: { [GRID]: 3000, 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 0 } });
+        await h.tick(1000);
+
+        assert.strictEqual(h.val('chargingManagement.debug.sortedOrder'), 'garage,carport');
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 16);
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.carport.setA'), 0);
+        assert.strictEqual(wb('carport', 'reason'), 'NO_BUDGET');
+    });
+
+    it('serves charging cars first, in order of arrival, before priority', async () => {
+        h = await createHarness({ config: config(), inputs: { [GRID]: 3000, 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 0 } });
+        await h.tick(1000);
+
+        // carport (lower priority) starts charging first
+        await h.run(2000, { [GRID]: 8000, 'evcs.0.carport.powerW': 5000, 'evcs.0.garage.powerW': 0 });
+        assert.strictEqual(h.val('chargingManagement.debug.sortedOrder'), 'carport,garage');
+        assert.strictEqual(wb('carport', 'allocationRank'), 1);
+
+        // garage starts later: arrival order wins over priority
+        await h.run(2000, { [GRID]: 12000, 'evcs.0.carport.powerW': 5000, 'evcs.0.garage.powerW': 5000 });
+        assert.strictEqual(h.val('chargingManagement.debug.sortedOrder'), 'carport,garage');
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.carport.setA'), 16);
+        assert.strictEqual(wb('garage', 'reason'), 'NO_BUDGET');
+    });
+
+    it('sets all targets to 0 with STALE_METER when the grid meter stops updating', async () => {
+        h = await createHarness({ config: config(), inputs: { [GRID]: 3000, 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 5000 } });
+        await h.tick(1000);
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 16);
+
+        await h.run(12000, { 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 5000 });
+
+        assert.strictEqual(h.val('chargingManagement.control.status'), 'failsafe_stale_meter');
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 0);
+        assert.strictEqual(wb('garage', 'reason'), 'STALE_METER');
+    });
+
+    it('ramps down to 0 while peak shaving is active', async () => {
+        h = await createHarness({
+            config: {
+                ...config(),
+                enablePeakShaving: true,
+                peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 10000 },
+            },
+            inputs: { [GRID]: 3000, 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 5000 },
+        });
+        await h.tick(1000);
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 16);
+
+        await h.run(2000, { [GRID]: 15000, 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 11000 });
+
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 0);
+    });
+});
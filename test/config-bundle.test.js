@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+const { MessageApi } = require('../src/message-api');
+const { exportBundle, readBundle, planImport, parseRewrites } = require('../src/config-bundle');
+
+const GRID = 'modbus.0.holdingRegisters.gridW';
+
+function siteConfig() {
+    return {
+        enablePeakShaving: true,
+        peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 30000 },
+        enableChargingManagement: true,
+        chargingManagement: {
+            mode: 'mixed',
+            totalBudgetMode: 'static',
+            staticMaxChargingPowerW: 22000,
+            wallboxes: [
+                { key: 'wb1', actualPowerWId: 'modbus.0.wb1.powerW', setCurrentAId: 'modbus.0.wb1.setA' },
+                { key: 'wb2', actualPowerWId: 'modbus.0.wb2.powerW', setCurrentAId: 'modbus.0.wb2.setA' },
+            ],
+        },
+        writeRateLimits: [{ target: 'modbus.0.wb1.setA', minIntervalSec: 10 }],
+        profileId: 'kecontact-p30',
+        bundleJson: '{"old": true}',
+    };
+}
+
+describe('Config bundle', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('exports the config by tab with the effective registry', async () => {
+        h = await createHarness({ config: siteConfig(), inputs: { [GRID]: 1000 } });
+        await h.tick(1000);
+        const bundle = readBundle(JSON.stringify(exportBundle(h.adapter.config, { dp: h.dp })));
+
+        assert.strictEqual(bundle.version, 1);
+        assert.deepStrictEqual(bundle.tabs, ['general', 'grid', 'peakShaving', 'charging', 'storage', 'multiUse', 'datapoints']);
+        assert.strictEqual(bundle.config.peakShaving.peakShaving.maxPowerW, 30000);
+        assert.strictEqual(bundle.config.charging.chargingManagement.wallboxes.length, 2);
+        assert.deepStrictEqual(bundle.config.datapoints.writeRateLimits, [{ target: 'modbus.0.wb1.setA', minIntervalSec: 10 }]);
+        assert.strictEqual(bundle.config.general.profileId, undefined);
+        assert.strictEqual(bundle.config.general.bundleJson, undefined);
+
+        const grid = bundle.registry.find(e => e.key === 'ps.gridPowerW');
+        assert.strictEqual(grid.objectId, GRID);
+        assert.ok(grid.owners.includes('peakShaving'));
+        assert.ok(bundle.registry.some(e => e.key === 'cm.wb.wb2.setA' && e.direction === 'out'));
+
+        assert.throws(() => readBundle('{"format": "something"}'), /not a nexowatt-multiuse config bundle/);
+        assert.throws(() => readBundle({ ...bundle, version: 2 }), /unsupported bundle version 2/);
+    });
+
+    it('imports selected tabs with rewritten object IDs and previews the conflicts', () => {
+        const bundle = exportBundle(siteConfig());
+        const target = {
+            peakShaving: { mode: 'dynamic', maxPowerW: 50000 },
+            chargingManagement: { mode: 'pvOnly', wallboxes: [{ key: 'wb2', setCurrentAId: 'evcs.0.setA' }, { key: 'carport', setCurrentAId: 'evcs.0.carportA' }] },
+        };
+        assert.deepStrictEqual(parseRewrites('modbus.0 = modbus.2\nfoo.1.->bar.1'), [{ from: 'modbus.0', to: 'modbus.2' }, { from: 'foo.1', to: 'bar.1' }]);
+
+        const plan = planImport(bundle, target, { tabs: 'charging', rewrites: 'modbus.0=modbus.2' });
+        assert.deepStrictEqual(plan.tabs, ['charging']);
+        assert.deepStrictEqual(Object.keys(plan.native).sort(), ['chargingManagement', 'enableChargingManagement']);
+        assert.deepStrictEqual(plan.native.chargingManagement.wallboxes.map(w => `${w.key}:${w.setCurrentAId}`), ['wb1:modbus.2.wb1.setA', 'wb2:modbus.2.wb2.setA']);
+        assert.strictEqual(plan.native.chargingManagement.staticMaxChargingPowerW, 22000);
+        assert.deepStrictEqual(plan.objectIds, ['modbus.2.wb1.powerW', 'modbus.2.wb1.setA', 'modbus.2.wb2.powerW', 'modbus.2.wb2.setA']);
+
+        const summary = plan.changes.map(c => `${c.change} ${c.path}`);
+        assert.ok(summary.includes('changed chargingManagement.mode'));
+        assert.ok(summary.includes('added chargingManagement.wallboxes[wb1]'));
+        assert.ok(summary.includes('changed chargingManagement.wallboxes[wb2].setCurrentAId'));
+        assert.ok(summary.includes('removed chargingManagement.wallboxes[carport]'));
+        assert.ok(!summary.some(s => s.includes('peakShaving')));
+
+        const merged = planImport(bundle, target, { tabs: ['charging'], mode: 'merge' });
+        assert.deepStrictEqual(merged.native.chargingManagement.wallboxes.map(w => w.key), ['wb2', 'carport', 'wb1']);
+
+        assert.throws(() => planImport(bundle, target, { tabs: 'charging,tariff' }), /unknown tab 'tariff'/);
+    });
+
+    it('exports, previews and saves an import through sendTo', async () => {
+        h = await createHarness({ config: siteConfig(), inputs: { [GRID]: 1000 } });
+        const api = new MessageApi(h.adapter, { dp: h.dp, modules: h.mm });
+        await h.adapter.setForeignObjectAsync('modbus.2.holdingRegisters.gridW', { type: 'state', common: { type: 'number' }, native: {} });
+
+        const exported = await api.handle('exportConfig', { tabs: 'peakShaving' });
+        assert.deepStrictEqual(Object.keys(exported.bundle.config), ['peakShaving']);
+
+        const admin = await api.handle('exportConfig', { format: 'admin', native: { peakShaving: { ...siteConfig().peakShaving, maxPowerW: 25000 } } });
+        assert.strictEqual(JSON.parse(admin.native.bundleJson).config.peakShaving.peakShaving.maxPowerW, 25000);
+
+        const msg = { bundle: admin.native.bundleJson, tabs: 'peakShaving,charging', rewrites: { 'modbus.0': 'modbus.2' } };
+        const preview = await api.handle('previewImport', { ...msg, format: 'admin' });
+        assert.match(preview.result, /~ peakShaving.maxPowerW: 30000 -> 25000/);
+        assert.match(preview.result, /Objects not found: modbus.2.wb1.powerW/);
+
+        const res = await api.handle('importConfig', { ...msg, save: true });
+        assert.strictEqual(res.saved, true);
+        assert.ok(!res.missing.includes('modbus.2.holdingRegisters.gridW'));
+        const obj = await h.adapter.getForeignObjectAsync('system.adapter.nexowatt-multiuse.0');
+        assert.strictEqual(obj.native.peakShaving.gridPointPowerId, 'modbus.2.holdingRegisters.gridW');
+        assert.strictEqual(obj.native.peakShaving.maxPowerW, 25000);
+
+        assert.match((await api.handle('importConfig', { bundle: '' })).error, /bundle is empty/);
+    });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+const { parseLiveConfig, applyLiveConfig, updateLiveConfig } = require('../src/live-config');
+
+const GRID = 'meter.0.grid.powerW';
+
+/**
+ * @param {string} key
+ * @param {number} priority
+ */
+function wallbox(key, priority) {
+    return { key, priority, actualPowerWId: `evcs.0.${key}.powerW`, setCurrentAId: `evcs.0.${key}.setA` };
+}
+
+function chargingConfig() {
+    return {
+        enableChargingManagement: true,
+        chargingManagement: {
+            mode: 'mixed',
+            totalBudgetMode: 'static',
+            staticMaxChargingPowerW: 11040,
+            gridPowerId: GRID,
+            staleTimeoutSec: 10,
+            wallboxes: [wallbox('carport', 2), wallbox('garage', 1)],
+        },
+    };
+}
+
+describe('Config reload', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    const inputs = { [GRID]: 8000, 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 5000 };
+
+    it('re-maps a wallbox setpoint without losing the charging session', async () => {
+        h = await createHarness({ config: chargingConfig(), inputs });
+        await h.run(2000, inputs);
+        const since = h.val('chargingManagement.wallboxes.garage.chargingSince');
+        assert.ok(since > 0);
+
+        const result = await h.reconfigure({
+            chargingManagement: { wallboxes: [wallbox('carport', 2), { ...wallbox('garage', 1), setCurrentAId: 'evcs.0.garage.setA2' }] },
+        });
+        assert.deepStrictEqual(result.reloaded, ['chargingManagement']);
+
+        await h.run(1000, inputs);
+
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA2'), 16);
+        assert.strictEqual(h.adapter.subscriptions.has('evcs.0.garage.setA'), false);
+        assert.strictEqual(h.adapter.subscriptions.has('evcs.0.garage.setA2'), true);
+        assert.strictEqual(h.val('chargingManagement.wallboxes.garage.chargingSince'), since);
+    });
+
+    it('releases the datapoints of a removed wallbox after the next tick', async () => {
+        h = await createHarness({ config: chargingConfig(), inputs });
+        await h.run(2000, inputs);
+
+        await h.reconfigure({ chargingManagement: { wallboxes: [wallbox('carport', 2)] } });
+        assert.ok(h.dp.getEntry('cm.wb.garage.pW'));
+
+        await h.run(1000, inputs);
+
+        assert.strictEqual(h.dp.getEntry('cm.wb.garage.pW'), null);
+        assert.strictEqual(h.dp.getEntry('cm.wb.garage.setA'), null);
+        assert.strictEqual(h.adapter.subscriptions.has('evcs.0.garage.powerW'), false);
+        assert.ok(h.dp.getEntry('cm.wb.carport.pW'));
+    });
+
+    it('restores a curtailed actuator when peak shaving is switched off', async () => {
+        const SETPOINT = 'heat.0.limitW';
+        h = await createHarness({
+            config: {
+                enablePeakShaving: true,
+                peakShaving: {
+                    mode: 'static',
+                    gridPointPowerId: GRID,
+                    maxPowerW: 10000,
+                    actuationEnabled: true,
+                    actuators: [{ id: 'heater', enabled: true, mode: 'limitW', priority: 1, setpointId: SETPOINT, max: 6000 }],
+                },
+            },
+            inputs: { [GRID]: 6000, [SETPOINT]: 6000 },
+        });
+        await h.run(2000, { [GRID]: 6000 });
+        await h.run(2000, { [GRID]: 14000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.ok(h.adapter.lastWrite(SETPOINT) < 6000);
+
+        const result = await h.reconfigure({ enablePeakShaving: false });
+
+        assert.deepStrictEqual(result.disabled, ['peakShaving']);
+        assert.strictEqual(h.adapter.lastWrite(SETPOINT), 6000);
+        assert.strictEqual(h.dp.getEntry('ps.act.heater.setpoint'), null);
+        // Grid meter stays registered: storage control still declares it
+        assert.deepStrictEqual(Array.from(h.dp.ownersByKey.get('ps.gridPowerW')), ['speicherRegelung']);
+    });
+
+    it('keeps live settings over the saved ones until the saved setting changes', async () => {
+        const stored = { ...chargingConfig(), schedulerIntervalMs: 1000 };
+        h = await createHarness({ config: stored, inputs });
+        await h.run(2000, inputs);
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 16);
+
+        // Admin form sent with "Apply without restart": only the changed entry is kept
+        const form = { ...stored, chargingManagement: { ...stored.chargingManagement, staticMaxChargingPowerW: 7360 } };
+        const live = updateLiveConfig(parseLiveConfig('{}'), stored, form);
+        assert.deepStrictEqual(Object.keys(live.native), ['chargingManagement']);
+
+        // What control.liveConfig holds survives a restart and is applied over the saved settings
+        const restored = applyLiveConfig(stored, parseLiveConfig(JSON.stringify(live)));
+        assert.deepStrictEqual(restored.dropped, []);
+        const result = await h.reconfigure({ chargingManagement: { staticMaxChargingPowerW: restored.config.chargingManagement.staticMaxChargingPowerW } });
+        assert.deepStrictEqual(result.reloaded, ['chargingManagement']);
+        await h.run(2000, inputs);
+        assert.ok(h.adapter.lastWrite('evcs.0.garage.setA') < 16);
+
+        // Saved with the same value: the live entry is no longer needed
+        assert.deepStrictEqual(applyLiveConfig(form, live).live.native, {});
+
+        // Saved with another value: the admin save wins
+        const saved = { ...stored, chargingManagement: { ...stored.chargingManagement, staticMaxChargingPowerW: 9000 } };
+        const after = applyLiveConfig(saved, live);
+        assert.deepStrictEqual(after.dropped, ['chargingManagement']);
+        assert.strictEqual(after.config.chargingManagement.staticMaxChargingPowerW, 9000);
+
+        // Written by a script without base: based on the current saved value
+        const scripted = applyLiveConfig(stored, parseLiveConfig('{"native": {"schedulerIntervalMs": 2000}}'));
+        assert.strictEqual(scripted.config.schedulerIntervalMs, 2000);
+        assert.strictEqual(scripted.live.base.schedulerIntervalMs, 1000);
+
+        // Set back to the saved value in the form: removed
+        assert.deepStrictEqual(updateLiveConfig(live, stored, stored).native, {});
+    });
+});
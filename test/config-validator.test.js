@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+const { ConfigValidator, checkConfig } = require('../src/config-validator');
+const { MessageApi } = require('../src/message-api');
+
+const GRID = 'meter.0.grid.powerW';
+const PV_LIMIT = 'inverter.0.limitW';
+
+/**
+ * @param {any} common
+ */
+function state(common) {
+    return { type: 'state', common: { read: true, write: true, ...common }, native: {} };
+}
+
+/**
+ * @param {Array<{code: string}>} findings
+ */
+function codes(findings) {
+    return findings.map(f => f.code).sort();
+}
+
+describe('Config validator', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('checks cross-module requirements', () => {
+        assert.deepStrictEqual(codes(checkConfig({
+            enableGridConstraints: true,
+            gridConstraints: { rlmEnabled: true },
+            enableChargingManagement: true,
+            chargingManagement: { totalBudgetMode: 'engine', wallboxes: [{ key: 'Garage' }, { key: 'garage' }, { key: 'carport' }] },
+        })), ['CM_ENGINE_NO_GRID_METER', 'DUPLICATE_WALLBOX_KEY', 'DUPLICATE_WALLBOX_KEY', 'RLM_NO_GRID_METER']);
+
+        // a grid meter from the global datapoint table satisfies both
+        assert.deepStrictEqual(checkConfig({
+            globalDatapoints: [{ key: 'grid.powerW', objectId: GRID }],
+            enableGridConstraints: true,
+            gridConstraints: { rlmEnabled: true },
+            enableChargingManagement: true,
+            chargingManagement: { totalBudgetMode: 'engine', wallboxes: [{ key: 'garage' }] },
+        }), []);
+    });
+
+    it('checks the objects behind the datapoints', async () => {
+        h = await createHarness({
+            config: {
+                enableGridConstraints: true,
+                gridConstraints: { gridPowerId: GRID, zeroExportEnabled: true, pvLimitWId: PV_LIMIT, pvRatedPowerW: 10000, pvLimitPctId: 'inverter.0.limitPct' },
+            },
+            inputs: { [GRID]: 0 },
+        });
+        await h.adapter.setForeignObjectAsync(GRID, state({ type: 'number', unit: 'kW', write: false }));
+        await h.adapter.setForeignObjectAsync(PV_LIMIT, state({ type: 'string', unit: 'W', write: false }));
+        await h.adapter.setForeignObjectAsync('inverter.0.limitPct', { type: 'channel', common: {}, native: {} });
+
+        const report = await new ConfigValidator(h.adapter).validate(h.adapter.config, h.dp.dump());
+
+        assert.strictEqual(report.ok, false);
+        assert.deepStrictEqual(report.findings.map(f => `${f.severity}:${f.code}:${f.objectId}`), [
+            `error:OBJECT_NOT_STATE:inverter.0.limitPct`,
+            `error:OUTPUT_NOT_WRITABLE:${PV_LIMIT}`,
+            'warning:INSTANCE_MISSING:system.adapter.nexowatt-vis.0',
+            `warning:TYPE_MISMATCH:${PV_LIMIT}`,
+            `warning:UNIT_MISMATCH:${GRID}`,
+        ]);
+        assert.match(report.findings[4].message, /scale 1000/);
+    });
+
+    it('reports missing objects (outputs as error) and logs each finding once', async () => {
+        h = await createHarness({
+            config: { enableGridConstraints: true, gridConstraints: { gridPowerId: GRID, zeroExportEnabled: true, pvLimitWId: PV_LIMIT, pvRatedPowerW: 10000 } },
+            inputs: { [GRID]: 0 },
+        });
+        await h.adapter.setForeignObjectAsync('system.adapter.meter.0', { type: 'instance', common: {}, native: {} });
+        const validator = new ConfigValidator(h.adapter);
+        const report = await validator.validate(h.adapter.config, h.dp.dump());
+        assert.deepStrictEqual(report.findings.map(f => `${f.severity}:${f.code}:${f.objectId}`), [
+            `error:OBJECT_MISSING:${PV_LIMIT}`,
+            'warning:INSTANCE_MISSING:system.adapter.nexowatt-vis.0',
+            `warning:OBJECT_MISSING:${GRID}`,
+        ]);
+
+        await validator.publish(report);
+        await validator.publish(report);
+        assert.strictEqual(JSON.parse(h.val('diagnostics.configFindings')).errors, 1);
+        assert.strictEqual(h.adapter.logs.filter(l => l.msg.includes('OBJECT_MISSING')).length, 2);
+    });
+
+    it('validates a proposed config via the message API without publishing it', async () => {
+        h = await createHarness({ config: { enableGridConstraints: true, gridConstraints: { gridPowerId: GRID } }, inputs: { [GRID]: 0 } });
+        await h.adapter.setForeignObjectAsync(GRID, state({ type: 'number', unit: 'W' }));
+        const api = new MessageApi(h.adapter, { dp: h.dp, modules: h.mm });
+
+        const running = await api.handle('validateConfig', {});
+        assert.deepStrictEqual(codes(running.findings), ['INSTANCE_MISSING']);
+        assert.strictEqual(JSON.parse(h.val('diagnostics.configFindings')).ok, true);
+
+        const proposed = await api.handle('validateConfig', {
+            native: { enableChargingManagement: true, chargingManagement: { wallboxes: [{ key: 'garage', setCurrentAId: 'evcs.0.garage.setA' }] } },
+        });
+        assert.deepStrictEqual(proposed.findings.map(f => `${f.code}:${f.objectId}`), ['OBJECT_MISSING:evcs.0.garage.setA', 'INSTANCE_MISSING:system.adapter.nexowatt-vis.0']);
+        assert.strictEqual(JSON.parse(h.val('diagnostics.configFindings')).ok, true);
+    });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+const SETPOINT = 'modbus.0.holding.limitW';
+const SCRIPT = 'javascript.0.pv.forecastW';
+
+describe('Datapoint quality and source', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('fails safe when the grid meter reports a communication error', async () => {
+        h = await createHarness({
+            config: { enablePeakShaving: true, peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 10000, staleTimeoutSec: 10 } },
+            inputs: { [GRID]: 6000 },
+            logLevel: 'info',
+        });
+        await h.run(3000, { [GRID]: 6000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+
+        // The device adapter keeps updating, but flags the value as "device not connected"
+        h.adapter.setInput(GRID, 6000, { q: 0x42 });
+        await h.tick(1000);
+        assert.strictEqual(h.dp.isStale('ps.gridPowerW', 10000), true);
+        assert.strictEqual(h.dp.getNumberFresh('ps.gridPowerW', 10000, null), null);
+        assert.strictEqual(h.dp.getNumber('ps.gridPowerW'), 6000);
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(h.val('peakShaving.control.reason'), 'STALE_METER');
+        assert.strictEqual(h.adapter.logs.filter(l => l.level === 'warn' && l.msg.includes('reports bad quality 0x42 from system.adapter.sim.0')).length, 1);
+
+        // Substitute values are usable
+        h.adapter.setInput(GRID, 6000, { q: 0x40 });
+        assert.strictEqual(h.dp.isStale('ps.gridPowerW', 10000), false);
+        assert.ok(h.adapter.logs.some(l => l.level === 'info' && l.msg.includes('reports good quality again')));
+    });
+
+    it('does not take own unconfirmed commands as measurement', async () => {
+        h = await createHarness({
+            config: {
+                globalDatapoints: [
+                    { key: 'pv.limitW', objectId: SETPOINT, direction: 'out' },
+                    { key: 'pv.actualLimitW', objectId: SETPOINT, direction: 'in' },
+                ],
+            },
+            inputs: { [SETPOINT]: 8000 },
+        });
+        await h.tick(5000);
+
+        await h.dp.writeNumber('pv.limitW', 3000);
+        assert.strictEqual(h.dp.getNumber('pv.limitW'), 3000);
+        assert.strictEqual(h.dp.getNumber('pv.actualLimitW'), 8000);
+        assert.strictEqual(h.dp.getAgeMs('pv.actualLimitW'), 5000);
+        assert.deepStrictEqual(h.dp.dump('pv.actualLimitW')[0].unconfirmed, { val: 3000, ts: Date.now(), ack: false, from: 'system.adapter.nexowatt-multiuse.0' });
+
+        // The device confirms
+        await h.tick(1000);
+        h.set(SETPOINT, 3000);
+        assert.strictEqual(h.dp.getNumber('pv.actualLimitW'), 3000);
+        assert.strictEqual(h.dp.getAgeMs('pv.actualLimitW'), 0);
+    });
+
+    it('accepts unacknowledged values of other sources unless the entry requires ack', async () => {
+        h = await createHarness({
+            config: {
+                globalDatapoints: [
+                    { key: 'forecast.loose', objectId: SCRIPT },
+                    { key: 'forecast.strict', objectId: SCRIPT, acceptUnacked: false },
+                ],
+            },
+            inputs: { [SCRIPT]: 1000 },
+        });
+        h.adapter.setInput(SCRIPT, 2500, { ack: false, from: 'system.adapter.javascript.0' });
+
+        assert.strictEqual(h.dp.getNumber('forecast.loose'), 2500);
+        assert.strictEqual(h.dp.getNumber('forecast.strict'), 1000);
+        assert.strictEqual(h.dp.dump('forecast.strict')[0].acceptUnacked, false);
+    });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+const PV_LIMIT = 'inverter.0.limitW';
+const TARGET = 'battery.0.targetW';
+
+/**
+ * @param {string} key
+ * @param {number} priority
+ */
+function wallbox(key, priority) {
+    return { key, priority, actualPowerWId: `evcs.0.${key}.powerW`, setCurrentAId: `evcs.0.${key}.setA` };
+}
+
+const charging = {
+    enableChargingManagement: true,
+    chargingManagement: {
+        mode: 'mixed',
+        totalBudgetMode: 'static',
+        staticMaxChargingPowerW: 11040,
+        gridPowerId: GRID,
+        staleTimeoutSec: 10,
+        wallboxes: [wallbox('carport', 2), wallbox('garage', 1)],
+    },
+};
+
+describe('Dry run', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('records wallbox setpoints in shadow states instead of writing them', async () => {
+        h = await createHarness({
+            config: { ...charging, dryRun: true },
+            inputs: { [GRID]: 3000, 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 0 },
+        });
+        await h.tick(1000);
+
+        assert.strictEqual(h.adapter.writesTo('evcs.0.garage.setA').length, 0);
+        assert.strictEqual(h.val('shadow.chargingManagement.cm_wb_garage_setA'), 16);
+        assert.strictEqual(h.val('chargingManagement.wallboxes.garage.applyStatus'), 'dry_run');
+
+        const log = JSON.parse(h.val('shadow.log'));
+        const rec = log.find(r => r.objectId === 'evcs.0.garage.setA');
+        assert.strictEqual(rec.owner, 'chargingManagement');
+        assert.strictEqual(rec.val, 16);
+    });
+
+    it('reports dry_run for PV curtailment', async () => {
+        h = await createHarness({
+            config: {
+                dryRun: true,
+                enableGridConstraints: true,
+                gridConstraints: { gridPowerId: GRID, zeroExportEnabled: true, zeroExportBiasW: 80, pvLimitWId: PV_LIMIT, pvRatedPowerW: 10000 },
+            },
+            inputs: { [GRID]: -3000 },
+        });
+        await h.tick(1000);
+
+        assert.strictEqual(h.adapter.writesTo(PV_LIMIT).length, 0);
+        assert.strictEqual(h.val('gridConstraints.pvCurtail.status'), 'dry_run');
+        assert.strictEqual(h.val('shadow.gridConstraints.pv_limitW'), 10000 - 3080);
+    });
+
+    it('keeps the other modules writing when only one module is in dry run', async () => {
+        h = await createHarness({
+            config: {
+                ...charging,
+                dryRunModules: 'chargingManagement',
+                enablePeakShaving: true,
+                enableStorageControl: true,
+                peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 10000 },
+                storage: { datapoints: { socObjectId: 'battery.0.soc', targetPowerObjectId: TARGET } },
+            },
+            inputs: { [GRID]: -1000, 'battery.0.soc': 50, 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 0 },
+        });
+        await h.tick(1000);
+
+        assert.strictEqual(h.adapter.writesTo('evcs.0.garage.setA').length, 0);
+        assert.strictEqual(h.adapter.lastWrite(TARGET), -1000);
+        assert.strictEqual(h.val('speicher.regelung.schreibStatus'), 'geschrieben');
+    });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * Test plugin: runs a compressor at maxPowerW while the cold room is warmer than the set point.
+ */
+module.exports = (api) => ({
+    apiVersion: 1,
+    key: 'coldStorage',
+    title: 'Cold storage scheduler',
+    configSchema: {
+        tempId: { type: 'objectId', required: true },
+        compressorId: { type: 'objectId', required: true },
+        setpointC: { type: 'number', default: 4 },
+        maxPowerW: { type: 'number', default: 3000, min: 0 },
+    },
+    datapoints: (config) => [
+        { key: 'cold.tempC', objectId: config.tempId, unit: '°C' },
+        { key: 'cold.compressorW', objectId: config.compressorId, direction: 'out', unit: 'W' },
+    ],
+    order: { before: ['chargingManagement'] },
+
+    Module: class extends api.BaseModule {
+        async tick() {
+            const temp = this.dp.getNumber('cold.tempC', null);
+            this.lastTargetW = (temp !== null && temp > this.pluginConfig.setpointC) ? this.pluginConfig.maxPowerW : 0;
+            await this.dp.writeNumber('cold.compressorW', this.lastTargetW, false);
+        }
+
+        getStatus() {
+            return { targetW: this.lastTargetW };
+        }
+    },
+});
@@ -0,0 +1,23 @@
+'use strict';
+
+const { BaseModule } = require('../../../src/modules/base');
+
+/**
+ * Test plugin that fails on purpose: pluginConfig.mode 'throw' or 'hang' (tick returns after hangMs).
+ */
+class FaultyModule extends BaseModule {
+    async tick() {
+        this.calls = (this.calls || 0) + 1;
+        if (this.pluginConfig.mode === 'throw') throw new Error('broken on purpose');
+        if (this.pluginConfig.mode === 'hang') await new Promise(resolve => setTimeout(resolve, this.pluginConfig.hangMs));
+    }
+}
+
+module.exports = {
+    key: 'faulty',
+    configSchema: {
+        mode: { type: 'string', default: 'throw' },
+        hangMs: { type: 'number', default: 200 },
+    },
+    Module: FaultyModule,
+};
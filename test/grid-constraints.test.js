@@ -0,0 +1,132 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+const PV_LIMIT = 'inverter.0.limitW';
+
+// One second before a quarter-hour boundary, so the first tick opens a fresh RLM interval
+const START = Date.UTC(2025, 5, 2, 10, 0, 0) - 1000;
+
+describe('Grid constraints', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    describe('RLM (15-min average)', () => {
+        /**
+         * @param {any} [extra]
+         */
+        function config(extra = {}) {
+            return {
+                enableGridConstraints: true,
+                gridConstraints: { gridPowerId: GRID, rlmEnabled: true, rlmLimitW: 10000, ...extra },
+            };
+        }
+
+        it('spreads the remaining energy over the remaining interval time', async () => {
+            h = await createHarness({ startMs: START, config: config(), inputs: { [GRID]: 12000 } });
+
+            // 10:00:00 ... 10:05:00 at 12 kW: 3.6 MWs of 9 MWs used, 600 s left
+            await h.run(301000, { [GRID]: 12000 });
+
+            assert.strictEqual(h.val('gridConstraints.rlm.elapsedSec'), 300);
+            assert.strictEqual(h.val('gridConstraints.rlm.importedWs'), 3600000);
+            assert.strictEqual(h.val('gridConstraints.rlm.avgW'), 12000);
+            assert.strictEqual(h.val('gridConstraints.rlm.capNowW'), 9000);
+        });
+
+        it('applies the safety margin and never returns a negative cap', async () => {
+            h = await createHarness({ startMs: START, config: config({ rlmSafetyMarginW: 1000 }), inputs: { [GRID]: 20000 } });
+
+            await h.run(601000, { [GRID]: 20000 });
+
+            assert.strictEqual(h.val('gridConstraints.rlm.capNowW'), 0);
+        });
+
+        it('starts a new interval at the quarter-hour boundary', async () => {
+            h = await createHarness({ startMs: START, config: config(), inputs: { [GRID]: 12000 } });
+            await h.run(901000, { [GRID]: 12000 });
+
+            assert.strictEqual(h.val('gridConstraints.rlm.intervalStart'), Date.UTC(2025, 5, 2, 10, 15, 0));
+            assert.strictEqual(h.val('gridConstraints.rlm.elapsedSec'), 0);
+            assert.strictEqual(h.val('gridConstraints.rlm.capNowW'), 10000);
+        });
+
+        it('caps the peak-shaving limit in the same tick', async () => {
+            h = await createHarness({
+                startMs: START,
+                config: {
+                    ...config(),
+                    enablePeakShaving: true,
+                    peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 30000 },
+                },
+                inputs: { [GRID]: 12000 },
+            });
+            await h.run(301000, { [GRID]: 12000 });
+
+            assert.strictEqual(h.val('peakShaving.control.limitW'), 9000);
+            assert.strictEqual(h.val('peakShaving.control.active'), true);
+        });
+    });
+
+    describe('Zero export', () => {
+        /**
+         * @param {any} [extra]
+         */
+        function config(extra = {}) {
+            return {
+                enableGridConstraints: true,
+                gridConstraints: {
+                    gridPowerId: GRID,
+                    zeroExportEnabled: true,
+                    zeroExportBiasW: 80,
+                    zeroExportDeadbandW: 50,
+                    pvLimitWId: PV_LIMIT,
+                    pvRatedPowerW: 10000,
+                    staleTimeoutSec: 10,
+                    ...extra,
+                },
+            };
+        }
+
+        it('curtails PV by the export plus bias (fast trip on large export)', async () => {
+            h = await createHarness({ config: config(), inputs: { [GRID]: -3000 } });
+            await h.tick(1000);
+
+            assert.strictEqual(h.val('gridConstraints.zeroExport.action'), 'pvLimitW_fast');
+            assert.strictEqual(h.adapter.lastWrite(PV_LIMIT), 10000 - 3080);
+        });
+
+        it('limits the step per tick for small exports', async () => {
+            h = await createHarness({ config: config({ pvCurtailMaxDeltaWPerTick: 100, pvCurtailFastTripExportW: 1000 }), inputs: { [GRID]: -400 } });
+            await h.tick(1000);
+
+            assert.strictEqual(h.val('gridConstraints.zeroExport.action'), 'pvLimitW');
+            assert.strictEqual(h.adapter.lastWrite(PV_LIMIT), 9900);
+        });
+
+        it('does nothing within the deadband', async () => {
+            h = await createHarness({ config: config(), inputs: { [GRID]: 60 } });
+            await h.tick(1000);
+
+            assert.strictEqual(h.val('gridConstraints.zeroExport.action'), 'within_deadband');
+            assert.strictEqual(h.adapter.writesTo(PV_LIMIT).length, 0);
+        });
+
+        it('curtails PV to zero when the grid meter is stale', async () => {
+            h = await createHarness({ config: config(), inputs: { [GRID]: 500 } });
+            await h.tick(1000);
+            await h.run(12000);
+
+            assert.strictEqual(h.val('gridConstraints.zeroExport.action'), 'failsafe_stale');
+            assert.strictEqual(h.val('gridConstraints.control.reason'), 'STALE_METER');
+            assert.strictEqual(h.adapter.lastWrite(PV_LIMIT), 0);
+        });
+    });
+});
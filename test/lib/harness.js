@@ -0,0 +1,111 @@
+'use strict';
+
+const { DatapointRegistry } = require('../../src/datapoints');
+const { ModuleManager } = require('../../src/module-manager');
+const { FakeAdapter } = require('../../src/sim/fake-adapter');
+const { VirtualClock } = require('../../src/sim/virtual-clock');
+const { deepMerge, defaultNative } = require('../../src/sim/simulator');
+
+/** All modules off unless a test enables them */
+const MODULES_OFF = {
+    enablePeakShaving: false,
+    enableGridConstraints: false,
+    enableChargingManagement: false,
+    enableStorageControl: false,
+    enableMultiUse: false,
+};
+
+/**
+ * Builds the real control stack (DatapointRegistry + ModuleManager) on a FakeAdapter with a virtual clock.
+ *
+ * `states` carries the states of a previous harness over (adapter restart), `objects` are foreign
+ * objects that exist at startup (e.g. with common.unit).
+ *
+ * @param {{config?: any, inputs?: Record<string, any>, states?: Map<string, any>, objects?: Record<string, any>, startMs?: number, logLevel?: 'debug'|'info'|'warn'|'error'|'silent'}} [opts]
+ */
+async function createHarness(opts = {}) {
+    const clock = new VirtualClock(opts.startMs ?? Date.UTC(2025, 5, 2, 10, 0, 0)).install();
+
+    const config = deepMerge(deepMerge(defaultNative(), MODULES_OFF), opts.config || {});
+    const adapter = new FakeAdapter({ config, logLevel: opts.logLevel || 'warn' });
+
+    for (const [id, st] of opts.states || []) adapter.states.set(id, { ...st });
+    for (const [id, obj] of Object.entries(opts.objects || {})) await adapter.setForeignObjectAsync(id, obj);
+
+    // Measurements exist before the registry primes its cache
+    for (const [id, val] of Object.entries(opts.inputs || {})) adapter.setInput(id, val);
+
+    const dp = new DatapointRegistry(adapter, Array.isArray(config.globalDatapoints) ? config.globalDatapoints : []);
+    adapter.stateChangeHandler = (id, st) => dp.handleStateChange(id, st);
+    adapter.objectChangeHandler = (id, obj) => dp.handleObjectChange(id, obj);
+    await dp.init();
+
+    const mm = new ModuleManager(adapter, dp);
+    await mm.init();
+
+    return {
+        adapter,
+        clock,
+        dp,
+        mm,
+
+        /**
+         * Publish a measurement (ack=true, timestamp = virtual now).
+         * @param {string} id
+         * @param {any} val
+         */
+        set(id, val) {
+            adapter.setInput(id, val);
+        },
+
+        /**
+         * Advance the virtual clock and run one control tick.
+         * @param {number} [advanceMs]
+         */
+        async tick(advanceMs = 1000) {
+            clock.advance(advanceMs);
+            await mm.tick();
+        },
+
+        /**
+         * Run ticks for a duration while re-publishing the given measurements each step.
+         * @param {number} durationMs
+         * @param {Record<string, any>} [inputs]
+         * @param {number} [stepMs]
+         */
+        async run(durationMs, inputs = {}, stepMs = 1000) {
+            for (let t = 0; t < durationMs; t += stepMs) {
+                clock.advance(stepMs);
+                for (const [id, val] of Object.entries(inputs)) adapter.setInput(id, val);
+                await mm.tick();
+            }
+        },
+
+        /**
+         * Value of an own (relative) or foreign state.
+         * @param {string} id
+         */
+        val(id) {
+            return adapter.getVal(id);
+        },
+
+        /**
+         * Live config reload as main.js does it: merge the patch, diff top-level keys, reload modules.
+         * Arrays in the patch replace the configured ones.
+         * @param {any} patch
+         */
+        async reconfigure(patch) {
+            const prev = adapter.config;
+            const next = deepMerge(prev, patch);
+            const changed = Object.keys(next).filter(k => JSON.stringify(prev[k]) !== JSON.stringify(next[k]));
+            adapter.config = next;
+            return mm.reload(prev, changed);
+        },
+
+        close() {
+            clock.uninstall();
+        },
+    };
+}
+
+module.exports = { createHarness };
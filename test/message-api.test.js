@@ -0,0 +1,150 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+const { MessageApi } = require('../src/message-api');
+
+const GRID = 'meter.0.grid.powerW';
+const PV_LIMIT = 'inverter.0.limitW';
+const TARGET = 'battery.0.targetW';
+
+/**
+ * @param {string} key
+ * @param {number} priority
+ */
+function wallbox(key, priority) {
+    return { key, priority, actualPowerWId: `evcs.0.${key}.powerW`, setCurrentAId: `evcs.0.${key}.setA` };
+}
+
+const charging = {
+    enableChargingManagement: true,
+    chargingManagement: {
+        mode: 'mixed',
+        totalBudgetMode: 'static',
+        staticMaxChargingPowerW: 11040,
+        gridPowerId: GRID,
+        staleTimeoutSec: 10,
+        wallboxes: [wallbox('carport', 2), wallbox('garage', 1)],
+    },
+};
+const chargingInputs = { [GRID]: 3000, 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 0 };
+
+describe('Message API', () => {
+    /** @type {any} */
+    let h = null;
+    /** @type {any} */
+    let api = null;
+
+    /**
+     * @param {any} opts createHarness options
+     */
+    async function start(opts) {
+        h = await createHarness(opts);
+        api = new MessageApi(h.adapter, { dp: h.dp, modules: h.mm });
+    }
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('reports a consolidated status of all modules', async () => {
+        await start({ config: charging, inputs: chargingInputs });
+        await h.tick(1000);
+
+        const res = await api.handle('getStatus', {});
+        assert.strictEqual(res.ok, true);
+        const cm = res.modules.find(m => m.key === 'chargingManagement');
+        assert.strictEqual(cm.enabled, true);
+        assert.strictEqual(cm.runs, 1);
+        assert.strictEqual(cm.status.allocations.find(a => a.safe === 'garage').targetA, 16);
+        assert.strictEqual(res.modules.find(m => m.key === 'peakShaving').enabled, false);
+    });
+
+    it('overrides a wallbox target until it is cleared or expires', async () => {
+        await start({ config: charging, inputs: chargingInputs });
+        await h.tick(1000);
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 16);
+
+        const res = await api.handle('setOverride', { target: 'wallbox', key: 'garage', targetA: 8, durationSec: 60 }, 'system.adapter.javascript.0');
+        assert.strictEqual(res.ok, true);
+        assert.strictEqual(res.override.source, 'system.adapter.javascript.0');
+
+        await h.tick(1000);
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 8);
+        assert.strictEqual(h.val('chargingManagement.wallboxes.garage.reason'), 'OVERRIDE');
+        assert.strictEqual(JSON.parse(h.val('control.overrides')).length, 1);
+
+        assert.deepStrictEqual(await api.handle('clearOverride', { target: 'wallbox', key: 'garage' }), { ok: true, removed: 1 });
+        await h.tick(1000);
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 16);
+
+        await api.handle('setOverride', { target: 'wallbox', key: 'garage', targetA: 0, durationSec: 5 });
+        await h.tick(1000);
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 0);
+        await h.tick(5000);
+        assert.strictEqual(h.adapter.lastWrite('evcs.0.garage.setA'), 16);
+        assert.strictEqual(h.val('control.overrides'), '[]');
+    });
+
+    it('overrides the storage target', async () => {
+        await start({
+            config: {
+                enablePeakShaving: true,
+                enableStorageControl: true,
+                peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 10000 },
+                storage: { datapoints: { socObjectId: 'battery.0.soc', targetPowerObjectId: TARGET } },
+            },
+            inputs: { [GRID]: 2000, 'battery.0.soc': 50 },
+        });
+        await api.handle('setOverride', { target: 'storage', targetW: -1500, durationSec: 60 });
+        await h.tick(1000);
+
+        assert.strictEqual(h.adapter.lastWrite(TARGET), -1500);
+        assert.strictEqual(h.val('speicher.regelung.quelle'), 'override');
+    });
+
+    it('rejects invalid requests and unknown commands', async () => {
+        await start({ config: charging, inputs: chargingInputs });
+
+        const res = await api.handle('setOverride', { target: 'wallbox', targetA: 6, durationSec: 60 });
+        assert.strictEqual(res.ok, false);
+        assert.match(res.error, /key is required/);
+
+        assert.strictEqual((await api.handle('setOverride', { target: 'heatpump', key: 'x', targetW: 1, durationSec: 60 })).ok, false);
+        assert.strictEqual((await api.handle('setOverride', { target: 'storage', targetW: 100 })).ok, false);
+        assert.deepStrictEqual(await api.handle('nope', {}), { ok: false, error: "unknown command 'nope'" });
+    });
+
+    it('simulates a tick with injected values without writing anything', async () => {
+        await start({
+            config: {
+                enableGridConstraints: true,
+                gridConstraints: { gridPowerId: GRID, zeroExportEnabled: true, zeroExportBiasW: 80, pvLimitWId: PV_LIMIT, pvRatedPowerW: 10000 },
+            },
+            inputs: { [GRID]: 500 },
+        });
+        await h.tick(1000);
+        const writes = h.adapter.writes.length;
+
+        const res = await api.handle('simulateTick', { values: { 'grid.powerW': -3000 } });
+        assert.strictEqual(res.ok, true, res.error);
+        assert.deepStrictEqual(res.injected, { [GRID]: -3000 });
+        assert.strictEqual(res.writes.find(w => w.objectId === PV_LIMIT).val, 10000 - 3080);
+
+        assert.strictEqual(h.adapter.writes.length, writes);
+        assert.strictEqual(h.dp.getRaw('grid.powerW'), 500);
+    });
+
+    it('lists the registry with ages and owners', async () => {
+        await start({ config: charging, inputs: chargingInputs });
+        await h.tick(4000);
+
+        const res = await api.handle('getDatapoints', { filter: 'garage' });
+        const pw = res.datapoints.find(d => d.key === 'cm.wb.garage.pW');
+        assert.strictEqual(pw.objectId, 'evcs.0.garage.powerW');
+        assert.strictEqual(pw.ageMs, 4000);
+        assert.deepStrictEqual(pw.owners, ['chargingManagement']);
+        assert.ok(res.datapoints.every(d => d.key.includes('garage') || d.objectId.includes('garage')));
+    });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+const { orderModules } = require('../src/module-order');
+
+describe('Module order', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('runs the built-in modules with producers before their consumers', async () => {
+        h = await createHarness();
+
+        assert.deepStrictEqual(h.mm.modules.map(m => m.key), [
+            'speicherMapping', 'gridConstraints', 'peakShaving', 'tarifVis', 'speicherRegelung', 'chargingManagement', 'multiUse',
+        ]);
+
+        const report = JSON.parse(h.val('diagnostics.moduleOrder'));
+        assert.deepStrictEqual(report.cycles, []);
+        assert.deepStrictEqual(report.violations, []);
+        assert.ok(report.edges.some(e => e.from === 'gridConstraints' && e.to === 'peakShaving' && e.signal === 'gridConstraints.rlm'));
+        assert.deepStrictEqual(report.edges.filter(e => e.signal === 'peakShaving.control').map(e => e.to), ['speicherRegelung', 'chargingManagement', 'multiUse']);
+    });
+
+    it('keeps the registration order where the dependencies allow it', () => {
+        const res = orderModules([
+            { key: 'a' },
+            { key: 'consumer', consumes: ['x'] },
+            { key: 'b' },
+            { key: 'producer', produces: ['x'], consumes: ['external.y'] },
+            { key: 'late', after: ['b'], before: ['a'] },
+        ]);
+        assert.deepStrictEqual(res.order, ['b', 'late', 'a', 'producer', 'consumer']);
+        assert.deepStrictEqual(res.violations, []);
+        assert.deepStrictEqual(res.external, [{ module: 'producer', signal: 'external.y' }]);
+    });
+
+    it('reports cycles and consumers running before their producer', () => {
+        const res = orderModules([
+            { key: 'a', produces: ['x'], consumes: ['z'] },
+            { key: 'b', produces: ['y'], consumes: ['x'] },
+            { key: 'c', produces: ['z'], consumes: ['y'] },
+        ]);
+        // a pulls its producer c in front, c pulls b, b would need a: that edge closes the cycle
+        assert.deepStrictEqual(res.order, ['b', 'c', 'a']);
+        assert.deepStrictEqual(res.cycles, [['a', 'b', 'c', 'a']]);
+        assert.deepStrictEqual(res.violations, [{ from: 'a', to: 'b', signal: 'x' }]);
+    });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+
+/**
+ * @param {any} [extra]
+ */
+function config(extra = {}) {
+    return {
+        enablePeakShaving: true,
+        peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 10000 },
+        diagnostics: { enabled: true, stateIntervalSec: 0 },
+        ...extra,
+    };
+}
+
+describe('Module timing', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    /**
+     * Record the (virtual) start times of a module's ticks; `slowMs` lets every tick take that long.
+     * @param {string} key
+     * @param {number} [slowMs]
+     * @returns {number[]} ms since the harness start
+     */
+    function track(key, slowMs = 0) {
+        const startMs = Date.now();
+        const m = h.mm.modules.find((/** @type {any} */ x) => x.key === key);
+        const tick = m.instance.tick.bind(m.instance);
+        /** @type {number[]} */
+        const runs = [];
+        m.instance.tick = async () => {
+            runs.push(Date.now() - startMs);
+            h.clock.advance(slowMs);
+            return tick();
+        };
+        return runs;
+    }
+
+    /**
+     * Entry of a module in diagnostics.modules (last tick).
+     * @param {string} key
+     */
+    function result(key) {
+        return JSON.parse(h.val('diagnostics.modules')).find((/** @type {any} */ r) => r.key === key);
+    }
+
+    it('runs modules at their own cadence, critical ones every tick', async () => {
+        h = await createHarness({
+            config: config({
+                moduleTiming: [
+                    { module: 'speicherMapping', intervalMs: 2000 },
+                    { module: 'peakShaving', intervalMs: 5000 },
+                ],
+            }),
+            inputs: { [GRID]: 4000 },
+        });
+        const mapping = track('speicherMapping');
+        const tariff = track('tarifVis');
+        const peak = track('peakShaving');
+
+        await h.run(10000, { [GRID]: 4000 });
+        assert.deepStrictEqual(mapping, [1000, 3000, 5000, 7000, 9000]);
+        assert.deepStrictEqual(tariff, [1000]);
+        assert.strictEqual(peak.length, 10);
+        assert.strictEqual(result('speicherMapping').skipped, 'interval');
+        assert.strictEqual(result('speicherMapping').intervalMs, 2000);
+    });
+
+    it('defers a slow non-critical module with growing backoff', async () => {
+        h = await createHarness({
+            config: config({ moduleTiming: [{ module: 'speicherMapping', intervalMs: 0, maxTickMs: 500 }] }),
+            inputs: { [GRID]: 4000 },
+        });
+        const mapping = track('speicherMapping', 2000);
+
+        await h.tick(1000);
+        assert.strictEqual(result('speicherMapping').overrun, true);
+        assert.ok(h.adapter.logs.some((/** @type {any} */ l) => l.level === 'warn' && l.msg.includes("Module 'speicherMapping' tick took 2000 ms (budget 500 ms, overruns 1) - deferring")));
+        await h.tick(1000);
+        assert.strictEqual(result('speicherMapping').skipped, 'deferred');
+
+        // Backoff = tick duration, doubled with every consecutive overrun
+        await h.run(10000, { [GRID]: 4000 });
+        assert.deepStrictEqual(mapping, [1000, 5000, 11000]);
+        assert.strictEqual(result('speicherMapping').overruns, 3);
+    });
+
+    it('skips non-critical modules once the tick budget is used up, never critical ones', async () => {
+        h = await createHarness({
+            config: config({
+                schedulerTickBudgetMs: 500,
+                moduleTiming: [
+                    { module: 'speicherMapping', intervalMs: 0, maxTickMs: 0 },
+                    { module: 'peakShaving', maxTickMs: 100 },
+                ],
+            }),
+            inputs: { [GRID]: 4000 },
+        });
+        track('speicherMapping', 600);
+        const peak = track('peakShaving', 300);
+        const storage = track('speicherRegelung');
+
+        await h.run(3000, { [GRID]: 4000 });
+        assert.strictEqual(peak.length, 3);
+        assert.strictEqual(result('peakShaving').overrun, true);
+        assert.strictEqual(result('peakShaving').skipped, undefined);
+        assert.deepStrictEqual(storage, []);
+        assert.strictEqual(result('speicherRegelung').skipped, 'budget');
+        assert.strictEqual(result('tarifVis').skipped, 'budget');
+        assert.ok(h.adapter.logs.some((/** @type {any} */ l) => l.msg.includes("Module 'peakShaving' tick took 300 ms (budget 100 ms, overruns 1)") && !l.msg.includes('deferring')));
+    });
+
+    it('runs a module after three consecutive budget skips although the budget stays used up', async () => {
+        h = await createHarness({
+            config: config({
+                enableChargingManagement: true,
+                schedulerTickBudgetMs: 500,
+                moduleTiming: [{ module: 'speicherMapping', intervalMs: 0, maxTickMs: 0 }],
+            }),
+            inputs: { [GRID]: 4000 },
+        });
+        track('speicherMapping', 600);
+
+        /** @type {Array<string | undefined>} */
+        const skipped = [];
+        for (let i = 0; i < 8; i++) {
+            await h.tick(1000);
+            skipped.push(result('chargingManagement').skipped);
+        }
+        assert.deepStrictEqual(skipped, ['budget', 'budget', 'budget', undefined, 'budget', 'budget', 'budget', undefined]);
+    });
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+const HEATER = 'heat.0.powerW';
+
+const CONFIG = {
+    enablePeakShaving: true,
+    peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 10000, smoothingSeconds: 1 },
+    enableMultiUse: true,
+    multiUse: {
+        tariffBudgetMode: 'none',
+        pvBudgetMode: 'none',
+        comfortBudgetW: 5000,
+        staleTimeoutSec: 15,
+        consumers: [{ key: 'heater', setWId: HEATER }],
+    },
+};
+
+describe('Multi-use', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    /**
+     * Peak shaving stops publishing (e.g. a slower cadence than multi-use).
+     */
+    function silencePeakShaving() {
+        const m = h.mm.modules.find(x => x.key === 'peakShaving');
+        m.instance.tick = async () => undefined;
+    }
+
+    it('keeps the full budget while peak shaving is enabled but idle', async () => {
+        h = await createHarness({ config: CONFIG, inputs: { [GRID]: 4000 } });
+        await h.run(5000, { [GRID]: 4000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+        assert.strictEqual(h.val('multiUse.control.budgetW'), 5000);
+        assert.strictEqual(h.val('multiUse.control.capSources'), '');
+
+        // No fresh peak-shaving output while it was idle: no cap
+        silencePeakShaving();
+        await h.run(30000, { [GRID]: 4000 });
+        assert.strictEqual(h.val('multiUse.control.budgetW'), 5000);
+        assert.strictEqual(h.val('multiUse.control.capSources'), '');
+    });
+
+    it('caps the budget while peak shaving is active and treats a missing output as stale', async () => {
+        h = await createHarness({ config: CONFIG, inputs: { [GRID]: 12000 } });
+        await h.run(5000, { [GRID]: 12000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(h.val('multiUse.control.capSources'), 'PEAK_SHAVING');
+        assert.ok(h.val('multiUse.control.budgetW') < 5000);
+
+        silencePeakShaving();
+        await h.run(30000, { [GRID]: 12000 });
+        assert.strictEqual(h.val('multiUse.control.capSources'), 'PEAK_SHAVING_STALE');
+        assert.strictEqual(h.val('multiUse.control.budgetW'), 0);
+    });
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+const CHILLER = 'chiller.0.enable';
+const HEATER = 'heat.0.limitW';
+
+/**
+ * @param {any} [chiller] switching settings of the onOff actuator
+ * @param {any} [ps]
+ */
+function config(chiller = {}, ps = {}) {
+    return {
+        enablePeakShaving: true,
+        peakShaving: {
+            mode: 'static',
+            gridPointPowerId: GRID,
+            maxPowerW: 10000,
+            smoothingSeconds: 1,
+            releaseDelaySeconds: 2,
+            actuationEnabled: true,
+            actuators: [
+                { id: 'chiller', enabled: true, mode: 'onOff', priority: 1, enableId: CHILLER, max: 3000, ...chiller },
+                { id: 'heater', enabled: true, mode: 'limitW', priority: 2, setpointId: HEATER, max: 6000 },
+            ],
+            ...ps,
+        },
+    };
+}
+
+const INPUTS = { [GRID]: 6000, [CHILLER]: true, [HEATER]: 6000 };
+
+describe('Switching limits of onOff actuators', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    /**
+     * @param {string} state
+     */
+    function chiller(state) {
+        return h.val(`peakShaving.actuators.chiller.${state}`);
+    }
+
+    it('keeps the minimum off time on restore and the minimum on time on the next peak', async () => {
+        h = await createHarness({ config: config({ minOnSec: 120, minOffSec: 60 }), inputs: INPUTS });
+        await h.run(2000, { [GRID]: 6000 });
+        await h.run(2000, { [GRID]: 12000 });
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), false);
+        assert.strictEqual(chiller('status'), 'disabled');
+
+        // Released, but the chiller has to stay off for a minute
+        await h.run(5000, { [GRID]: 6000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), false);
+        assert.strictEqual(chiller('status'), 'locked');
+        assert.strictEqual(chiller('locked'), true);
+        assert.strictEqual(chiller('lockReason'), 'min_off');
+
+        const until = chiller('lockedUntil');
+        await h.run(until - Date.now() - 1000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), false);
+        await h.run(1000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), true);
+        assert.strictEqual(chiller('status'), 'restored');
+        assert.strictEqual(chiller('lockReason'), 'min_on');
+        assert.strictEqual(chiller('lockedUntil'), until + 120000);
+
+        // Next peak within the minimum on time: the heater takes over
+        await h.run(2000, { [GRID]: 12000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(chiller('status'), 'locked');
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), true);
+        assert.ok(h.adapter.lastWrite(HEATER) < 6000);
+
+        await h.run(120000, { [GRID]: 12000 });
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), false);
+        assert.strictEqual(chiller('status'), 'disabled');
+        assert.strictEqual(chiller('lockReason'), 'min_off');
+    });
+
+    it('releases the next actuator first while a switched load is locked', async () => {
+        h = await createHarness({
+            config: config({ priority: 3, minOffSec: 60 }, { releaseStageSec: 10, releaseMaxStepW: 2000, releaseMarginW: 500 }),
+            inputs: INPUTS,
+            logLevel: 'info',
+        });
+        await h.run(2000, { [GRID]: 6000 });
+        await h.run(2000, { [GRID]: 18000 });
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 0);
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), false);
+
+        // The chiller would be released first (reduced last), but may not switch on yet
+        await h.run(4000, { [GRID]: 6000 });
+        assert.strictEqual(chiller('status'), 'locked');
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 2000);
+        await h.run(20000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 6000);
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), false);
+
+        await h.run(40000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), true);
+        assert.strictEqual(chiller('status'), 'restored');
+        assert.ok(h.adapter.logs.some(l => l.level === 'info' && l.msg.includes('staged release completed')));
+    });
+
+    it('keeps the minimum off time across a restart right after switching off', async () => {
+        const opts = { config: config({ minOffSec: 60 }), inputs: INPUTS };
+        h = await createHarness(opts);
+        await h.run(2000, { [GRID]: 6000 });
+        await h.run(2000, { [GRID]: 12000 });
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), false);
+        const until = chiller('lockedUntil');
+
+        // Restart without shutdown save (e.g. a crash): the switching event was saved right away
+        const states = h.adapter.states;
+        const startMs = Date.now() + 5000;
+        h.close();
+        h = await createHarness({ ...opts, states, startMs });
+
+        await h.run(10000, { [GRID]: 6000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), undefined);
+        assert.strictEqual(chiller('lockReason'), 'min_off');
+        assert.strictEqual(chiller('lockedUntil'), until);
+
+        await h.run(until - Date.now() + 1000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), true);
+    });
+
+    it('limits the switching events per hour, also across a restart', async () => {
+        const opts = { config: config({ maxSwitchesPerHour: 2 }), inputs: INPUTS };
+        h = await createHarness(opts);
+        await h.run(2000, { [GRID]: 6000 });
+        await h.run(2000, { [GRID]: 12000 });
+        await h.run(5000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), true);
+        assert.strictEqual(chiller('lockReason'), 'max_switches');
+
+        await h.mm.persist(true);
+        const states = h.adapter.states;
+        const startMs = Date.now() + 60000;
+        h.close();
+        h = await createHarness({ ...opts, states, startMs });
+
+        await h.run(2000, { [GRID]: 12000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(chiller('status'), 'locked');
+        assert.strictEqual(chiller('lockReason'), 'max_switches');
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), undefined);
+
+        // The first switching event leaves the window after an hour
+        const until = chiller('lockedUntil');
+        await h.run(until - Date.now() + 5000, { [GRID]: 12000 }, 5000);
+        assert.strictEqual(h.adapter.lastWrite(CHILLER), false);
+    });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+
+/**
+ * @param {any} [ps]
+ */
+function config(ps = {}) {
+    return {
+        enablePeakShaving: true,
+        peakShaving: {
+            mode: 'static',
+            gridPointPowerId: GRID,
+            maxPowerW: 10000,
+            activateDelaySeconds: 5,
+            releaseDelaySeconds: 5,
+            smoothingSeconds: 5,
+            predictiveEnabled: true,
+            predictHorizonSec: 30,
+            predictWindowSec: 10,
+            ...ps,
+        },
+    };
+}
+
+describe('Predictive peak shaving', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    /**
+     * Feed a linear ramp, one step per second.
+     * @param {number} fromW
+     * @param {number} wPerSec
+     * @param {number} seconds
+     */
+    async function ramp(fromW, wPerSec, seconds) {
+        for (let i = 1; i <= seconds; i++) {
+            h.set(GRID, fromW + wPerSec * i);
+            await h.tick(1000);
+        }
+    }
+
+    it('activates ahead of a projected violation and publishes the prediction', async () => {
+        h = await createHarness({ config: config(), inputs: { [GRID]: 5000 } });
+        await h.run(10000, { [GRID]: 5000 });
+        assert.strictEqual(h.val('peakShaving.predict.violation'), false);
+
+        // +100 W/s: the limit is 30 s ahead once the load passes 7 kW
+        await ramp(5000, 100, 22);
+        assert.strictEqual(h.val('peakShaving.predict.violation'), true);
+        assert.strictEqual(h.val('peakShaving.control.status'), 'pending_on');
+        assert.strictEqual(h.val('peakShaving.predict.slopeWps'), 100);
+        assert.strictEqual(h.val('peakShaving.predict.confidence'), 1);
+        assert.strictEqual(h.val('peakShaving.predict.predictedPowerW'), 10200);
+        assert.strictEqual(h.val('peakShaving.predict.leadTimeSec'), 28);
+
+        await ramp(7200, 100, 5);
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(h.val('peakShaving.control.reason'), 'LIMIT_POWER_PREDICTED');
+        assert.strictEqual(h.val('peakShaving.control.requiredReductionW'), 700);
+        assert.ok(h.val(GRID) < 10000);
+    });
+
+    it('ignores noise and stays reactive when disabled', async () => {
+        h = await createHarness({ config: config(), inputs: { [GRID]: 8000 } });
+        for (let i = 0; i < 30; i++) {
+            h.set(GRID, i % 2 ? 9500 : 8000);
+            await h.tick(1000);
+        }
+        assert.ok(h.val('peakShaving.predict.confidence') < 0.8);
+        assert.strictEqual(h.val('peakShaving.control.status'), 'inactive');
+        h.close();
+
+        h = await createHarness({ config: config({ predictiveEnabled: false }), inputs: { [GRID]: 5000 } });
+        await h.run(10000, { [GRID]: 5000 });
+        await ramp(5000, 100, 40);
+        assert.strictEqual(h.val('peakShaving.control.status'), 'inactive');
+        assert.strictEqual(h.val('peakShaving.predict.enabled'), false);
+    });
+
+    it('learns that ramps level off and keeps the ramp factor across a restart', async () => {
+        const opts = { config: config({ maxPowerW: 50000 }), inputs: { [GRID]: 5000 } };
+        h = await createHarness(opts);
+        await h.run(10000, { [GRID]: 5000 });
+
+        // Compressor start-ups: 10 s ramp of 1 kW, then flat
+        for (let cycle = 0; cycle < 4; cycle++) {
+            await ramp(5000, 100, 10);
+            await h.run(40000, { [GRID]: 6000 });
+            await h.run(20000, { [GRID]: 5000 });
+        }
+        const factor = h.val('peakShaving.predict.rampFactor');
+        assert.ok(factor < 0.7, `ramp factor ${factor}`);
+
+        await h.mm.persist(true);
+        const states = h.adapter.states;
+        const startMs = Date.now() + 5000;
+        h.close();
+        h = await createHarness({ ...opts, states, startMs });
+        await h.tick(1000);
+        assert.strictEqual(h.val('peakShaving.predict.rampFactor'), factor);
+    });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+const HEATER = 'heat.0.limitW';
+const PUMP = 'pump.0.limitW';
+
+/**
+ * @param {any} [ps]
+ */
+function config(ps = {}) {
+    return {
+        enablePeakShaving: true,
+        peakShaving: {
+            mode: 'static',
+            gridPointPowerId: GRID,
+            maxPowerW: 10000,
+            smoothingSeconds: 1,
+            releaseDelaySeconds: 2,
+            actuationEnabled: true,
+            actuators: [
+                { id: 'heater', enabled: true, mode: 'limitW', priority: 1, setpointId: HEATER, max: 6000 },
+                { id: 'pump', enabled: true, mode: 'limitW', priority: 2, setpointId: PUMP, max: 4000 },
+            ],
+            releaseStageSec: 10,
+            releaseMaxStepW: 2000,
+            releaseMarginW: 500,
+            ...ps,
+        },
+    };
+}
+
+const INPUTS = { [GRID]: 6000, [HEATER]: 6000, [PUMP]: 4000 };
+
+describe('Staged release of peak-shaving actuators', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    /**
+     * Throttle both actuators (8 kW over the limit), then let the load drop.
+     */
+    async function throttle() {
+        await h.run(2000, { [GRID]: 6000 });
+        await h.run(2000, { [GRID]: 18000 });
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 0);
+        assert.strictEqual(h.adapter.lastWrite(PUMP), 2000);
+    }
+
+    /**
+     * @param {string} id
+     */
+    function status(id) {
+        return h.val(`peakShaving.actuators.${id}.status`);
+    }
+
+    it('releases in reverse priority order, one ramp step per interval', async () => {
+        h = await createHarness({ config: config(), inputs: INPUTS, logLevel: 'info' });
+        await throttle();
+
+        // Release delay, then the first stage: the pump (reduced last) first
+        await h.run(4000, { [GRID]: 6000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+        assert.strictEqual(h.adapter.lastWrite(PUMP), 4000);
+        assert.strictEqual(status('pump'), 'restored');
+        assert.strictEqual(status('heater'), 'release_pending');
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 0);
+
+        await h.run(10000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 2000);
+        assert.strictEqual(status('heater'), 'releasing');
+        assert.strictEqual(h.val('peakShaving.actuators.heater.appliedReductionW'), 4000);
+
+        await h.run(20000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 6000);
+        assert.strictEqual(status('heater'), 'restored');
+        assert.ok(h.adapter.logs.some(l => l.level === 'info' && l.msg.includes('staged release completed')));
+    });
+
+    it('waits without headroom and keeps the baselines when peak shaving returns', async () => {
+        h = await createHarness({ config: config(), inputs: INPUTS, logLevel: 'info' });
+        await throttle();
+        await h.run(14000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 2000);
+
+        // 9.8 kW: below the limit, but less headroom than the margin
+        await h.run(10000, { [GRID]: 9800 });
+        assert.strictEqual(status('heater'), 'release_aborted');
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 2000);
+
+        // Active again during the release: the heater keeps its original baseline
+        await h.run(2000, { [GRID]: 14000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.ok(h.adapter.logs.some(l => l.msg.includes('release aborted, active again (1 actuator(s) still throttled)')));
+        await h.run(40000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 6000);
+        assert.strictEqual(status('heater'), 'restored');
+    });
+
+    it('continues from the persisted setpoint after a restart', async () => {
+        h = await createHarness({ config: config(), inputs: INPUTS });
+        await throttle();
+
+        await h.mm.persist(true);
+        const states = h.adapter.states;
+        const startMs = Date.now() + 60000;
+        h.close();
+        h = await createHarness({ config: config(), inputs: { [GRID]: 6000, [HEATER]: 0, [PUMP]: 2000 }, states, startMs });
+
+        await h.run(1000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(PUMP), 4000);
+        await h.run(10000, { [GRID]: 6000 });
+        assert.strictEqual(h.adapter.lastWrite(HEATER), 2000);
+    });
+});
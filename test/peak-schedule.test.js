@@ -0,0 +1,127 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+const { resolveLimits } = require('../src/peak-schedule');
+const { checkConfig } = require('../src/config-validator');
+
+const GRID = 'meter.0.grid.powerW';
+const HOUR = 3600 * 1000;
+
+/**
+ * Local time; 2025-06-02 is a Monday.
+ * @param {number} month 1-12
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} [minute]
+ * @param {number} [year]
+ */
+function local(month, day, hour, minute = 0, year = 2025) {
+    return new Date(year, month - 1, day, hour, minute, 0).getTime();
+}
+
+describe('Peak-shaving schedule', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('selects the first matching row by weekday, time window, dates and holidays', () => {
+        const cfg = {
+            maxPowerW: 30000,
+            reserveW: 1000,
+            maxPhaseA: 32,
+            holidays: '2025-06-09\n12-25..12-26',
+            schedule: [
+                { name: 'Christmas', dates: '12-24..12-26', maxPowerW: 50000 },
+                { name: 'Night', weekdays: 'Mo-Fr', from: '22:00', to: '06:00', maxPowerW: 40000, reserveW: '' },
+                { name: 'Shift', weekdays: 'Mo-Fr', from: '06:00', to: '22:00', maxPowerW: 20000, maxPhaseA: 25 },
+                { name: 'Holiday', weekdays: 'Hol', maxPowerW: 60000 },
+                { name: 'Off', enabled: false, maxPowerW: 1 },
+            ],
+        };
+        const at = (ms) => {
+            const r = resolveLimits(cfg, ms);
+            return `${r.entry ? r.entry.name : '-'} ${r.maxPowerW}/${r.reserveW}/${r.maxPhaseA}`;
+        };
+
+        assert.strictEqual(at(local(6, 2, 10)), 'Shift 20000/1000/25');
+        assert.strictEqual(at(local(6, 6, 23)), 'Night 40000/1000/32');
+        // After midnight the window still belongs to Friday
+        assert.strictEqual(at(local(6, 7, 3)), 'Night 40000/1000/32');
+        assert.strictEqual(at(local(6, 7, 7)), '- 30000/1000/32');
+        // Whit Monday: the holiday replaces the weekday, also for the night that starts on it
+        assert.strictEqual(at(local(6, 9, 10)), 'Holiday 60000/1000/32');
+        assert.strictEqual(at(local(6, 10, 3)), '- 30000/1000/32');
+        assert.strictEqual(at(local(12, 24, 10)), 'Christmas 50000/1000/32');
+
+        const findings = checkConfig({
+            enablePeakShaving: true,
+            peakShaving: { gridPointPowerId: GRID, holidays: '12-32', schedule: [{ name: 'Bad', weekdays: 'Mo-Xy', from: '25:00' }] },
+        });
+        assert.deepStrictEqual(findings.map(f => `${f.code}: ${f.message}`), [
+            "PS_SCHEDULE_INVALID: Schedule row 1 (Bad): invalid weekday 'mo-xy', invalid time '25:00' (ignored)",
+            "PS_SCHEDULE_INVALID: Holidays: invalid date '12-32' (ignored)",
+        ]);
+    });
+
+    it('keeps the wall-clock hours across DST changes', () => {
+        const tz = process.env.TZ;
+        process.env.TZ = 'Europe/Berlin';
+        try {
+            const cfg = { maxPowerW: 30000, schedule: [{ name: 'Night', from: '22:00', to: '06:00', maxPowerW: 40000 }, { name: 'Repeat', from: '02:00', to: '03:00', maxPowerW: 35000 }] };
+            const entry = (ms) => (resolveLimits(cfg, ms).entry || { name: '-' }).name;
+
+            // Spring: the night is one hour shorter
+            const spring = local(3, 29, 22);
+            assert.strictEqual(entry(spring + 7 * HOUR - 60000), 'Night');
+            assert.strictEqual(entry(spring + 7 * HOUR), '-');
+
+            // Autumn: one hour longer, 02:00 ... 03:00 occurs twice
+            const autumn = local(10, 25, 22);
+            assert.strictEqual(entry(autumn + 8 * HOUR), 'Night');
+            assert.strictEqual(entry(autumn + 9 * HOUR), '-');
+            const cfgRepeat = { maxPowerW: 30000, schedule: [cfg.schedule[1]] };
+            assert.strictEqual(resolveLimits(cfgRepeat, Date.UTC(2025, 9, 26, 0, 30)).maxPowerW, 35000);
+            assert.strictEqual(resolveLimits(cfgRepeat, Date.UTC(2025, 9, 26, 1, 30)).maxPowerW, 35000);
+            assert.strictEqual(resolveLimits(cfgRepeat, Date.UTC(2025, 9, 26, 2, 30)).maxPowerW, 30000);
+        } finally {
+            if (tz === undefined) delete process.env.TZ;
+            else process.env.TZ = tz;
+        }
+    });
+
+    it('applies the scheduled limit and shows the entry in effect', async () => {
+        h = await createHarness({
+            startMs: local(6, 2, 21, 59),
+            config: {
+                enablePeakShaving: true,
+                peakShaving: {
+                    mode: 'static',
+                    gridPointPowerId: GRID,
+                    maxPowerW: 30000,
+                    schedule: [{ name: 'Shift', weekdays: 'Mo-Fr', from: '06:00', to: '22:00', maxPowerW: 20000 }],
+                },
+            },
+            inputs: { [GRID]: 25000 },
+            logLevel: 'info',
+        });
+
+        await h.run(5000, { [GRID]: 25000 });
+        assert.strictEqual(h.val('peakShaving.control.scheduleEntry'), 'Shift');
+        assert.strictEqual(h.val('peakShaving.control.maxPowerW'), 20000);
+        assert.strictEqual(h.val('peakShaving.control.limitW'), 20000);
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+
+        // 22:00: back to the base setting, the load is below it
+        await h.run(60000, { [GRID]: 25000 });
+        assert.strictEqual(h.val('peakShaving.control.scheduleEntry'), '');
+        assert.strictEqual(h.val('peakShaving.control.limitW'), 30000);
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+        assert.ok(h.adapter.logs.some(l => l.level === 'info' && l.msg.includes("schedule entry 'Shift' in effect (max 20000 W")));
+        assert.ok(h.adapter.logs.some(l => l.level === 'info' && l.msg.includes('base settings in effect (max 30000 W')));
+    });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+
+/**
+ * @param {any} [ps]
+ */
+function config(ps = {}) {
+    return {
+        enablePeakShaving: true,
+        peakShaving: {
+            mode: 'static',
+            gridPointPowerId: GRID,
+            maxPowerW: 10000,
+            hysteresisW: 500,
+            activateDelaySeconds: 5,
+            releaseDelaySeconds: 5,
+            smoothingSeconds: 10,
+            ...ps,
+        },
+    };
+}
+
+describe('Peak shaving', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('stays inactive below the limit', async () => {
+        h = await createHarness({ config: config(), inputs: { [GRID]: 6000 } });
+        await h.run(10000, { [GRID]: 6000 });
+
+        assert.strictEqual(h.val('peakShaving.control.status'), 'inactive');
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+        assert.strictEqual(h.val('peakShaving.control.reason'), 'OK');
+    });
+
+    it('goes pending_on before active when fast trip is disabled', async () => {
+        h = await createHarness({ config: config({ fastTripEnabled: false, smoothingSeconds: 1 }), inputs: { [GRID]: 6000 } });
+        await h.run(3000, { [GRID]: 6000 });
+
+        h.set(GRID, 16000);
+        await h.tick(1000);
+        assert.strictEqual(h.val('peakShaving.control.status'), 'pending_on');
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+
+        await h.run(3000, { [GRID]: 16000 });
+        assert.strictEqual(h.val('peakShaving.control.status'), 'pending_on');
+
+        await h.run(2000, { [GRID]: 16000 });
+        assert.strictEqual(h.val('peakShaving.control.status'), 'active');
+        assert.strictEqual(h.val('peakShaving.control.reason'), 'LIMIT_POWER');
+    });
+
+    it('fast trip activates on the first spike, bypassing delay and smoothing', async () => {
+        h = await createHarness({ config: config({ activateDelaySeconds: 30, smoothingSeconds: 60 }), inputs: { [GRID]: 6000 } });
+        await h.run(10000, { [GRID]: 6000 });
+
+        h.set(GRID, 14000);
+        await h.tick(1000);
+
+        assert.strictEqual(h.val('peakShaving.control.status'), 'active');
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.ok(h.val('peakShaving.control.requiredReductionW') >= 4000);
+    });
+
+    it('releases only after the spike left the window and the release delay passed', async () => {
+        h = await createHarness({ config: config({ smoothingSeconds: 5, releaseDelaySeconds: 5 }), inputs: { [GRID]: 6000 } });
+        await h.run(3000, { [GRID]: 6000 });
+
+        h.set(GRID, 14000);
+        await h.tick(1000);
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+
+        // Spike still in the max window
+        await h.run(3000, { [GRID]: 6000 });
+        assert.strictEqual(h.val('peakShaving.control.status'), 'active');
+
+        await h.run(15000, { [GRID]: 6000 });
+        assert.strictEqual(h.val('peakShaving.control.status'), 'inactive');
+    });
+
+    it('fails safe to active with STALE_METER when the grid meter stops updating', async () => {
+        h = await createHarness({ config: config({ staleTimeoutSec: 10 }), inputs: { [GRID]: 6000 } });
+        await h.run(3000, { [GRID]: 6000 });
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+
+        // No further updates
+        await h.run(12000);
+
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(h.val('peakShaving.control.reason'), 'STALE_METER');
+    });
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+
+// One second before a quarter-hour boundary, so the first tick opens a fresh RLM interval
+const START = Date.UTC(2025, 5, 2, 10, 0, 0) - 1000;
+
+describe('Persisted runtime state', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    /**
+     * Shut the harness down as onUnload does and start a new one on the same states.
+     * @param {any} opts createHarness options
+     * @param {number} downtimeMs
+     */
+    async function restart(opts, downtimeMs) {
+        await h.mm.persist(true);
+        const states = h.adapter.states;
+        const startMs = Date.now() + downtimeMs;
+        h.close();
+        h = await createHarness({ ...opts, states, startMs });
+    }
+
+    describe('RLM accumulator', () => {
+        const opts = {
+            config: { enableGridConstraints: true, gridConstraints: { gridPowerId: GRID, rlmEnabled: true, rlmLimitW: 10000 } },
+            inputs: { [GRID]: 12000 },
+        };
+
+        it('continues the running interval after a restart', async () => {
+            h = await createHarness({ ...opts, startMs: START });
+            await h.run(301000, { [GRID]: 12000 });
+            assert.strictEqual(h.val('gridConstraints.rlm.importedWs'), 3600000);
+
+            await restart(opts, 5000);
+            await h.tick(1000);
+
+            // 3.6 MWs before + 5 s downtime and 1 s at 12 kW
+            assert.strictEqual(h.val('gridConstraints.rlm.intervalStart'), Date.UTC(2025, 5, 2, 10, 0, 0));
+            assert.strictEqual(h.val('gridConstraints.rlm.importedWs'), 3672000);
+        });
+
+        it('bills a downtime longer than the dt clamp at the last import power', async () => {
+            h = await createHarness({ ...opts, startMs: START });
+            await h.run(301000, { [GRID]: 12000 });
+
+            await restart(opts, 120000);
+            await h.tick(1000);
+
+            // 3.6 MWs before + 120 s downtime and 1 s at 12 kW: the average stays at 12 kW
+            assert.strictEqual(h.val('gridConstraints.rlm.importedWs'), 5052000);
+            assert.strictEqual(h.val('gridConstraints.rlm.avgW'), 12000);
+        });
+
+        it('discards the accumulator of an interval that has ended', async () => {
+            h = await createHarness({ ...opts, startMs: START });
+            await h.run(301000, { [GRID]: 12000 });
+
+            await restart(opts, 15 * 60 * 1000);
+            await h.tick(1000);
+
+            assert.strictEqual(h.val('gridConstraints.rlm.intervalStart'), Date.UTC(2025, 5, 2, 10, 15, 0));
+            assert.ok(h.val('gridConstraints.rlm.importedWs') < 100000);
+        });
+    });
+
+    it('restores a throttled actuator to its baseline after a restart', async () => {
+        const SETPOINT = 'heat.0.limitW';
+        const opts = {
+            config: {
+                enablePeakShaving: true,
+                peakShaving: {
+                    mode: 'static',
+                    gridPointPowerId: GRID,
+                    maxPowerW: 10000,
+                    actuationEnabled: true,
+                    actuators: [{ id: 'heater', enabled: true, mode: 'limitW', priority: 1, setpointId: SETPOINT, max: 6000 }],
+                },
+            },
+            inputs: { [GRID]: 6000 },
+        };
+        h = await createHarness({ ...opts, inputs: { [GRID]: 6000, [SETPOINT]: 6000 } });
+        await h.run(2000, { [GRID]: 6000 });
+        await h.run(2000, { [GRID]: 14000 });
+        const throttled = h.adapter.lastWrite(SETPOINT);
+        assert.ok(throttled < 6000);
+
+        // The device keeps the throttled setpoint while the adapter is down
+        await restart({ ...opts, inputs: { [GRID]: 6000, [SETPOINT]: throttled } }, 60000);
+        await h.run(2000, { [GRID]: 6000 });
+
+        assert.strictEqual(h.adapter.lastWrite(SETPOINT), 6000);
+    });
+
+    it('keeps the arrival order of charging sessions across a restart', async () => {
+        const wallbox = (key, priority) => ({ key, priority, actualPowerWId: `evcs.0.${key}.powerW`, setCurrentAId: `evcs.0.${key}.setA` });
+        const opts = {
+            config: {
+                enableChargingManagement: true,
+                chargingManagement: {
+                    mode: 'mixed',
+                    totalBudgetMode: 'static',
+                    staticMaxChargingPowerW: 11040,
+                    gridPowerId: GRID,
+                    staleTimeoutSec: 10,
+                    wallboxes: [wallbox('carport', 2), wallbox('garage', 1)],
+                },
+            },
+            inputs: { [GRID]: 12000, 'evcs.0.carport.powerW': 5000, 'evcs.0.garage.powerW': 5000 },
+        };
+        h = await createHarness({ ...opts, inputs: { [GRID]: 3000, 'evcs.0.carport.powerW': 0, 'evcs.0.garage.powerW': 0 } });
+        await h.tick(1000);
+        await h.run(2000, { [GRID]: 8000, 'evcs.0.carport.powerW': 5000, 'evcs.0.garage.powerW': 0 });
+        await h.run(2000, opts.inputs);
+        assert.strictEqual(h.val('chargingManagement.debug.sortedOrder'), 'carport,garage');
+
+        await restart(opts, 30000);
+        await h.run(1000, opts.inputs);
+
+        // Without the restored sessions both would start "now" and priority would put garage first
+        assert.strictEqual(h.val('chargingManagement.debug.sortedOrder'), 'carport,garage');
+    });
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createHarness } = require('./lib/harness');
+const { loadPlugins, resolvePluginConfig, sourceBaseDir } = require('../src/plugins');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'plugins');
+const GRID = 'meter.0.grid.powerW';
+const TEMP = 'coldroom.0.tempC';
+const COMPRESSOR = 'coldroom.0.compressorW';
+
+const gridConstraints = { enableGridConstraints: true, gridConstraints: { gridPowerId: GRID } };
+
+describe('Plugins', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('loads plugins from a directory and runs them like built-in modules', async () => {
+        h = await createHarness({
+            config: {
+                pluginSources: FIXTURES,
+                pluginConfig: JSON.stringify({ coldStorage: { tempId: TEMP, compressorId: COMPRESSOR }, faulty: { enabled: false } }),
+            },
+            inputs: { [TEMP]: 7 },
+        });
+
+        const keys = h.mm.modules.map(m => m.key);
+        assert.strictEqual(keys.indexOf('coldStorage'), keys.indexOf('chargingManagement') - 1);
+        assert.deepStrictEqual(h.dp.ownersByKey.get('cold.compressorW'), new Set(['coldStorage']));
+
+        await h.tick(1000);
+        assert.strictEqual(h.adapter.lastWrite(COMPRESSOR), 3000);
+        h.set(TEMP, 3);
+        await h.tick(1000);
+        assert.strictEqual(h.adapter.lastWrite(COMPRESSOR), 0);
+
+        const status = h.mm.getStatus().modules;
+        const cold = status.find(m => m.key === 'coldStorage');
+        assert.deepStrictEqual(cold.status, { targetW: 0 });
+        assert.strictEqual(cold.plugin.configSchema.maxPowerW.default, 3000);
+        assert.strictEqual(status.find(m => m.key === 'faulty').enabled, false);
+
+        // a changed config section reloads the plugin
+        await h.reconfigure({ pluginConfig: JSON.stringify({ coldStorage: { tempId: TEMP, compressorId: COMPRESSOR, setpointC: 2, maxPowerW: 1500 } }) });
+        await h.tick(1000);
+        assert.strictEqual(h.adapter.lastWrite(COMPRESSOR), 1500);
+    });
+
+    it('suspends a throwing plugin without affecting the built-in modules', async () => {
+        h = await createHarness({
+            config: { ...gridConstraints, pluginSources: path.join(FIXTURES, 'faulty.js') },
+            inputs: { [GRID]: 1000 },
+        });
+        const faulty = h.mm.modules.find(m => m.key === 'faulty');
+
+        await h.run(5000);
+        assert.strictEqual(faulty.instance.calls, 3);
+        assert.strictEqual(h.mm._sched.get('gridConstraints').runs, 5);
+        assert.ok(h.mm.getStatus().modules.find(m => m.key === 'faulty').plugin.suspendedUntil > 0);
+        assert.strictEqual(h.adapter.logs.filter(l => l.msg.includes('suspended for 30 s')).length, 1);
+
+        // retried after the suspension, then suspended twice as long
+        await h.run(30000);
+        assert.strictEqual(faulty.instance.calls, 6);
+        assert.strictEqual(h.adapter.logs.filter(l => l.msg.includes('suspended for 60 s')).length, 1);
+        assert.strictEqual(h.mm._sched.get('gridConstraints').runs, 35);
+    });
+
+    it('times out a hanging plugin and skips it until the call returns', async () => {
+        h = await createHarness({
+            config: {
+                ...gridConstraints,
+                pluginSources: path.join(FIXTURES, 'faulty.js'),
+                pluginConfig: { faulty: { mode: 'hang', hangMs: 150 } },
+                pluginTimeoutMs: 20,
+            },
+            inputs: { [GRID]: 1000 },
+        });
+        const faulty = h.mm.modules.find(m => m.key === 'faulty');
+
+        await h.tick(1000);
+        assert.ok(h.adapter.logs.some(l => l.msg === "Module 'faulty' tick error: timeout after 20 ms"));
+        await h.tick(1000);
+        assert.strictEqual(faulty.instance.calls, 1);
+        assert.strictEqual(h.mm._sched.get('gridConstraints').runs, 2);
+
+        await new Promise(resolve => setTimeout(resolve, 200));
+        await h.tick(1000);
+        assert.strictEqual(faulty.instance.calls, 2);
+    });
+
+    it('resolves relative sources against the instance data directory', () => {
+        const dataDir = path.join(__dirname, 'fixtures');
+        assert.strictEqual(sourceBaseDir({ instanceDataDir: dataDir }), dataDir);
+        assert.strictEqual(sourceBaseDir({}), path.join(__dirname, '..'));
+
+        const res = loadPlugins({ pluginSources: './plugins/cold-storage.js' }, { baseDir: sourceBaseDir({ instanceDataDir: dataDir }) });
+        assert.deepStrictEqual(res.errors, []);
+        assert.deepStrictEqual(res.plugins.map(p => p.source), [path.join(FIXTURES, 'cold-storage.js')]);
+    });
+
+    it('rejects invalid plugins and plugin configs', () => {
+        /** @type {Record<string, any>} */
+        const files = {
+            'plugin-a': { key: 'peakShaving', Module: class {} },
+            'plugin-b': { key: 'b', apiVersion: 2, Module: class {} },
+            'plugin-c': { key: 'c' },
+            'plugin-d': { key: 'd', Module: class {} },
+        };
+        const res = loadPlugins({ pluginSources: 'plugin-a, plugin-b\nplugin-c;plugin-d' }, {
+            reserved: ['peakShaving'],
+            requireFn: id => files[id],
+        });
+        assert.deepStrictEqual(res.plugins.map(p => p.key), ['d']);
+        assert.deepStrictEqual(res.errors.map(e => e.error), [
+            "plugin key 'peakShaving' is already used",
+            'plugin \'b\' needs plugin API 2, this adapter provides 1',
+            "plugin 'c' has neither Module nor create()",
+        ]);
+
+        assert.deepStrictEqual(resolvePluginConfig({ id: { type: 'objectId', required: true }, w: { type: 'number', max: 10 } }, { w: '20' }).errors, [
+            'id is required',
+            'w must be <= 10',
+        ]);
+    });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const { createHarness } = require('./lib/harness');
+const { MessageApi } = require('../src/message-api');
+const { loadProfiles } = require('../src/profiles');
+const { deepMerge } = require('../src/sim/simulator');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'profiles');
+const KEBA = 'kecontact.0';
+
+describe('Device profiles', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('loads built-in and own profiles, own ones replace built-in ones', () => {
+        const { profiles, errors } = loadProfiles({ profileSources: FIXTURES });
+
+        assert.ok(profiles.some(p => p.id === 'kecontact-p30' && p.target === 'wallbox'));
+        assert.ok(profiles.some(p => p.id === 'e3dc-rscp' && p.target === 'storage'));
+        assert.strictEqual(profiles.find(p => p.id === 'shelly-relay').title, 'Shelly relay (own profile)');
+        assert.strictEqual(profiles.find(p => p.id === 'heat-pump-sg').datapoints.setWId.unit, 'kW');
+
+        assert.strictEqual(errors.length, 1);
+        assert.match(errors[0].error, /'chargingCurrentId' is no datapoint of a wallbox/);
+    });
+
+    it('resolves relative profile sources against the instance data directory', async () => {
+        h = await createHarness({ config: { profileSources: './profiles' } });
+        h.adapter.instanceDataDir = path.join(__dirname, 'fixtures');
+        const api = new MessageApi(h.adapter, { dp: h.dp, modules: h.mm });
+
+        const res = await api.handle('getProfiles', {});
+        assert.strictEqual(res.profiles.find(p => p.id === 'shelly-relay').title, 'Shelly relay (own profile)');
+        assert.strictEqual(res.errors.length, 1);
+    });
+
+    it('maps a wallbox from its root object and converts the mA setpoint', async () => {
+        h = await createHarness({ inputs: { [`${KEBA}.p`]: 0 } });
+        const api = new MessageApi(h.adapter, { dp: h.dp, modules: h.mm });
+        await h.adapter.setForeignObjectAsync(`${KEBA}.currentUser`, { type: 'state', common: { type: 'number', write: true }, native: {} });
+
+        const options = await api.handle('getProfiles', { target: 'wallbox', format: 'select' });
+        assert.ok(options.some(o => o.value === 'kecontact-p30'));
+
+        const res = await api.handle('applyProfile', {
+            profile: 'kecontact-p30',
+            rootId: `${KEBA}.`,
+            key: 'Garage',
+            native: { chargingManagement: { wallboxes: [{ key: 'carport', setCurrentAId: 'evcs.0.carport.setA' }] } },
+        });
+        assert.strictEqual(res.ok, true);
+        const rows = res.native.chargingManagement.wallboxes;
+        assert.deepStrictEqual(rows.map(r => r.key), ['carport', 'Garage']);
+        assert.strictEqual(rows[1].setCurrentAId, `${KEBA}.currentUser`);
+        assert.strictEqual(rows[1].maxA, 32);
+        assert.deepStrictEqual(res.native.globalDatapoints.map(r => `${r.key}:${r.scale}`), ['cm.wb.garage.setA:0.001']);
+        assert.ok(res.missing.includes(`${KEBA}.enableUser`) && !res.missing.includes(`${KEBA}.currentUser`));
+        h.close();
+
+        // The applied config drives the wallbox
+        const config = deepMerge({
+            enableChargingManagement: true,
+            chargingManagement: { mode: 'mixed', totalBudgetMode: 'static', staticMaxChargingPowerW: 11040 },
+        }, res.native);
+        config.chargingManagement.wallboxes = [rows[1]];
+        config.globalDatapoints.unshift({ key: 'grid.powerW', objectId: 'meter.0.grid.powerW', unit: 'W' });
+        const meter = { 'meter.0.grid.powerW': 500, [`${KEBA}.p`]: 0, [`${KEBA}.i1`]: 0, [`${KEBA}.i2`]: 0, [`${KEBA}.i3`]: 0, [`${KEBA}.state`]: 2 };
+        h = await createHarness({ config, inputs: meter });
+        await h.run(3000, meter);
+        assert.strictEqual(h.adapter.lastWrite(`${KEBA}.currentUser`), 16000);
+    });
+
+    it('fills the storage fields including scale and sign convention', async () => {
+        h = await createHarness({ config: { profileSources: FIXTURES } });
+        const api = new MessageApi(h.adapter, { dp: h.dp, modules: h.mm });
+
+        const storage = await api.handle('applyProfile', { profile: 'e3dc-rscp', rootId: 'e3dc-rscp.0' });
+        assert.deepStrictEqual(Object.keys(storage.native), ['storage']);
+        assert.strictEqual(storage.native.storage.datapoints.batteryPowerObjectId, 'e3dc-rscp.0.EMS.POWER_BAT');
+        assert.strictEqual(storage.native.storage.datapoints.targetPowerScale, 1);
+        assert.strictEqual(storage.native.storage.controlMode, 'targetPower');
+
+        const heatPump = await api.handle('applyProfile', { profile: 'heat-pump-sg', rootId: 'modbus.1', key: 'wp' });
+        assert.deepStrictEqual(heatPump.native.multiUse.consumers, [
+            { key: 'wp', name: 'Heat pump with power setpoint in kW', enabled: true, type: 'heatpump', controlBasis: 'powerW', setWId: 'modbus.1.control.setpointKW', enableId: 'modbus.1.control.release' },
+        ]);
+        assert.deepStrictEqual(heatPump.native.globalDatapoints.map(r => `${r.key}:${r.objectId}:${r.scale}`), ['mu.wp.setW:modbus.1.control.setpointKW:1000']);
+
+        assert.match((await api.handle('applyProfile', { profile: 'nope', rootId: 'x.0' })).error, /unknown profile 'nope'/);
+    });
+});
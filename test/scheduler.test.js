@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert');
+const { TickScheduler } = require('../src/scheduler');
+const { VirtualClock } = require('../src/sim/virtual-clock');
+
+const T0 = Date.UTC(2025, 5, 2, 10, 0, 0);
+
+describe('Tick scheduler', () => {
+    /** @type {any} */
+    let clock = null;
+    /** @type {any} */
+    let scheduler = null;
+    /** @type {Array<{reason: string, startMs: number}>} */
+    let ticks = [];
+    let running = 0;
+    let maxRunning = 0;
+
+    beforeEach(() => {
+        clock = new VirtualClock(T0).install({ timers: true });
+        ticks = [];
+        running = 0;
+        maxRunning = 0;
+    });
+
+    afterEach(() => {
+        if (scheduler) scheduler.stop();
+        scheduler = null;
+        clock.uninstall();
+    });
+
+    /**
+     * @param {any} opts
+     * @param {number} [tickMs] virtual duration of one tick
+     */
+    function create(opts, tickMs = 0) {
+        scheduler = new TickScheduler({
+            ...opts,
+            runTick: async reason => {
+                ticks.push({ reason, startMs: Date.now() - T0 });
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                if (tickMs) await new Promise(resolve => setTimeout(resolve, tickMs));
+                running--;
+            },
+        });
+        return scheduler;
+    }
+
+    it('runs one tick for a burst of meter updates', async () => {
+        const s = create({ intervalMs: 5000, debounceMs: 50, minGapMs: 200 });
+        await s.start();
+        await clock.runFor(1000);
+
+        for (let i = 0; i < 10; i++) {
+            s.requestTick('dp:grid.powerW');
+            await clock.runFor(3);
+        }
+        await clock.runFor(100);
+
+        assert.deepStrictEqual(ticks, [
+            { reason: 'start', startMs: 0 },
+            { reason: 'dp:grid.powerW', startMs: 1050 },
+        ]);
+        assert.strictEqual(s.stats.triggered, 1);
+        assert.strictEqual(s.stats.coalesced, 9);
+    });
+
+    it('keeps the minimum gap and runs the watchdog after the interval', async () => {
+        const s = create({ intervalMs: 1000, debounceMs: 0, minGapMs: 500 });
+        await s.start();
+        await clock.runFor(100);
+        s.requestTick('dp:grid.powerW');
+        await clock.runFor(2500);
+
+        assert.deepStrictEqual(ticks, [
+            { reason: 'start', startMs: 0 },
+            { reason: 'dp:grid.powerW', startMs: 500 },
+            { reason: 'watchdog', startMs: 1500 },
+            { reason: 'watchdog', startMs: 2500 },
+        ]);
+        assert.strictEqual(s.stats.watchdog, 2);
+    });
+
+    it('never overlaps a slow tick and runs a request once afterwards', async () => {
+        // 3 s per tick: longer than the watchdog interval
+        const s = create({ intervalMs: 1000, debounceMs: 0 }, 3000);
+
+        const started = s.start();
+        await clock.runFor(1000);
+        s.requestTick('dp:a');
+        s.requestTick('dp:b');
+        await clock.runFor(9000);
+        await started;
+
+        assert.strictEqual(maxRunning, 1);
+        assert.deepStrictEqual(ticks, [
+            { reason: 'start', startMs: 0 },
+            { reason: 'dp:b', startMs: 3000 },
+            { reason: 'watchdog', startMs: 7000 },
+        ]);
+        assert.strictEqual(s.stats.coalesced, 1);
+    });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const assert = require('assert');
+const { Simulator, timelineToCsv } = require('../src/sim/simulator');
+const { parseCsv, seriesFromData } = require('../src/sim/series');
+
+describe('Simulator', () => {
+    it('interpolates and holds series values', () => {
+        const s = seriesFromData(parseCsv('t,a,b\n0,0,x\n10,100,y\n'), { interpolate: 'linear' });
+
+        assert.strictEqual(s.relative, true);
+        assert.strictEqual(s.valueAt(5000, 'a'), 50);
+        assert.strictEqual(s.valueAt(5000, 'b'), 'x');
+        assert.strictEqual(s.valueAt(20000, 'a'), 100);
+        assert.strictEqual(s.valueAt(-1, 'a'), null);
+    });
+
+    it('replays a load step and records the peak-shaving activation', async () => {
+        const sim = new Simulator({
+            start: '2025-06-02T10:00:00Z',
+            durationSec: 60,
+            stepSec: 1,
+            sampleSec: 0,
+            series: [{ t: 0, loadW: 6000 }, { t: 20, loadW: 14000 }],
+            inputs: { loadW: 'meter.0.grid.powerW' },
+            config: {
+                enablePeakShaving: true,
+                peakShaving: { mode: 'static', gridPointPowerId: 'meter.0.grid.powerW', maxPowerW: 10000 },
+            },
+        }, { logLevel: 'silent' });
+
+        const { timeline, summary } = await sim.run();
+
+        assert.strictEqual(summary.ticks, 61);
+        assert.strictEqual(summary.peakShavingActivations, 1);
+
+        const activation = timeline.find(e => e.type === 'reason' && e.id === 'peakShaving.control.active' && e.value === true);
+        assert.ok(activation);
+        assert.strictEqual(activation.t, Date.parse('2025-06-02T10:00:20Z'));
+
+        const csv = timelineToCsv(timeline);
+        assert.ok(csv.startsWith('t,time,type,id,key,value\n'));
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+const SOC = 'battery.0.soc';
+const BAT_W = 'battery.0.powerW';
+const TARGET = 'battery.0.targetW';
+
+/**
+ * @param {any} [storage]
+ */
+function config(storage = {}) {
+    return {
+        enablePeakShaving: true,
+        enableStorageControl: true,
+        peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 10000 },
+        storage: {
+            datapoints: { socObjectId: SOC, batteryPowerObjectId: BAT_W, targetPowerObjectId: TARGET },
+            maxDischargeW: 5000,
+            maxDeltaWPerTick: 500,
+            reserveEnabled: true,
+            reserveMinSocPct: 10,
+            ...storage,
+        },
+    };
+}
+
+describe('Storage control', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('discharges with ramp limiting to shave a peak', async () => {
+        h = await createHarness({ config: config(), inputs: { [GRID]: 6000, [SOC]: 50, [BAT_W]: 0 } });
+        await h.run(3000, { [GRID]: 6000, [SOC]: 50 });
+        assert.strictEqual(h.adapter.lastWrite(TARGET), 0);
+
+        await h.run(1000, { [GRID]: 14000, [SOC]: 50 });
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(h.adapter.lastWrite(TARGET), 500);
+        assert.strictEqual(h.val('speicher.regelung.quelle'), 'lastspitze');
+
+        // Ramps up to the required reduction (meter is replayed unchanged, so the need stays 4 kW)
+        await h.run(20000, { [GRID]: 14000, [SOC]: 50 });
+        assert.strictEqual(h.adapter.lastWrite(TARGET), 4000);
+    });
+
+    it('blocks discharging for peak shaving while the reserve is active', async () => {
+        h = await createHarness({ config: config(), inputs: { [GRID]: 6000, [SOC]: 8, [BAT_W]: 0 } });
+        await h.run(3000, { [GRID]: 6000, [SOC]: 8 });
+
+        await h.run(5000, { [GRID]: 14000, [SOC]: 8 });
+
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(h.val('speicher.regelung.reserveAktiv'), true);
+        assert.strictEqual(h.val('speicher.regelung.grund'), 'Lastspitzenkappung nötig, aber Reserve aktiv');
+        assert.ok(h.adapter.writesTo(TARGET).every(w => w.val <= 0));
+    });
+
+    it('still charges PV surplus while the reserve is active', async () => {
+        h = await createHarness({ config: config(), inputs: { [GRID]: -1000, [SOC]: 8, [BAT_W]: 0 } });
+        await h.run(5000, { [GRID]: -1000, [SOC]: 8 });
+
+        assert.strictEqual(h.val('speicher.regelung.quelle'), 'pv');
+        assert.strictEqual(h.adapter.lastWrite(TARGET), -1000);
+    });
+
+    it('falls back to 0 W when the grid measurement is stale', async () => {
+        h = await createHarness({ config: config({ staleTimeoutSec: 5 }), inputs: { [GRID]: -1000, [SOC]: 50, [BAT_W]: 0 } });
+        await h.run(2000, { [GRID]: -1000, [SOC]: 50 });
+        assert.ok(h.adapter.lastWrite(TARGET) < 0);
+
+        await h.run(10000, { [SOC]: 50 });
+        assert.strictEqual(h.adapter.lastWrite(TARGET), 0);
+        assert.strictEqual(h.val('speicher.regelung.grund'), 'Netzleistung fehlt oder zu alt');
+    });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+const { unitConversion } = require('../src/units');
+const { ConfigValidator } = require('../src/config-validator');
+
+const GRID = 'meter.0.grid.powerKW';
+const SET_A = 'evcs.0.garage.setMA';
+const ENERGY = 'meter.0.grid.energy';
+
+/**
+ * @param {string} unit
+ * @param {boolean} [write]
+ */
+function state(unit, write = false) {
+    return { type: 'state', common: { type: 'number', unit, read: true, write }, native: {} };
+}
+
+describe('Unit normalisation', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('derives the conversion between units of one quantity', () => {
+        assert.deepStrictEqual(unitConversion('W', 'kW'), { status: 'converted', factor: 1000 });
+        assert.deepStrictEqual(unitConversion('W', ' KW '), { status: 'converted', factor: 1000 });
+        assert.deepStrictEqual(unitConversion('A', 'mA'), { status: 'converted', factor: 0.001 });
+        assert.deepStrictEqual(unitConversion('kWh', 'Wh'), { status: 'converted', factor: 0.001 });
+        assert.deepStrictEqual(unitConversion('W', 'w'), { status: 'same', factor: 1 });
+        assert.strictEqual(unitConversion('W', 'kWh').status, 'incompatible');
+        assert.strictEqual(unitConversion('W', 'PS').status, 'unknown');
+        assert.strictEqual(unitConversion('W', '').status, 'none');
+    });
+
+    it('reads a meter in kW as W and writes a setpoint in mA', async () => {
+        h = await createHarness({
+            config: {
+                unitConversionMode: 'auto',
+                enablePeakShaving: true,
+                peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 10000 },
+                enableChargingManagement: true,
+                chargingManagement: {
+                    mode: 'mixed',
+                    totalBudgetMode: 'static',
+                    staticMaxChargingPowerW: 11040,
+                    wallboxes: [{ key: 'garage', priority: 1, actualPowerWId: 'evcs.0.garage.powerW', setCurrentAId: SET_A }],
+                },
+            },
+            objects: { [GRID]: state('kW'), [SET_A]: state('mA', true) },
+            inputs: { [GRID]: 4.5, 'evcs.0.garage.powerW': 0 },
+        });
+        await h.run(3000, { [GRID]: 4.5 });
+
+        assert.strictEqual(h.dp.getNumber('ps.gridPowerW'), 4500);
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+        assert.strictEqual(h.adapter.lastWrite(SET_A), 16000);
+
+        h.set(GRID, 12);
+        await h.tick(1000);
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+
+        const units = JSON.parse(h.val('diagnostics.units'));
+        assert.deepStrictEqual(units.map(u => `${u.key}:${u.objectUnit}:${u.status}:${u.factor}`), [
+            'cm.wb.garage.setA:mA:converted:0.001',
+            'ps.gridPowerW:kW:converted:1000',
+        ]);
+    });
+
+    it('only reports differing units by default and honours the per-datapoint mode', async () => {
+        const objects = { [GRID]: state('kW'), 'meter.0.pv.powerKW': state('kW') };
+        const inputs = { [GRID]: 4.5, 'meter.0.pv.powerKW': 2 };
+        h = await createHarness({
+            config: { globalDatapoints: [{ key: 'grid.powerW', objectId: GRID, unit: 'W' }, { key: 'ps.pvW', objectId: 'meter.0.pv.powerKW', unit: 'W', unitMode: 'auto' }] },
+            objects,
+            inputs,
+        });
+        await h.tick(1000);
+        assert.strictEqual(h.dp.getNumber('grid.powerW'), 4.5);
+        assert.strictEqual(h.dp.getNumber('ps.pvW'), 2000);
+        assert.deepStrictEqual(JSON.parse(h.val('diagnostics.units')).map(u => `${u.key}:${u.status}:${u.factor}`), ['grid.powerW:not_converted:1', 'ps.pvW:converted:1000']);
+        const report = await new ConfigValidator(h.adapter).validate(h.adapter.config, h.dp.dump());
+        assert.deepStrictEqual(report.findings.filter(f => f.code === 'UNIT_MISMATCH').map(f => f.key), ['grid.powerW']);
+        h.close();
+
+        // Globally on, switched off for a meter with wrong metadata
+        h = await createHarness({
+            config: { unitConversionMode: 'auto', globalDatapoints: [{ key: 'grid.powerW', objectId: GRID, unit: 'W', unitMode: 'off' }] },
+            objects,
+            inputs,
+        });
+        await h.tick(1000);
+        assert.strictEqual(h.dp.getNumber('grid.powerW'), 4.5);
+        assert.strictEqual(JSON.parse(h.val('diagnostics.units'))[0].status, 'off');
+    });
+
+    it('reads the object unit once and follows object changes', async () => {
+        h = await createHarness({
+            config: { unitConversionMode: 'auto', enablePeakShaving: true, peakShaving: { mode: 'static', gridPointPowerId: GRID, maxPowerW: 10000 } },
+            objects: { [GRID]: state('kW') },
+            inputs: { [GRID]: 4.5 },
+        });
+        await h.tick(1000);
+        assert.strictEqual(h.dp.getNumber('ps.gridPowerW'), 4500);
+
+        // Peak shaving re-declares its datapoints every tick: no object read for that
+        const read = h.adapter.getForeignObjectAsync.bind(h.adapter);
+        const reads = [];
+        h.adapter.getForeignObjectAsync = async (id) => {
+            reads.push(id);
+            return read(id);
+        };
+        await h.run(5000, { [GRID]: 4.5 });
+        assert.deepStrictEqual(reads.filter(id => id === GRID), []);
+
+        // The meter's metadata is corrected
+        await h.adapter.extendForeignObjectAsync(GRID, { common: { unit: 'W' } });
+        assert.strictEqual(h.dp.getNumber('ps.gridPowerW'), 4.5);
+        await h.tick(1000);
+        assert.strictEqual(JSON.parse(h.val('diagnostics.units'))[0].status, 'same');
+    });
+
+    it('keeps a manual scale and warns on incompatible units', async () => {
+        h = await createHarness({
+            config: {
+                globalDatapoints: [
+                    { key: 'grid.powerW', objectId: GRID, unit: 'W', scale: 1000 },
+                    { key: 'ps.gridPowerW', objectId: ENERGY, unit: 'W' },
+                ],
+            },
+            objects: { [GRID]: state('kW'), [ENERGY]: state('kWh') },
+            inputs: { [GRID]: 2, [ENERGY]: 1234 },
+        });
+        await h.tick(1000);
+
+        assert.strictEqual(h.dp.getNumber('grid.powerW'), 2000);
+        assert.strictEqual(h.dp.getNumber('ps.gridPowerW'), 1234);
+        assert.deepStrictEqual(JSON.parse(h.val('diagnostics.units')).map(u => `${u.key}:${u.status}`), ['grid.powerW:manual', 'ps.gridPowerW:incompatible']);
+        assert.ok(h.adapter.logs.some(l => l.level === 'warn' && l.msg.includes("Datapoint 'ps.gridPowerW' expects W, object 'meter.0.grid.energy' has unit 'kWh'")));
+    });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+const { compileExpression } = require('../src/expression');
+const { ConfigValidator } = require('../src/config-validator');
+
+const M1 = 'meter.0.m1.powerW';
+const M2 = 'meter.0.m2.powerW';
+
+const globalDatapoints = [
+    { key: 'm1.powerW', objectId: M1 },
+    { key: 'm2.powerW', objectId: M2, scale: 1000, unit: 'W' },
+    { key: 'ps.gridPowerW', expression: 'm1.powerW + m2.powerW' },
+];
+
+/**
+ * @param {any} [ps]
+ */
+function config(ps = {}) {
+    return {
+        globalDatapoints,
+        enablePeakShaving: true,
+        peakShaving: { mode: 'static', maxPowerW: 10000, staleTimeoutSec: 10, ...ps },
+    };
+}
+
+describe('Virtual datapoints', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    it('evaluates expressions with null propagation', () => {
+        const get = (k) => ({ a: 4, b: -6 })[k] ?? null;
+        assert.strictEqual(compileExpression('a + b * 2').evaluate(get), -8);
+        assert.strictEqual(compileExpression('max(0, a + b)').evaluate(get), 0);
+        assert.strictEqual(compileExpression('abs(b) > a ? 1 : 2').evaluate(get), 1);
+        assert.strictEqual(compileExpression('round(a / 3, 2)').evaluate(get), 1.33);
+        assert.strictEqual(compileExpression('a + missing').evaluate(get), null);
+        assert.strictEqual(compileExpression('coalesce(missing, a)').evaluate(get), 4);
+        assert.deepStrictEqual(compileExpression('min(a, b, a)').refs, ['a', 'b']);
+
+        assert.throws(() => compileExpression('a + * b'), /unexpected '\*' at 5/);
+        assert.throws(() => compileExpression('foo(a)'), /unknown function 'foo'/);
+        assert.throws(() => compileExpression('clamp(a, 1)'), /wrong number of arguments/);
+    });
+
+    it('drives peak shaving from the sum of two meters', async () => {
+        h = await createHarness({ config: config(), inputs: { [M1]: 3000, [M2]: 2 } });
+        await h.run(3000, { [M1]: 3000, [M2]: 2 });
+
+        assert.strictEqual(h.dp.getNumber('ps.gridPowerW'), 5000);
+        assert.strictEqual(h.val('peakShaving.control.active'), false);
+
+        h.set(M2, 9);
+        await h.tick(1000);
+        assert.strictEqual(h.dp.getNumber('ps.gridPowerW'), 12000);
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(await h.dp.writeNumber('ps.gridPowerW', 0), false);
+    });
+
+    it('applies the transform of a nested virtual entry once', async () => {
+        const nested = [
+            ...globalDatapoints.filter(e => e.key !== 'ps.gridPowerW'),
+            { key: 'site.kW', expression: 'm1.powerW + m2.powerW', scale: 0.001 },
+            { key: 'site.sumW', expression: 'site.kW * 1000', offset: 500 },
+            { key: 'ps.gridPowerW', expression: 'site.sumW - 500' },
+        ];
+        h = await createHarness({ config: { ...config(), globalDatapoints: nested }, inputs: { [M1]: 3000, [M2]: 2 } });
+        await h.tick(1000);
+
+        assert.strictEqual(h.dp.getNumber('site.kW'), 5);
+        assert.strictEqual(h.dp.getRaw('site.kW'), 5);
+        assert.strictEqual(h.dp.getNumber('site.sumW'), 5500);
+        assert.strictEqual(h.dp.getNumber('ps.gridPowerW'), 5000);
+    });
+
+    it('is as old as its oldest input', async () => {
+        h = await createHarness({ config: config(), inputs: { [M1]: 3000, [M2]: 2 } });
+        await h.run(3000, { [M1]: 3000, [M2]: 2 });
+
+        // Only the first meter keeps updating
+        await h.run(12000, { [M1]: 3000 });
+
+        assert.ok(h.dp.getAgeMs('ps.gridPowerW') > 10000);
+        assert.strictEqual(h.dp.getAgeMs('m1.powerW'), 0);
+        assert.strictEqual(h.val('peakShaving.control.active'), true);
+        assert.strictEqual(h.val('peakShaving.control.reason'), 'STALE_METER');
+    });
+
+    it('rejects invalid expressions and reports unknown inputs', async () => {
+        h = await createHarness({
+            config: {
+                globalDatapoints: [
+                    ...globalDatapoints,
+                    { key: 'bad', expression: 'm1.powerW +' },
+                    { key: 'baseLoadW', expression: 'ps.gridPowerW - wb.powerW' },
+                ],
+            },
+            inputs: { [M1]: 3000, [M2]: 2 },
+        });
+        await h.adapter.setForeignObjectAsync('system.adapter.meter.0', { type: 'instance', common: {}, native: {} });
+        for (const id of [M1, M2]) await h.adapter.setForeignObjectAsync(id, { type: 'state', common: { type: 'number', read: true, write: false }, native: {} });
+
+        assert.strictEqual(h.dp.getEntry('bad'), null);
+        assert.ok(h.adapter.logs.some(l => l.msg.includes("Virtual datapoint 'bad': invalid expression")));
+        assert.strictEqual(h.dp.getNumber('baseLoadW'), null);
+        assert.strictEqual(h.dp.getAgeMs('baseLoadW'), Number.POSITIVE_INFINITY);
+
+        const report = await new ConfigValidator(h.adapter).validate(h.adapter.config, h.dp.dump());
+        assert.deepStrictEqual(report.findings.map(f => `${f.code}:${f.key || f.objectId}`), [
+            'VIRTUAL_EXPRESSION_INVALID:bad',
+            'INSTANCE_MISSING:system.adapter.nexowatt-vis.0',
+            'VIRTUAL_INPUT_MISSING:baseLoadW',
+        ]);
+    });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const SET_W = 'inverter.0.limitW';
+const ENABLE = 'relay.0.heater';
+const BATTERY = 'battery.0.targetW';
+
+describe('Write rate limiting', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    /**
+     * @param {string} id
+     */
+    function sent(id) {
+        return h.adapter.writes.filter(w => w.id === id && !w.ack).map(w => w.val);
+    }
+
+    /**
+     * @param {Array<any>} rules writeRateLimits table
+     */
+    async function setup(rules) {
+        h = await createHarness({
+            config: {
+                globalDatapoints: [
+                    { key: 'pv.limitW', objectId: SET_W, direction: 'out', unit: 'W' },
+                    { key: 'heater.enable', objectId: ENABLE, direction: 'out', dataType: 'boolean' },
+                    { key: 'battery.targetW', objectId: BATTERY, direction: 'out', unit: 'W', signed: true },
+                ],
+                writeRateLimits: rules,
+            },
+        });
+    }
+
+    it('coalesces writes within the minimum interval and sends the latest value', async () => {
+        await setup([{ target: 'pv.limitW', minIntervalSec: 10 }]);
+
+        assert.strictEqual(await h.dp.writeNumber('pv.limitW', 5000), true);
+        await h.tick(1000);
+        assert.strictEqual(await h.dp.writeNumber('pv.limitW', 6000), null);
+        await h.tick(1000);
+        assert.strictEqual(await h.dp.writeNumber('pv.limitW', 7000), null);
+        assert.deepStrictEqual(sent(SET_W), [5000]);
+        assert.strictEqual(h.dp.dump('pv.limitW')[0].rateLimit.pending.val, 7000);
+
+        // The module stops writing; the window opens 10 s after the first write
+        await h.tick(7000);
+        assert.deepStrictEqual(sent(SET_W), [5000]);
+        await h.tick(1000);
+        assert.deepStrictEqual(sent(SET_W), [5000, 7000]);
+        assert.strictEqual(h.dp.dump('pv.limitW')[0].rateLimit.pending, null);
+    });
+
+    it('always sends lower values and switching off immediately', async () => {
+        await setup([{ target: SET_W, minIntervalSec: 60 }, { target: ENABLE, minIntervalSec: 60 }]);
+
+        await h.dp.writeNumber('pv.limitW', 8000);
+        await h.dp.writeBoolean('heater.enable', true);
+        await h.tick(1000);
+        assert.strictEqual(await h.dp.writeNumber('pv.limitW', 9000), null);
+        assert.strictEqual(await h.dp.writeNumber('pv.limitW', 3000), true);
+        assert.strictEqual(await h.dp.writeBoolean('heater.enable', false), true);
+        assert.strictEqual(await h.dp.writeBoolean('heater.enable', true), null);
+
+        // the lower value replaced the held-back one
+        await h.tick(60000);
+        assert.deepStrictEqual(sent(SET_W), [8000, 3000]);
+        assert.deepStrictEqual(sent(ENABLE), [true, false, true]);
+    });
+
+    it('sends smaller absolute values of a signed setpoint immediately', async () => {
+        await setup([{ target: BATTERY, minIntervalSec: 60 }, { target: 'pv.limitW', minIntervalSec: 60, bypass: 'none' }]);
+
+        // Discharge 2 kW, then more discharge: a lower number, but more power
+        await h.dp.writeNumber('battery.targetW', -2000);
+        await h.tick(1000);
+        assert.strictEqual(await h.dp.writeNumber('battery.targetW', -5000), null);
+        assert.strictEqual(await h.dp.writeNumber('battery.targetW', -500), true);
+        assert.strictEqual(await h.dp.writeNumber('battery.targetW', 1000), null);
+        assert.deepStrictEqual(sent(BATTERY), [-2000, -500]);
+
+        // bypass 'none': even a lower value waits for the window
+        await h.dp.writeNumber('pv.limitW', 8000);
+        await h.tick(1000);
+        assert.strictEqual(await h.dp.writeNumber('pv.limitW', 3000), null);
+        await h.tick(60000);
+        assert.deepStrictEqual(sent(SET_W), [8000, 3000]);
+        assert.deepStrictEqual(sent(BATTERY), [-2000, -500, 1000]);
+    });
+
+    it('limits the writes per hour', async () => {
+        await setup([{ target: 'pv.limitW', maxPerHour: 3 }]);
+
+        for (let i = 1; i <= 5; i++) {
+            await h.dp.writeNumber('pv.limitW', i * 1000);
+            await h.tick(60000);
+        }
+        assert.deepStrictEqual(sent(SET_W), [1000, 2000, 3000]);
+
+        // The first write leaves the one-hour window
+        await h.tick(3600000 - 5 * 60000);
+        assert.deepStrictEqual(sent(SET_W), [1000, 2000, 3000, 5000]);
+        assert.strictEqual(h.dp.dump('pv.limitW')[0].rateLimit.writesLastHour, 3);
+    });
+});
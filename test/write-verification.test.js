@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('assert');
+const { createHarness } = require('./lib/harness');
+
+const GRID = 'meter.0.grid.powerW';
+const SET_A = 'evcs.0.garage.setA';
+const READBACK = 'evcs.0.garage.appliedA';
+
+const inputs = { [GRID]: 3000, 'evcs.0.garage.powerW': 0 };
+
+/**
+ * @param {Array<any>} rules writeVerification table
+ */
+function config(rules) {
+    return {
+        enableChargingManagement: true,
+        chargingManagement: {
+            mode: 'mixed',
+            totalBudgetMode: 'static',
+            staticMaxChargingPowerW: 11040,
+            gridPowerId: GRID,
+            staleTimeoutSec: 30,
+            wallboxes: [{ key: 'garage', priority: 1, actualPowerWId: 'evcs.0.garage.powerW', setCurrentAId: SET_A }],
+        },
+        writeVerification: rules,
+    };
+}
+
+describe('Write verification', () => {
+    /** @type {any} */
+    let h = null;
+
+    afterEach(() => {
+        if (h) h.close();
+        h = null;
+    });
+
+    /**
+     * @param {string} id
+     */
+    function sent(id) {
+        return h.adapter.writes.filter(w => w.id === id && !w.ack).map(w => w.val);
+    }
+
+    function health() {
+        return JSON.parse(h.val('diagnostics.writeHealth'))[0];
+    }
+
+    it('confirms a write acknowledged by the device', async () => {
+        h = await createHarness({ config: config([{ target: SET_A }]), inputs });
+        await h.tick(1000);
+        assert.strictEqual(health().pending, true);
+
+        h.set(SET_A, 16);
+        await h.tick(1000);
+        const hl = health();
+        assert.strictEqual(hl.verified, true);
+        assert.strictEqual(hl.lastAckMs, Date.now() - 1000);
+        assert.strictEqual(hl.failures, 0);
+        assert.strictEqual(h.dp.dump('garage.setA')[0].health.verified, true);
+    });
+
+    it('re-sends an unacknowledged write with backoff although the value is unchanged', async () => {
+        h = await createHarness({ config: config([{ target: 'cm.wb.garage.setA', timeoutMs: 2000 }]), inputs });
+        await h.tick(1000);
+        assert.deepStrictEqual(sent(SET_A), [16]);
+
+        await h.run(2000, inputs);
+        assert.strictEqual(health().failures, 1);
+        assert.match(health().lastError, /no acknowledgement within 2000 ms/);
+
+        // retry 1 s after the timeout, the next one 2 s after the second timeout
+        await h.tick(1000);
+        assert.deepStrictEqual(sent(SET_A), [16, 16]);
+        assert.strictEqual(health().retries, 1);
+        await h.run(3000, inputs);
+        assert.deepStrictEqual(sent(SET_A), [16, 16]);
+        await h.run(2000, inputs);
+        assert.deepStrictEqual(sent(SET_A), [16, 16, 16]);
+
+        h.set(SET_A, 16);
+        await h.tick(1000);
+        assert.strictEqual(health().verified, true);
+        assert.strictEqual(health().failures, 0);
+    });
+
+    it('verifies via a readback object with tolerance and re-sends reverted values', async () => {
+        h = await createHarness({ config: config([{ target: SET_A, readbackId: READBACK, tolerance: 0.5 }]), inputs: { ...inputs, [READBACK]: 0 } });
+        await h.tick(1000);
+        h.set(SET_A, 16);
+        await h.tick(1000);
+        assert.strictEqual(health().verified, false, 'the written object itself is not the readback');
+
+        h.set(READBACK, 15.6);
+        await h.tick(1000);
+        assert.strictEqual(health().verified, true);
+
+        // the wallbox falls back to its default current
+        h.set(READBACK, 6);
+        await h.tick(1000);
+        assert.deepStrictEqual(sent(SET_A), [16, 16]);
+        assert.match(health().lastError, /value changed to 6/);
+        assert.strictEqual(health().pending, true);
+    });
+
+    it('re-asserts unchanged setpoints periodically', async () => {
+        h = await createHarness({ config: config([{ target: SET_A, reassertSec: 10 }]), inputs });
+        await h.tick(1000);
+        h.set(SET_A, 16);
+        await h.run(9000, inputs);
+        assert.deepStrictEqual(sent(SET_A), [16]);
+        await h.run(1000, inputs);
+        assert.deepStrictEqual(sent(SET_A), [16, 16]);
+    });
+});